@@ -0,0 +1,52 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Offers are compared in this currency unless another one is requested
+const BASE_CURRENCY = 'USD';
+
+// Value of one unit of each currency in the base currency. Update these from
+// time to time, or override them with CURRENCY_RATES, e.g. "EUR=1.1,GBP=1.3"
+const DEFAULT_RATES = {
+	USD: 1,
+	EUR: 1.08,
+	GBP: 1.27,
+	CHF: 1.12,
+	CAD: 0.73,
+	AUD: 0.66,
+	NZD: 0.6,
+	JPY: 0.0067,
+	INR: 0.012,
+	SGD: 0.74,
+	SEK: 0.095,
+	NOK: 0.093,
+	DKK: 0.145,
+	PLN: 0.25,
+	BRL: 0.18,
+	MXN: 0.055,
+};
+
+const parseRates = (value) => {
+	const rates = {};
+	String(value || '')
+		.split(',')
+		.map((entry) => entry.split('='))
+		.forEach(([code, rate]) => {
+			const currency = (code || '').trim().toUpperCase();
+			const amount = parseFloat(rate);
+			if (/^[A-Z]{3}$/.test(currency) && amount > 0) {
+				rates[currency] = amount;
+			}
+		});
+	return rates;
+};
+
+const CURRENCY_RATES = {};
+Object.entries(DEFAULT_RATES)
+	.concat(Object.entries(parseRates(process.env.CURRENCY_RATES)))
+	.forEach(([currency, rate]) => {
+		CURRENCY_RATES[currency] = rate;
+	});
+CURRENCY_RATES[BASE_CURRENCY] = 1;
+
+module.exports = { BASE_CURRENCY, CURRENCY_RATES, parseRates };
@@ -70,6 +70,23 @@ const options = {
             }
           }
         },
+        JobLocation: {
+          type: 'object',
+          properties: {
+            city: {
+              type: 'string',
+              example: 'San Francisco'
+            },
+            region: {
+              type: 'string',
+              example: 'CA'
+            },
+            country: {
+              type: 'string',
+              example: 'United States'
+            }
+          }
+        },
         Job: {
           type: 'object',
           required: ['company', 'position', 'status'],
@@ -84,6 +101,11 @@ const options = {
               description: 'Company name',
               example: 'Google'
             },
+            companyId: {
+              type: 'string',
+              description: 'Company the company name was matched to',
+              example: '507f1f77bcf86cd799439012'
+            },
             position: {
               type: 'string',
               description: 'Job position title',
@@ -91,8 +113,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['applied', 'interviewing', 'offer', 'rejected', 'withdrawn'],
-              description: 'Current application status',
+              description: "Key of one of the user's pipeline stages",
               example: 'applied'
             },
             dateApplied: {
@@ -101,21 +122,68 @@ const options = {
               description: 'Date when application was submitted',
               example: '2024-01-15'
             },
+            postingUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'Link to the job posting',
+              example: 'https://careers.example.com/jobs/123'
+            },
+            source: {
+              type: 'string',
+              description: "One of the user's job sources",
+              example: 'Referral'
+            },
             location: {
+              $ref: '#/components/schemas/JobLocation'
+            },
+            workMode: {
+              type: 'string',
+              enum: ['remote', 'hybrid', 'onsite'],
+              example: 'hybrid'
+            },
+            employmentType: {
               type: 'string',
-              description: 'Job location',
-              example: 'San Francisco, CA'
+              enum: ['full-time', 'contract', 'internship'],
+              example: 'full-time'
             },
-            salary: {
-              type: 'number',
-              description: 'Expected or offered salary',
-              example: 120000
+            seniority: {
+              type: 'string',
+              enum: ['intern', 'junior', 'mid', 'senior', 'lead', 'principal', 'executive'],
+              example: 'senior'
+            },
+            compensation: {
+              $ref: '#/components/schemas/Compensation'
+            },
+            tags: {
+              type: 'array',
+              description: 'IDs of the tags on the job',
+              items: {
+                type: 'string'
+              }
+            },
+            customFields: {
+              type: 'object',
+              description: 'Values of the user\'s custom fields by field key (see /api/custom-fields)',
+              additionalProperties: true,
+              example: { 'visa-sponsorship': true, team: 'Payments' }
             },
             notes: {
               type: 'string',
               description: 'Additional notes about the job',
               example: 'Great company culture, remote work available'
             },
+            boardPosition: {
+              type: 'integer',
+              description: 'Position in its status column on the board, from 0 at the top; unset until the job is moved on the board',
+              example: 2
+            },
+            statusHistory: {
+              type: 'array',
+              description: 'Recorded status transitions, oldest first',
+              items: {
+                $ref: '#/components/schemas/StatusChange'
+              }
+            },
             userId: {
               type: 'string',
               description: 'ID of the user who owns this job',
@@ -195,6 +263,17 @@ const options = {
             }
           }
         },
+        Pagination: {
+          type: 'object',
+          properties: {
+            totalItems: { type: 'number', example: 42 },
+            itemsPerPage: { type: 'number', example: 20 },
+            currentPage: { type: 'number', example: 1 },
+            totalPages: { type: 'number', example: 3 },
+            hasNextPage: { type: 'boolean', example: true },
+            hasPreviousPage: { type: 'boolean', example: false }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -207,6 +286,10 @@ const options = {
               description: 'Error message',
               example: 'Validation failed'
             },
+            details: {
+              type: 'object',
+              description: 'Optional structured data about the error, such as conflicting records'
+            },
             errors: {
               type: 'array',
               items: {
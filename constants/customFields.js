@@ -0,0 +1,8 @@
+// Types of the fields users can define for their jobs; select fields take one of their options
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select'];
+
+const MAX_CUSTOM_FIELD_OPTIONS = 100;
+
+const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+
+module.exports = { CUSTOM_FIELD_TYPES, MAX_CUSTOM_FIELD_OPTIONS, MAX_CUSTOM_FIELD_TEXT_LENGTH };
@@ -0,0 +1,15 @@
+const DOCUMENT_TYPES = ['resume', 'cover_letter', 'other'];
+
+// Accepted uploads by MIME type, with the file extensions each may use
+const DOCUMENT_FILE_TYPES = {
+	'application/pdf': ['.pdf'],
+	'application/msword': ['.doc'],
+	'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+	'application/vnd.oasis.opendocument.text': ['.odt'],
+	'application/rtf': ['.rtf'],
+	'text/rtf': ['.rtf'],
+	'text/plain': ['.txt'],
+	'text/markdown': ['.md'],
+};
+
+module.exports = { DOCUMENT_TYPES, DOCUMENT_FILE_TYPES };
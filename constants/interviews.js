@@ -0,0 +1,18 @@
+const INTERVIEW_TYPES = [
+	'phone-screen',
+	'technical',
+	'behavioral',
+	'system-design',
+	'take-home',
+	'hiring-manager',
+	'onsite',
+	'final',
+	'other',
+];
+
+const INTERVIEW_FORMATS = ['phone', 'video', 'in-person', 'take-home'];
+
+// A round is pending until it is passed, failed or cancelled
+const INTERVIEW_OUTCOMES = ['pending', 'passed', 'failed', 'cancelled'];
+
+module.exports = { INTERVIEW_TYPES, INTERVIEW_FORMATS, INTERVIEW_OUTCOMES };
@@ -0,0 +1,11 @@
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+
+const EMPLOYMENT_TYPES = ['full-time', 'contract', 'internship'];
+
+// Ordered from least to most senior
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal', 'executive'];
+
+// Where postings come from, for users who have not configured their own list
+const DEFAULT_JOB_SOURCES = ['LinkedIn', 'Referral', 'Company website', 'Recruiter', 'Job board', 'Other'];
+
+module.exports = { WORK_MODES, EMPLOYMENT_TYPES, SENIORITY_LEVELS, DEFAULT_JOB_SOURCES };
@@ -9,18 +9,83 @@ const MESSAGES = {
       PASSWORD_RESET_SUCCESS: 'Password reset successful. You can now log in.',
       USER_UPDATED: 'User updated successfully',
       PASSWORD_CHANGED: 'Password changed successfully',
+      REMINDER_SETTINGS_UPDATED: 'Reminder settings updated successfully',
+      JOB_SOURCES_UPDATED: 'Job sources updated successfully',
       LOGIN_SUCCESS: 'Login successful',
       // Job success messages
       JOB_CREATED: 'Job created successfully',
       JOB_UPDATED: 'Job updated successfully',
+      JOB_MOVED: 'Job moved successfully',
       JOB_DELETED: 'Job deleted successfully',
       JOBS_DELETED: 'Jobs deleted successfully',
+      JOBS_IMPORTED: 'Import completed',
+      IMPORT_PREVIEWED: 'Import preview generated. No jobs were created',
       
       // Task success messages
       TASK_CREATED: 'Task created successfully',
       TASK_UPDATED: 'Task updated successfully',
       TASK_DELETED: 'Task deleted successfully',
       TASKS_DELETED: 'Tasks deleted successfully',
+      CALENDAR_FEED_CREATED: 'Calendar feed URL created. Any previous URL no longer works',
+      CALENDAR_FEED_DISABLED: 'Calendar feed disabled',
+      
+      // Trash success messages
+      ITEMS_RESTORED: 'Items restored successfully',
+      ITEMS_PURGED: 'Items permanently deleted',
+      TRASH_EMPTIED: 'Trash emptied successfully',
+      JOB_RESTORED: 'Job restored successfully',
+      JOB_PURGED: 'Job permanently deleted',
+      TASK_RESTORED: 'Task restored successfully',
+      TASK_PURGED: 'Task permanently deleted',
+      
+      // Stage success messages
+      STAGE_CREATED: 'Stage created successfully',
+      STAGE_UPDATED: 'Stage updated successfully',
+      STAGE_DELETED: 'Stage deleted successfully',
+      STAGES_REORDERED: 'Stages reordered successfully',
+      
+      // Interview success messages
+      INTERVIEW_CREATED: 'Interview round created successfully',
+      INTERVIEW_UPDATED: 'Interview round updated successfully',
+      INTERVIEW_DELETED: 'Interview round deleted successfully',
+      
+      // Contact success messages
+      CONTACT_CREATED: 'Contact created successfully',
+      CONTACT_UPDATED: 'Contact updated successfully',
+      CONTACT_DELETED: 'Contact deleted successfully',
+      
+      // Company success messages
+      COMPANY_CREATED: 'Company created successfully',
+      COMPANY_UPDATED: 'Company updated successfully',
+      COMPANY_DELETED: 'Company deleted successfully',
+      COMPANIES_MERGED: 'Companies merged successfully',
+      
+      // Document success messages
+      DOCUMENT_UPLOADED: 'Document uploaded successfully',
+      DOCUMENT_UPDATED: 'Document updated successfully',
+      DOCUMENT_DELETED: 'Document deleted successfully',
+      
+      // Tag success messages
+      TAG_CREATED: 'Tag created successfully',
+      TAG_UPDATED: 'Tag updated successfully',
+      TAG_DELETED: 'Tag deleted successfully',
+      
+      // Custom field success messages
+      CUSTOM_FIELD_CREATED: 'Custom field created successfully',
+      CUSTOM_FIELD_UPDATED: 'Custom field updated successfully',
+      CUSTOM_FIELD_DELETED: 'Custom field deleted successfully',
+      
+      // Saved view success messages
+      VIEW_CREATED: 'View created successfully',
+      VIEW_UPDATED: 'View updated successfully',
+      VIEW_DELETED: 'View deleted successfully',
+      TAGS_ASSIGNED: 'Tags added successfully',
+      TAGS_UNASSIGNED: 'Tags removed successfully',
+      
+      // Automation rule success messages
+      AUTOMATION_RULE_CREATED: 'Automation rule created successfully',
+      AUTOMATION_RULE_UPDATED: 'Automation rule updated successfully',
+      AUTOMATION_RULE_DELETED: 'Automation rule deleted successfully',
       
       // Analytics success messages
       ANALYTICS_RETRIEVED: 'Analytics retrieved successfully'
@@ -43,7 +108,35 @@ const MESSAGES = {
       // Resource errors
       JOB_NOT_FOUND: 'Job not found',
       TASK_NOT_FOUND: 'Task not found',
+      CALENDAR_FEED_NOT_FOUND: 'Calendar feed not found',
+      JOB_NOT_IN_TRASH: 'Job not found in trash',
+      TASK_NOT_IN_TRASH: 'Task not found in trash',
+      NO_ITEMS_IN_TRASH: 'No matching items found in trash',
+      STAGE_NOT_FOUND: 'Stage not found',
+      AUTOMATION_RULE_NOT_FOUND: 'Automation rule not found',
+      CONTACT_NOT_FOUND: 'Contact not found',
+      INTERVIEW_NOT_FOUND: 'Interview round not found',
+      COMPANY_NOT_FOUND: 'Company not found',
+      COMPANY_ALREADY_EXISTS: 'Another company already has this name or alias. Merge the companies instead',
+      COMPANY_HAS_JOBS: 'Company still has jobs. Merge it into another company instead',
+      DOCUMENT_NOT_FOUND: 'Document not found',
+      DOCUMENT_VERSION_EXISTS: 'This file is already the latest version of the document',
+      DOCUMENT_TOO_LARGE: 'File is too large',
+      TAG_NOT_FOUND: 'Tag not found',
+      TAG_ALREADY_EXISTS: 'A tag with this name already exists',
+      CUSTOM_FIELD_NOT_FOUND: 'Custom field not found',
+      CUSTOM_FIELD_ALREADY_EXISTS: 'A custom field with this name already exists',
+      VIEW_NOT_FOUND: 'View not found',
+      VIEW_ALREADY_EXISTS: 'A view with this name already exists',
+      STAGE_ALREADY_EXISTS: 'A stage with this key already exists',
+      STAGE_IN_USE: 'Stage is still used by jobs. Pass reassignTo to move them to another stage',
+      LAST_STAGE: 'Cannot delete the only remaining stage',
       RESOURCE_NOT_FOUND: 'Resource not found',
+      DUPLICATE_JOB: 'A job with the same company and position already exists',
+      JOB_POSTING_EXISTS: 'A job with this posting URL already exists',
+      POSSIBLE_DUPLICATE_JOB: 'This looks like a job you already track. Pass allowDuplicate=true to create it anyway',
+      DUPLICATE_IMPORT_ROW: 'Duplicate of an earlier row in the file',
+      JOB_HAS_LINKED_TASKS: 'Job has linked tasks. Delete them with cascade=delete or detach them with cascade=detach',
       
       // General errors
       SOMETHING_WENT_WRONG: 'Something went wrong!',
@@ -87,15 +180,159 @@ const MESSAGES = {
       NEW_PASSWORD_TOO_SHORT: 'New password must be at least 8 characters long',
       PASSWORD_WEAK: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
       NEW_PASSWORD_WEAK: 'New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+      STATUS_NOTE_TOO_LONG: 'Status note must be at most 500 characters',
       
       // Enum validation
-      INVALID_STATUS: 'Status must be one of: applied, interviewing, offer, rejected',
+      INVALID_STATUS: 'Status must be one of:',
+      BOARD_POSITION_REQUIRED: 'Position is required',
+      INVALID_BOARD_POSITION: 'Position must be a whole number of 0 or more',
       INVALID_TASK_TYPE: 'Task type must be one of: follow-up, interview, networking, research, other',
+      INVALID_STAGE_CATEGORY: 'Category must be one of: active, won, lost',
+      INVALID_CASCADE_POLICY: 'cascade must be one of: delete, detach, restrict',
+      
+      // Stage validation
+      STAGE_NAME_REQUIRED: 'Stage name is required',
+      STAGE_CATEGORY_REQUIRED: 'Stage category is required',
+      INVALID_STAGE_KEY: 'Stage key may only contain lowercase letters, numbers and dashes',
+      INVALID_STAGE_ORDER: 'Order must be a non-negative integer',
+      STAGE_ORDER_MISMATCH: 'Reorder must list every stage exactly once',
+      INVALID_REASSIGN_STAGE: 'reassignTo must be the key of another existing stage',
+      
+      // Contact validation
+      NAME_REQUIRED: 'Name is required',
+      INVALID_LINKEDIN_URL: 'LinkedIn URL must be an http(s) URL',
+      INVALID_CONTACT_JOBS: 'jobIds must be IDs of your own jobs',
+      INVALID_CONTACT_ID_FORMAT: 'Invalid contact ID format',
+      INVALID_TASK_CONTACT: 'contactId must be the ID of one of your contacts',
+      INVALID_CONTACT_SORT: 'sortBy must be one of: name, company, lastInteractionAt, createdAt, updatedAt',
+      INVALID_LAST_INTERACTION: 'Invalid date format for lastInteractionAt',
+      
+      // Company validation
+      INVALID_COMPANY_SIZE: 'Size must be one of: 1-10, 11-50, 51-200, 201-1000, 1001-5000, 5001+',
+      INVALID_WEBSITE: 'Website must be an http(s) URL',
+      INVALID_ALIASES: 'Aliases must be a list of names',
+      MERGE_INTO_ITSELF: 'A company cannot be merged into itself',
+      
+      // Compensation validation
+      INVALID_COMPENSATION: 'Compensation must be an object with posted and offered packages',
+      CURRENCY_REQUIRED: 'Currency is required for compensation',
+      INVALID_CURRENCY: 'Currency must be a three-letter ISO 4217 code, e.g. USD',
+      INVALID_COMPENSATION_AMOUNT: 'Compensation amounts must be numbers of 0 or more',
+      INVALID_BASE_RANGE: 'baseMax must be at least baseMin',
+      INVALID_PAY_PERIOD: 'Pay period must be one of: year, month, hour',
+      INVALID_COMPARE_CURRENCY: 'Currency must be one of:',
+      
+      // Job details validation
+      INVALID_LOCATION: 'Location must be an object with city, region and country',
+      LOCATION_TOO_LONG: 'Location parts must be at most 100 characters',
+      INVALID_WORK_MODE: 'Work mode must be one of: remote, hybrid, onsite',
+      INVALID_EMPLOYMENT_TYPE: 'Employment type must be one of: full-time, contract, internship',
+      INVALID_SENIORITY: 'Seniority must be one of: intern, junior, mid, senior, lead, principal, executive',
+      INVALID_POSTING_URL: 'Posting URL must be an http(s) URL',
+      INVALID_SOURCE: 'Source must be one of your job sources:',
+      SOURCE_TOO_LONG: 'Source must be at most 50 characters',
+      JOB_SOURCES_REQUIRED: 'sources must list between 1 and 50 sources',
+      INVALID_JOB_SOURCE_NAME: 'Sources must be names of at most 50 characters without commas',
+      DUPLICATE_JOB_SOURCES: 'Sources must not repeat',
+      
+      // Interview validation
+      INTERVIEW_TYPE_REQUIRED: 'Interview type is required',
+      INVALID_INTERVIEW_TYPE: 'Interview type must be one of: phone-screen, technical, behavioral, system-design, take-home, hiring-manager, onsite, final, other',
+      INVALID_INTERVIEW_TIME: 'scheduledAt must be an ISO date and time',
+      INVALID_INTERVIEW_FORMAT: 'Format must be one of: phone, video, in-person, take-home',
+      INVALID_INTERVIEW_OUTCOME: 'Outcome must be one of: pending, passed, failed, cancelled',
+      INVALID_INTERVIEWERS: 'Interviewers must be a list of up to 20 people with a name, and optionally a role and the ID of one of your contacts',
+      INTERVIEW_FEEDBACK_TOO_LONG: 'Feedback must be at most 5000 characters',
+      
+      // Document validation
+      MULTIPART_REQUIRED: 'Upload the document as multipart/form-data',
+      DOCUMENT_FILE_REQUIRED: 'A file is required',
+      INVALID_UPLOAD: 'Upload could not be read',
+      INVALID_DOCUMENT_FILE_TYPE: 'File must be a PDF, Word, OpenDocument, RTF, text or Markdown document',
+      INVALID_DOCUMENT_TYPE: 'Type must be one of: resume, cover_letter, other',
+      DOCUMENT_TYPE_REQUIRED: 'Document type is required',
+      INVALID_DOCUMENT_JOBS: 'jobIds must be IDs of your own jobs',
+      
+      // Tag validation
+      TAG_NAME_TOO_LONG: 'Tag name must be at most 50 characters',
+      INVALID_TAG_COLOR: 'Color must be a hex color, e.g. #22C55E',
+      INVALID_TAGS: 'tags must be IDs of your own tags',
+      TAG_IDS_REQUIRED: 'tagIds must list at least one tag',
+      TAG_TARGETS_REQUIRED: 'Provide jobIds or taskIds',
+      INVALID_TAG_FILTER: 'tags must be a comma-separated list of tag IDs',
+      INVALID_TAG_MATCH: 'tagMatch must be one of: any, all',
+      
+      // Custom field validation
+      CUSTOM_FIELD_NAME_TOO_LONG: 'Custom field name must be at most 50 characters',
+      INVALID_CUSTOM_FIELD_NAME: 'Custom field name must contain a letter or digit',
+      CUSTOM_FIELD_TYPE_REQUIRED: 'Custom field type is required',
+      INVALID_CUSTOM_FIELD_TYPE: 'Custom field type must be one of: text, number, date, boolean, select',
+      CUSTOM_FIELD_TYPE_FIXED: 'The type of a custom field cannot be changed',
+      CUSTOM_FIELD_OPTIONS_REQUIRED: 'options must list between 1 and 100 choices for a select field',
+      CUSTOM_FIELD_OPTIONS_NOT_ALLOWED: 'options can only be given for a select field',
+      INVALID_CUSTOM_FIELD_OPTIONS: 'options must be names of at most 100 characters that do not repeat',
+      INVALID_CUSTOM_FIELD_VALUES: 'customFields must map custom field keys to text, numbers, true or false, or null',
+      UNKNOWN_CUSTOM_FIELD: 'Unknown custom field:',
+      INVALID_CUSTOM_FIELD_VALUE: 'Invalid value for custom field',
+      INVALID_CUSTOM_FIELD_FILTER: 'cf must map custom field keys to a value, or to min and max',
+      
+      // Saved view validation
+      VIEW_NAME_TOO_LONG: 'View name must be at most 50 characters',
+      INVALID_VIEW_FILTERS: 'filters may only use the GET /api/jobs filters: status, company, companyId, position, tags, tagMatch, source, workMode, employmentType, seniority, city, region, country, search, q, cf',
+      INVALID_VIEW_SORT: 'sort must have a sortBy of dateApplied, createdAt, updatedAt, position, company, status or cf.<key>, and a sortOrder of asc or desc',
+      INVALID_VIEW_COLUMNS: 'columns must list job fields or cf.<key> custom fields without repeats',
+      
+      // Job search query validation
+      SEARCH_QUERY_TOO_LONG: 'Search query must be at most 500 characters',
+      UNKNOWN_SEARCH_FIELD: 'Unknown search field',
+      INVALID_SEARCH_DATE: 'Search dates must be YYYY-MM-DD, optionally after >, >=, < or <=, or a range like 2026-01-01..2026-03-31:',
+      
+      // Automation rule validation
+      DUE_IN_DAYS_REQUIRED: 'dueInDays is required',
+      INVALID_DUE_IN_DAYS: 'dueInDays must be an integer between 0 and 365',
+      TITLE_TEMPLATE_REQUIRED: 'Title template is required',
+      INVALID_TITLE_TEMPLATE: 'Title template placeholders must be one of: company, position, status',
+            
+      // Reminder settings validation
+      INVALID_REMINDER_LEAD_TIME: 'Lead time must be a whole number of minutes between 1 and 10080',
+      REMINDER_SETTINGS_REQUIRED: 'Provide at least one of upcoming, overdueSummary or leadTimeMinutes',
+      
+      // Task list validation
+      INVALID_PAGE: 'page must be a positive integer',
+      INVALID_LIMIT: 'limit must be an integer between 1 and 100',
+      INVALID_COMPLETED_FILTER: 'completed must be true or false',
+      INVALID_DUE_RANGE: 'due must be one of: overdue, today, week',
+      INVALID_TASK_SORT: 'sortBy must be one of: dueDateTime, createdAt, updatedAt, title, taskType',
+      INVALID_SORT_ORDER: 'sortOrder must be asc or desc',
+      
+      // Recurrence validation
+      RECURRENCE_FREQUENCY_REQUIRED: 'Recurrence frequency is required',
+      INVALID_RECURRENCE_FREQUENCY: 'Recurrence frequency must be one of: daily, weekly',
+      INVALID_RECURRENCE_INTERVAL: 'Recurrence interval must be an integer between 1 and 365',
+      INVALID_RECURRENCE_WEEKDAY: 'byWeekday must list distinct weekdays from: MO, TU, WE, TH, FR, SA, SU',
+      BY_WEEKDAY_WEEKLY_ONLY: 'byWeekday is only allowed for weekly recurrence',
+      INVALID_RECURRENCE_UNTIL: 'Invalid date format for recurrence until',
+      INVALID_RECURRENCE_COUNT: 'Recurrence count must be an integer between 1 and 1000',
+      RECURRENCE_UNTIL_OR_COUNT: 'Recurrence may end with until or count, not both',
+      INVALID_RECURRENCE_SCOPE: 'scope must be this or future',
+      RECURRENCE_SCOPE_REQUIRED: 'Changing the recurrence of a recurring task requires scope=future',
+      
+      // Import validation
+      CSV_REQUIRED: 'A CSV body with a header row is required (Content-Type: text/csv)',
+      CSV_MALFORMED: 'CSV could not be parsed:',
+      CSV_TOO_MANY_ROWS: 'CSV imports are limited to',
+      CSV_COLUMN_NOT_FOUND: 'Mapped column not found in CSV header:',
+      INVALID_IMPORT_MAPPING: 'Mapping keys must be one of: position, company, status, dateApplied, notes, statusNote',
+      INVALID_DRY_RUN: 'dryRun must be true or false',
+      INVALID_EXPORT_FORMAT: 'format must be one of: csv, excel, ndjson',
       
       // Array validation
+      UPDATE_FIELDS_REQUIRED: 'Provide at least one field to update',
       IDS_REQUIRED: 'IDs must be provided as an array',
       AT_LEAST_ONE_ID: 'At least one ID is required',
       INVALID_ID_IN_ARRAY: 'Invalid ID format in array',
+      TRASH_ITEMS_REQUIRED: 'Provide jobs and/or tasks as arrays of IDs',
+      INVALID_TRASH_TYPE: 'type must be one of: jobs, tasks',
       
       // Bulk operation errors
       NO_JOBS_FOUND_TO_DELETE: 'No jobs found to delete',
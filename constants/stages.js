@@ -0,0 +1,11 @@
+const STAGE_CATEGORIES = ['active', 'won', 'lost'];
+
+// Stages seeded for users who have not configured their own pipeline
+const DEFAULT_STAGES = [
+	{ key: 'applied', name: 'Applied', category: 'active' },
+	{ key: 'interviewing', name: 'Interviewing', category: 'active' },
+	{ key: 'offer', name: 'Offer', category: 'won' },
+	{ key: 'rejected', name: 'Rejected', category: 'lost' },
+];
+
+module.exports = { STAGE_CATEGORIES, DEFAULT_STAGES };
@@ -1,8 +1,15 @@
 const mongoose = require('mongoose');
 const Job = require('../models/Job');
 const Task = require('../models/Task');
+const Document = require('../models/Document');
+const Tag = require('../models/Tag');
+const Interview = require('../models/Interview');
 const { MESSAGES } = require('../constants/messages');
 const { catchAsync } = require('../utils/errorHandler');
+const { buildStageTransitions, summarizeStageTransitions, hasReachedStage, reachedStageCondition } = require('../utils/stageAnalytics');
+const { getUserStages, groupStages } = require('../utils/pipelineStages');
+const { getUserSources } = require('../utils/jobSources');
+const { WORK_MODES, EMPLOYMENT_TYPES } = require('../constants/jobs');
 
 /**
  * Get comprehensive dashboard analytics
@@ -23,7 +30,10 @@ const getDashboard = catchAsync(async (req, res) => {
         statusBreakdown,
         thisMonthApplications,
         recentApplications,
-        upcomingTasks
+        upcomingTasks,
+        stages,
+        tagBreakdown,
+        tags
     ] = await Promise.all([
         // Total applications count
         Job.countDocuments({ userId }),
@@ -58,15 +68,25 @@ const getDashboard = catchAsync(async (req, res) => {
         })
         .sort({ dueDateTime: 1 })
         .limit(10)
-        .select('title dueDateTime taskType completed')
+        .select('title dueDateTime taskType completed'),
+
+        // The user's pipeline stages, in board order
+        getUserStages(userId),
+
+        // Jobs per tag and status
+        Job.aggregate([
+            { $match: { userId } },
+            { $unwind: '$tags' },
+            { $group: { _id: { tag: '$tags', status: '$status' }, count: { $sum: 1 } } }
+        ]),
+
+        Tag.find({ userId }).sort({ key: 1 }).select('name color').lean()
     ]);
 
-    const byStatus = {
-        applied: 0,
-        interviewing: 0,
-        offer: 0,
-        rejected: 0
-    };
+    const byStatus = {};
+    stages.forEach(stage => {
+        byStatus[stage.key] = 0;
+    });
     
     statusBreakdown.forEach(item => {
         if (item._id in byStatus) {
@@ -74,12 +94,46 @@ const getDashboard = catchAsync(async (req, res) => {
         }
     });
 
+    const byCategory = { active: 0, won: 0, lost: 0 };
+    stages.forEach(stage => {
+        byCategory[stage.category] += byStatus[stage.key];
+    });
+
+    // Every tag is listed, with its jobs counted by outcome
+    const categoryByStatus = new Map(stages.map(stage => [stage.key, stage.category]));
+    const byTag = tags.map(tag => ({
+        _id: tag._id,
+        name: tag.name,
+        color: tag.color,
+        count: 0,
+        byCategory: { active: 0, won: 0, lost: 0 }
+    }));
+    const tagsById = new Map(byTag.map(tag => [tag._id.toString(), tag]));
+    tagBreakdown.forEach(item => {
+        const tag = tagsById.get(item._id.tag.toString());
+        const category = categoryByStatus.get(item._id.status);
+        if (tag) {
+            tag.count += item.count;
+            if (category) {
+                tag.byCategory[category] += item.count;
+            }
+        }
+    });
+
     res.status(200).json({
         success: true,
         message: MESSAGES.SUCCESS.ANALYTICS_RETRIEVED,
         data: {
             totalApplications,
             byStatus,
+            byCategory,
+            byTag,
+            stages: stages.map(stage => ({
+                key: stage.key,
+                name: stage.name,
+                category: stage.category,
+                count: byStatus[stage.key]
+            })),
             thisMonthApplications,
             recentApplications,
             upcomingTasks
@@ -91,7 +145,7 @@ const getDashboard = catchAsync(async (req, res) => {
  * Get timeline analytics for trends over time
  */
 const getTimeline = catchAsync(async (req, res) => {
-    const userId = req.user.id;
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
     const { period = 'daily' } = req.query;
     
     let groupBy;
@@ -123,6 +177,10 @@ const getTimeline = catchAsync(async (req, res) => {
             };
     }
 
+    // Interviews are jobs that progressed past the entry stage; offers and
+    // rejections are the user's won and lost stages
+    const { progressed, won, lost } = groupStages(await getUserStages(userId));
+
     const timelineData = await Job.aggregate([
         {
             $match: {
@@ -135,13 +193,13 @@ const getTimeline = catchAsync(async (req, res) => {
                 _id: groupBy,
                 applications: { $sum: 1 },
                 interviews: {
-                    $sum: { $cond: [{ $eq: ['$status', 'interviewing'] }, 1, 0] }
+                    $sum: { $cond: [{ $in: ['$status', progressed] }, 1, 0] }
                 },
                 offers: {
-                    $sum: { $cond: [{ $eq: ['$status', 'offer'] }, 1, 0] }
+                    $sum: { $cond: [{ $in: ['$status', won] }, 1, 0] }
                 },
                 rejections: {
-                    $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] }
+                    $sum: { $cond: [{ $in: ['$status', lost] }, 1, 0] }
                 }
             }
         },
@@ -181,44 +239,19 @@ const getTimeline = catchAsync(async (req, res) => {
  * Get advanced insights and patterns
  */
 const getInsights = catchAsync(async (req, res) => {
-    const userId = req.user.id;
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const stageGroups = groupStages(await getUserStages(userId));
 
     // Execute multiple analytics queries in parallel
     const [
-        stageProgression,
+        jobHistories,
         dayOfWeekSuccess,
         applicationVelocity
     ] = await Promise.all([
-        // Average time between application stages
-        Job.aggregate([
-            { $match: { userId } },
-            { $sort: { dateApplied: 1 } },
-            {
-                $group: {
-                    _id: null,
-                    avgTimeToInterview: {
-                        $avg: {
-                            $cond: [
-                                { $eq: ['$status', 'interviewing'] },
-                                { $subtract: ['$updatedAt', '$dateApplied'] },
-                                null
-                            ]
-                        }
-                    },
-                    avgTimeToOffer: {
-                        $avg: {
-                            $cond: [
-                                { $eq: ['$status', 'offer'] },
-                                { $subtract: ['$updatedAt', '$dateApplied'] },
-                                null
-                            ]
-                        }
-                    }
-                }
-            }
-        ]),
+        // Status history used to measure time between stages
+        Job.find({ userId }).select('dateApplied statusHistory').lean(),
 
         // Success rate by day of week
         Job.aggregate([
@@ -227,7 +260,7 @@ const getInsights = catchAsync(async (req, res) => {
                 $group: {
                     _id: { $dayOfWeek: '$dateApplied' },
                     total: { $sum: 1 },
-                    offers: { $sum: { $cond: [{ $eq: ['$status', 'offer'] }, 1, 0] } }
+                    offers: { $sum: { $cond: [{ $in: ['$status', stageGroups.won] }, 1, 0] } }
                 }
             },
             {
@@ -272,14 +305,11 @@ const getInsights = catchAsync(async (req, res) => {
         ])
     ]);
 
-    // Process stage progression data
-    const stageData = stageProgression[0] || {};
-    const avgTimeToInterview = stageData.avgTimeToInterview 
-        ? Math.round(stageData.avgTimeToInterview / (1000 * 60 * 60 * 24)) // Convert to days
-        : 0;
-    const avgTimeToOffer = stageData.avgTimeToOffer 
-        ? Math.round(stageData.avgTimeToOffer / (1000 * 60 * 60 * 24)) // Convert to days
-        : 0;
+    // Durations are measured from recorded status transitions, so jobs that
+    // have since moved on to a later stage are still counted
+    const transitions = summarizeStageTransitions(jobHistories, buildStageTransitions(stageGroups));
+    const avgTimeToInterview = Math.round(transitions.appliedToInterviewing.meanDays || 0);
+    const avgTimeToOffer = Math.round(transitions.appliedToOffer.meanDays || 0);
 
     // Calculate average applications per week
     const totalWeeks = applicationVelocity.length;
@@ -292,7 +322,8 @@ const getInsights = catchAsync(async (req, res) => {
         data: {
             stageProgression: {
                 avgTimeToInterview,
-                avgTimeToOffer
+                avgTimeToOffer,
+                transitions
             },
             dayOfWeekSuccess: dayOfWeekSuccess.map(item => ({
                 day: item.dayName,
@@ -310,8 +341,257 @@ const getInsights = catchAsync(async (req, res) => {
     });
 });
 
+const percentage = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0);
+
+/**
+ * Get outcomes of the jobs each document version was sent with, so versions
+ * of a resume or cover letter can be compared
+ */
+const getDocumentAnalytics = catchAsync(async (req, res) => {
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+    const { type = 'resume' } = req.query;
+
+    const [documents, stages] = await Promise.all([
+        Document.find({ userId, type })
+            .select('name version file.originalName jobIds createdAt')
+            .sort({ name: 1, version: 1 })
+            .lean(),
+        getUserStages(userId)
+    ]);
+
+    const jobIds = [...new Set(documents.flatMap(document => document.jobIds.map(String)))];
+    const jobs = await Job.find({ userId, _id: { $in: jobIds } }).select('status statusHistory').lean();
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+    // Interviews are jobs in an active stage past the entry stage. The
+    // interview rate counts every job that reached one or an offer, including
+    // jobs rejected after interviewing.
+    const { progressed, won, lost } = groupStages(stages);
+    const interviewStatuses = [...progressed, ...won];
+
+    const versions = documents.map(document => {
+        // Trashed jobs are left out
+        const linkedJobs = document.jobIds
+            .map(jobId => jobsById.get(jobId.toString()))
+            .filter(Boolean);
+        const statuses = linkedJobs.map(job => job.status);
+        const interviews = statuses.filter(status => progressed.includes(status)).length;
+        const offers = statuses.filter(status => won.includes(status)).length;
+        const rejections = statuses.filter(status => lost.includes(status)).length;
+        const interviewed = linkedJobs.filter(job => hasReachedStage(job, interviewStatuses)).length;
+
+        return {
+            documentId: document._id,
+            name: document.name,
+            version: document.version,
+            originalName: document.file.originalName,
+            uploadedAt: document.createdAt,
+            applications: statuses.length,
+            interviews,
+            offers,
+            rejections,
+            interviewRate: percentage(interviewed, statuses.length),
+            offerRate: percentage(offers, statuses.length)
+        };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: MESSAGES.SUCCESS.ANALYTICS_RETRIEVED,
+        data: {
+            type,
+            versions
+        }
+    });
+});
+
+// Count a user's jobs by the value of a field and status
+const countByValueAndStatus = field => ({
+    $group: { _id: { value: `$${field}`, status: '$status' }, count: { $sum: 1 } }
+});
+
+/**
+ * Total the outcomes of jobs counted by countByValueAndStatus for each value.
+ * Every value in `values` is listed first, in order, so empty ones show as
+ * zero; jobs without the field are counted under null. A response is any
+ * move out of the entry stage, rejections included.
+ */
+const totalOutcomes = (rows, values, { progressed, won, lost }) => {
+    const emptyTotals = value => ({ value, applications: 0, responses: 0, interviews: 0, offers: 0, rejections: 0 });
+    const byValue = new Map(values.map(value => [value, emptyTotals(value)]));
+
+    rows.forEach(row => {
+        const value = row._id.value || null;
+        const { status } = row._id;
+        if (!byValue.has(value)) {
+            byValue.set(value, emptyTotals(value));
+        }
+        const totals = byValue.get(value);
+        totals.applications += row.count;
+        if (progressed.includes(status)) totals.interviews += row.count;
+        if (won.includes(status)) totals.offers += row.count;
+        if (lost.includes(status)) totals.rejections += row.count;
+        totals.responses = totals.interviews + totals.offers + totals.rejections;
+    });
+
+    return [...byValue.values()];
+};
+
+/**
+ * Get response and offer rates of jobs by work mode and by employment type
+ */
+const getJobDetailAnalytics = catchAsync(async (req, res) => {
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+
+    const [[counts], stages] = await Promise.all([
+        Job.aggregate([
+            { $match: { userId } },
+            {
+                $facet: {
+                    workMode: [countByValueAndStatus('workMode')],
+                    employmentType: [countByValueAndStatus('employmentType')]
+                }
+            }
+        ]),
+        getUserStages(userId)
+    ]);
+
+    const stageGroups = groupStages(stages);
+    const breakdown = (rows, values) => totalOutcomes(rows, values, stageGroups).map(item => ({
+        value: item.value,
+        applications: item.applications,
+        responses: item.responses,
+        offers: item.offers,
+        rejections: item.rejections,
+        responseRate: percentage(item.responses, item.applications),
+        offerRate: percentage(item.offers, item.applications)
+    }));
+
+    res.status(200).json({
+        success: true,
+        message: MESSAGES.SUCCESS.ANALYTICS_RETRIEVED,
+        data: {
+            byWorkMode: breakdown(counts.workMode, WORK_MODES),
+            byEmploymentType: breakdown(counts.employmentType, EMPLOYMENT_TYPES)
+        }
+    });
+});
+
+/**
+ * Get applications, interview rate and offer rate per job source, in the
+ * order of the user's sources. Sources since removed from the list and jobs
+ * without a source (null) follow.
+ */
+const getSourceAnalytics = catchAsync(async (req, res) => {
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+
+    const [stages, sources] = await Promise.all([getUserStages(userId), getUserSources(userId)]);
+    const stageGroups = groupStages(stages);
+
+    // As for documents, the interview rate counts every job that reached an
+    // interview or an offer, including jobs rejected after interviewing
+    const [counts, interviewedCounts] = await Promise.all([
+        Job.aggregate([
+            { $match: { userId } },
+            countByValueAndStatus('source')
+        ]),
+        Job.aggregate([
+            { $match: { $and: [{ userId }, reachedStageCondition([...stageGroups.progressed, ...stageGroups.won])] } },
+            { $group: { _id: '$source', count: { $sum: 1 } } }
+        ])
+    ]);
+    const interviewedBySource = new Map(interviewedCounts.map(row => [row._id || null, row.count]));
+
+    const bySource = totalOutcomes(counts, sources, stageGroups).map(item => ({
+        source: item.value,
+        applications: item.applications,
+        interviews: item.interviews,
+        offers: item.offers,
+        rejections: item.rejections,
+        interviewRate: percentage(interviewedBySource.get(item.value) || 0, item.applications),
+        offerRate: percentage(item.offers, item.applications)
+    }));
+
+    res.status(200).json({
+        success: true,
+        message: MESSAGES.SUCCESS.ANALYTICS_RETRIEVED,
+        data: {
+            bySource
+        }
+    });
+});
+
+/**
+ * Get how many interview rounds jobs go through and how many candidates pass
+ * each round. The pass-through rate of a round is its passed share of the
+ * rounds with a decision (passed or failed); cancelled rounds are not counted
+ * as rounds of a job.
+ */
+const getInterviewAnalytics = catchAsync(async (req, res) => {
+    const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+
+    // Rounds of trashed jobs are left out
+    const jobs = await Job.find({ userId }).select('_id').lean();
+    const jobIds = jobs.map(job => job._id);
+    const countOutcome = outcome => ({ $sum: { $cond: [{ $eq: ['$outcome', outcome] }, 1, 0] } });
+
+    const [byRound, roundsPerJob] = await Promise.all([
+        Interview.aggregate([
+            { $match: { userId, jobId: { $in: jobIds } } },
+            {
+                $group: {
+                    _id: '$round',
+                    total: { $sum: 1 },
+                    passed: countOutcome('passed'),
+                    failed: countOutcome('failed'),
+                    pending: countOutcome('pending'),
+                    cancelled: countOutcome('cancelled')
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]),
+
+        Interview.aggregate([
+            { $match: { userId, jobId: { $in: jobIds }, outcome: { $ne: 'cancelled' } } },
+            { $group: { _id: '$jobId', rounds: { $sum: 1 } } },
+            { $group: { _id: '$rounds', jobs: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ])
+    ]);
+
+    const jobsWithInterviews = roundsPerJob.reduce((sum, item) => sum + item.jobs, 0);
+    const totalRounds = roundsPerJob.reduce((sum, item) => sum + item._id * item.jobs, 0);
+
+    res.status(200).json({
+        success: true,
+        message: MESSAGES.SUCCESS.ANALYTICS_RETRIEVED,
+        data: {
+            jobsWithInterviews,
+            totalRounds,
+            avgRoundsPerJob: jobsWithInterviews > 0 ? parseFloat((totalRounds / jobsWithInterviews).toFixed(1)) : 0,
+            roundsPerJob: roundsPerJob.map(item => ({
+                rounds: item._id,
+                jobs: item.jobs
+            })),
+            byRound: byRound.map(item => ({
+                round: item._id,
+                total: item.total,
+                passed: item.passed,
+                failed: item.failed,
+                pending: item.pending,
+                cancelled: item.cancelled,
+                passThroughRate: percentage(item.passed, item.passed + item.failed)
+            }))
+        }
+    });
+});
+
 module.exports = {
     getDashboard,
     getTimeline,
-    getInsights
+    getInsights,
+    getDocumentAnalytics,
+    getJobDetailAnalytics,
+    getSourceAnalytics,
+    getInterviewAnalytics
 };
\ No newline at end of file
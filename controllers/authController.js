@@ -7,6 +7,8 @@ const sendEmail = require('../utils/sendEmail');
 const { NotFoundError, UnauthorizedError, ConflictError, ValidationError } = require('../utils/errors');
 const { catchAsync } = require('../utils/errorHandler');
 const { MESSAGES } = require('../constants/messages');
+const { getLeadTimeMinutes } = require('../utils/reminders');
+const { getUserSources } = require('../utils/jobSources');
 
 const registerUser = catchAsync(async (req, res) => {
 	const { firstName, lastName, email, password } = req.body;
@@ -204,6 +206,56 @@ const updateUser = catchAsync(async (req, res) => {
 	});
 });
 
+const getReminderSettings = catchAsync(async (req, res) => {
+	const user = await User.findById(req.user.id).select('reminders');
+	if (!user) {
+		throw new NotFoundError(MESSAGES.ERROR.USER_NOT_FOUND);
+	}
+
+	res.status(200).json({
+		reminders: user.reminders,
+		effectiveLeadTimeMinutes: getLeadTimeMinutes(user),
+	});
+});
+
+const updateReminderSettings = catchAsync(async (req, res) => {
+	const updates = {};
+	['upcoming', 'overdueSummary', 'leadTimeMinutes'].forEach((field) => {
+		if (req.body[field] !== undefined) updates[`reminders.${field}`] = req.body[field];
+	});
+
+	const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true }).select('reminders');
+	if (!user) {
+		throw new NotFoundError(MESSAGES.ERROR.USER_NOT_FOUND);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.REMINDER_SETTINGS_UPDATED,
+		reminders: user.reminders,
+		effectiveLeadTimeMinutes: getLeadTimeMinutes(user),
+	});
+});
+
+const getJobSources = catchAsync(async (req, res) => {
+	res.status(200).json({ sources: await getUserSources(req.user.id) });
+});
+
+// Jobs keep their source when it is dropped from the list
+const updateJobSources = catchAsync(async (req, res) => {
+	const sources = req.body.sources ? req.body.sources.map((source) => source.trim()) : undefined;
+	const update = sources ? { $set: { jobSources: sources } } : { $unset: { jobSources: 1 } };
+
+	const user = await User.findByIdAndUpdate(req.user.id, update, { new: true }).select('_id');
+	if (!user) {
+		throw new NotFoundError(MESSAGES.ERROR.USER_NOT_FOUND);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOB_SOURCES_UPDATED,
+		sources: await getUserSources(req.user.id),
+	});
+});
+
 const requestPasswordReset = catchAsync(async (req, res) => {
 	const { email } = req.body;
 
@@ -359,6 +411,10 @@ module.exports = {
 	verifyEmail,
 	loginUser,
 	updateUser,
+	getReminderSettings,
+	updateReminderSettings,
+	getJobSources,
+	updateJobSources,
 	requestPasswordReset,
 	resetPassword,
 	changePassword,
@@ -0,0 +1,73 @@
+const AutomationRule = require('../models/AutomationRule');
+const { NotFoundError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+
+const getAutomationRules = catchAsync(async (req, res) => {
+	const rules = await AutomationRule.find({ userId: req.user.id }).sort({ createdAt: 1 });
+	res.status(200).json(rules);
+});
+
+const createAutomationRule = catchAsync(async (req, res) => {
+	const { status, taskType, dueInDays, titleTemplate, notes, enabled } = req.body;
+
+	const newRule = new AutomationRule({
+		userId: req.user.id,
+		status,
+		taskType,
+		dueInDays,
+		titleTemplate,
+		notes,
+		enabled,
+	});
+
+	await newRule.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.AUTOMATION_RULE_CREATED,
+		rule: newRule,
+	});
+});
+
+const updateAutomationRule = catchAsync(async (req, res) => {
+	const rule = await AutomationRule.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!rule) {
+		throw new NotFoundError(MESSAGES.ERROR.AUTOMATION_RULE_NOT_FOUND);
+	}
+
+	['status', 'taskType', 'dueInDays', 'titleTemplate', 'notes', 'enabled'].forEach((field) => {
+		if (req.body[field] !== undefined) rule[field] = req.body[field];
+	});
+
+	await rule.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.AUTOMATION_RULE_UPDATED,
+		rule,
+	});
+});
+
+// Tasks the rule already created are kept and still point at it
+const deleteAutomationRule = catchAsync(async (req, res) => {
+	const rule = await AutomationRule.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!rule) {
+		throw new NotFoundError(MESSAGES.ERROR.AUTOMATION_RULE_NOT_FOUND);
+	}
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.AUTOMATION_RULE_DELETED });
+});
+
+module.exports = {
+	getAutomationRules,
+	createAutomationRule,
+	updateAutomationRule,
+	deleteAutomationRule,
+};
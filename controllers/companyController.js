@@ -0,0 +1,170 @@
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const escapeRegex = require('../utils/escapeRegex');
+const { normalizeCompanyName } = require('../utils/companyNames');
+const { getCompanyStats, mergeCompanies: mergeIntoCompany } = require('../utils/companies');
+
+const COMPANY_FIELDS = ['name', 'aliases', 'website', 'industry', 'size', 'notes'];
+
+// Names and aliases may not match another of the user's companies
+const checkNamesAvailable = async (userId, names, companyId) => {
+	const keys = names.map(normalizeCompanyName).filter(Boolean);
+	const filter = { userId, matchKeys: { $in: keys } };
+	if (companyId) {
+		filter._id = { $ne: companyId };
+	}
+
+	const existing = await Company.findOne(filter).select('name');
+	if (existing) {
+		throw new ConflictError(MESSAGES.ERROR.COMPANY_ALREADY_EXISTS, {
+			company: { _id: existing._id, name: existing.name },
+		});
+	}
+};
+
+const getCompanies = catchAsync(async (req, res) => {
+	const { page, limit, search, industry } = req.query;
+	const userId = req.user.id;
+
+	const query = { userId };
+	if (industry) {
+		query.industry = { $regex: `^${escapeRegex(industry)}$`, $options: 'i' };
+	}
+	if (search) {
+		const pattern = { $regex: escapeRegex(search), $options: 'i' };
+		query.$or = [{ name: pattern }, { aliases: pattern }];
+	}
+
+	const pageNum = parseInt(page, 10) || 1;
+	const limitNum = parseInt(limit, 10) || 20;
+	const skip = (pageNum - 1) * limitNum;
+
+	const companies = await Company.find(query).sort({ name: 1 }).skip(skip).limit(limitNum).lean();
+	const totalCompanies = await Company.countDocuments(query);
+	const stats = await getCompanyStats(
+		userId,
+		companies.map((company) => company._id)
+	);
+
+	res.status(200).json({
+		companies: companies.map((company) => Object.assign(company, stats.get(company._id.toString()))),
+		pagination: {
+			totalItems: totalCompanies,
+			itemsPerPage: limitNum,
+			currentPage: pageNum,
+			totalPages: Math.ceil(totalCompanies / limitNum),
+			hasNextPage: pageNum < Math.ceil(totalCompanies / limitNum),
+			hasPreviousPage: pageNum > 1,
+		},
+	});
+});
+
+// A company with its job counts and jobs
+const getCompany = catchAsync(async (req, res) => {
+	const company = await Company.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	}).lean();
+
+	if (!company) {
+		throw new NotFoundError(MESSAGES.ERROR.COMPANY_NOT_FOUND);
+	}
+
+	const [stats, jobs] = await Promise.all([
+		getCompanyStats(req.user.id, [company._id]),
+		Job.find({ userId: req.user.id, companyId: company._id })
+			.sort({ dateApplied: -1 })
+			.select('position company status dateApplied'),
+	]);
+
+	res.status(200).json(Object.assign(company, stats.get(company._id.toString()), { jobs }));
+});
+
+const createCompany = catchAsync(async (req, res) => {
+	const newCompany = new Company({ userId: req.user.id });
+	COMPANY_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) newCompany[field] = req.body[field];
+	});
+
+	await checkNamesAvailable(req.user.id, [newCompany.name, ...newCompany.aliases]);
+	await newCompany.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.COMPANY_CREATED,
+		company: newCompany,
+	});
+});
+
+const updateCompany = catchAsync(async (req, res) => {
+	const company = await Company.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!company) {
+		throw new NotFoundError(MESSAGES.ERROR.COMPANY_NOT_FOUND);
+	}
+
+	COMPANY_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) company[field] = req.body[field];
+	});
+
+	await checkNamesAvailable(req.user.id, [company.name, ...company.aliases], company._id);
+	await company.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.COMPANY_UPDATED,
+		company,
+	});
+});
+
+// Jobs would be linked to a new company with the same name again, so those
+// companies have to be merged instead
+const deleteCompany = catchAsync(async (req, res) => {
+	const company = await Company.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!company) {
+		throw new NotFoundError(MESSAGES.ERROR.COMPANY_NOT_FOUND);
+	}
+
+	const jobCount = await Job.countDocuments({ userId: req.user.id, companyId: company._id }).setOptions({
+		withDeleted: true,
+	});
+	if (jobCount > 0) {
+		throw new ConflictError(`${MESSAGES.ERROR.COMPANY_HAS_JOBS} (${jobCount} job(s))`);
+	}
+
+	await Company.deleteOne({ _id: company._id });
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.COMPANY_DELETED });
+});
+
+const mergeCompanies = catchAsync(async (req, res) => {
+	const result = await mergeIntoCompany({
+		userId: req.user.id,
+		targetId: req.params.id,
+		sourceIds: req.body.ids,
+	});
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.COMPANIES_MERGED,
+		company: result.company,
+		mergedCompanies: result.mergedCompanies,
+		movedJobs: result.movedJobs,
+	});
+});
+
+module.exports = {
+	getCompanies,
+	getCompany,
+	createCompany,
+	updateCompany,
+	deleteCompany,
+	mergeCompanies,
+};
@@ -0,0 +1,143 @@
+const Contact = require('../models/Contact');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const Interview = require('../models/Interview');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { buildContactFilter, buildContactSort } = require('../utils/contactQuery');
+
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'linkedinUrl', 'company', 'role', 'notes'];
+
+// Contacts may only be linked to the user's own jobs
+const checkJobIds = async (userId, jobIds) => {
+	const uniqueIds = [...new Set(jobIds)];
+	const found = await Job.countDocuments({ _id: { $in: uniqueIds }, userId });
+	if (found !== uniqueIds.length) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_CONTACT_JOBS);
+	}
+	return uniqueIds;
+};
+
+const getContacts = catchAsync(async (req, res) => {
+	const { page, limit } = req.query;
+
+	const query = buildContactFilter(req.user.id, req.query);
+
+	const pageNum = parseInt(page, 10) || 1;
+	const limitNum = parseInt(limit, 10) || 20;
+	const skip = (pageNum - 1) * limitNum;
+
+	const contacts = await Contact.find(query).sort(buildContactSort(req.query)).skip(skip).limit(limitNum);
+
+	const totalContacts = await Contact.countDocuments(query);
+
+	res.status(200).json({
+		contacts,
+		pagination: {
+			totalItems: totalContacts,
+			itemsPerPage: limitNum,
+			currentPage: pageNum,
+			totalPages: Math.ceil(totalContacts / limitNum),
+			hasNextPage: pageNum < Math.ceil(totalContacts / limitNum),
+			hasPreviousPage: pageNum > 1,
+		},
+	});
+});
+
+// A contact with its jobs and linked tasks
+const getContact = catchAsync(async (req, res) => {
+	const contact = await Contact.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	})
+		.populate('jobIds', 'position company status')
+		.lean();
+
+	if (!contact) {
+		throw new NotFoundError(MESSAGES.ERROR.CONTACT_NOT_FOUND);
+	}
+
+	const tasks = await Task.find({ userId: req.user.id, contactId: contact._id }).sort({ dueDateTime: 1 });
+
+	res.status(200).json(Object.assign(contact, { tasks }));
+});
+
+const createContact = catchAsync(async (req, res) => {
+	const newContact = new Contact({ userId: req.user.id });
+
+	CONTACT_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) newContact[field] = req.body[field];
+	});
+	if (req.body.jobIds !== undefined) {
+		newContact.jobIds = await checkJobIds(req.user.id, req.body.jobIds);
+	}
+	if (req.body.lastInteractionAt) {
+		newContact.lastInteractionAt = new Date(req.body.lastInteractionAt);
+	}
+
+	await newContact.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.CONTACT_CREATED,
+		contact: newContact,
+	});
+});
+
+const updateContact = catchAsync(async (req, res) => {
+	const contact = await Contact.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!contact) {
+		throw new NotFoundError(MESSAGES.ERROR.CONTACT_NOT_FOUND);
+	}
+
+	CONTACT_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) contact[field] = req.body[field];
+	});
+	// jobIds replaces the linked jobs
+	if (req.body.jobIds !== undefined) {
+		contact.jobIds = await checkJobIds(req.user.id, req.body.jobIds);
+	}
+	if (req.body.lastInteractionAt !== undefined) {
+		contact.lastInteractionAt = req.body.lastInteractionAt ? new Date(req.body.lastInteractionAt) : null;
+	}
+
+	await contact.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.CONTACT_UPDATED,
+		contact,
+	});
+});
+
+// Linked tasks, including those in the trash, and interviewers are kept without the link
+const deleteContact = catchAsync(async (req, res) => {
+	const contact = await Contact.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!contact) {
+		throw new NotFoundError(MESSAGES.ERROR.CONTACT_NOT_FOUND);
+	}
+
+	await Task.updateMany({ contactId: contact._id }, { $unset: { contactId: '' } }, { withDeleted: true });
+	await Interview.updateMany(
+		{ 'interviewers.contactId': contact._id },
+		{ $unset: { 'interviewers.$[interviewer].contactId': '' } },
+		{ arrayFilters: [{ 'interviewer.contactId': contact._id }] }
+	);
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.CONTACT_DELETED });
+});
+
+module.exports = {
+	getContacts,
+	getContact,
+	createContact,
+	updateContact,
+	deleteContact,
+};
@@ -0,0 +1,113 @@
+const CustomField = require('../models/CustomField');
+const Job = require('../models/Job');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { toCustomFieldKey, customFieldPath, getUserCustomFields } = require('../utils/customFields');
+const { removeCustomFieldFromViews } = require('../utils/savedViews');
+
+/**
+ * Field keys come from names and are unique per user. Returns the key for a
+ * name, throwing when another field already has it.
+ */
+const checkNameAvailable = async (userId, name, exceptId) => {
+	const key = toCustomFieldKey(name);
+	if (!key) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_NAME);
+	}
+
+	const existing = await CustomField.findOne({ userId, key, _id: { $ne: exceptId } });
+	if (existing) {
+		throw new ConflictError(MESSAGES.ERROR.CUSTOM_FIELD_ALREADY_EXISTS, { customField: existing });
+	}
+	return key;
+};
+
+// Clear a field's values from the user's jobs, including those in the trash
+const clearValues = (userId, key, condition) =>
+	Job.updateMany(
+		{ userId, [customFieldPath(key)]: condition },
+		{ $unset: { [customFieldPath(key)]: '' } },
+		{ withDeleted: true }
+	);
+
+const getCustomFields = catchAsync(async (req, res) => {
+	const customFields = await getUserCustomFields(req.user.id);
+
+	res.status(200).json(customFields);
+});
+
+const createCustomField = catchAsync(async (req, res) => {
+	const { name, type, options } = req.body;
+
+	const key = await checkNameAvailable(req.user.id, name);
+
+	const customField = new CustomField({ userId: req.user.id, name, key, type, options });
+	await customField.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.CUSTOM_FIELD_CREATED,
+		customField,
+	});
+});
+
+// The key and type stay the same; jobs lose values of options that are removed
+const updateCustomField = catchAsync(async (req, res) => {
+	const customField = await CustomField.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!customField) {
+		throw new NotFoundError(MESSAGES.ERROR.CUSTOM_FIELD_NOT_FOUND);
+	}
+
+	if (req.body.name !== undefined) {
+		await checkNameAvailable(req.user.id, req.body.name, customField._id);
+		customField.name = req.body.name;
+	}
+
+	let clearedJobs = 0;
+	if (req.body.options !== undefined) {
+		if (customField.type !== 'select') {
+			throw new ValidationError(MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_NOT_ALLOWED);
+		}
+		const removed = customField.options.filter((option) => !req.body.options.includes(option));
+		if (removed.length > 0) {
+			({ modifiedCount: clearedJobs } = await clearValues(req.user.id, customField.key, { $in: removed }));
+		}
+		customField.options = req.body.options;
+	}
+
+	await customField.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.CUSTOM_FIELD_UPDATED,
+		customField,
+		clearedJobs,
+	});
+});
+
+// The field's values are removed from every job, including those in the trash, and from saved views
+const deleteCustomField = catchAsync(async (req, res) => {
+	const customField = await CustomField.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!customField) {
+		throw new NotFoundError(MESSAGES.ERROR.CUSTOM_FIELD_NOT_FOUND);
+	}
+
+	await clearValues(req.user.id, customField.key, { $exists: true });
+	await removeCustomFieldFromViews(req.user.id, customField.key);
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.CUSTOM_FIELD_DELETED });
+});
+
+module.exports = {
+	getCustomFields,
+	createCustomField,
+	updateCustomField,
+	deleteCustomField,
+};
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const Job = require('../models/Job');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { getDocumentStorage } = require('../utils/documentStorage');
+
+// Documents may only be linked to the user's own jobs
+const checkJobIds = async (userId, jobIds) => {
+	const uniqueIds = [...new Set(jobIds)];
+	const found = await Job.countDocuments({ _id: { $in: uniqueIds }, userId });
+	if (found !== uniqueIds.length) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_DOCUMENT_JOBS);
+	}
+	return uniqueIds;
+};
+
+const buildDocumentFilter = (userId, { type, name, jobId }) => {
+	const query = { userId };
+	if (type) query.type = type;
+	if (name) query.name = name;
+	if (jobId) query.jobIds = mongoose.Types.ObjectId.createFromHexString(jobId);
+	return query;
+};
+
+// With latest=true only the newest version of each document is listed
+const getDocuments = catchAsync(async (req, res) => {
+	const { page, limit, latest } = req.query;
+	const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+	const query = buildDocumentFilter(userId, req.query);
+
+	const pageNum = parseInt(page, 10) || 1;
+	const limitNum = parseInt(limit, 10) || 20;
+	const skip = (pageNum - 1) * limitNum;
+
+	let documents;
+	let totalDocuments;
+
+	if (latest === 'true') {
+		const [result] = await Document.aggregate([
+			{ $match: query },
+			{ $sort: { version: -1 } },
+			{ $group: { _id: { type: '$type', name: '$name' }, document: { $first: '$$ROOT' } } },
+			{ $replaceRoot: { newRoot: '$document' } },
+			{ $project: { 'file.storageKey': 0 } },
+			{ $sort: { type: 1, name: 1 } },
+			{
+				$facet: {
+					documents: [{ $skip: skip }, { $limit: limitNum }],
+					total: [{ $count: 'count' }],
+				},
+			},
+		]);
+		documents = result.documents;
+		totalDocuments = result.total.length > 0 ? result.total[0].count : 0;
+	} else {
+		[documents, totalDocuments] = await Promise.all([
+			Document.find(query).sort({ type: 1, name: 1, version: -1 }).skip(skip).limit(limitNum),
+			Document.countDocuments(query),
+		]);
+	}
+
+	res.status(200).json({
+		documents,
+		pagination: {
+			totalItems: totalDocuments,
+			itemsPerPage: limitNum,
+			currentPage: pageNum,
+			totalPages: Math.ceil(totalDocuments / limitNum),
+			hasNextPage: pageNum < Math.ceil(totalDocuments / limitNum),
+			hasPreviousPage: pageNum > 1,
+		},
+	});
+});
+
+// A document version with its jobs and the other versions of the document
+const getDocument = catchAsync(async (req, res) => {
+	const document = await Document.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	})
+		.populate('jobIds', 'position company status')
+		.lean();
+
+	if (!document) {
+		throw new NotFoundError(MESSAGES.ERROR.DOCUMENT_NOT_FOUND);
+	}
+
+	const versions = await Document.find({ userId: req.user.id, type: document.type, name: document.name })
+		.select('version file.originalName file.checksum createdAt')
+		.sort({ version: -1 });
+
+	res.status(200).json(Object.assign(document, { versions }));
+});
+
+/**
+ * Store an upload as the next version of the document with its type and name,
+ * or as version 1 of a new document. Uploading the same file as the latest
+ * version again is refused so versions stay distinct.
+ */
+const uploadDocument = catchAsync(async (req, res) => {
+	const { type, name, notes } = req.body;
+	const { file } = req;
+
+	const latest = await Document.findOne({ userId: req.user.id, type, name }).sort({ version: -1 });
+	if (latest && latest.file.checksum === file.checksum) {
+		throw new ConflictError(MESSAGES.ERROR.DOCUMENT_VERSION_EXISTS, { document: latest });
+	}
+
+	const jobIds = req.body.jobIds ? await checkJobIds(req.user.id, req.body.jobIds) : [];
+
+	const document = new Document({
+		userId: req.user.id,
+		type,
+		name,
+		version: latest ? latest.version + 1 : 1,
+		notes,
+		jobIds,
+	});
+	document.set('file', {
+		originalName: file.originalName,
+		mimeType: file.mimeType,
+		size: file.size,
+		checksum: file.checksum,
+		storageKey: `${req.user.id}/${document._id}`,
+	});
+
+	// Validate before storing the file so a rejected upload leaves nothing behind
+	await document.validate();
+
+	const storage = getDocumentStorage();
+	await storage.save(document.file.storageKey, file.path);
+	try {
+		await document.save();
+	} catch (err) {
+		await storage.remove(document.file.storageKey);
+		throw err;
+	}
+
+	const uploaded = document.toObject();
+	delete uploaded.file.storageKey;
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.DOCUMENT_UPLOADED,
+		document: uploaded,
+	});
+});
+
+const downloadDocument = catchAsync(async (req, res, next) => {
+	const document = await Document.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	}).select('+file.storageKey');
+
+	if (!document) {
+		throw new NotFoundError(MESSAGES.ERROR.DOCUMENT_NOT_FOUND);
+	}
+
+	const { file } = document;
+	const stream = getDocumentStorage().createReadStream(file.storageKey);
+	stream.on('error', next);
+
+	res.setHeader('Content-Type', file.mimeType);
+	res.setHeader('Content-Length', file.size);
+	// Plain ASCII name for older clients, the exact name for the rest
+	const asciiName = file.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+	res.setHeader(
+		'Content-Disposition',
+		`attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(file.originalName)}`
+	);
+	res.setHeader('ETag', `"${file.checksum}"`);
+	stream.pipe(res);
+});
+
+const updateDocument = catchAsync(async (req, res) => {
+	const document = await Document.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!document) {
+		throw new NotFoundError(MESSAGES.ERROR.DOCUMENT_NOT_FOUND);
+	}
+
+	if (req.body.notes !== undefined) {
+		document.notes = req.body.notes;
+	}
+	// jobIds replaces the linked jobs
+	if (req.body.jobIds !== undefined) {
+		document.jobIds = await checkJobIds(req.user.id, req.body.jobIds);
+	}
+
+	await document.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.DOCUMENT_UPDATED,
+		document,
+	});
+});
+
+// Deletes this version only; other versions keep their numbers
+const deleteDocument = catchAsync(async (req, res) => {
+	const document = await Document.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	}).select('+file.storageKey');
+
+	if (!document) {
+		throw new NotFoundError(MESSAGES.ERROR.DOCUMENT_NOT_FOUND);
+	}
+
+	await getDocumentStorage().remove(document.file.storageKey);
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.DOCUMENT_DELETED });
+});
+
+module.exports = {
+	getDocuments,
+	getDocument,
+	uploadDocument,
+	downloadDocument,
+	updateDocument,
+	deleteDocument,
+};
@@ -0,0 +1,145 @@
+const Interview = require('../models/Interview');
+const Job = require('../models/Job');
+const { NotFoundError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { inTransaction } = require('../utils/transaction');
+const { checkInterviewerContacts, syncInterviewTask, trashInterviewTask } = require('../utils/interviews');
+
+const INTERVIEW_FIELDS = ['type', 'format', 'outcome', 'feedback'];
+
+// The job in the URL, which must be one of the user's
+const findJob = async (req) => {
+	const job = await Job.findOne({ _id: req.params.id, userId: req.user.id }).select('company position status');
+	if (!job) {
+		throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_FOUND);
+	}
+	return job;
+};
+
+const findInterview = async (req, job) => {
+	const interview = await Interview.findOne({
+		_id: req.params.interviewId,
+		jobId: job._id,
+		userId: req.user.id,
+	});
+	if (!interview) {
+		throw new NotFoundError(MESSAGES.ERROR.INTERVIEW_NOT_FOUND);
+	}
+	return interview;
+};
+
+// Rounds of a job in order
+const getInterviews = catchAsync(async (req, res) => {
+	const job = await findJob(req);
+
+	const interviews = await Interview.find({ userId: req.user.id, jobId: job._id }).sort({ round: 1 });
+
+	res.status(200).json(interviews);
+});
+
+const getInterview = catchAsync(async (req, res) => {
+	const job = await findJob(req);
+	const interview = await findInterview(req, job);
+
+	res.status(200).json(interview);
+});
+
+// A new round is numbered after the job's last round; round numbers are unique per job
+const createInterview = catchAsync(async (req, res) => {
+	const job = await findJob(req);
+	const interviewers = req.body.interviewers || [];
+	await checkInterviewerContacts(req.user.id, interviewers);
+
+	const { interview, task } = await inTransaction(async (session) => {
+		const lastRound = await Interview.findOne({ userId: req.user.id, jobId: job._id })
+			.sort({ round: -1 })
+			.select('round')
+			.session(session);
+
+		const newInterview = new Interview({
+			userId: req.user.id,
+			jobId: job._id,
+			round: lastRound ? lastRound.round + 1 : 1,
+			interviewers,
+			scheduledAt: req.body.scheduledAt ? new Date(req.body.scheduledAt) : undefined,
+		});
+		INTERVIEW_FIELDS.forEach((field) => {
+			if (req.body[field] !== undefined) newInterview[field] = req.body[field];
+		});
+
+		await newInterview.save({ session });
+		return { interview: newInterview, task: await syncInterviewTask(newInterview, job, session) };
+	});
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.INTERVIEW_CREATED,
+		interview,
+		task,
+	});
+});
+
+const updateInterview = catchAsync(async (req, res) => {
+	const job = await findJob(req);
+	const interview = await findInterview(req, job);
+
+	INTERVIEW_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) interview[field] = req.body[field];
+	});
+	if (req.body.scheduledAt !== undefined) {
+		interview.scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : undefined;
+	}
+	// interviewers replaces the round's interviewers
+	if (req.body.interviewers !== undefined) {
+		await checkInterviewerContacts(req.user.id, req.body.interviewers);
+		interview.interviewers = req.body.interviewers;
+	}
+
+	await interview.save();
+	const task = await syncInterviewTask(interview, job);
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.INTERVIEW_UPDATED,
+		interview,
+		task,
+	});
+});
+
+// Later rounds move up a number so rounds stay numbered 1..n
+const deleteInterview = catchAsync(async (req, res) => {
+	const job = await findJob(req);
+	const interview = await findInterview(req, job);
+
+	await inTransaction(async (session) => {
+		await Interview.deleteOne({ _id: interview._id }, { session });
+		await trashInterviewTask(interview, session);
+
+		const laterRounds = await Interview.find({
+			userId: req.user.id,
+			jobId: job._id,
+			round: { $gt: interview.round },
+		})
+			.sort({ round: 1 })
+			.session(session);
+		// One at a time from the lowest, so no two rounds share a number along the way
+		await laterRounds.reduce(
+			(previous, round) =>
+				previous.then(async () => {
+					round.set('round', round.round - 1);
+					await round.save({ session });
+					await syncInterviewTask(round, job, session);
+				}),
+			Promise.resolve()
+		);
+	});
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.INTERVIEW_DELETED });
+});
+
+module.exports = {
+	getInterviews,
+	getInterview,
+	createInterview,
+	updateInterview,
+	deleteInterview,
+};
@@ -1,57 +1,95 @@
 const Job = require('../models/Job');
-const { NotFoundError } = require('../utils/errors');
+const { NotFoundError, ConflictError } = require('../utils/errors');
 const { catchAsync } = require('../utils/errorHandler');
 const { MESSAGES } = require('../constants/messages');
+const { trashJobs, resolveTaskCascadePolicy } = require('../utils/jobDeletion');
+const { getUserStages, groupStages } = require('../utils/pipelineStages');
+const {
+	JOB_LIST_FIELDS,
+	resolveJobFilter,
+	buildJobSort,
+	selectSearchScore,
+	withSearchHighlights,
+} = require('../utils/jobQuery');
+const { readImportRows, planImport, summarizeImport } = require('../utils/jobImport');
+const { streamExport } = require('../utils/export');
+const { runAutomationRules } = require('../utils/automation');
+const { normalizeCompanyName } = require('../utils/companyNames');
+const { rankOffers } = require('../utils/compensation');
+const { checkTagIds } = require('../utils/tags');
+const { checkSource } = require('../utils/jobSources');
+const { normalizePostingUrl } = require('../utils/postingUrl');
+const {
+	getUserCustomFields,
+	usesCustomFields,
+	checkCustomFieldValues,
+	setCustomFieldValues,
+	customFieldExportColumns,
+} = require('../utils/customFields');
+const { BOARD_SORT, BOARD_JOB_FIELDS, buildBoardColumns, moveJobOnBoard } = require('../utils/jobBoard');
+const {
+	DUPLICATE_JOB_FIELDS,
+	getDuplicateWindowDays,
+	summarizeDuplicateJob,
+	findDuplicateJobs,
+	groupDuplicateJobs,
+} = require('../utils/jobDuplicates');
+const { BASE_CURRENCY, CURRENCY_RATES } = require('../config/currencyRates');
+const { resolveCompanies, linkJobCompany } = require('../utils/companies');
 
-const getJobs = catchAsync(async (req, res) => {
-	const { page, limit, sortBy, sortOrder, search, status, company, position } = req.query;
+// Where and how a job is worked; null clears a field on update
+const JOB_DETAIL_FIELDS = ['location', 'workMode', 'employmentType', 'seniority'];
 
-	const query = { userId: req.user.id };
+// Columns of a job export, in order
+const JOB_EXPORT_COLUMNS = [
+	{ header: 'id', value: (job) => job._id },
+	{ header: 'position', value: (job) => job.position },
+	{ header: 'company', value: (job) => job.company },
+	{ header: 'status', value: (job) => job.status },
+	{ header: 'dateApplied', value: (job) => job.dateApplied },
+	{ header: 'notes', value: (job) => job.notes },
+	{ header: 'createdAt', value: (job) => job.createdAt },
+	{ header: 'updatedAt', value: (job) => job.updatedAt },
+];
 
-	if (status) {
-		query.status = status;
+// A posting is tracked once; URLs are compared in normalized form
+const checkPostingUrlAvailable = async (job) => {
+	const postingUrlKey = normalizePostingUrl(job.postingUrl);
+	if (!postingUrlKey) {
+		return;
 	}
 
-	if (company) {
-		query.company = company;
+	const existing = await Job.findOne({ userId: job.userId, postingUrlKey, _id: { $ne: job._id } })
+		.select('company position status postingUrl');
+	if (existing) {
+		throw new ConflictError(MESSAGES.ERROR.JOB_POSTING_EXISTS, { job: existing });
 	}
+};
 
-	if (position) {
-		query.position = position;
-	}
+// A q search adds each job's relevance score, for words and phrases, and highlighted snippets
+const getJobs = catchAsync(async (req, res) => {
+	const { page, limit, q } = req.query;
 
-	if (search) {
-		query.$or = [
-			{ position: { $regex: search, $options: 'i' } },
-			{ company: { $regex: search, $options: 'i' } },
-			{ notes: { $regex: search, $options: 'i' } },
-		];
-	}
+	const customFields = usesCustomFields(req.query) ? await getUserCustomFields(req.user.id) : [];
+	const query = await resolveJobFilter(req.user.id, req.query, customFields);
 
 	const pageNum = parseInt(page, 10) || 1;
 	const limitNum = parseInt(limit, 10) || 20;
 	const skip = (pageNum - 1) * limitNum;
 
-	const sortOptions = {};
-	if (sortBy) {
-		const sortFields = ['dateApplied', 'createdAt', 'updatedAt', 'position', 'company', 'status'];
-		if (sortFields.includes(sortBy)) {
-			sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
-		}
-	} else {
-		sortOptions.dateApplied = -1;
-	}
-
-	const jobs = await Job.find(query)
-		.sort(sortOptions)
-		.skip(skip)
-		.limit(limitNum)
-		.select('position company status notes dateApplied createdAt updatedAt');
+	const jobs = await selectSearchScore(
+		Job.find(query)
+			.sort(buildJobSort(req.query, customFields.map((field) => field.key)))
+			.skip(skip)
+			.limit(limitNum)
+			.select(JOB_LIST_FIELDS.join(' ')),
+		query
+	);
 
 	const totalJobs = await Job.countDocuments(query);
 
 	res.status(200).json({
-		jobs,
+		jobs: withSearchHighlights(jobs, q),
 		pagination: {
 			totalItems: totalJobs,
 			itemsPerPage: limitNum,
@@ -63,6 +101,82 @@ const getJobs = catchAsync(async (req, res) => {
 	});
 });
 
+// Jobs grouped by status in board order; takes the getJobs filters
+const getJobBoard = catchAsync(async (req, res) => {
+	const customFields = req.query.cf ? await getUserCustomFields(req.user.id) : [];
+	const [stages, query] = await Promise.all([
+		getUserStages(req.user.id),
+		resolveJobFilter(req.user.id, req.query, customFields),
+	]);
+
+	const jobs = await Job.find(query).sort(BOARD_SORT).select(BOARD_JOB_FIELDS);
+
+	res.status(200).json({ columns: buildBoardColumns(stages, jobs) });
+});
+
+// Same filters and sort as getJobs, without pagination; custom fields follow the standard columns
+const exportJobs = catchAsync(async (req, res) => {
+	const customFields = await getUserCustomFields(req.user.id);
+	const cursor = Job.find(await resolveJobFilter(req.user.id, req.query, customFields))
+		.sort(buildJobSort(req.query, customFields.map((field) => field.key)))
+		.select('position company status notes dateApplied customFields createdAt updatedAt')
+		.lean()
+		.cursor();
+
+	await streamExport(res, {
+		cursor,
+		format: req.query.format,
+		columns: [...JOB_EXPORT_COLUMNS, ...customFieldExportColumns(customFields)],
+		filename: 'jobs',
+	});
+});
+
+/**
+ * Rank the jobs in the user's won stages by total yearly compensation,
+ * converted to one currency with the configured rate table
+ */
+const compareOffers = catchAsync(async (req, res) => {
+	const currency = req.query.currency ? req.query.currency.trim().toUpperCase() : BASE_CURRENCY;
+	const { won } = groupStages(await getUserStages(req.user.id));
+
+	const jobs = await Job.find({ userId: req.user.id, status: { $in: won } })
+		.select('company position status compensation')
+		.lean();
+
+	const { ranked, unranked } = rankOffers(jobs, { currency, rates: CURRENCY_RATES });
+
+	res.status(200).json({
+		currency,
+		rates: CURRENCY_RATES,
+		offers: ranked,
+		unranked,
+	});
+});
+
+/**
+ * Report groups of existing jobs that look like the same application, by the
+ * rules createJob checks new jobs with
+ */
+const getDuplicateJobs = catchAsync(async (req, res) => {
+	const windowDays = getDuplicateWindowDays();
+
+	const jobs = await Job.find({ userId: req.user.id })
+		.select(DUPLICATE_JOB_FIELDS)
+		.sort({ dateApplied: 1 })
+		.lean();
+
+	const groups = groupDuplicateJobs(jobs, windowDays).map((group) => ({
+		reasons: group.reasons,
+		jobs: group.jobs.map(summarizeDuplicateJob),
+	}));
+
+	res.status(200).json({
+		windowDays,
+		totalGroups: groups.length,
+		groups,
+	});
+});
+
 const getJob = catchAsync(async (req, res) => {
 	const job = await Job.findOne({
 		_id: req.params.id,
@@ -77,20 +191,99 @@ const getJob = catchAsync(async (req, res) => {
 });
 
 const createJob = catchAsync(async (req, res) => {
-	const { position, status, company, notes, dateApplied } = req.body;
+	const { position, status, company, notes, dateApplied, statusNote, compensation } = req.body;
 
 	const newJob = new Job({
 		position,
 		status,
 		company,
 		notes,
+		compensation,
 		dateApplied: dateApplied ? new Date(dateApplied) : new Date(),
 		userId: req.user.id,
+		statusHistory: [{ from: null, to: status, changedAt: new Date(), note: statusNote }],
 	});
 
+	JOB_DETAIL_FIELDS.forEach((field) => {
+		if (req.body[field]) {
+			newJob.set(field, req.body[field]);
+		}
+	});
+
+	if (req.body.source) {
+		newJob.source = await checkSource(req.user.id, req.body.source);
+	}
+
+	if (req.body.tags) {
+		newJob.tags = await checkTagIds(req.user.id, req.body.tags);
+	}
+
+	if (req.body.postingUrl) {
+		newJob.postingUrl = req.body.postingUrl;
+	}
+
+	if (req.body.customFields) {
+		setCustomFieldValues(newJob, await checkCustomFieldValues(req.user.id, req.body.customFields));
+	}
+
+	// ?allowDuplicate=true creates the job even when it looks like one already tracked
+	if (req.query.allowDuplicate !== 'true') {
+		const duplicates = await findDuplicateJobs(newJob);
+		if (duplicates.length > 0) {
+			throw new ConflictError(MESSAGES.ERROR.POSSIBLE_DUPLICATE_JOB, {
+				jobIds: duplicates.map(({ job }) => job._id),
+				duplicates: duplicates.map(({ job, reasons }) => ({ job: summarizeDuplicateJob(job), reasons })),
+			});
+		}
+	}
+	// A posting that is already tracked is refused even with allowDuplicate=true
+	await checkPostingUrlAvailable(newJob);
+
+	await linkJobCompany(newJob);
 	await newJob.save();
+
+	const automatedTasks = await runAutomationRules(newJob);
 	
-	res.status(201).json({ message: MESSAGES.SUCCESS.JOB_CREATED });
+	res.status(201).json({ message: MESSAGES.SUCCESS.JOB_CREATED, automatedTasks });
+});
+
+// Rows are validated with the create rules; duplicates of existing jobs or earlier rows are skipped
+const importJobs = catchAsync(async (req, res) => {
+	const dryRun = req.query.dryRun === 'true';
+	const userId = req.user.id;
+	const rows = readImportRows(req.body, req.query.mapping);
+
+	const [stages, existingJobs] = await Promise.all([
+		getUserStages(userId),
+		Job.find({ userId }).select('company position').lean(),
+	]);
+
+	const { report, jobs, reportIndexes } = planImport({ rows, stages, existingJobs, userId });
+
+	if (!dryRun && jobs.length > 0) {
+		const companies = await resolveCompanies(
+			userId,
+			jobs.map((job) => job.company)
+		);
+		jobs.forEach((job) => {
+			const company = companies.get(normalizeCompanyName(job.company));
+			if (company) {
+				Object.assign(job, { companyId: company._id });
+			}
+		});
+
+		const created = await Job.insertMany(jobs);
+		created.forEach((job, i) => {
+			report[reportIndexes[i]].jobId = job._id;
+		});
+	}
+
+	res.status(dryRun ? 200 : 201).json({
+		message: dryRun ? MESSAGES.SUCCESS.IMPORT_PREVIEWED : MESSAGES.SUCCESS.JOBS_IMPORTED,
+		dryRun,
+		summary: summarizeImport(report),
+		rows: report,
+	});
 });
 
 const updateJob = catchAsync(async (req, res) => {
@@ -104,54 +297,143 @@ const updateJob = catchAsync(async (req, res) => {
 	}
 
 	if (req.body.position !== undefined) job.position = req.body.position;
-	if (req.body.status !== undefined) job.status = req.body.status;
+	const statusChanged = req.body.status !== undefined && job.changeStatus(req.body.status, req.body.statusNote);
 	if (req.body.company !== undefined) job.company = req.body.company;
 	if (req.body.notes !== undefined) job.notes = req.body.notes;
 	if (req.body.dateApplied !== undefined) {
 		job.dateApplied = new Date(req.body.dateApplied);
 	}
+	JOB_DETAIL_FIELDS.forEach((field) => {
+		if (req.body[field] !== undefined) {
+			job.set(field, req.body[field] || undefined);
+		}
+	});
+	if (req.body.source !== undefined) {
+		job.source = req.body.source ? await checkSource(req.user.id, req.body.source) : undefined;
+	}
+	if (req.body.postingUrl !== undefined) {
+		job.postingUrl = req.body.postingUrl || undefined;
+		await checkPostingUrlAvailable(job);
+	}
+	if (req.body.tags !== undefined) {
+		job.tags = await checkTagIds(req.user.id, req.body.tags);
+	}
+	// Only the custom fields given change; null clears a value
+	if (req.body.customFields !== undefined) {
+		setCustomFieldValues(job, await checkCustomFieldValues(req.user.id, req.body.customFields));
+	}
+	// Each package given replaces the stored one; null removes it
+	if (req.body.compensation !== undefined) {
+		['posted', 'offered'].forEach((key) => {
+			if (req.body.compensation[key] !== undefined) {
+				job.set(`compensation.${key}`, req.body.compensation[key] || undefined);
+			}
+		});
+	}
 
+	// Linked last, so a request refused above leaves no new company behind
+	if (req.body.company !== undefined) {
+		await linkJobCompany(job);
+	}
 	await job.save();
+
+	// Rules only run when the job enters a new status
+	const automatedTasks = statusChanged ? await runAutomationRules(job) : [];
 	
 	res.status(200).json({
 		message: MESSAGES.SUCCESS.JOB_UPDATED,
 		job,
+		automatedTasks,
 	});
 });
 
-const deleteJob = catchAsync(async (req, res) => {
-	const job = await Job.findOneAndDelete({ 
-		_id: req.params.id, 
-		userId: req.user.id 
+// Change a job's status and its place on the board in one request
+const moveJob = catchAsync(async (req, res) => {
+	const { job, statusChanged } = await moveJobOnBoard({
+		userId: req.user.id,
+		jobId: req.params.id,
+		status: req.body.status,
+		position: req.body.position,
+		note: req.body.statusNote,
+	});
+
+	// Rules only run when the job enters a new status
+	const automatedTasks = statusChanged ? await runAutomationRules(job) : [];
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOB_MOVED,
+		job,
+		automatedTasks,
 	});
+});
+
+const getJobHistory = catchAsync(async (req, res) => {
+	const job = await Job.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	}).select('status statusHistory');
 
 	if (!job) {
 		throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_FOUND);
 	}
 
-	res.status(200).json({ message: MESSAGES.SUCCESS.JOB_DELETED });
+	res.status(200).json({
+		jobId: job._id,
+		currentStatus: job.status,
+		history: job.statusHistory,
+	});
+});
+
+// Deleting moves jobs to the trash; see trashController for restore and purge
+const deleteJob = catchAsync(async (req, res) => {
+	const result = await trashJobs({
+		userId: req.user.id,
+		jobIds: [req.params.id],
+		policy: resolveTaskCascadePolicy(req.query.cascade),
+	});
+
+	if (result.deletedJobs === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_FOUND);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOB_DELETED,
+		tasks: result.tasks,
+	});
 });
 
 const deleteMultipleJobs = catchAsync(async (req, res) => {
 	const { ids } = req.body;
-	
-	const result = await Job.deleteMany({ 
-		_id: { $in: ids }, 
-		userId: req.user.id 
+
+	const result = await trashJobs({
+		userId: req.user.id,
+		jobIds: ids,
+		policy: resolveTaskCascadePolicy(req.query.cascade),
 	});
 
-	if (result.deletedCount === 0) {
-		throw new NotFoundError(MESSAGES.ERROR.NO_JOBS_FOUND_TO_DELETE);
+	if (result.deletedJobs === 0) {
+		throw new NotFoundError(MESSAGES.VALIDATION.NO_JOBS_FOUND_TO_DELETE);
 	}
 
-	res.status(200).json({ message: MESSAGES.SUCCESS.JOBS_DELETED });
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOBS_DELETED,
+		deletedCount: result.deletedJobs,
+		tasks: result.tasks,
+	});
 });
 
 module.exports = {
 	getJobs,
+	getJobBoard,
+	exportJobs,
+	compareOffers,
+	getDuplicateJobs,
 	getJob,
 	createJob,
+	importJobs,
 	updateJob,
+	moveJob,
+	getJobHistory,
 	deleteJob,
 	deleteMultipleJobs,
 };
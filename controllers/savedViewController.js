@@ -0,0 +1,164 @@
+const SavedView = require('../models/SavedView');
+const Job = require('../models/Job');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { getUserCustomFields } = require('../utils/customFields');
+const { viewProjection, checkViewSearch, checkViewCustomFields, resolveViewQuery } = require('../utils/savedViews');
+const { selectSearchScore, withSearchHighlights } = require('../utils/jobQuery');
+
+// View names are unique per user, ignoring case
+const checkNameAvailable = async (userId, name, exceptId) => {
+	const existing = await SavedView.findOne({ userId, key: name.trim().toLowerCase(), _id: { $ne: exceptId } });
+	if (existing) {
+		throw new ConflictError(MESSAGES.ERROR.VIEW_ALREADY_EXISTS, { view: existing });
+	}
+};
+
+const findView = async (req) => {
+	const view = await SavedView.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+	if (!view) {
+		throw new NotFoundError(MESSAGES.ERROR.VIEW_NOT_FOUND);
+	}
+	return view;
+};
+
+const getViews = catchAsync(async (req, res) => {
+	const views = await SavedView.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+	res.status(200).json(views);
+});
+
+/**
+ * Number of jobs in each view, for the sidebar. A view whose custom field
+ * filters no longer fit the user's fields, e.g. after a select option was
+ * removed, has a null count instead of failing the whole list.
+ */
+const getViewCounts = catchAsync(async (req, res) => {
+	const [views, customFields] = await Promise.all([
+		SavedView.find({ userId: req.user.id }).sort({ createdAt: 1 }).lean(),
+		getUserCustomFields(req.user.id),
+	]);
+
+	const counts = await Promise.all(
+		views.map(async (view) => {
+			let count = null;
+			try {
+				const { filter } = await resolveViewQuery(req.user.id, view, customFields);
+				count = await Job.countDocuments(filter);
+			} catch (error) {
+				if (!(error instanceof ValidationError)) {
+					throw error;
+				}
+			}
+			return { _id: view._id, name: view.name, count };
+		})
+	);
+
+	res.status(200).json(counts);
+});
+
+const getView = catchAsync(async (req, res) => {
+	const view = await findView(req);
+
+	res.status(200).json(view);
+});
+
+// A view's jobs, paginated and shaped like GET /api/jobs and limited to the view's columns
+const getViewJobs = catchAsync(async (req, res) => {
+	const view = await findView(req);
+	const customFields = await getUserCustomFields(req.user.id);
+	const { filter, sort } = await resolveViewQuery(req.user.id, view, customFields);
+
+	const pageNum = parseInt(req.query.page, 10) || 1;
+	const limitNum = parseInt(req.query.limit, 10) || 20;
+	const skip = (pageNum - 1) * limitNum;
+
+	const [jobs, totalJobs] = await Promise.all([
+		selectSearchScore(Job.find(filter).sort(sort).skip(skip).limit(limitNum).select(viewProjection(view.columns)), filter),
+		Job.countDocuments(filter),
+	]);
+
+	res.status(200).json({
+		view,
+		jobs: withSearchHighlights(jobs, view.filters && view.filters.q),
+		pagination: {
+			totalItems: totalJobs,
+			itemsPerPage: limitNum,
+			currentPage: pageNum,
+			totalPages: Math.ceil(totalJobs / limitNum),
+			hasNextPage: pageNum < Math.ceil(totalJobs / limitNum),
+			hasPreviousPage: pageNum > 1,
+		},
+	});
+});
+
+const createView = catchAsync(async (req, res) => {
+	const { name, filters = {}, sort, columns } = req.body;
+
+	await checkNameAvailable(req.user.id, name);
+
+	const view = new SavedView({
+		userId: req.user.id,
+		name,
+		filters,
+		sort: sort || undefined,
+		columns: columns || undefined,
+	});
+	checkViewSearch(view);
+	checkViewCustomFields(view, await getUserCustomFields(req.user.id));
+	await view.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.VIEW_CREATED,
+		view,
+	});
+});
+
+// filters, sort and columns replace the view's own; null sort or columns go back to the defaults
+const updateView = catchAsync(async (req, res) => {
+	const view = await findView(req);
+
+	if (req.body.name !== undefined) {
+		await checkNameAvailable(req.user.id, req.body.name, view._id);
+		view.name = req.body.name;
+	}
+	if (req.body.filters !== undefined) view.filters = req.body.filters;
+	if (req.body.sort !== undefined) view.sort = req.body.sort || undefined;
+	if (req.body.columns !== undefined) view.columns = req.body.columns || undefined;
+
+	checkViewSearch(view);
+	checkViewCustomFields(view, await getUserCustomFields(req.user.id));
+	await view.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.VIEW_UPDATED,
+		view,
+	});
+});
+
+const deleteView = catchAsync(async (req, res) => {
+	const view = await SavedView.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!view) {
+		throw new NotFoundError(MESSAGES.ERROR.VIEW_NOT_FOUND);
+	}
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.VIEW_DELETED });
+});
+
+module.exports = {
+	getViews,
+	getViewCounts,
+	getView,
+	getViewJobs,
+	createView,
+	updateView,
+	deleteView,
+};
@@ -0,0 +1,171 @@
+const Stage = require('../models/Stage');
+const Job = require('../models/Job');
+const AutomationRule = require('../models/AutomationRule');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { getUserStages, toStageKey } = require('../utils/pipelineStages');
+const { inTransaction } = require('../utils/transaction');
+
+const getStages = catchAsync(async (req, res) => {
+	const stages = await getUserStages(req.user.id);
+	res.status(200).json(stages);
+});
+
+const createStage = catchAsync(async (req, res) => {
+	const { name, category, order } = req.body;
+	const key = req.body.key || toStageKey(name);
+
+	if (!key) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_STAGE_KEY);
+	}
+
+	const stages = await getUserStages(req.user.id);
+	if (stages.some((stage) => stage.key === key)) {
+		throw new ConflictError(MESSAGES.ERROR.STAGE_ALREADY_EXISTS);
+	}
+
+	// Insert at the requested position (appending by default) and shift the rest down, in one transaction
+	const position = order !== undefined ? Math.min(order, stages.length) : stages.length;
+	const newStage = new Stage({
+		userId: req.user.id,
+		key,
+		name,
+		category,
+		order: position,
+	});
+
+	await inTransaction(async (session) => {
+		await Stage.updateMany({ userId: req.user.id, order: { $gte: position } }, { $inc: { order: 1 } }, { session });
+		await newStage.save({ session });
+	});
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.STAGE_CREATED,
+		stage: newStage,
+	});
+});
+
+const updateStage = catchAsync(async (req, res) => {
+	const stage = await Stage.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!stage) {
+		throw new NotFoundError(MESSAGES.ERROR.STAGE_NOT_FOUND);
+	}
+
+	// The key is what jobs store, so it stays fixed; only the label and category change
+	if (req.body.name !== undefined) stage.name = req.body.name;
+	if (req.body.category !== undefined) stage.category = req.body.category;
+
+	await stage.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.STAGE_UPDATED,
+		stage,
+	});
+});
+
+const reorderStages = catchAsync(async (req, res) => {
+	const { ids } = req.body;
+	const stages = await getUserStages(req.user.id);
+
+	const stageIds = stages.map((stage) => stage._id.toString());
+	const isPermutation =
+		ids.length === stageIds.length && new Set(ids).size === ids.length && ids.every((id) => stageIds.includes(id));
+
+	if (!isPermutation) {
+		throw new ValidationError(MESSAGES.VALIDATION.STAGE_ORDER_MISMATCH);
+	}
+
+	await Stage.bulkWrite(
+		ids.map((id, order) => ({
+			updateOne: {
+				filter: { _id: id, userId: req.user.id },
+				update: { $set: { order } },
+			},
+		}))
+	);
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.STAGES_REORDERED,
+		stages: await getUserStages(req.user.id),
+	});
+});
+
+const deleteStage = catchAsync(async (req, res) => {
+	const { reassignTo } = req.query;
+	const stages = await getUserStages(req.user.id);
+	const stage = stages.find((item) => item._id.toString() === req.params.id);
+
+	if (!stage) {
+		throw new NotFoundError(MESSAGES.ERROR.STAGE_NOT_FOUND);
+	}
+
+	if (stages.length === 1) {
+		throw new ValidationError(MESSAGES.ERROR.LAST_STAGE);
+	}
+
+	// Jobs are reassigned, the stage and its rules removed and the rest renumbered in one transaction
+	const reassignedJobs = await inTransaction(async (session) => {
+		// Trashed jobs count too, so restoring them never brings back a missing stage
+		const jobsInStage = await Job.countDocuments({ userId: req.user.id, status: stage.key })
+			.setOptions({ withDeleted: true })
+			.session(session);
+
+		if (jobsInStage > 0 && !reassignTo) {
+			throw new ConflictError(`${MESSAGES.ERROR.STAGE_IN_USE} (${jobsInStage} job(s))`);
+		}
+
+		let modifiedCount = 0;
+		if (jobsInStage > 0) {
+			if (reassignTo === stage.key || !stages.some((item) => item.key === reassignTo)) {
+				throw new ValidationError(MESSAGES.VALIDATION.INVALID_REASSIGN_STAGE);
+			}
+
+			// Moved jobs get a history entry like any other status change and go to the top of their new column
+			({ modifiedCount } = await Job.updateMany(
+				{ userId: req.user.id, status: stage.key },
+				{
+					$set: { status: reassignTo },
+					$unset: { boardPosition: '' },
+					$push: {
+						statusHistory: {
+							from: stage.key,
+							to: reassignTo,
+							changedAt: new Date(),
+							note: `Stage "${stage.name}" was deleted`,
+						},
+					},
+				},
+				{ withDeleted: true, session }
+			));
+		}
+
+		await Stage.deleteOne({ _id: stage._id }, { session });
+		// Rules for the stage could never run again
+		await AutomationRule.deleteMany({ userId: req.user.id, status: stage.key }, { session });
+		await Stage.updateMany(
+			{ userId: req.user.id, order: { $gt: stage.order } },
+			{ $inc: { order: -1 } },
+			{ session }
+		);
+
+		return modifiedCount;
+	});
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.STAGE_DELETED,
+		reassignedJobs,
+	});
+});
+
+module.exports = {
+	getStages,
+	createStage,
+	updateStage,
+	reorderStages,
+	deleteStage,
+};
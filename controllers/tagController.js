@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { checkTagIds, countByTag } = require('../utils/tags');
+
+// Tag names are unique per user, ignoring case
+const checkNameAvailable = async (userId, name, exceptId) => {
+	const existing = await Tag.findOne({ userId, key: name.trim().toLowerCase(), _id: { $ne: exceptId } });
+	if (existing) {
+		throw new ConflictError(MESSAGES.ERROR.TAG_ALREADY_EXISTS, { tag: existing });
+	}
+};
+
+// Every tag with the number of jobs and tasks that carry it
+const getTags = catchAsync(async (req, res) => {
+	const userId = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+
+	const [tags, jobCounts, taskCounts] = await Promise.all([
+		Tag.find({ userId }).sort({ key: 1 }).lean(),
+		countByTag(Job, userId),
+		countByTag(Task, userId),
+	]);
+
+	res.status(200).json(
+		tags.map((tag) =>
+			Object.assign(tag, {
+				jobCount: jobCounts.get(tag._id.toString()) || 0,
+				taskCount: taskCounts.get(tag._id.toString()) || 0,
+			})
+		)
+	);
+});
+
+const createTag = catchAsync(async (req, res) => {
+	const { name, color } = req.body;
+
+	await checkNameAvailable(req.user.id, name);
+
+	const newTag = new Tag({ userId: req.user.id, name, color });
+	await newTag.save();
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.TAG_CREATED,
+		tag: newTag,
+	});
+});
+
+const updateTag = catchAsync(async (req, res) => {
+	const tag = await Tag.findOne({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!tag) {
+		throw new NotFoundError(MESSAGES.ERROR.TAG_NOT_FOUND);
+	}
+
+	if (req.body.name !== undefined) {
+		await checkNameAvailable(req.user.id, req.body.name, tag._id);
+		tag.name = req.body.name;
+	}
+	if (req.body.color !== undefined) tag.color = req.body.color;
+
+	await tag.save();
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.TAG_UPDATED,
+		tag,
+	});
+});
+
+// The tag is removed from every job and task, including those in the trash
+const deleteTag = catchAsync(async (req, res) => {
+	const tag = await Tag.findOneAndDelete({
+		_id: req.params.id,
+		userId: req.user.id,
+	});
+
+	if (!tag) {
+		throw new NotFoundError(MESSAGES.ERROR.TAG_NOT_FOUND);
+	}
+
+	await Promise.all(
+		[Job, Task].map((Model) =>
+			Model.updateMany({ userId: req.user.id, tags: tag._id }, { $pull: { tags: tag._id } }, { withDeleted: true })
+		)
+	);
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.TAG_DELETED });
+});
+
+/**
+ * Add tags to, or remove them from, many of the user's jobs and tasks at once.
+ * Items that are not the user's are ignored.
+ */
+const changeTags = (operation) => async (req, res) => {
+	const { jobIds = [], taskIds = [] } = req.body;
+	const tagIds = await checkTagIds(req.user.id, req.body.tagIds);
+	const update = operation === 'add'
+		? { $addToSet: { tags: { $each: tagIds } } }
+		: { $pull: { tags: { $in: tagIds } } };
+
+	const [jobs, tasks] = await Promise.all(
+		[
+			[Job, jobIds],
+			[Task, taskIds],
+		].map(([Model, ids]) =>
+			ids.length > 0 ? Model.updateMany({ _id: { $in: ids }, userId: req.user.id }, update) : null
+		)
+	);
+
+	const summarize = (result) => ({
+		matched: result ? result.matchedCount : 0,
+		modified: result ? result.modifiedCount : 0,
+	});
+
+	res.status(200).json({
+		message: operation === 'add' ? MESSAGES.SUCCESS.TAGS_ASSIGNED : MESSAGES.SUCCESS.TAGS_UNASSIGNED,
+		jobs: summarize(jobs),
+		tasks: summarize(tasks),
+	});
+};
+
+const assignTags = catchAsync(changeTags('add'));
+
+const unassignTags = catchAsync(changeTags('remove'));
+
+module.exports = {
+	getTags,
+	createTag,
+	updateTag,
+	deleteTag,
+	assignTags,
+	unassignTags,
+};
@@ -1,20 +1,88 @@
+const crypto = require('crypto');
 const Task = require('../models/Task');
-const { NotFoundError } = require('../utils/errors');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 const { catchAsync } = require('../utils/errorHandler');
 const { MESSAGES } = require('../constants/messages');
+const { buildTaskFilter, buildTaskSort } = require('../utils/taskQuery');
+const { streamExport } = require('../utils/export');
+const { buildTaskCalendar } = require('../utils/ical');
+const { checkTagIds } = require('../utils/tags');
+const { startSeries, createNextOccurrence, updateFutureOccurrences } = require('../utils/taskSeries');
+const { inTransaction } = require('../utils/transaction');
+
+// Columns of a task export, in order; company and position come from the linked job
+const TASK_EXPORT_COLUMNS = [
+	{ header: 'id', value: (task) => task._id },
+	{ header: 'title', value: (task) => task.title },
+	{ header: 'taskType', value: (task) => task.taskType },
+	{ header: 'dueDateTime', value: (task) => task.dueDateTime },
+	{ header: 'completed', value: (task) => task.completed },
+	{ header: 'notes', value: (task) => task.notes },
+	{ header: 'jobId', value: (task) => task.jobId && task.jobId._id },
+	{ header: 'company', value: (task) => task.jobId && task.jobId.company },
+	{ header: 'position', value: (task) => task.jobId && task.jobId.position },
+	{ header: 'createdAt', value: (task) => task.createdAt },
+];
+
+// Tasks may only be linked to the user's own contacts
+const checkContactId = async (userId, contactId) => {
+	if (contactId && !(await Contact.exists({ _id: contactId, userId }))) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_TASK_CONTACT);
+	}
+};
+
+// Completing a task linked to a contact counts as an interaction with them
+const recordContactInteraction = (task) =>
+	Contact.updateOne({ _id: task.contactId, userId: task.userId }, { $max: { lastInteractionAt: new Date() } });
 
 const getTasks = catchAsync(async (req, res) => {
-	const tasks = await Task.find({ userId: req.user.id }).sort({
-		dueDateTime: 1,
+	const { page, limit } = req.query;
+
+	const query = buildTaskFilter(req.user.id, req.query);
+
+	const pageNum = parseInt(page, 10) || 1;
+	const limitNum = parseInt(limit, 10) || 20;
+	const skip = (pageNum - 1) * limitNum;
+
+	const tasks = await Task.find(query).sort(buildTaskSort(req.query)).skip(skip).limit(limitNum);
+
+	const totalTasks = await Task.countDocuments(query);
+
+	res.status(200).json({
+		tasks,
+		pagination: {
+			totalItems: totalTasks,
+			itemsPerPage: limitNum,
+			currentPage: pageNum,
+			totalPages: Math.ceil(totalTasks / limitNum),
+			hasNextPage: pageNum < Math.ceil(totalTasks / limitNum),
+			hasPreviousPage: pageNum > 1,
+		},
+	});
+});
+
+const exportTasks = catchAsync(async (req, res) => {
+	const cursor = Task.find(buildTaskFilter(req.user.id, req.query))
+		.sort(buildTaskSort(req.query))
+		.populate('jobId', 'company position')
+		.lean()
+		.cursor();
+
+	await streamExport(res, {
+		cursor,
+		format: req.query.format,
+		columns: TASK_EXPORT_COLUMNS,
+		filename: 'tasks',
 	});
-	res.status(200).json(tasks);
 });
 
 const getTask = catchAsync(async (req, res) => {
 	const task = await Task.findOne({
 		_id: req.params.id,
 		userId: req.user.id,
-	});
+	}).populate('seriesId', 'recurrence startsAt');
 
 	if (!task) {
 		throw new NotFoundError(MESSAGES.ERROR.TASK_NOT_FOUND);
@@ -24,10 +92,13 @@ const getTask = catchAsync(async (req, res) => {
 });
 
 const createTask = catchAsync(async (req, res) => {
-	const { jobId, title, dueDateTime, taskType, notes, completed } = req.body;
+	const { jobId, contactId, title, dueDateTime, taskType, notes, completed, recurrence } = req.body;
+
+	await checkContactId(req.user.id, contactId);
 
 	const newTask = new Task({
 		jobId,
+		contactId,
 		title,
 		dueDateTime: new Date(dueDateTime),
 		taskType,
@@ -36,7 +107,22 @@ const createTask = catchAsync(async (req, res) => {
 		completed: completed || false,
 	});
 
-	await newTask.save();
+	if (req.body.tags) {
+		newTask.tags = await checkTagIds(req.user.id, req.body.tags);
+	}
+
+	// A recurring task and its series are saved together
+	await inTransaction(async (session) => {
+		if (recurrence) {
+			await startSeries(newTask, recurrence, session);
+		}
+		await newTask.save({ session });
+	});
+
+	if (newTask.completed && newTask.contactId) {
+		await recordContactInteraction(newTask);
+	}
+
 	res.status(201).json({
 		message: MESSAGES.SUCCESS.TASK_CREATED,
 		task: newTask,
@@ -53,6 +139,16 @@ const updateTask = catchAsync(async (req, res) => {
 		throw new NotFoundError(MESSAGES.ERROR.TASK_NOT_FOUND);
 	}
 
+	// Recurring tasks: scope=this (default) changes only this occurrence,
+	// scope=future also the occurrences after it
+	const scope = req.query.scope || 'this';
+	const { recurrence } = req.body;
+	if (recurrence !== undefined && task.seriesId && scope !== 'future') {
+		throw new ValidationError(MESSAGES.VALIDATION.RECURRENCE_SCOPE_REQUIRED);
+	}
+
+	const wasCompleted = task.completed;
+
 	if (req.body.title !== undefined) task.title = req.body.title;
 	if (req.body.dueDateTime !== undefined) {
 		task.dueDateTime = new Date(req.body.dueDateTime);
@@ -60,19 +156,87 @@ const updateTask = catchAsync(async (req, res) => {
 	if (req.body.taskType !== undefined) task.taskType = req.body.taskType;
 	if (req.body.notes !== undefined) task.notes = req.body.notes;
 	if (req.body.completed !== undefined) task.completed = req.body.completed;
+	if (req.body.contactId !== undefined) {
+		await checkContactId(req.user.id, req.body.contactId);
+		task.contactId = req.body.contactId || undefined;
+	}
+	if (req.body.tags !== undefined) {
+		task.tags = await checkTagIds(req.user.id, req.body.tags);
+	}
+
+	// The task, its series and the next occurrence change together
+	const nextTask = await inTransaction(async (session) => {
+		if (task.seriesId && scope === 'future') {
+			await updateFutureOccurrences(task, req.body, session);
+		} else if (recurrence && !task.seriesId) {
+			await startSeries(task, recurrence, session);
+		}
+		await task.save({ session });
+
+		// Completing an occurrence schedules the next one
+		return !wasCompleted && task.completed && task.seriesId ? createNextOccurrence(task, session) : null;
+	});
+
+	if (!wasCompleted && task.completed && task.contactId) {
+		await recordContactInteraction(task);
+	}
 
-	await task.save();
 	res.status(200).json({
 		message: MESSAGES.SUCCESS.TASK_UPDATED,
 		task,
+		nextTask,
 	});
 });
 
-const deleteTask = catchAsync(async (req, res) => {
-	const task = await Task.findOneAndDelete({
-		_id: req.params.id,
-		userId: req.user.id,
+// Public feed for calendar apps; the secret token in the URL stands in for authentication
+const getCalendarFeed = catchAsync(async (req, res) => {
+	const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+	const user = await User.findOne({ calendarToken: hashedToken }).select('_id');
+
+	if (!user) {
+		throw new NotFoundError(MESSAGES.ERROR.CALENDAR_FEED_NOT_FOUND);
+	}
+
+	const tasks = await Task.find({ userId: user._id, completed: false })
+		.sort({ dueDateTime: 1 })
+		.populate('jobId', 'company position')
+		.lean();
+
+	res.set({
+		'Content-Type': 'text/calendar; charset=utf-8',
+		'Content-Disposition': 'inline; filename="tasks.ics"',
 	});
+	res.status(200).send(buildTaskCalendar(tasks));
+});
+
+// Only a hash is stored, so the URL is shown once and replaced by rotating
+const rotateCalendarToken = catchAsync(async (req, res) => {
+	const token = crypto.randomBytes(32).toString('hex');
+	const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+	await User.updateOne({ _id: req.user.id }, { $set: { calendarToken: hashedToken } });
+
+	res.status(201).json({
+		message: MESSAGES.SUCCESS.CALENDAR_FEED_CREATED,
+		url: `${req.protocol}://${req.get('host')}/api/tasks/calendar/${token}.ics`,
+	});
+});
+
+const disableCalendarFeed = catchAsync(async (req, res) => {
+	await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: '' } });
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.CALENDAR_FEED_DISABLED });
+});
+
+// Deleting moves tasks to the trash; see trashController for restore and purge
+const deleteTask = catchAsync(async (req, res) => {
+	const task = await Task.findOneAndUpdate(
+		{
+			_id: req.params.id,
+			userId: req.user.id,
+		},
+		{ $set: { deletedAt: new Date() } }
+	);
 
 	if (!task) {
 		throw new NotFoundError(MESSAGES.ERROR.TASK_NOT_FOUND);
@@ -84,13 +248,16 @@ const deleteTask = catchAsync(async (req, res) => {
 const deleteMultipleTasks = catchAsync(async (req, res) => {
 	const { ids } = req.body;
 
-	const result = await Task.deleteMany({
-		_id: { $in: ids },
-		userId: req.user.id,
-	});
+	const result = await Task.updateMany(
+		{
+			_id: { $in: ids },
+			userId: req.user.id,
+		},
+		{ $set: { deletedAt: new Date() } }
+	);
 
-	if (result.deletedCount === 0) {
-		throw new NotFoundError(MESSAGES.ERROR.NO_TASKS_FOUND_TO_DELETE);
+	if (result.modifiedCount === 0) {
+		throw new NotFoundError(MESSAGES.VALIDATION.NO_TASKS_FOUND_TO_DELETE);
 	}
 
 	res.status(200).json({ message: MESSAGES.SUCCESS.TASKS_DELETED });
@@ -98,9 +265,13 @@ const deleteMultipleTasks = catchAsync(async (req, res) => {
 
 module.exports = {
 	getTasks,
+	exportTasks,
 	getTask,
 	createTask,
 	updateTask,
 	deleteTask,
 	deleteMultipleTasks,
+	getCalendarFeed,
+	rotateCalendarToken,
+	disableCalendarFeed,
 };
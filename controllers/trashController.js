@@ -0,0 +1,158 @@
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const { NotFoundError } = require('../utils/errors');
+const { catchAsync } = require('../utils/errorHandler');
+const { MESSAGES } = require('../constants/messages');
+const { IN_TRASH, restoreJobs, purgeJobs } = require('../utils/jobDeletion');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trash');
+
+const withPurgeDate = (item) => Object.assign(item, { purgeAt: getPurgeDate(item.deletedAt) });
+
+const restoreTasks = async (userId, taskIds) => {
+	const { modifiedCount } = await Task.updateMany(
+		{ _id: { $in: taskIds }, userId, deletedAt: IN_TRASH },
+		{ $set: { deletedAt: null } }
+	);
+	return modifiedCount;
+};
+
+const purgeTasks = async (userId, taskIds) => {
+	const { deletedCount } = await Task.deleteMany({ _id: { $in: taskIds }, userId, deletedAt: IN_TRASH });
+	return deletedCount;
+};
+
+const getTrash = catchAsync(async (req, res) => {
+	const { type } = req.query;
+	const userId = req.user.id;
+
+	const [jobs, tasks] = await Promise.all([
+		type === 'tasks'
+			? []
+			: Job.find({ userId, deletedAt: IN_TRASH })
+					.sort({ deletedAt: -1 })
+					.select('position company status dateApplied deletedAt')
+					.lean(),
+		type === 'jobs'
+			? []
+			: Task.find({ userId, deletedAt: IN_TRASH })
+					.sort({ deletedAt: -1 })
+					.select('title dueDateTime taskType jobId completed deletedAt')
+					.lean(),
+	]);
+
+	res.status(200).json({
+		retentionDays: getTrashRetentionDays(),
+		jobs: jobs.map(withPurgeDate),
+		tasks: tasks.map(withPurgeDate),
+	});
+});
+
+const restoreItems = catchAsync(async (req, res) => {
+	const { jobs = [], tasks = [] } = req.body;
+	const userId = req.user.id;
+
+	const { restoredJobs, restoredTasks } = await restoreJobs({ userId, jobIds: jobs });
+	const restoredStandaloneTasks = await restoreTasks(userId, tasks);
+
+	if (restoredJobs + restoredStandaloneTasks === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.NO_ITEMS_IN_TRASH);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.ITEMS_RESTORED,
+		restoredJobs,
+		restoredTasks: restoredTasks + restoredStandaloneTasks,
+	});
+});
+
+const purgeItems = catchAsync(async (req, res) => {
+	const { jobs = [], tasks = [] } = req.body;
+	const userId = req.user.id;
+
+	const jobResult = await purgeJobs({ userId, jobIds: jobs });
+	const purgedTasks = await purgeTasks(userId, tasks);
+
+	if (jobResult.purgedJobs + purgedTasks === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.NO_ITEMS_IN_TRASH);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.ITEMS_PURGED,
+		purgedJobs: jobResult.purgedJobs,
+		purgedTasks: jobResult.purgedTasks + purgedTasks,
+	});
+});
+
+const emptyTrash = catchAsync(async (req, res) => {
+	const userId = req.user.id;
+
+	const jobResult = await purgeJobs({ userId });
+	const { deletedCount } = await Task.deleteMany({ userId, deletedAt: IN_TRASH });
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.TRASH_EMPTIED,
+		purgedJobs: jobResult.purgedJobs,
+		purgedTasks: jobResult.purgedTasks + deletedCount,
+	});
+});
+
+const restoreJob = catchAsync(async (req, res) => {
+	const { restoredJobs, restoredTasks } = await restoreJobs({ userId: req.user.id, jobIds: [req.params.id] });
+
+	if (restoredJobs === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_IN_TRASH);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOB_RESTORED,
+		restoredTasks,
+	});
+});
+
+const purgeJob = catchAsync(async (req, res) => {
+	const { purgedJobs, purgedTasks, detachedTasks } = await purgeJobs({
+		userId: req.user.id,
+		jobIds: [req.params.id],
+	});
+
+	if (purgedJobs === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_IN_TRASH);
+	}
+
+	res.status(200).json({
+		message: MESSAGES.SUCCESS.JOB_PURGED,
+		purgedTasks,
+		detachedTasks,
+	});
+});
+
+const restoreTask = catchAsync(async (req, res) => {
+	const restored = await restoreTasks(req.user.id, [req.params.id]);
+
+	if (restored === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.TASK_NOT_IN_TRASH);
+	}
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.TASK_RESTORED });
+});
+
+const purgeTask = catchAsync(async (req, res) => {
+	const purged = await purgeTasks(req.user.id, [req.params.id]);
+
+	if (purged === 0) {
+		throw new NotFoundError(MESSAGES.ERROR.TASK_NOT_IN_TRASH);
+	}
+
+	res.status(200).json({ message: MESSAGES.SUCCESS.TASK_PURGED });
+});
+
+module.exports = {
+	getTrash,
+	restoreItems,
+	purgeItems,
+	emptyTrash,
+	restoreJob,
+	purgeJob,
+	restoreTask,
+	purgeTask,
+};
@@ -10,6 +10,9 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const connectDB = require('./config/db');
 const { globalErrorHandler } = require('./utils/errorHandler');
+const { startTrashPurgeSchedule } = require('./utils/trash');
+const { startReminderSchedule } = require('./utils/reminders');
+const { linkAllUnlinkedJobs } = require('./utils/companies');
 
 dotenv.config();
 
@@ -55,6 +58,15 @@ const jobRoutes = require('./routes/jobRoutes');
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const stageRoutes = require('./routes/stageRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const automationRuleRoutes = require('./routes/automationRuleRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const companyRoutes = require('./routes/companyRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
+const savedViewRoutes = require('./routes/savedViewRoutes');
 
 // Swagger Documentation
 app.use('/api-docs', limiter, swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
@@ -68,6 +80,15 @@ app.use('/api/jobs', jobRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/stages', stageRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/automation-rules', automationRuleRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/views', savedViewRoutes);
 
 // Global error handling middleware (must be last)
 app.use(globalErrorHandler);
@@ -79,6 +100,15 @@ if (process.env.NODE_ENV !== 'test') {
 		try {
 			await connectDB();
 			console.log(`Server is running on port ${PORT}`);
+			startTrashPurgeSchedule();
+			startReminderSchedule();
+			linkAllUnlinkedJobs()
+				.then((users) => {
+					if (users > 0) {
+						console.log(`Linked the jobs of ${users} user(s) to companies`);
+					}
+				})
+				.catch((error) => console.error('Error linking jobs to companies:', error));
 		} catch (err) {
 			console.error(err.message);
 			throw err;
@@ -0,0 +1,105 @@
+const path = require('path');
+const { formidable } = require('formidable');
+const { ValidationError, PayloadTooLargeError } = require('../utils/errors');
+const { MESSAGES } = require('../constants/messages');
+const { DOCUMENT_FILE_TYPES } = require('../constants/documents');
+const { removeFile } = require('../utils/documentStorage');
+
+const DEFAULT_MAX_DOCUMENT_SIZE_MB = 5;
+
+// Form fields that may be sent more than once or as a comma-separated list
+const LIST_FIELDS = ['jobIds'];
+
+const maxDocumentSize = () => {
+	const configured = parseFloat(process.env.DOCUMENT_MAX_SIZE_MB);
+	const megabytes = configured > 0 ? configured : DEFAULT_MAX_DOCUMENT_SIZE_MB;
+	return Math.round(megabytes * 1024 * 1024);
+};
+
+/**
+ * MIME type a file is stored with, or null when it is not an accepted
+ * document. Clients often send application/octet-stream, in which case the
+ * extension decides.
+ */
+const resolveMimeType = (mimetype, fileName) => {
+	const extension = path.extname(fileName || '').toLowerCase();
+	if (DOCUMENT_FILE_TYPES[mimetype]) {
+		return DOCUMENT_FILE_TYPES[mimetype].includes(extension) ? mimetype : null;
+	}
+	if (mimetype === 'application/octet-stream') {
+		return Object.keys(DOCUMENT_FILE_TYPES).find((type) => DOCUMENT_FILE_TYPES[type].includes(extension)) || null;
+	}
+	return null;
+};
+
+const readFields = (fields) => {
+	const body = {};
+	Object.entries(fields).forEach(([name, values]) => {
+		body[name] = LIST_FIELDS.includes(name)
+			? values.flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean)
+			: values[0];
+	});
+	return body;
+};
+
+/**
+ * Parse a multipart/form-data upload of a single document in the "file" field.
+ * This route is not covered by the JSON body limit, so the file has its own
+ * limit (DOCUMENT_MAX_SIZE_MB, 5 MB by default) and other fields are kept as
+ * small as a JSON body. Sets req.body to the form fields and req.file to the
+ * uploaded file, with its SHA-256 checksum; the temporary file is removed
+ * once the response is sent.
+ */
+const documentUpload = (req, res, next) => {
+	if (!req.is('multipart/form-data')) {
+		return next(new ValidationError(MESSAGES.VALIDATION.MULTIPART_REQUIRED));
+	}
+
+	const maxFileSize = maxDocumentSize();
+	const form = formidable({
+		maxFiles: 1,
+		maxFileSize,
+		maxFields: 20,
+		maxFieldsSize: 10 * 1024,
+		hashAlgorithm: 'sha256',
+	});
+
+	return form.parse(req, (err, fields, files) => {
+		if (err) {
+			if (err.httpCode === 413) {
+				const limit = `${Math.round((maxFileSize / 1024 / 1024) * 10) / 10} MB`;
+				return next(new PayloadTooLargeError(`${MESSAGES.ERROR.DOCUMENT_TOO_LARGE} (limit ${limit})`));
+			}
+			return next(new ValidationError(MESSAGES.VALIDATION.INVALID_UPLOAD));
+		}
+
+		const uploaded = Object.values(files).flat();
+		uploaded.forEach((file) => {
+			res.once('close', () => {
+				removeFile(file.filepath).catch(() => {});
+			});
+		});
+
+		const [file] = files.file || [];
+		if (!file) {
+			return next(new ValidationError(MESSAGES.VALIDATION.DOCUMENT_FILE_REQUIRED));
+		}
+
+		const mimeType = resolveMimeType(file.mimetype, file.originalFilename);
+		if (!mimeType) {
+			return next(new ValidationError(MESSAGES.VALIDATION.INVALID_DOCUMENT_FILE_TYPE));
+		}
+
+		req.body = readFields(fields);
+		req.file = {
+			path: file.filepath,
+			originalName: file.originalFilename,
+			mimeType,
+			size: file.size,
+			checksum: file.hash,
+		};
+		return next();
+	});
+};
+
+module.exports = { documentUpload, resolveMimeType };
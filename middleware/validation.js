@@ -1,6 +1,24 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
 const { MESSAGES } = require('../constants/messages');
+const { STAGE_CATEGORIES } = require('../constants/stages');
+const { getUserStages } = require('../utils/pipelineStages');
+const { TASK_CASCADE_POLICIES } = require('../utils/jobDeletion');
+const { EXPORT_FORMATS } = require('../utils/export');
+const { MAX_LEAD_TIME_MINUTES } = require('../utils/reminders');
+const { TASK_SORT_FIELDS, TASK_DUE_RANGES } = require('../utils/taskQuery');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+const { findUnknownPlaceholders } = require('../utils/automation');
+const { CONTACT_SORT_FIELDS } = require('../utils/contactQuery');
+const { COMPANY_SIZES } = require('../utils/companyNames');
+const { DOCUMENT_TYPES } = require('../constants/documents');
+const { PAY_PERIODS } = require('../utils/compensation');
+const { TAG_MATCH_MODES } = require('../utils/tagQuery');
+const { CURRENCY_RATES } = require('../config/currencyRates');
+const { WORK_MODES, EMPLOYMENT_TYPES, SENIORITY_LEVELS } = require('../constants/jobs');
+const { INTERVIEW_TYPES, INTERVIEW_FORMATS, INTERVIEW_OUTCOMES } = require('../constants/interviews');
+const { CUSTOM_FIELD_TYPES, MAX_CUSTOM_FIELD_OPTIONS } = require('../constants/customFields');
+const { JOB_SORT_FIELDS, JOB_LIST_FIELDS } = require('../utils/jobQuery');
 
 // Auth validation schemas
 const authValidation = {
@@ -138,6 +156,60 @@ const authValidation = {
     return next();
   },
 
+  reminderSettings: (req, res, next) => {
+    const schema = Joi.object({
+      upcoming: Joi.boolean(),
+      overdueSummary: Joi.boolean(),
+      leadTimeMinutes: Joi.number().integer().min(1).max(MAX_LEAD_TIME_MINUTES).allow(null)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_REMINDER_LEAD_TIME,
+          'number.integer': MESSAGES.VALIDATION.INVALID_REMINDER_LEAD_TIME,
+          'number.min': MESSAGES.VALIDATION.INVALID_REMINDER_LEAD_TIME,
+          'number.max': MESSAGES.VALIDATION.INVALID_REMINDER_LEAD_TIME
+        })
+    }).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.REMINDER_SETTINGS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Replaces the user's job sources; null goes back to the defaults
+  jobSources: (req, res, next) => {
+    const schema = Joi.object({
+      sources: Joi.array()
+        .items(Joi.string().trim().min(1).max(50).pattern(/^[^,]+$/)
+          .messages({
+            'string.base': MESSAGES.VALIDATION.INVALID_JOB_SOURCE_NAME,
+            'string.empty': MESSAGES.VALIDATION.INVALID_JOB_SOURCE_NAME,
+            'string.max': MESSAGES.VALIDATION.INVALID_JOB_SOURCE_NAME,
+            'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_SOURCE_NAME
+          }))
+        .min(1).max(50)
+        .unique((a, b) => a.trim().toLowerCase() === b.trim().toLowerCase())
+        .allow(null)
+        .required()
+        .messages({
+          'array.base': MESSAGES.VALIDATION.JOB_SOURCES_REQUIRED,
+          'array.min': MESSAGES.VALIDATION.JOB_SOURCES_REQUIRED,
+          'array.max': MESSAGES.VALIDATION.JOB_SOURCES_REQUIRED,
+          'array.unique': MESSAGES.VALIDATION.DUPLICATE_JOB_SOURCES,
+          'any.required': MESSAGES.VALIDATION.JOB_SOURCES_REQUIRED
+        })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
   updateUser: (req, res, next) => {
     const schema = Joi.object({
       firstName: Joi.string().trim()
@@ -170,35 +242,270 @@ const authValidation = {
   }
 };
 
+// Tags of a job or task; replaces its tags on update
+const tagIdsSchema = Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+  .messages({
+    'array.base': MESSAGES.VALIDATION.INVALID_TAGS,
+    'string.pattern.base': MESSAGES.VALIDATION.INVALID_ID_IN_ARRAY
+  });
+
+// List filter: ?tags=id1,id2&tagMatch=any|all
+const tagFilterFields = {
+  tags: Joi.string().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+    .messages({
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_TAG_FILTER
+    }),
+  tagMatch: Joi.string().valid(...TAG_MATCH_MODES)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_TAG_MATCH
+    })
+};
+
+// Rules for a new job, shared by POST /api/jobs and each row of a CSV import
+const jobCreateSchema = Joi.object({
+  position: Joi.string().trim().required()
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.POSITION_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.POSITION_REQUIRED,
+    }),
+  company: Joi.string().trim().required()
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.COMPANY_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.COMPANY_REQUIRED,
+    }),
+  status: Joi.string().trim().required()
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.STATUS_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.STATUS_REQUIRED
+    }),
+  dateApplied: Joi.date().iso().optional()
+    .messages({
+      'date.format': MESSAGES.VALIDATION.INVALID_DATE_FORMAT_FOR_DATE_APPLIED
+    }),
+  notes: Joi.string().trim().allow('')
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NOTES_EMPTY
+    }),
+  statusNote: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': MESSAGES.VALIDATION.STATUS_NOTE_TOO_LONG
+    })
+});
+
+// Posted or offered compensation; amounts need a currency to be compared
+const compensationAmount = Joi.number().min(0)
+  .messages({
+    'number.base': MESSAGES.VALIDATION.INVALID_COMPENSATION_AMOUNT,
+    'number.min': MESSAGES.VALIDATION.INVALID_COMPENSATION_AMOUNT
+  });
+
+const compensationPackageSchema = Joi.object({
+  currency: Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).required()
+    .messages({
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_CURRENCY,
+      'string.empty': MESSAGES.VALIDATION.INVALID_CURRENCY,
+      'any.required': MESSAGES.VALIDATION.CURRENCY_REQUIRED
+    }),
+  baseMin: compensationAmount,
+  baseMax: compensationAmount,
+  period: Joi.string().valid(...PAY_PERIODS)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_PAY_PERIOD
+    }),
+  bonus: compensationAmount,
+  equity: compensationAmount,
+  benefits: Joi.string().trim().max(2000).allow('')
+}).custom((value, helpers) => (
+  value.baseMin !== undefined && value.baseMax !== undefined && value.baseMax < value.baseMin
+    ? helpers.error('object.baseRange')
+    : value
+))
+  .messages({
+    'object.base': MESSAGES.VALIDATION.INVALID_COMPENSATION,
+    'object.baseRange': MESSAGES.VALIDATION.INVALID_BASE_RANGE
+  });
+
+// A null package clears it on update
+const compensationSchema = Joi.object({
+  posted: compensationPackageSchema.allow(null),
+  offered: compensationPackageSchema.allow(null)
+})
+  .messages({
+    'object.base': MESSAGES.VALIDATION.INVALID_COMPENSATION
+  });
+
+// Where a job was found and where and how it is worked; null clears a field on update
+const locationPart = Joi.string().trim().max(100).allow('');
+
+const jobDetailsFields = {
+  postingUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).allow('', null)
+    .messages({
+      'string.uri': MESSAGES.VALIDATION.INVALID_POSTING_URL,
+      'string.uriCustomScheme': MESSAGES.VALIDATION.INVALID_POSTING_URL,
+      'string.max': MESSAGES.VALIDATION.INVALID_POSTING_URL
+    }),
+  // Checked against the user's job sources by the controller
+  source: Joi.string().trim().max(50).allow('', null)
+    .messages({
+      'string.max': MESSAGES.VALIDATION.SOURCE_TOO_LONG
+    }),
+  location: Joi.object({
+    city: locationPart,
+    region: locationPart,
+    country: locationPart
+  }).allow(null)
+    .messages({
+      'object.base': MESSAGES.VALIDATION.INVALID_LOCATION,
+      'object.unknown': MESSAGES.VALIDATION.INVALID_LOCATION,
+      'string.max': MESSAGES.VALIDATION.LOCATION_TOO_LONG
+    }),
+  workMode: Joi.string().valid(...WORK_MODES).allow(null)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_WORK_MODE
+    }),
+  employmentType: Joi.string().valid(...EMPLOYMENT_TYPES).allow(null)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_EMPLOYMENT_TYPE
+    }),
+  seniority: Joi.string().valid(...SENIORITY_LEVELS).allow(null)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_SENIORITY
+    })
+};
+
+// List filter taking one allowed value or a comma-separated list of them
+const listFilter = (values, message) => Joi.string()
+  .custom((value, helpers) => (
+    value.split(',').every((item) => values.includes(item)) ? value : helpers.error('any.only')
+  ))
+  .messages({
+    'any.only': message
+  });
+
+const jobDetailsFilterFields = {
+  source: Joi.string().trim().max(500),
+  workMode: listFilter(WORK_MODES, MESSAGES.VALIDATION.INVALID_WORK_MODE),
+  employmentType: listFilter(EMPLOYMENT_TYPES, MESSAGES.VALIDATION.INVALID_EMPLOYMENT_TYPE),
+  seniority: listFilter(SENIORITY_LEVELS, MESSAGES.VALIDATION.INVALID_SENIORITY),
+  city: Joi.string().trim().max(100),
+  region: Joi.string().trim().max(100),
+  country: Joi.string().trim().max(100)
+};
+
+// Custom field values of a job by field key; values are checked against the field types in the controller
+const customFieldValuesSchema = Joi.object()
+  .pattern(Joi.string(), Joi.alternatives().try(Joi.string().max(1000).allow(''), Joi.number(), Joi.boolean()).allow(null))
+  .max(100)
+  .prefs({
+    messages: {
+      'object.base': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUES,
+      'object.max': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUES,
+      'alternatives.types': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUES,
+      'alternatives.match': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUES,
+      'string.max': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUES
+    }
+  });
+
+// Custom field filters (?cf[team]=Payments, ?cf[team-size][min]=5)
+const customFieldFilterSchema = Joi.object()
+  .pattern(Joi.string(), Joi.alternatives().try(
+    Joi.string().trim().max(500),
+    Joi.object({
+      min: Joi.string().trim().max(100),
+      max: Joi.string().trim().max(100)
+    }).or('min', 'max')
+  ))
+  .prefs({
+    messages: {
+      'object.base': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER,
+      'object.missing': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER,
+      'object.unknown': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER,
+      'alternatives.types': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER,
+      'alternatives.match': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER,
+      'string.max': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_FILTER
+    }
+  });
+
+// Job search query (?q=backend company:stripe applied:>2026-01-01); parsed in utils/jobSearch.js
+const jobSearchQuery = Joi.string().trim().max(500).allow('')
+  .messages({
+    'string.max': MESSAGES.VALIDATION.SEARCH_QUERY_TOO_LONG
+  });
+
 // Job validation schemas
 const jobValidation = {
   create: (req, res, next) => {
+    const schema = jobCreateSchema.keys({
+      compensation: compensationSchema,
+      tags: tagIdsSchema,
+      customFields: customFieldValuesSchema
+    }).keys(jobDetailsFields);
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
     const schema = Joi.object({
-      position: Joi.string().trim().required()
+      position: Joi.string().trim()
         .messages({
-          'string.empty': MESSAGES.VALIDATION.POSITION_REQUIRED,
-          'any.required': MESSAGES.VALIDATION.POSITION_REQUIRED,
+          'string.empty': MESSAGES.VALIDATION.POSITION_REQUIRED
         }),
-      company: Joi.string().trim().required()
+      company: Joi.string().trim()
         .messages({
-          'string.empty': MESSAGES.VALIDATION.COMPANY_REQUIRED,
-          'any.required': MESSAGES.VALIDATION.COMPANY_REQUIRED,
+          'string.empty': MESSAGES.VALIDATION.COMPANY_REQUIRED
         }),
-      status: Joi.string().valid('applied', 'interviewing', 'offer', 'rejected').required()
+      status: Joi.string().trim()
         .messages({
-          'any.only': MESSAGES.VALIDATION.INVALID_STATUS,
-          'any.required': MESSAGES.VALIDATION.STATUS_REQUIRED
+          'string.empty': MESSAGES.VALIDATION.STATUS_REQUIRED
         }),
-      dateApplied: Joi.date().iso().optional()
+      dateApplied: Joi.date().iso()
         .messages({
           'date.format': MESSAGES.VALIDATION.INVALID_DATE_FORMAT_FOR_DATE_APPLIED
         }),
       notes: Joi.string().trim().allow('')
         .messages({
           'string.empty': MESSAGES.VALIDATION.NOTES_EMPTY
+        }),
+      statusNote: Joi.string().trim().max(500).allow('')
+        .messages({
+          'string.max': MESSAGES.VALIDATION.STATUS_NOTE_TOO_LONG
+        }),
+      compensation: compensationSchema,
+      tags: tagIdsSchema,
+      customFields: customFieldValuesSchema
+    }).keys(jobDetailsFields);
+    
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Board move: the column to move to (default the job's own) and the position in it
+  move: (req, res, next) => {
+    const schema = Joi.object({
+      status: Joi.string().trim()
+        .messages({
+          'string.empty': MESSAGES.VALIDATION.STATUS_REQUIRED
+        }),
+      position: Joi.number().integer().min(0).required()
+        .messages({
+          'any.required': MESSAGES.VALIDATION.BOARD_POSITION_REQUIRED,
+          'number.base': MESSAGES.VALIDATION.INVALID_BOARD_POSITION,
+          'number.integer': MESSAGES.VALIDATION.INVALID_BOARD_POSITION,
+          'number.min': MESSAGES.VALIDATION.INVALID_BOARD_POSITION
+        }),
+      statusNote: Joi.string().trim().max(500).allow('')
+        .messages({
+          'string.max': MESSAGES.VALIDATION.STATUS_NOTE_TOO_LONG
         })
     });
-    
+
     const { error } = schema.validate(req.body);
     if (error) {
       return next(new ValidationError(error.details[0].message));
@@ -206,30 +513,159 @@ const jobValidation = {
     return next();
   },
 
-  update: (req, res, next) => {
+  // Query parameters for listing and exporting jobs
+  list: (req, res, next) => {
+    const schema = Joi.object(tagFilterFields).keys(jobDetailsFilterFields).keys({
+      q: jobSearchQuery,
+      cf: customFieldFilterSchema
+    }).unknown(true);
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Offer comparison options (?currency=EUR)
+const validateOfferComparison = (req, res, next) => {
+  const schema = Joi.object({
+    currency: Joi.string().trim().uppercase().valid(...Object.keys(CURRENCY_RATES))
+      .messages({
+        'any.only': `${MESSAGES.VALIDATION.INVALID_COMPARE_CURRENCY} ${Object.keys(CURRENCY_RATES).join(', ')}`
+      })
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return next(new ValidationError(error.details[0].message));
+  }
+  return next();
+};
+
+// CSV import options (?dryRun=true&mapping[position]=Job Title) and body
+const validateJobImport = (req, res, next) => {
+  const schema = Joi.object({
+    dryRun: Joi.boolean()
+      .messages({
+        'boolean.base': MESSAGES.VALIDATION.INVALID_DRY_RUN
+      }),
+    mapping: Joi.object()
+      .pattern(Joi.string().valid(...Object.keys(jobCreateSchema.describe().keys)), Joi.string().trim().min(1))
+      .messages({
+        'object.unknown': MESSAGES.VALIDATION.INVALID_IMPORT_MAPPING,
+        'object.base': MESSAGES.VALIDATION.INVALID_IMPORT_MAPPING,
+        'string.base': MESSAGES.VALIDATION.INVALID_IMPORT_MAPPING,
+        'string.empty': MESSAGES.VALIDATION.INVALID_IMPORT_MAPPING
+      })
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return next(new ValidationError(error.details[0].message));
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return next(new ValidationError(MESSAGES.VALIDATION.CSV_REQUIRED));
+  }
+  return next();
+};
+
+// Export format (?format=csv|excel|ndjson); list filters are passed through
+const validateExportFormat = (req, res, next) => {
+  const schema = Joi.object({
+    format: Joi.string().valid(...Object.keys(EXPORT_FORMATS))
+      .messages({
+        'any.only': MESSAGES.VALIDATION.INVALID_EXPORT_FORMAT
+      })
+  }).unknown(true);
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return next(new ValidationError(error.details[0].message));
+  }
+  return next();
+};
+
+// Job status must be one of the user's own pipeline stages
+const validateJobStatus = async (req, res, next) => {
+  if (req.body.status === undefined) {
+    return next();
+  }
+
+  try {
+    const stages = await getUserStages(req.user.id);
+    const keys = stages.map(stage => stage.key);
+    if (!keys.includes(req.body.status)) {
+      return next(new ValidationError(`${MESSAGES.VALIDATION.INVALID_STATUS} ${keys.join(', ')}`));
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Task cascade policy for job deletion (?cascade=delete|detach|restrict)
+const validateCascadePolicy = (req, res, next) => {
+  const schema = Joi.object({
+    cascade: Joi.string().valid(...TASK_CASCADE_POLICIES)
+      .messages({
+        'any.only': MESSAGES.VALIDATION.INVALID_CASCADE_POLICY
+      })
+  }).unknown(true);
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return next(new ValidationError(error.details[0].message));
+  }
+  return next();
+};
+
+// Pipeline stage validation schemas
+const stageValidation = {
+  create: (req, res, next) => {
     const schema = Joi.object({
-      position: Joi.string().trim()
+      name: Joi.string().trim().max(50).required()
         .messages({
-          'string.empty': MESSAGES.VALIDATION.POSITION_REQUIRED
+          'string.empty': MESSAGES.VALIDATION.STAGE_NAME_REQUIRED,
+          'any.required': MESSAGES.VALIDATION.STAGE_NAME_REQUIRED
         }),
-      company: Joi.string().trim()
+      key: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(50).optional()
         .messages({
-          'string.empty': MESSAGES.VALIDATION.COMPANY_REQUIRED
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_STAGE_KEY
         }),
-      status: Joi.string().valid('applied', 'interviewing', 'offer', 'rejected')
+      category: Joi.string().valid(...STAGE_CATEGORIES).required()
         .messages({
-          'any.only': MESSAGES.VALIDATION.INVALID_STATUS
+          'any.only': MESSAGES.VALIDATION.INVALID_STAGE_CATEGORY,
+          'any.required': MESSAGES.VALIDATION.STAGE_CATEGORY_REQUIRED
         }),
-      dateApplied: Joi.date().iso()
+      order: Joi.number().integer().min(0).optional()
         .messages({
-          'date.format': MESSAGES.VALIDATION.INVALID_DATE_FORMAT_FOR_DATE_APPLIED
+          'number.base': MESSAGES.VALIDATION.INVALID_STAGE_ORDER,
+          'number.integer': MESSAGES.VALIDATION.INVALID_STAGE_ORDER,
+          'number.min': MESSAGES.VALIDATION.INVALID_STAGE_ORDER
+        })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(50)
+        .messages({
+          'string.empty': MESSAGES.VALIDATION.STAGE_NAME_REQUIRED
         }),
-      notes: Joi.string().trim().allow('')
+      category: Joi.string().valid(...STAGE_CATEGORIES)
         .messages({
-          'string.empty': MESSAGES.VALIDATION.NOTES_EMPTY
+          'any.only': MESSAGES.VALIDATION.INVALID_STAGE_CATEGORY
         })
     });
-    
+
     const { error } = schema.validate(req.body);
     if (error) {
       return next(new ValidationError(error.details[0].message));
@@ -239,6 +675,46 @@ const jobValidation = {
 };
 
 // Task validation schemas
+// Recurrence rule of a repeating task (see utils/recurrence.js)
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required()
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_RECURRENCE_FREQUENCY,
+      'any.required': MESSAGES.VALIDATION.RECURRENCE_FREQUENCY_REQUIRED
+    }),
+  interval: Joi.number().integer().min(1).max(365)
+    .messages({
+      'number.base': MESSAGES.VALIDATION.INVALID_RECURRENCE_INTERVAL,
+      'number.integer': MESSAGES.VALIDATION.INVALID_RECURRENCE_INTERVAL,
+      'number.min': MESSAGES.VALIDATION.INVALID_RECURRENCE_INTERVAL,
+      'number.max': MESSAGES.VALIDATION.INVALID_RECURRENCE_INTERVAL
+    }),
+  byWeekday: Joi.array().items(Joi.string().valid(...WEEKDAYS)).min(1).unique()
+    .when('frequency', { is: 'weekly', otherwise: Joi.forbidden() })
+    .messages({
+      'array.base': MESSAGES.VALIDATION.INVALID_RECURRENCE_WEEKDAY,
+      'array.min': MESSAGES.VALIDATION.INVALID_RECURRENCE_WEEKDAY,
+      'array.unique': MESSAGES.VALIDATION.INVALID_RECURRENCE_WEEKDAY,
+      'any.only': MESSAGES.VALIDATION.INVALID_RECURRENCE_WEEKDAY,
+      'any.unknown': MESSAGES.VALIDATION.BY_WEEKDAY_WEEKLY_ONLY
+    }),
+  until: Joi.date().iso()
+    .messages({
+      'date.base': MESSAGES.VALIDATION.INVALID_RECURRENCE_UNTIL,
+      'date.format': MESSAGES.VALIDATION.INVALID_RECURRENCE_UNTIL
+    }),
+  count: Joi.number().integer().min(1).max(1000)
+    .messages({
+      'number.base': MESSAGES.VALIDATION.INVALID_RECURRENCE_COUNT,
+      'number.integer': MESSAGES.VALIDATION.INVALID_RECURRENCE_COUNT,
+      'number.min': MESSAGES.VALIDATION.INVALID_RECURRENCE_COUNT,
+      'number.max': MESSAGES.VALIDATION.INVALID_RECURRENCE_COUNT
+    })
+}).oxor('until', 'count')
+  .messages({
+    'object.oxor': MESSAGES.VALIDATION.RECURRENCE_UNTIL_OR_COUNT
+  });
+
 const taskValidation = {
   create: (req, res, next) => {
     const schema = Joi.object({
@@ -261,8 +737,14 @@ const taskValidation = {
         .messages({
           'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_ID_FORMAT
         }),
+      contactId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_CONTACT_ID_FORMAT
+        }),
       notes: Joi.string().trim().allow(''),
-      completed: Joi.boolean().default(false)
+      completed: Joi.boolean().default(false),
+      tags: tagIdsSchema,
+      recurrence: recurrenceSchema
     });
     
     const { error } = schema.validate(req.body);
@@ -290,14 +772,766 @@ const taskValidation = {
         .messages({
           'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_ID_FORMAT
         }),
+      // null removes the link
+      contactId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null)
+        .messages({
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_CONTACT_ID_FORMAT
+        }),
       notes: Joi.string().trim().allow(''),
-      completed: Joi.boolean()
+      completed: Joi.boolean(),
+      tags: tagIdsSchema,
+      // null stops a recurring task from repeating
+      recurrence: recurrenceSchema.allow(null)
     });
+    // Whether changes to a recurring task apply to this occurrence only or to the rest of the series
+    const querySchema = Joi.object({
+      scope: Joi.string().valid('this', 'future')
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_RECURRENCE_SCOPE
+        })
+    }).unknown(true);
     
     const { error } = schema.validate(req.body);
     if (error) {
       return next(new ValidationError(error.details[0].message));
     }
+    const { error: queryError } = querySchema.validate(req.query);
+    if (queryError) {
+      return next(new ValidationError(queryError.details[0].message));
+    }
+    return next();
+  },
+
+  // Query parameters for listing and exporting tasks
+  list: (req, res, next) => {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.integer': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.min': MESSAGES.VALIDATION.INVALID_PAGE
+        }),
+      limit: Joi.number().integer().min(1).max(100)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.integer': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.min': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.max': MESSAGES.VALIDATION.INVALID_LIMIT
+        }),
+      completed: Joi.boolean()
+        .messages({
+          'boolean.base': MESSAGES.VALIDATION.INVALID_COMPLETED_FILTER
+        }),
+      taskType: Joi.string().valid('follow-up', 'interview', 'networking', 'research', 'other')
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_TASK_TYPE
+        }),
+      jobId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_ID_FORMAT
+        }),
+      due: Joi.string().valid(...TASK_DUE_RANGES)
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_DUE_RANGE
+        }),
+      tags: tagFilterFields.tags,
+      tagMatch: tagFilterFields.tagMatch,
+      search: Joi.string().trim().allow(''),
+      sortBy: Joi.string().valid(...TASK_SORT_FIELDS)
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_TASK_SORT
+        }),
+      sortOrder: Joi.string().valid('asc', 'desc')
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_SORT_ORDER
+        })
+    }).unknown(true);
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Interview round validation schemas
+const interviewFields = {
+  type: Joi.string().valid(...INTERVIEW_TYPES)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_INTERVIEW_TYPE,
+      'any.required': MESSAGES.VALIDATION.INTERVIEW_TYPE_REQUIRED
+    }),
+  scheduledAt: Joi.date().iso().allow(null)
+    .messages({
+      'date.base': MESSAGES.VALIDATION.INVALID_INTERVIEW_TIME,
+      'date.format': MESSAGES.VALIDATION.INVALID_INTERVIEW_TIME
+    }),
+  format: Joi.string().valid(...INTERVIEW_FORMATS)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_INTERVIEW_FORMAT
+    }),
+  interviewers: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(200).required(),
+    role: Joi.string().trim().max(200).allow(''),
+    contactId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+  })).max(20)
+    .messages({
+      'array.base': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'array.max': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'object.base': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'object.unknown': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'any.required': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'string.empty': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'string.max': MESSAGES.VALIDATION.INVALID_INTERVIEWERS,
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_INTERVIEWERS
+    }),
+  outcome: Joi.string().valid(...INTERVIEW_OUTCOMES)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_INTERVIEW_OUTCOME
+    }),
+  feedback: Joi.string().trim().max(5000).allow('')
+    .messages({
+      'string.max': MESSAGES.VALIDATION.INTERVIEW_FEEDBACK_TOO_LONG
+    })
+};
+
+const interviewValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object(interviewFields).keys({
+      type: interviewFields.type.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(interviewFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Round ID in /api/jobs/:id/interviews/:interviewId
+  interviewId: (req, res, next) => {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.interviewId)) {
+      return next(new ValidationError(MESSAGES.VALIDATION.INVALID_ID_FORMAT));
+    }
+    return next();
+  }
+};
+
+// Contact validation schemas
+const contactFields = {
+  name: Joi.string().trim().max(200)
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+    }),
+  email: Joi.string().trim().email().allow('')
+    .messages({
+      'string.email': MESSAGES.VALIDATION.INVALID_EMAIL_FORMAT
+    }),
+  phone: Joi.string().trim().max(50).allow(''),
+  linkedinUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow('')
+    .messages({
+      'string.uri': MESSAGES.VALIDATION.INVALID_LINKEDIN_URL,
+      'string.uriCustomScheme': MESSAGES.VALIDATION.INVALID_LINKEDIN_URL
+    }),
+  company: Joi.string().trim().allow(''),
+  role: Joi.string().trim().allow(''),
+  notes: Joi.string().trim().allow(''),
+  jobIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .messages({
+      'array.base': MESSAGES.VALIDATION.INVALID_CONTACT_JOBS,
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_ID_IN_ARRAY
+    }),
+  lastInteractionAt: Joi.date().iso().allow(null)
+    .messages({
+      'date.base': MESSAGES.VALIDATION.INVALID_LAST_INTERACTION,
+      'date.format': MESSAGES.VALIDATION.INVALID_LAST_INTERACTION
+    })
+};
+
+const contactValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object(contactFields).keys({
+      name: contactFields.name.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(contactFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  list: (req, res, next) => {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.integer': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.min': MESSAGES.VALIDATION.INVALID_PAGE
+        }),
+      limit: Joi.number().integer().min(1).max(100)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.integer': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.min': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.max': MESSAGES.VALIDATION.INVALID_LIMIT
+        }),
+      jobId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_ID_FORMAT
+        }),
+      company: Joi.string().trim(),
+      search: Joi.string().trim().allow(''),
+      sortBy: Joi.string().valid(...CONTACT_SORT_FIELDS)
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_CONTACT_SORT
+        }),
+      sortOrder: Joi.string().valid('asc', 'desc')
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_SORT_ORDER
+        })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Company validation schemas
+const companyFields = {
+  name: Joi.string().trim().max(200)
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+    }),
+  aliases: Joi.array().items(Joi.string().trim().min(1).max(200)).max(50)
+    .messages({
+      'array.base': MESSAGES.VALIDATION.INVALID_ALIASES,
+      'array.max': MESSAGES.VALIDATION.INVALID_ALIASES,
+      'string.base': MESSAGES.VALIDATION.INVALID_ALIASES,
+      'string.empty': MESSAGES.VALIDATION.INVALID_ALIASES
+    }),
+  website: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow('')
+    .messages({
+      'string.uri': MESSAGES.VALIDATION.INVALID_WEBSITE,
+      'string.uriCustomScheme': MESSAGES.VALIDATION.INVALID_WEBSITE
+    }),
+  industry: Joi.string().trim().allow(''),
+  size: Joi.string().valid(...COMPANY_SIZES)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_COMPANY_SIZE
+    }),
+  notes: Joi.string().trim().allow('')
+};
+
+const companyValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object(companyFields).keys({
+      name: companyFields.name.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(companyFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  list: (req, res, next) => {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.integer': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.min': MESSAGES.VALIDATION.INVALID_PAGE
+        }),
+      limit: Joi.number().integer().min(1).max(100)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.integer': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.min': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.max': MESSAGES.VALIDATION.INVALID_LIMIT
+        }),
+      industry: Joi.string().trim(),
+      search: Joi.string().trim().allow('')
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Document validation schemas
+const documentFields = {
+  type: Joi.string().valid(...DOCUMENT_TYPES)
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_DOCUMENT_TYPE,
+      'any.required': MESSAGES.VALIDATION.DOCUMENT_TYPE_REQUIRED
+    }),
+  name: Joi.string().trim().max(200)
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+    }),
+  notes: Joi.string().trim().allow(''),
+  jobIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .messages({
+      'array.base': MESSAGES.VALIDATION.INVALID_DOCUMENT_JOBS,
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_ID_IN_ARRAY
+    })
+};
+
+const documentValidation = {
+  // Form fields of a multipart upload (see middleware/upload.js)
+  upload: (req, res, next) => {
+    const schema = Joi.object(documentFields).keys({
+      type: documentFields.type.required(),
+      name: documentFields.name.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Versions keep the type and name they were uploaded with
+  update: (req, res, next) => {
+    const schema = Joi.object({
+      notes: documentFields.notes,
+      jobIds: documentFields.jobIds
+    }).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  list: (req, res, next) => {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.integer': MESSAGES.VALIDATION.INVALID_PAGE,
+          'number.min': MESSAGES.VALIDATION.INVALID_PAGE
+        }),
+      limit: Joi.number().integer().min(1).max(100)
+        .messages({
+          'number.base': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.integer': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.min': MESSAGES.VALIDATION.INVALID_LIMIT,
+          'number.max': MESSAGES.VALIDATION.INVALID_LIMIT
+        }),
+      type: documentFields.type,
+      name: Joi.string().trim(),
+      jobId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({
+          'string.pattern.base': MESSAGES.VALIDATION.INVALID_JOB_ID_FORMAT
+        }),
+      latest: Joi.boolean()
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  analytics: (req, res, next) => {
+    const schema = Joi.object({
+      type: documentFields.type
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Custom field definition validation schemas
+const customFieldOptionsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(100))
+  .min(1)
+  .max(MAX_CUSTOM_FIELD_OPTIONS)
+  .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+  .messages({
+    'array.base': MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_REQUIRED,
+    'array.min': MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_REQUIRED,
+    'array.max': MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_REQUIRED,
+    'array.unique': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_OPTIONS,
+    'string.base': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_OPTIONS,
+    'string.empty': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_OPTIONS,
+    'string.max': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_OPTIONS
+  });
+
+const customFieldName = Joi.string().trim().max(50)
+  .messages({
+    'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+    'string.max': MESSAGES.VALIDATION.CUSTOM_FIELD_NAME_TOO_LONG,
+    'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+  });
+
+const customFieldValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object({
+      name: customFieldName.required(),
+      type: Joi.string().valid(...CUSTOM_FIELD_TYPES).required()
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_TYPE,
+          'any.required': MESSAGES.VALIDATION.CUSTOM_FIELD_TYPE_REQUIRED
+        }),
+      // Choices are given for select fields only
+      options: Joi.when('type', {
+        is: 'select',
+        then: customFieldOptionsSchema.required(),
+        otherwise: Joi.forbidden()
+      })
+        .messages({
+          'any.required': MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_REQUIRED,
+          'any.unknown': MESSAGES.VALIDATION.CUSTOM_FIELD_OPTIONS_NOT_ALLOWED
+        })
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Whether options apply depends on the stored field, which the controller checks
+  update: (req, res, next) => {
+    const schema = Joi.object({
+      name: customFieldName,
+      options: customFieldOptionsSchema,
+      type: Joi.any().forbidden()
+        .messages({
+          'any.unknown': MESSAGES.VALIDATION.CUSTOM_FIELD_TYPE_FIXED
+        })
+    }).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Saved view validation schemas
+const customFieldReference = Joi.string().pattern(/^cf\.[a-z0-9]+(-[a-z0-9]+)*$/);
+
+const viewFields = {
+  name: Joi.string().trim().max(50)
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+      'string.max': MESSAGES.VALIDATION.VIEW_NAME_TOO_LONG,
+      'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+    }),
+  // The GET /api/jobs filters, as they would appear in its query string
+  filters: Joi.object({
+    status: Joi.string().trim().max(100),
+    company: Joi.string().trim().max(200),
+    companyId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+    position: Joi.string().trim().max(200),
+    search: Joi.string().trim().max(200),
+    q: jobSearchQuery,
+    cf: customFieldFilterSchema
+  }).keys(tagFilterFields).keys(jobDetailsFilterFields)
+    .messages({
+      'object.base': MESSAGES.VALIDATION.INVALID_VIEW_FILTERS,
+      'object.unknown': MESSAGES.VALIDATION.INVALID_VIEW_FILTERS,
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_VIEW_FILTERS
+    }),
+  sort: Joi.object({
+    sortBy: Joi.alternatives().try(Joi.string().valid(...JOB_SORT_FIELDS), customFieldReference).required(),
+    sortOrder: Joi.string().valid('asc', 'desc')
+  }).allow(null)
+    .prefs({
+      messages: {
+        'object.base': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'object.unknown': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'any.required': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'any.only': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'alternatives.match': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'alternatives.types': MESSAGES.VALIDATION.INVALID_VIEW_SORT,
+        'string.pattern.base': MESSAGES.VALIDATION.INVALID_VIEW_SORT
+      }
+    }),
+  columns: Joi.array()
+    .items(Joi.alternatives().try(Joi.string().valid(...JOB_LIST_FIELDS), customFieldReference))
+    .min(1)
+    .max(50)
+    .unique()
+    .allow(null)
+    .prefs({
+      messages: {
+        'array.base': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'array.min': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'array.max': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'array.unique': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'alternatives.match': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'alternatives.types': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS,
+        'string.pattern.base': MESSAGES.VALIDATION.INVALID_VIEW_COLUMNS
+      }
+    })
+};
+
+const viewValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object(viewFields).keys({
+      name: viewFields.name.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(viewFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Tag validation schemas
+const tagFields = {
+  name: Joi.string().trim().max(50)
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.NAME_REQUIRED,
+      'string.max': MESSAGES.VALIDATION.TAG_NAME_TOO_LONG,
+      'any.required': MESSAGES.VALIDATION.NAME_REQUIRED
+    }),
+  color: Joi.string().trim().pattern(/^#(?:[0-9a-fA-F]{3}){1,2}$/)
+    .messages({
+      'string.pattern.base': MESSAGES.VALIDATION.INVALID_TAG_COLOR,
+      'string.empty': MESSAGES.VALIDATION.INVALID_TAG_COLOR
+    })
+};
+
+const tagValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object(tagFields).keys({
+      name: tagFields.name.required()
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(tagFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  // Tags to add to or remove from jobs and tasks
+  bulk: (req, res, next) => {
+    const idArray = Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .messages({
+        'array.base': MESSAGES.VALIDATION.TAG_TARGETS_REQUIRED,
+        'string.pattern.base': MESSAGES.VALIDATION.INVALID_ID_IN_ARRAY
+      });
+    const schema = Joi.object({
+      tagIds: tagIdsSchema.min(1).required()
+        .messages({
+          'array.min': MESSAGES.VALIDATION.TAG_IDS_REQUIRED,
+          'any.required': MESSAGES.VALIDATION.TAG_IDS_REQUIRED
+        }),
+      jobIds: idArray,
+      taskIds: idArray
+    }).or('jobIds', 'taskIds')
+      .messages({
+        'object.missing': MESSAGES.VALIDATION.TAG_TARGETS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Automation rule validation schemas
+const titleTemplate = Joi.string().trim().max(200)
+  .custom((value, helpers) => (findUnknownPlaceholders(value).length > 0 ? helpers.error('string.placeholder') : value));
+
+const automationRuleFields = {
+  status: Joi.string().trim()
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.STATUS_REQUIRED,
+      'any.required': MESSAGES.VALIDATION.STATUS_REQUIRED
+    }),
+  taskType: Joi.string().valid('follow-up', 'interview', 'networking', 'research', 'other')
+    .messages({
+      'any.only': MESSAGES.VALIDATION.INVALID_TASK_TYPE,
+      'any.required': MESSAGES.VALIDATION.TASK_TYPE_REQUIRED
+    }),
+  dueInDays: Joi.number().integer().min(0).max(365)
+    .messages({
+      'number.base': MESSAGES.VALIDATION.INVALID_DUE_IN_DAYS,
+      'number.integer': MESSAGES.VALIDATION.INVALID_DUE_IN_DAYS,
+      'number.min': MESSAGES.VALIDATION.INVALID_DUE_IN_DAYS,
+      'number.max': MESSAGES.VALIDATION.INVALID_DUE_IN_DAYS,
+      'any.required': MESSAGES.VALIDATION.DUE_IN_DAYS_REQUIRED
+    }),
+  titleTemplate: titleTemplate
+    .messages({
+      'string.empty': MESSAGES.VALIDATION.TITLE_TEMPLATE_REQUIRED,
+      'string.placeholder': MESSAGES.VALIDATION.INVALID_TITLE_TEMPLATE,
+      'any.required': MESSAGES.VALIDATION.TITLE_TEMPLATE_REQUIRED
+    }),
+  notes: Joi.string().trim().allow(''),
+  enabled: Joi.boolean()
+};
+
+const automationRuleValidation = {
+  create: (req, res, next) => {
+    const schema = Joi.object({
+      status: automationRuleFields.status.required(),
+      taskType: automationRuleFields.taskType.required(),
+      dueInDays: automationRuleFields.dueInDays.required(),
+      titleTemplate: automationRuleFields.titleTemplate.required(),
+      notes: automationRuleFields.notes,
+      enabled: automationRuleFields.enabled
+    });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  update: (req, res, next) => {
+    const schema = Joi.object(automationRuleFields).min(1)
+      .messages({
+        'object.min': MESSAGES.VALIDATION.UPDATE_FIELDS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  }
+};
+
+// Trash validation schemas
+const trashValidation = {
+  items: (req, res, next) => {
+    const idArray = Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .messages({
+        'array.base': MESSAGES.VALIDATION.TRASH_ITEMS_REQUIRED,
+        'string.pattern.base': MESSAGES.VALIDATION.INVALID_ID_IN_ARRAY
+      });
+    const schema = Joi.object({
+      jobs: idArray,
+      tasks: idArray
+    }).or('jobs', 'tasks')
+      .messages({
+        'object.missing': MESSAGES.VALIDATION.TRASH_ITEMS_REQUIRED
+      });
+
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
+    return next();
+  },
+
+  list: (req, res, next) => {
+    const schema = Joi.object({
+      type: Joi.string().valid('jobs', 'tasks')
+        .messages({
+          'any.only': MESSAGES.VALIDATION.INVALID_TRASH_TYPE
+        })
+    });
+
+    const { error } = schema.validate(req.query);
+    if (error) {
+      return next(new ValidationError(error.details[0].message));
+    }
     return next();
   }
 };
@@ -340,8 +1574,24 @@ const validateIdArray = (req, res, next) => {
 
 module.exports = {
   authValidation,
+  jobCreateSchema,
   jobValidation,
+  validateJobStatus,
+  validateJobImport,
+  validateExportFormat,
+  validateOfferComparison,
+  validateCascadePolicy,
+  stageValidation,
   taskValidation,
+  automationRuleValidation,
+  interviewValidation,
+  contactValidation,
+  companyValidation,
+  documentValidation,
+  tagValidation,
+  customFieldValidation,
+  viewValidation,
+  trashValidation,
   validateObjectId,
   validateIdArray
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { mongoose } = require('mongoose');
+
+// "When a job enters <status>, create a <taskType> task due <dueInDays> days later"
+const automationRuleSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// Stage key that triggers the rule
+		status: {
+			type: String,
+			required: true,
+		},
+		taskType: {
+			type: String,
+			required: true,
+			enum: ['follow-up', 'interview', 'networking', 'research', 'other'],
+		},
+		dueInDays: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// Task title with {{company}}, {{position}} and {{status}} placeholders
+		titleTemplate: {
+			type: String,
+			required: true,
+		},
+		notes: {
+			type: String,
+			required: false,
+		},
+		enabled: {
+			type: Boolean,
+			default: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+automationRuleSchema.index({ userId: 1, status: 1 }); // For finding the rules a status change triggers
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
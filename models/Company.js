@@ -0,0 +1,58 @@
+const { mongoose } = require('mongoose');
+const { COMPANY_SIZES, normalizeCompanyName } = require('../utils/companyNames');
+
+// A company applied to, so that "Google", "google" and "Google LLC" are one company
+const companySchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// Canonical name
+		name: {
+			type: String,
+			required: true,
+		},
+		// Other names jobs may use for the company
+		aliases: {
+			type: [String],
+			default: [],
+		},
+		website: {
+			type: String,
+			required: false,
+		},
+		industry: {
+			type: String,
+			required: false,
+		},
+		size: {
+			type: String,
+			required: false,
+			enum: COMPANY_SIZES,
+		},
+		notes: {
+			type: String,
+			required: false,
+		},
+		// Normalized name and aliases, used to match a job's company text
+		matchKeys: {
+			type: [String],
+			default: [],
+		},
+	},
+	{ timestamps: true }
+);
+
+companySchema.pre('validate', function updateMatchKeys(next) {
+	const keys = [this.name, ...this.aliases].map(normalizeCompanyName).filter(Boolean);
+	this.matchKeys = [...new Set(keys)];
+	next();
+});
+
+// A name or alias belongs to at most one of the user's companies
+companySchema.index({ userId: 1, matchKeys: 1 }, { unique: true });
+companySchema.index({ userId: 1, name: 1 }); // For listing companies by name
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,58 @@
+const { mongoose } = require('mongoose');
+
+// A recruiter, hiring manager, referrer or anyone else met while job hunting
+const contactSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+		},
+		email: {
+			type: String,
+			required: false,
+		},
+		phone: {
+			type: String,
+			required: false,
+		},
+		linkedinUrl: {
+			type: String,
+			required: false,
+		},
+		company: {
+			type: String,
+			required: false,
+		},
+		role: {
+			type: String,
+			required: false,
+		},
+		notes: {
+			type: String,
+			required: false,
+		},
+		// Jobs the contact is involved in; a job can have any number of contacts
+		jobIds: {
+			type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+			default: [],
+		},
+		// Set when a task linked to the contact is completed, or by hand
+		lastInteractionAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true }
+);
+
+// Indexes for query optimization
+contactSchema.index({ userId: 1, name: 1 }); // For listing contacts by name
+contactSchema.index({ userId: 1, jobIds: 1 }); // For the contacts of a job
+contactSchema.index({ userId: 1, lastInteractionAt: -1 }); // For recently contacted
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,42 @@
+const { mongoose } = require('mongoose');
+const { CUSTOM_FIELD_TYPES } = require('../constants/customFields');
+
+// A field the user tracks on their jobs, such as "Visa sponsorship" or "Tech stack"
+const customFieldSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		// Set from the name when the field is created, e.g. visa-sponsorship. Values are
+		// stored on jobs under this key, so it stays the same when the field is renamed.
+		key: {
+			type: String,
+			required: true,
+			immutable: true,
+		},
+		type: {
+			type: String,
+			required: true,
+			enum: CUSTOM_FIELD_TYPES,
+			immutable: true,
+		},
+		// Choices of a select field
+		options: {
+			type: [String],
+			default: undefined,
+		},
+	},
+	{ timestamps: true }
+);
+
+// Indexes for query optimization
+customFieldSchema.index({ userId: 1, key: 1 }, { unique: true }); // One field per key
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,70 @@
+const { mongoose } = require('mongoose');
+const { DOCUMENT_TYPES } = require('../constants/documents');
+
+// One uploaded version of a resume, cover letter or other document. Versions
+// of a document share its type and name and are numbered from 1.
+const documentSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: DOCUMENT_TYPES,
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+		},
+		version: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		notes: {
+			type: String,
+			required: false,
+		},
+		// Jobs this version was sent with
+		jobIds: {
+			type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+			default: [],
+		},
+		// The uploaded file (see utils/documentStorage.js)
+		file: {
+			originalName: {
+				type: String,
+				required: true,
+			},
+			mimeType: {
+				type: String,
+				required: true,
+			},
+			size: {
+				type: Number,
+				required: true,
+			},
+			// Hex SHA-256 of the file contents
+			checksum: {
+				type: String,
+				required: true,
+			},
+			// Where the storage adapter keeps the file; not sent to clients
+			storageKey: {
+				type: String,
+				required: true,
+				select: false,
+			},
+		},
+	},
+	{ timestamps: true }
+);
+
+// Indexes for query optimization
+documentSchema.index({ userId: 1, type: 1, name: 1, version: 1 }, { unique: true }); // One document per version
+documentSchema.index({ userId: 1, jobIds: 1 }); // For the documents of a job
+
+module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,84 @@
+const { mongoose } = require('mongoose');
+const { INTERVIEW_TYPES, INTERVIEW_FORMATS, INTERVIEW_OUTCOMES } = require('../constants/interviews');
+
+const interviewerSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		role: {
+			type: String,
+			trim: true,
+		},
+		// One of the user's contacts, when the interviewer is one
+		contactId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Contact',
+			required: false,
+		},
+	},
+	{ _id: false }
+);
+
+// One interview round of a job; rounds are numbered from 1 in the order they are added
+const interviewSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		jobId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Job',
+			required: true,
+		},
+		round: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		type: {
+			type: String,
+			enum: INTERVIEW_TYPES,
+			required: true,
+		},
+		scheduledAt: {
+			type: Date,
+			required: false,
+		},
+		format: {
+			type: String,
+			enum: INTERVIEW_FORMATS,
+			required: false,
+		},
+		interviewers: {
+			type: [interviewerSchema],
+			default: [],
+		},
+		outcome: {
+			type: String,
+			enum: INTERVIEW_OUTCOMES,
+			default: 'pending',
+		},
+		feedback: {
+			type: String,
+			required: false,
+		},
+		// Interview task created for the round (see utils/interviews.js)
+		taskId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Task',
+			required: false,
+		},
+	},
+	{ timestamps: true }
+);
+
+// Indexes for query optimization and analytics
+interviewSchema.index({ userId: 1, jobId: 1, round: 1 }, { unique: true }); // One round per number for a job
+interviewSchema.index({ userId: 1, round: 1, outcome: 1 }); // For pass-through by round
+
+module.exports = mongoose.model('Interview', interviewSchema);
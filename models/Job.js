@@ -1,4 +1,90 @@
 const { mongoose } = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { PAY_PERIODS } = require('../utils/compensation');
+const { normalizePostingUrl } = require('../utils/postingUrl');
+const { WORK_MODES, EMPLOYMENT_TYPES, SENIORITY_LEVELS } = require('../constants/jobs');
+
+const statusChangeSchema = new mongoose.Schema(
+	{
+		from: {
+			type: String,
+			default: null,
+		},
+		to: {
+			type: String,
+			required: true,
+		},
+		changedAt: {
+			type: Date,
+			required: true,
+			default: Date.now,
+		},
+		note: {
+			type: String,
+			required: false,
+		},
+	},
+	{ _id: false }
+);
+
+// A salary package, as posted with the job or as offered
+const compensationSchema = new mongoose.Schema(
+	{
+		// ISO 4217 code, e.g. USD
+		currency: {
+			type: String,
+			required: true,
+			uppercase: true,
+			trim: true,
+		},
+		baseMin: {
+			type: Number,
+			min: 0,
+		},
+		baseMax: {
+			type: Number,
+			min: 0,
+		},
+		// What the base range is paid per
+		period: {
+			type: String,
+			enum: PAY_PERIODS,
+			default: 'year',
+		},
+		// Yearly target bonus
+		bonus: {
+			type: Number,
+			min: 0,
+		},
+		// Yearly value of the equity grant
+		equity: {
+			type: Number,
+			min: 0,
+		},
+		benefits: {
+			type: String,
+		},
+	},
+	{ _id: false }
+);
+
+const locationSchema = new mongoose.Schema(
+	{
+		city: {
+			type: String,
+			trim: true,
+		},
+		region: {
+			type: String,
+			trim: true,
+		},
+		country: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
 
 const jobSchema = new mongoose.Schema(
 	{
@@ -6,39 +92,155 @@ const jobSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
+		// Key of one of the user's pipeline stages (see models/Stage.js)
 		status: {
 			type: String,
 			required: true,
-			enum: ['applied', 'interviewing', 'offer', 'rejected'],
 		},
 		company: {
 			type: String,
 			required: true,
 		},
+		// Company the company text was matched to (see models/Company.js)
+		companyId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Company',
+			required: false,
+		},
 		notes: {
 			type: String,
 			required: false,
 		},
+		// Link to the posting as entered, and its normalized form (see utils/postingUrl.js)
+		postingUrl: {
+			type: String,
+			trim: true,
+			required: false,
+		},
+		postingUrlKey: {
+			type: String,
+			required: false,
+		},
+		// One of the user's job sources, e.g. LinkedIn (see utils/jobSources.js)
+		source: {
+			type: String,
+			trim: true,
+			required: false,
+		},
+		location: {
+			type: locationSchema,
+			required: false,
+		},
+		workMode: {
+			type: String,
+			enum: WORK_MODES,
+			required: false,
+		},
+		employmentType: {
+			type: String,
+			enum: EMPLOYMENT_TYPES,
+			required: false,
+		},
+		seniority: {
+			type: String,
+			enum: SENIORITY_LEVELS,
+			required: false,
+		},
 		dateApplied: {
 			type: Date,
 			required: true,
 			default: Date.now,
 		},
+		// Place in its status column on the board, from 0 at the top (see utils/jobBoard.js)
+		boardPosition: {
+			type: Number,
+			required: false,
+		},
 		userId: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
 			required: true,
 		},
+		statusHistory: {
+			type: [statusChangeSchema],
+			default: [],
+		},
+		tags: {
+			type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+			default: [],
+		},
+		// Values of the user's custom fields by field key (see utils/customFields.js)
+		customFields: {
+			type: Map,
+			of: mongoose.Schema.Types.Mixed,
+			default: undefined,
+		},
+		compensation: {
+			posted: {
+				type: compensationSchema,
+				required: false,
+			},
+			offered: {
+				type: compensationSchema,
+				required: false,
+			},
+		},
 	},
 	{ timestamps: true }
 );
 
+jobSchema.pre('validate', function setPostingUrlKey(next) {
+	if (this.isModified('postingUrl')) {
+		this.postingUrlKey = normalizePostingUrl(this.postingUrl) || undefined;
+	}
+	next();
+});
+
+// Record the initial status so every job's timeline starts at creation
+jobSchema.pre('save', function recordInitialStatus(next) {
+	if (this.isNew && this.statusHistory.length === 0) {
+		this.statusHistory.push({ from: null, to: this.status, changedAt: new Date() });
+	}
+	next();
+});
+
+/**
+ * Move the job to a new status and append the transition to its history.
+ * Returns false when the status is unchanged so no entry is written. The job
+ * loses its board position, so it shows at the top of its new column.
+ */
+jobSchema.methods.changeStatus = function changeStatus(status, note) {
+	if (status === this.status) {
+		return false;
+	}
+
+	this.statusHistory.push({
+		from: this.status,
+		to: status,
+		changedAt: new Date(),
+		note,
+	});
+	this.status = status;
+	this.boardPosition = undefined;
+	return true;
+};
+
+// Deleting moves documents to the trash (see models/plugins/softDelete.js)
+jobSchema.plugin(softDelete);
+
 // Indexes for query optimization and analytics
 jobSchema.index({ userId: 1 }); // Base index for user queries
 jobSchema.index({ userId: 1, dateApplied: -1 }); // For timeline queries and sorting
 jobSchema.index({ userId: 1, status: 1 }); // For status filtering and breakdown
+jobSchema.index({ userId: 1, status: 1, boardPosition: 1 }); // For board columns
 jobSchema.index({ userId: 1, company: 1 }); // For company filtering
+jobSchema.index({ userId: 1, companyId: 1 }); // For company counts and merging
 jobSchema.index({ userId: 1, position: 1 }); // For position search
+jobSchema.index({ userId: 1, tags: 1 }); // For tag filtering
+jobSchema.index({ userId: 1, postingUrlKey: 1 }, { sparse: true }); // For finding a posting added twice; not unique, as trashed jobs keep theirs
+jobSchema.index({ userId: 1, source: 1 }); // For source filtering and breakdown
+jobSchema.index({ userId: 1, workMode: 1 }); // For work mode filtering and breakdown
+jobSchema.index({ userId: 1, employmentType: 1 }); // For employment type filtering and breakdown
 jobSchema.index({ userId: 1, createdAt: -1 }); // For recent applications
 jobSchema.index({ userId: 1, updatedAt: -1 }); // For stage progression
 // Text index for search across multiple fields
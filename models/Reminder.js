@@ -0,0 +1,38 @@
+const { mongoose } = require('mongoose');
+
+// Record of a reminder email, written before sending so it goes out only once
+const reminderSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		type: {
+			type: String,
+			required: true,
+			enum: ['upcoming', 'overdue-summary'],
+		},
+		// Identifies what was reminded about, e.g. a task and its due time or a summary day
+		key: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		taskIds: {
+			type: [mongoose.Schema.Types.ObjectId],
+			default: [],
+		},
+		sentAt: {
+			type: Date,
+			required: true,
+			default: Date.now,
+		},
+	},
+	{ timestamps: false }
+);
+
+// Old records are only needed until the reminded tasks are due or the day is over
+reminderSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
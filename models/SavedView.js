@@ -0,0 +1,56 @@
+const { mongoose } = require('mongoose');
+
+// A named job search the user comes back to, such as "Remote offers" (see utils/savedViews.js)
+const savedViewSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		// Lowercased name, so "Remote" and "remote" are the same view
+		key: {
+			type: String,
+			required: true,
+		},
+		// GET /api/jobs filters, e.g. { status: 'applied', workMode: 'remote,hybrid', cf: { team: 'Payments' } }
+		filters: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
+		sort: {
+			sortBy: {
+				type: String,
+				required: false,
+			},
+			sortOrder: {
+				type: String,
+				enum: ['asc', 'desc'],
+				required: false,
+			},
+		},
+		// Job fields to return, e.g. ['position', 'company', 'cf.team']; every listed field when unset
+		columns: {
+			type: [String],
+			default: undefined,
+		},
+	},
+	{ timestamps: true }
+);
+
+savedViewSchema.pre('validate', function setKey(next) {
+	if (this.name) {
+		this.key = this.name.trim().toLowerCase();
+	}
+	next();
+});
+
+// Indexes for query optimization
+savedViewSchema.index({ userId: 1, key: 1 }, { unique: true }); // One view per name
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,36 @@
+const { mongoose } = require('mongoose');
+const { STAGE_CATEGORIES } = require('../constants/stages');
+
+const stageSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		key: {
+			type: String,
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+		},
+		category: {
+			type: String,
+			required: true,
+			enum: STAGE_CATEGORIES,
+		},
+		order: {
+			type: Number,
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+// Indexes for query optimization
+stageSchema.index({ userId: 1, key: 1 }, { unique: true }); // Stage keys are unique per user
+stageSchema.index({ userId: 1, order: 1 }); // For listing the pipeline in order
+
+module.exports = mongoose.model('Stage', stageSchema);
@@ -0,0 +1,40 @@
+const { mongoose } = require('mongoose');
+
+// A user-defined label such as "dream job" or "referral" for jobs and tasks
+const tagSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		// Lowercased name, so "Remote" and "remote" are the same tag
+		key: {
+			type: String,
+			required: true,
+		},
+		// Hex color, e.g. #22C55E
+		color: {
+			type: String,
+			default: '#6B7280',
+		},
+	},
+	{ timestamps: true }
+);
+
+tagSchema.pre('validate', function setKey(next) {
+	if (this.name) {
+		this.key = this.name.trim().toLowerCase();
+	}
+	next();
+});
+
+// Indexes for query optimization
+tagSchema.index({ userId: 1, key: 1 }, { unique: true }); // One tag per name
+
+module.exports = mongoose.model('Tag', tagSchema);
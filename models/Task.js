@@ -1,4 +1,5 @@
 const { mongoose } = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const taskSchema = new mongoose.Schema(
 	{
@@ -12,6 +13,11 @@ const taskSchema = new mongoose.Schema(
 			ref: 'Job',
 			required: false,
 		},
+		contactId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Contact',
+			required: false,
+		},
 		title: {
 			type: String,
 			required: true,
@@ -33,15 +39,51 @@ const taskSchema = new mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		tags: {
+			type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+			default: [],
+		},
+		// Set on tasks created by an automation rule (see models/AutomationRule.js)
+		automationRuleId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'AutomationRule',
+			required: false,
+		},
+		// Set on occurrences of a recurring task (see models/TaskSeries.js)
+		seriesId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'TaskSeries',
+			required: false,
+		},
+		// 1-based position in the series
+		occurrence: {
+			type: Number,
+			required: false,
+		},
+		// Due date given by the recurrence rule; dueDateTime may be moved for this occurrence only
+		scheduledFor: {
+			type: Date,
+			required: false,
+		},
 	},
 	{ timestamps: true }
 );
 
+// Deleting moves documents to the trash (see models/plugins/softDelete.js)
+taskSchema.plugin(softDelete);
+
 // Indexes for query optimization and analytics
 taskSchema.index({ userId: 1 }); // Base index for user queries
 taskSchema.index({ userId: 1, dueDateTime: 1 }); // For upcoming tasks and sorting
 taskSchema.index({ userId: 1, completed: 1 }); // For completion filtering
 taskSchema.index({ userId: 1, taskType: 1 }); // For task type filtering
+taskSchema.index({ userId: 1, contactId: 1 }); // For the tasks of a contact
+taskSchema.index({ userId: 1, tags: 1 }); // For tag filtering
+// One task per occurrence, so completing an occurrence twice creates the next one once
+taskSchema.index(
+	{ seriesId: 1, occurrence: 1 },
+	{ unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
 // Text index for search across multiple fields
 taskSchema.index({ title: 'text', notes: 'text' });
 
@@ -0,0 +1,76 @@
+const { mongoose } = require('mongoose');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+
+const recurrenceSchema = new mongoose.Schema(
+	{
+		frequency: {
+			type: String,
+			required: true,
+			enum: FREQUENCIES,
+		},
+		// Every N days or weeks
+		interval: {
+			type: Number,
+			default: 1,
+			min: 1,
+		},
+		// Weekly only; defaults to the weekday of the series start
+		byWeekday: {
+			type: [{ type: String, enum: WEEKDAYS }],
+			default: undefined,
+		},
+		until: {
+			type: Date,
+		},
+		// Total number of occurrences, including completed ones
+		count: {
+			type: Number,
+			min: 1,
+		},
+	},
+	{ _id: false }
+);
+
+// A recurring task. Occurrences are Task documents created one at a time:
+// completing an occurrence creates the next one from the series fields.
+const taskSeriesSchema = new mongoose.Schema(
+	{
+		userId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		jobId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Job',
+			required: false,
+		},
+		title: {
+			type: String,
+			required: true,
+		},
+		taskType: {
+			type: String,
+			required: true,
+			enum: ['follow-up', 'interview', 'networking', 'research', 'other'],
+		},
+		notes: {
+			type: String,
+			required: false,
+		},
+		recurrence: {
+			type: recurrenceSchema,
+			required: true,
+		},
+		// Due date of the first occurrence; later ones are counted from here
+		startsAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+taskSeriesSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
@@ -42,6 +42,31 @@ const userSchema = new mongoose.Schema(
 		refreshTokenExpires: {
 			type: Date,
 		},
+		// Task reminder emails; leadTimeMinutes falls back to TASK_REMINDER_LEAD_MINUTES
+		reminders: {
+			upcoming: {
+				type: Boolean,
+				default: true,
+			},
+			overdueSummary: {
+				type: Boolean,
+				default: true,
+			},
+			leadTimeMinutes: {
+				type: Number,
+				default: null,
+			},
+		},
+		// Sources a job's source is picked from; unset means DEFAULT_JOB_SOURCES
+		jobSources: {
+			type: [String],
+			default: undefined,
+		},
+		// SHA-256 hash of the secret in the user's task calendar feed URL
+		calendarToken: {
+			type: String,
+			index: { sparse: true },
+		},
 	},
 	{ timestamps: true }
 );
@@ -0,0 +1,49 @@
+// Query middleware that should never see trashed documents
+const QUERY_HOOKS = [
+	'find',
+	'findOne',
+	'countDocuments',
+	'updateOne',
+	'updateMany',
+	'findOneAndUpdate',
+	'deleteOne',
+	'deleteMany',
+	'findOneAndDelete',
+];
+
+/**
+ * Soft delete support. Documents get a deletedAt timestamp instead of being
+ * removed, and queries and aggregations skip them unless they filter on
+ * deletedAt themselves (as the trash endpoints do). Queries that must cover
+ * active and trashed documents alike pass the { withDeleted: true } option.
+ */
+const softDelete = (schema) => {
+	schema.add({
+		deletedAt: {
+			type: Date,
+			default: null,
+		},
+	});
+
+	schema.index({ userId: 1, deletedAt: 1 }); // For trash listing and purging
+
+	schema.pre(QUERY_HOOKS, function excludeDeleted() {
+		const { withDeleted } = this.getOptions();
+		// Not a MongoDB option, so keep it from reaching the driver
+		delete this.options.withDeleted;
+
+		if (!withDeleted && this.getFilter().deletedAt === undefined) {
+			this.where({ deletedAt: null });
+		}
+	});
+
+	schema.pre('aggregate', function excludeDeletedFromAggregate() {
+		const [firstStage] = this.pipeline();
+		const filtersDeleted = firstStage && firstStage.$match && firstStage.$match.deletedAt !== undefined;
+		if (!filtersDeleted) {
+			this.pipeline().unshift({ $match: { deletedAt: null } });
+		}
+	});
+};
+
+module.exports = softDelete;
@@ -5,13 +5,46 @@ const { protect } = require('../middleware/authMiddleware');
 const {
     getDashboard,
     getTimeline,
-    getInsights
+    getInsights,
+    getDocumentAnalytics,
+    getJobDetailAnalytics,
+    getSourceAnalytics,
+    getInterviewAnalytics
 } = require('../controllers/analyticsController');
+const { documentValidation } = require('../middleware/validation');
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     JobDetailBreakdown:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *           nullable: true
+ *           description: Work mode or employment type; null for jobs without one
+ *           example: remote
+ *         applications:
+ *           type: integer
+ *           example: 20
+ *         responses:
+ *           type: integer
+ *           description: Jobs moved out of the entry stage, rejections included
+ *           example: 6
+ *         offers:
+ *           type: integer
+ *           example: 1
+ *         rejections:
+ *           type: integer
+ *           example: 3
+ *         responseRate:
+ *           type: number
+ *           example: 30
+ *         offerRate:
+ *           type: number
+ *           example: 5
+ *     
  *     DashboardAnalytics:
  *       type: object
  *       properties:
@@ -21,19 +54,71 @@ const {
  *           example: 47
  *         byStatus:
  *           type: object
+ *           description: Job count for each of the user's pipeline stages, keyed by stage key
+ *           additionalProperties:
+ *             type: number
+ *           example:
+ *             applied: 15
+ *             phone-screen: 4
+ *             interviewing: 8
+ *             offer: 3
+ *             rejected: 21
+ *         byCategory:
+ *           type: object
  *           properties:
- *             applied:
- *               type: number
- *               example: 15
- *             interviewing:
+ *             active:
  *               type: number
- *               example: 8
- *             offer:
+ *               example: 27
+ *             won:
  *               type: number
  *               example: 3
- *             rejected:
+ *             lost:
  *               type: number
  *               example: 21
+ *         byTag:
+ *           type: array
+ *           description: Jobs with each of the user's tags, by outcome
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: Referral
+ *               color:
+ *                 type: string
+ *                 example: '#22C55E'
+ *               count:
+ *                 type: number
+ *                 example: 6
+ *               byCategory:
+ *                 type: object
+ *                 properties:
+ *                   active:
+ *                     type: number
+ *                   won:
+ *                     type: number
+ *                   lost:
+ *                     type: number
+ *         stages:
+ *           type: array
+ *           description: Stage breakdown in pipeline order
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: phone-screen
+ *               name:
+ *                 type: string
+ *                 example: Phone Screen
+ *               category:
+ *                 type: string
+ *                 enum: [active, won, lost]
+ *               count:
+ *                 type: number
+ *                 example: 4
  *         thisMonth:
  *           type: number
  *           description: Applications submitted this month
@@ -113,6 +198,26 @@ const {
  *                 type: number
  *                 example: 2
  *     
+ *     StageDurationStats:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: number
+ *           description: Number of jobs that made this transition
+ *           example: 6
+ *         meanDays:
+ *           type: number
+ *           nullable: true
+ *           example: 12.4
+ *         medianDays:
+ *           type: number
+ *           nullable: true
+ *           example: 10
+ *         p90Days:
+ *           type: number
+ *           nullable: true
+ *           example: 21.5
+ *     
  *     InsightsData:
  *       type: object
  *       properties:
@@ -127,6 +232,18 @@ const {
  *               type: number
  *               description: Average days from application to offer
  *               example: 28
+ *             transitions:
+ *               type: object
+ *               description: Durations measured from recorded status transitions
+ *               properties:
+ *                 appliedToInterviewing:
+ *                   $ref: '#/components/schemas/StageDurationStats'
+ *                 interviewingToOffer:
+ *                   $ref: '#/components/schemas/StageDurationStats'
+ *                 appliedToOffer:
+ *                   $ref: '#/components/schemas/StageDurationStats'
+ *                 appliedToRejected:
+ *                   $ref: '#/components/schemas/StageDurationStats'
  *         dayOfWeekSuccess:
  *           type: array
  *           items:
@@ -289,4 +406,282 @@ router.get('/timeline', protect, getTimeline);
  */
 router.get('/insights', protect, getInsights);
 
+/**
+ * @swagger
+ * /api/analytics/documents:
+ *   get:
+ *     summary: Get outcomes by document version
+ *     description: For each version of the user's documents of a type, the jobs it was sent with and how many reached interviews, offers and rejections
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [resume, cover_letter, other]
+ *           default: resume
+ *     responses:
+ *       200:
+ *         description: Document analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Analytics retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       example: resume
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           documentId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                             example: Backend resume
+ *                           version:
+ *                             type: integer
+ *                             example: 2
+ *                           originalName:
+ *                             type: string
+ *                           uploadedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           applications:
+ *                             type: integer
+ *                             example: 12
+ *                           interviews:
+ *                             type: integer
+ *                             description: Jobs in an active stage past the entry stage
+ *                             example: 3
+ *                           offers:
+ *                             type: integer
+ *                             example: 1
+ *                           rejections:
+ *                             type: integer
+ *                             example: 5
+ *                           interviewRate:
+ *                             type: number
+ *                             description: Percentage of jobs that reached interviews or an offer
+ *                             example: 33.3
+ *                           offerRate:
+ *                             type: number
+ *                             example: 8.3
+ *       400:
+ *         description: Invalid document type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/documents', protect, documentValidation.analytics, getDocumentAnalytics);
+
+/**
+ * @swagger
+ * /api/analytics/job-details:
+ *   get:
+ *     summary: Get outcomes by work mode and employment type
+ *     description: Response and offer rates of the user's jobs for each work mode and each employment type
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job detail analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Analytics retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     byWorkMode:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/JobDetailBreakdown'
+ *                     byEmploymentType:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/JobDetailBreakdown'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/job-details', protect, getJobDetailAnalytics);
+
+/**
+ * @swagger
+ * /api/analytics/sources:
+ *   get:
+ *     summary: Get outcomes by job source
+ *     description: Applications, interview rate and offer rate for each of the user's job sources, in the user's order. Sources no longer in the list and jobs without a source (null) follow.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Source analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Analytics retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bySource:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           source:
+ *                             type: string
+ *                             nullable: true
+ *                             example: Referral
+ *                           applications:
+ *                             type: integer
+ *                             example: 8
+ *                           interviews:
+ *                             type: integer
+ *                             description: Jobs in an active stage past the entry stage
+ *                             example: 3
+ *                           offers:
+ *                             type: integer
+ *                             example: 1
+ *                           rejections:
+ *                             type: integer
+ *                             example: 2
+ *                           interviewRate:
+ *                             type: number
+ *                             description: Percentage of jobs that reached interviews or an offer
+ *                             example: 50
+ *                           offerRate:
+ *                             type: number
+ *                             example: 12.5
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sources', protect, getSourceAnalytics);
+
+/**
+ * @swagger
+ * /api/analytics/interviews:
+ *   get:
+ *     summary: Get interview round analytics
+ *     description: How many rounds jobs go through and how many rounds are passed at each round number. Cancelled rounds are not counted in rounds per job.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Interview analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Analytics retrieved successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobsWithInterviews:
+ *                       type: integer
+ *                       example: 4
+ *                     totalRounds:
+ *                       type: integer
+ *                       example: 10
+ *                     avgRoundsPerJob:
+ *                       type: number
+ *                       example: 2.5
+ *                     roundsPerJob:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rounds:
+ *                             type: integer
+ *                             example: 3
+ *                           jobs:
+ *                             type: integer
+ *                             example: 2
+ *                     byRound:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           round:
+ *                             type: integer
+ *                             example: 1
+ *                           total:
+ *                             type: integer
+ *                             example: 4
+ *                           passed:
+ *                             type: integer
+ *                             example: 3
+ *                           failed:
+ *                             type: integer
+ *                             example: 1
+ *                           pending:
+ *                             type: integer
+ *                             example: 0
+ *                           cancelled:
+ *                             type: integer
+ *                             example: 0
+ *                           passThroughRate:
+ *                             type: number
+ *                             description: Percentage of decided rounds (passed or failed) that were passed
+ *                             example: 75
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/interviews', protect, getInterviewAnalytics);
+
 module.exports = router;
@@ -8,6 +8,10 @@ const {
 	resendVerificationEmail,
 	loginUser,
 	updateUser,
+	getReminderSettings,
+	updateReminderSettings,
+	getJobSources,
+	updateJobSources,
 	verifyEmail,
 	requestPasswordReset,
 	resetPassword,
@@ -75,6 +79,36 @@ const {
  *           description: User last name
  *           example: Doe
  *
+ *     ReminderSettings:
+ *       type: object
+ *       properties:
+ *         upcoming:
+ *           type: boolean
+ *           description: Email a reminder before each task is due
+ *           example: true
+ *         overdueSummary:
+ *           type: boolean
+ *           description: Email a daily summary of overdue tasks
+ *           example: true
+ *         leadTimeMinutes:
+ *           type: number
+ *           nullable: true
+ *           minimum: 1
+ *           maximum: 10080
+ *           description: Minutes before the due time to send the reminder. null uses the server default (TASK_REMINDER_LEAD_MINUTES)
+ *           example: 120
+ *
+ *     JobSources:
+ *       type: object
+ *       properties:
+ *         sources:
+ *           type: array
+ *           nullable: true
+ *           description: Names a job's source can be, in display order. null on update goes back to the defaults
+ *           items:
+ *             type: string
+ *           example: [LinkedIn, Referral, Company website, Recruiter, Job board, Other]
+ *
  *     ChangePasswordRequest:
  *       type: object
  *       required:
@@ -272,6 +306,119 @@ router.post('/login', authValidation.login, loginUser);
  */
 router.put('/update', protect, authValidation.updateUser, updateUser);
 
+/**
+ * @swagger
+ * /api/auth/reminders:
+ *   get:
+ *     summary: Get task reminder email settings
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reminders:
+ *                   $ref: '#/components/schemas/ReminderSettings'
+ *                 effectiveLeadTimeMinutes:
+ *                   type: number
+ *                   description: Lead time actually used, after applying the server default
+ *                   example: 60
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update task reminder email settings
+ *     description: Turn upcoming task reminders or the daily overdue summary on or off and set the reminder lead time
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderSettings'
+ *     responses:
+ *       200:
+ *         description: Reminder settings updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/reminders')
+	.get(protect, getReminderSettings)
+	.put(protect, authValidation.reminderSettings, updateReminderSettings);
+
+/**
+ * @swagger
+ * /api/auth/job-sources:
+ *   get:
+ *     summary: Get the sources a job can come from
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job sources retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobSources'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Replace the sources a job can come from
+ *     description: Jobs keep their source when it is removed from the list
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JobSources'
+ *     responses:
+ *       200:
+ *         description: Job sources updated successfully
+ *       400:
+ *         description: Empty list, repeated source or invalid name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/job-sources')
+	.get(protect, getJobSources)
+	.put(protect, authValidation.jobSources, updateJobSources);
+
 /**
  * @swagger
  * /api/auth/change-password:
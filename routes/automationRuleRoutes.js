@@ -0,0 +1,194 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	automationRuleValidation,
+	validateJobStatus,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getAutomationRules,
+	createAutomationRule,
+	updateAutomationRule,
+	deleteAutomationRule,
+} = require('../controllers/automationRuleController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AutomationRule:
+ *       type: object
+ *       description: When a job enters status, a task of taskType due dueInDays later is created for it
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         status:
+ *           type: string
+ *           description: Key of the stage that triggers the rule
+ *           example: applied
+ *         taskType:
+ *           type: string
+ *           enum: [follow-up, interview, networking, research, other]
+ *           example: follow-up
+ *         dueInDays:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *           description: Days after the job enters the status that the task is due
+ *           example: 7
+ *         titleTemplate:
+ *           type: string
+ *           description: Task title; {{company}}, {{position}} and {{status}} are filled in from the job
+ *           example: Follow up with {{company}} about {{position}}
+ *         notes:
+ *           type: string
+ *           description: Notes copied to the created task
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *
+ *     AutomationRuleRequest:
+ *       type: object
+ *       required:
+ *         - status
+ *         - taskType
+ *         - dueInDays
+ *         - titleTemplate
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: applied
+ *         taskType:
+ *           type: string
+ *           enum: [follow-up, interview, networking, research, other]
+ *           example: follow-up
+ *         dueInDays:
+ *           type: integer
+ *           example: 7
+ *         titleTemplate:
+ *           type: string
+ *           example: Follow up with {{company}} about {{position}}
+ *         notes:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/automation-rules:
+ *   get:
+ *     summary: Get the automation rules of the authenticated user
+ *     description: Rules run when a job is created in or moved to their status. Tasks they create have automationRuleId set.
+ *     tags: [Automation Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Automation rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AutomationRule'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create an automation rule
+ *     tags: [Automation Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutomationRuleRequest'
+ *     responses:
+ *       201:
+ *         description: Automation rule created successfully
+ *       400:
+ *         description: Validation error or unknown status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, getAutomationRules)
+	.post(protect, automationRuleValidation.create, validateJobStatus, createAutomationRule);
+
+/**
+ * @swagger
+ * /api/automation-rules/{id}:
+ *   patch:
+ *     summary: Update an automation rule
+ *     description: Changes apply to jobs entering the status from now on. Set enabled to false to pause a rule.
+ *     tags: [Automation Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Automation rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutomationRuleRequest'
+ *     responses:
+ *       200:
+ *         description: Automation rule updated successfully
+ *       400:
+ *         description: Validation error or unknown status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Automation rule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an automation rule
+ *     description: Tasks the rule already created are kept.
+ *     tags: [Automation Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Automation rule ID
+ *     responses:
+ *       200:
+ *         description: Automation rule deleted successfully
+ *       404:
+ *         description: Automation rule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.patch(protect, validateObjectId, automationRuleValidation.update, validateJobStatus, updateAutomationRule)
+	.delete(protect, validateObjectId, deleteAutomationRule);
+
+module.exports = router;
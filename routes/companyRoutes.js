@@ -0,0 +1,320 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	companyValidation,
+	validateObjectId,
+	validateIdArray
+} = require('../middleware/validation');
+const {
+	getCompanies,
+	getCompany,
+	createCompany,
+	updateCompany,
+	deleteCompany,
+	mergeCompanies,
+} = require('../controllers/companyController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Company:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         name:
+ *           type: string
+ *           description: Canonical name
+ *           example: Google
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Other names jobs use for the company
+ *           example: [Google LLC, Alphabet]
+ *         website:
+ *           type: string
+ *           example: https://about.google
+ *         industry:
+ *           type: string
+ *           example: Technology
+ *         size:
+ *           type: string
+ *           enum: [1-10, 11-50, 51-200, 201-1000, 1001-5000, 5001+]
+ *         notes:
+ *           type: string
+ *         matchKeys:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Normalized name and aliases that job company names are matched against
+ *           example: [google, alphabet]
+ *
+ *     CompanyStats:
+ *       type: object
+ *       properties:
+ *         jobCount:
+ *           type: integer
+ *           example: 3
+ *         outcomes:
+ *           type: object
+ *           description: Jobs per stage category
+ *           properties:
+ *             active:
+ *               type: integer
+ *             won:
+ *               type: integer
+ *             lost:
+ *               type: integer
+ *         byStatus:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           example: { applied: 1, interviewing: 1, rejected: 1 }
+ *
+ *     CompanyRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when creating a company
+ *           example: Google
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *         website:
+ *           type: string
+ *         industry:
+ *           type: string
+ *         size:
+ *           type: string
+ *           enum: [1-10, 11-50, 51-200, 201-1000, 1001-5000, 5001+]
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/companies:
+ *   get:
+ *     summary: Get companies with job counts and outcomes
+ *     description: Jobs are linked to companies by their company name, ignoring case, punctuation and legal forms such as "LLC"; a company is created for names that match none.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches names and aliases
+ *       - in: query
+ *         name: industry
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Companies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 companies:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Company'
+ *                       - $ref: '#/components/schemas/CompanyStats'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *   post:
+ *     summary: Create a company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CompanyRequest'
+ *     responses:
+ *       201:
+ *         description: Company created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another company already has the name or one of the aliases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, companyValidation.list, getCompanies)
+	.post(protect, companyValidation.create, createCompany);
+
+/**
+ * @swagger
+ * /api/companies/{id}:
+ *   get:
+ *     summary: Get a company with its job counts and jobs
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Company retrieved successfully
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CompanyRequest'
+ *     responses:
+ *       200:
+ *         description: Company updated successfully
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another company already has the name or one of the aliases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a company without jobs
+ *     description: Companies that still have jobs, including jobs in the trash, must be merged into another company instead.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Company deleted successfully
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Company still has jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.get(protect, validateObjectId, getCompany)
+	.patch(protect, validateObjectId, companyValidation.update, updateCompany)
+	.delete(protect, validateObjectId, deleteCompany);
+
+/**
+ * @swagger
+ * /api/companies/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate companies into this one
+ *     description: Jobs of the listed companies move to this company, their names become its aliases, details it lacks are copied over, and the listed companies are deleted.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the company to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the companies to merge into this one
+ *     responses:
+ *       200:
+ *         description: Companies merged successfully
+ *       400:
+ *         description: Invalid IDs or the company itself is listed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/merge', protect, validateObjectId, validateIdArray, mergeCompanies);
+
+module.exports = router;
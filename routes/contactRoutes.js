@@ -0,0 +1,269 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	contactValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getContacts,
+	getContact,
+	createContact,
+	updateContact,
+	deleteContact,
+} = require('../controllers/contactController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Contact:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         name:
+ *           type: string
+ *           example: Jane Smith
+ *         email:
+ *           type: string
+ *           example: jane.smith@example.com
+ *         phone:
+ *           type: string
+ *           example: +1 555 0100
+ *         linkedinUrl:
+ *           type: string
+ *           example: https://www.linkedin.com/in/janesmith
+ *         company:
+ *           type: string
+ *           example: Google
+ *         role:
+ *           type: string
+ *           description: Their role, e.g. recruiter, hiring manager or referrer
+ *           example: Technical Recruiter
+ *         notes:
+ *           type: string
+ *         jobIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Jobs the contact is linked to
+ *         lastInteractionAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Updated when a task linked to the contact is completed
+ *
+ *     ContactRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when creating a contact
+ *           example: Jane Smith
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         linkedinUrl:
+ *           type: string
+ *         company:
+ *           type: string
+ *         role:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         jobIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the user's jobs; replaces the linked jobs on update
+ *         lastInteractionAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/contacts:
+ *   get:
+ *     summary: Get contacts for authenticated user
+ *     description: Retrieve a page of the user's contacts, optionally filtered by job or company and searched by name, email, company or role
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only contacts linked to this job
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [name, company, lastInteractionAt, createdAt, updatedAt]
+ *           default: name
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Contacts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 contacts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a contact
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactRequest'
+ *     responses:
+ *       201:
+ *         description: Contact created successfully
+ *       400:
+ *         description: Validation error or jobIds not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, contactValidation.list, getContacts)
+	.post(protect, contactValidation.create, createContact);
+
+/**
+ * @swagger
+ * /api/contacts/{id}:
+ *   get:
+ *     summary: Get a contact
+ *     description: Returns the contact with its linked jobs and tasks
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact ID
+ *     responses:
+ *       200:
+ *         description: Contact retrieved successfully
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a contact
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactRequest'
+ *     responses:
+ *       200:
+ *         description: Contact updated successfully
+ *       400:
+ *         description: Validation error or jobIds not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a contact
+ *     description: Linked tasks are kept without the link.
+ *     tags: [Contacts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contact ID
+ *     responses:
+ *       200:
+ *         description: Contact deleted successfully
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.get(protect, validateObjectId, getContact)
+	.patch(protect, validateObjectId, contactValidation.update, updateContact)
+	.delete(protect, validateObjectId, deleteContact);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	customFieldValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getCustomFields,
+	createCustomField,
+	updateCustomField,
+	deleteCustomField,
+} = require('../controllers/customFieldController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomField:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         name:
+ *           type: string
+ *           example: Visa sponsorship
+ *         key:
+ *           type: string
+ *           description: Set from the name when the field is created; job values, filters, sorting and export columns use it
+ *           example: visa-sponsorship
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, boolean, select]
+ *           example: boolean
+ *         options:
+ *           type: array
+ *           description: Choices of a select field
+ *           items:
+ *             type: string
+ *
+ *     CustomFieldRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when creating a field; unique per user, ignoring case and punctuation
+ *           example: Team
+ *         type:
+ *           type: string
+ *           description: Required when creating a field; cannot be changed
+ *           enum: [text, number, date, boolean, select]
+ *           example: select
+ *         options:
+ *           type: array
+ *           description: 1 to 100 choices, required for select fields and not allowed for other types
+ *           items:
+ *             type: string
+ *           example: [Payments, Platform, Growth]
+ */
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   get:
+ *     summary: Get custom fields for authenticated user
+ *     description: The user's custom fields in the order they were created
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Custom fields retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CustomField'
+ *   post:
+ *     summary: Create a custom field
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldRequest'
+ *     responses:
+ *       201:
+ *         description: Custom field created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A custom field with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, getCustomFields)
+	.post(protect, customFieldValidation.create, createCustomField);
+
+/**
+ * @swagger
+ * /api/custom-fields/{id}:
+ *   patch:
+ *     summary: Update a custom field
+ *     description: Renames a field or replaces the options of a select field. Jobs lose values of options that are removed, which are counted in clearedJobs.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Custom field ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldRequest'
+ *     responses:
+ *       200:
+ *         description: Custom field updated successfully
+ *       400:
+ *         description: Validation error, type changed or options given for a field that is not a select field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Custom field not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A custom field with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a custom field
+ *     description: The field's values are removed from all jobs, including those in the trash.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Custom field ID
+ *     responses:
+ *       200:
+ *         description: Custom field deleted successfully
+ *       404:
+ *         description: Custom field not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.patch(protect, validateObjectId, customFieldValidation.update, updateCustomField)
+	.delete(protect, validateObjectId, deleteCustomField);
+
+module.exports = router;
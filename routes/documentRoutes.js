@@ -0,0 +1,331 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { documentUpload } = require('../middleware/upload');
+const {
+	documentValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getDocuments,
+	getDocument,
+	uploadDocument,
+	downloadDocument,
+	updateDocument,
+	deleteDocument,
+} = require('../controllers/documentController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Document:
+ *       type: object
+ *       description: One uploaded version of a document
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         type:
+ *           type: string
+ *           enum: [resume, cover_letter, other]
+ *           example: resume
+ *         name:
+ *           type: string
+ *           description: Versions of a document share its type and name
+ *           example: Backend resume
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         notes:
+ *           type: string
+ *           example: Added the payments project
+ *         jobIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Jobs this version was sent with
+ *         file:
+ *           type: object
+ *           properties:
+ *             originalName:
+ *               type: string
+ *               example: resume-2026.pdf
+ *             mimeType:
+ *               type: string
+ *               example: application/pdf
+ *             size:
+ *               type: integer
+ *               description: Size in bytes
+ *               example: 48213
+ *             checksum:
+ *               type: string
+ *               description: Hex SHA-256 of the file
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/documents:
+ *   get:
+ *     summary: Get documents for authenticated user
+ *     description: Retrieve a page of the user's document versions, newest version first within each document
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [resume, cover_letter, other]
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Only versions of the document with this name
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Only documents sent with this job
+ *       - in: query
+ *         name: latest
+ *         schema:
+ *           type: boolean
+ *         description: Only the latest version of each document
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Document'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Upload a document
+ *     description: |
+ *       Uploads a PDF, Word, OpenDocument, RTF, text or Markdown file as multipart/form-data.
+ *       The file becomes the next version of the document with the same type and name,
+ *       or version 1 of a new document. Files are limited to DOCUMENT_MAX_SIZE_MB (5 MB by default).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, type, name]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [resume, cover_letter, other]
+ *               name:
+ *                 type: string
+ *                 example: Backend resume
+ *               notes:
+ *                 type: string
+ *               jobIds:
+ *                 type: string
+ *                 description: Comma-separated IDs of jobs this version was sent with; the field may also be repeated
+ *     responses:
+ *       201:
+ *         description: Document uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Document uploaded successfully
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Not multipart/form-data, missing or unsupported file, or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The file is identical to the latest version; details.document is that version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File is too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, documentValidation.list, getDocuments)
+	.post(protect, documentUpload, documentValidation.upload, uploadDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/file:
+ *   get:
+ *     summary: Download a document version
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: The file, as an attachment with its original name
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/file', protect, validateObjectId, downloadDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   get:
+ *     summary: Get a document version
+ *     description: Returns the version with its linked jobs and a list of all versions of the document
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a document version
+ *     description: Only notes and linked jobs can change; upload a new version to change the file.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               jobIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the user's jobs; replaces the linked jobs
+ *     responses:
+ *       200:
+ *         description: Document updated successfully
+ *       400:
+ *         description: Validation error or jobIds not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a document version
+ *     description: Deletes this version and its file. Other versions keep their numbers.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted successfully
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.get(protect, validateObjectId, getDocument)
+	.patch(protect, validateObjectId, documentValidation.update, updateDocument)
+	.delete(protect, validateObjectId, deleteDocument);
+
+module.exports = router;
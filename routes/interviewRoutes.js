@@ -0,0 +1,295 @@
+const express = require('express');
+
+// Mounted under /api/jobs/:id/interviews
+const router = express.Router({ mergeParams: true });
+const { protect } = require('../middleware/authMiddleware');
+const {
+	interviewValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getInterviews,
+	getInterview,
+	createInterview,
+	updateInterview,
+	deleteInterview,
+} = require('../controllers/interviewController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Interviewer:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Jane Smith
+ *         role:
+ *           type: string
+ *           example: Engineering Manager
+ *         contactId:
+ *           type: string
+ *           description: One of the user's contacts, when the interviewer is one
+ *
+ *     Interview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         jobId:
+ *           type: string
+ *         round:
+ *           type: integer
+ *           description: Position of the round, from 1 in the order rounds were added
+ *           example: 2
+ *         type:
+ *           type: string
+ *           enum: [phone-screen, technical, behavioral, system-design, take-home, hiring-manager, onsite, final, other]
+ *           example: technical
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         format:
+ *           type: string
+ *           enum: [phone, video, in-person, take-home]
+ *           example: video
+ *         interviewers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Interviewer'
+ *         outcome:
+ *           type: string
+ *           enum: [pending, passed, failed, cancelled]
+ *           default: pending
+ *         feedback:
+ *           type: string
+ *           example: Went well; asked for more detail on caching
+ *         taskId:
+ *           type: string
+ *           description: Interview task created for the round
+ *
+ *     InterviewRequest:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           description: Required when creating a round
+ *           enum: [phone-screen, technical, behavioral, system-design, take-home, hiring-manager, onsite, final, other]
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         format:
+ *           type: string
+ *           enum: [phone, video, in-person, take-home]
+ *         interviewers:
+ *           type: array
+ *           description: Replaces the round's interviewers on update
+ *           items:
+ *             $ref: '#/components/schemas/Interviewer'
+ *         outcome:
+ *           type: string
+ *           enum: [pending, passed, failed, cancelled]
+ *         feedback:
+ *           type: string
+ *
+ *     InterviewResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         interview:
+ *           $ref: '#/components/schemas/Interview'
+ *         task:
+ *           $ref: '#/components/schemas/Task'
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{id}/interviews:
+ *   get:
+ *     summary: Get the interview rounds of a job
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Rounds in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Interview'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add an interview round
+ *     description: The round is numbered after the job's last round. A scheduled round gets an interview task due at its time, which is completed once the round is passed or failed and trashed if it is cancelled.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InterviewRequest'
+ *     responses:
+ *       201:
+ *         description: Interview round created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InterviewResponse'
+ *       400:
+ *         description: Validation error or interviewer contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, validateObjectId, getInterviews)
+	.post(protect, validateObjectId, interviewValidation.create, createInterview);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/interviews/{interviewId}:
+ *   get:
+ *     summary: Get an interview round
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview round retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       404:
+ *         description: Job or round not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update an interview round
+ *     description: The round's interview task follows the change
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InterviewRequest'
+ *     responses:
+ *       200:
+ *         description: Interview round updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InterviewResponse'
+ *       400:
+ *         description: Validation error or interviewer contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job or round not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an interview round
+ *     description: Later rounds move up a number. The round's task is trashed unless it is completed.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview round deleted successfully
+ *       404:
+ *         description: Job or round not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:interviewId')
+	.get(protect, validateObjectId, interviewValidation.interviewId, getInterview)
+	.patch(protect, validateObjectId, interviewValidation.interviewId, interviewValidation.update, updateInterview)
+	.delete(protect, validateObjectId, interviewValidation.interviewId, deleteInterview);
+
+module.exports = router;
@@ -1,20 +1,34 @@
 const express = require('express');
+const xss = require('xss-clean');
 
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const { 
 	jobValidation, 
+	validateJobStatus,
+	validateJobImport,
+	validateExportFormat,
+	validateOfferComparison,
+	validateCascadePolicy,
 	validateObjectId, 
 	validateIdArray 
 } = require('../middleware/validation');
 const {
 	getJobs,
+	getJobBoard,
+	exportJobs,
+	compareOffers,
+	getDuplicateJobs,
 	getJob,
 	createJob,
+	importJobs,
 	updateJob,
+	moveJob,
+	getJobHistory,
 	deleteJob,
 	deleteMultipleJobs,
 } = require('../controllers/jobController');
+const interviewRoutes = require('./interviewRoutes');
 
 /**
  * @swagger
@@ -37,8 +51,7 @@ const {
  *           example: Software Engineer
  *         status:
  *           type: string
- *           enum: [applied, interviewing, offer, rejected, withdrawn]
- *           description: Current application status
+ *           description: Key of one of the user's pipeline stages (see /api/stages)
  *           example: applied
  *         dateApplied:
  *           type: string
@@ -49,6 +62,47 @@ const {
  *           type: string
  *           description: Additional notes about the job
  *           example: Great company culture, remote work available
+ *         statusNote:
+ *           type: string
+ *           description: Optional note stored with the initial status history entry
+ *           example: Applied through referral
+ *         postingUrl:
+ *           type: string
+ *           format: uri
+ *           description: Link to the posting; a job with the same posting URL is rejected with 409
+ *           example: https://careers.example.com/jobs/123
+ *         source:
+ *           type: string
+ *           description: One of the user's job sources (see /api/auth/job-sources), matched ignoring case
+ *           example: Referral
+ *         location:
+ *           $ref: '#/components/schemas/JobLocation'
+ *         workMode:
+ *           type: string
+ *           enum: [remote, hybrid, onsite]
+ *           example: hybrid
+ *         employmentType:
+ *           type: string
+ *           enum: [full-time, contract, internship]
+ *           example: full-time
+ *         seniority:
+ *           type: string
+ *           enum: [intern, junior, mid, senior, lead, principal, executive]
+ *           example: senior
+ *         compensation:
+ *           $ref: '#/components/schemas/Compensation'
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the user's tags; replaces the job's tags on update
+ *         customFields:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Values of the user's custom fields by field key (see /api/custom-fields)
+ *           example:
+ *             visa-sponsorship: true
+ *             team: Payments
  *     
  *     UpdateJobRequest:
  *       type: object
@@ -63,8 +117,7 @@ const {
  *           example: Senior Software Engineer
  *         status:
  *           type: string
- *           enum: [applied, interviewing, offer, rejected, withdrawn]
- *           description: Current application status
+ *           description: Key of one of the user's pipeline stages (see /api/stages)
  *           example: interviewing
  *         dateApplied:
  *           type: string
@@ -75,6 +128,200 @@ const {
  *           type: string
  *           description: Additional notes about the job
  *           example: Great company culture, remote work available
+ *         statusNote:
+ *           type: string
+ *           description: Optional note recorded with the status change (ignored if status is unchanged)
+ *           example: Recruiter scheduled a phone screen
+ *         postingUrl:
+ *           type: string
+ *           format: uri
+ *           description: Link to the posting; a job with the same posting URL is rejected with 409
+ *           example: https://careers.example.com/jobs/123
+ *         source:
+ *           type: string
+ *           description: One of the user's job sources (see /api/auth/job-sources), matched ignoring case
+ *           example: Referral
+ *         location:
+ *           $ref: '#/components/schemas/JobLocation'
+ *         workMode:
+ *           type: string
+ *           enum: [remote, hybrid, onsite]
+ *           example: hybrid
+ *         employmentType:
+ *           type: string
+ *           enum: [full-time, contract, internship]
+ *           example: full-time
+ *         seniority:
+ *           type: string
+ *           enum: [intern, junior, mid, senior, lead, principal, executive]
+ *           example: senior
+ *         compensation:
+ *           $ref: '#/components/schemas/Compensation'
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the user's tags; replaces the job's tags on update
+ *         customFields:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Custom field values to change by field key; other values are kept and null clears a value
+ *     
+ *     CompensationPackage:
+ *       type: object
+ *       required:
+ *         - currency
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code
+ *           example: USD
+ *         baseMin:
+ *           type: number
+ *           example: 150000
+ *         baseMax:
+ *           type: number
+ *           description: At least baseMin
+ *           example: 180000
+ *         period:
+ *           type: string
+ *           enum: [year, month, hour]
+ *           default: year
+ *           description: What the base range is paid per
+ *         bonus:
+ *           type: number
+ *           description: Yearly target bonus
+ *           example: 20000
+ *         equity:
+ *           type: number
+ *           description: Yearly value of the equity grant
+ *           example: 40000
+ *         benefits:
+ *           type: string
+ *           example: 401k match, 25 days PTO
+ *     
+ *     Compensation:
+ *       type: object
+ *       description: On update, each package given replaces the stored one and null removes it
+ *       properties:
+ *         posted:
+ *           $ref: '#/components/schemas/CompensationPackage'
+ *         offered:
+ *           $ref: '#/components/schemas/CompensationPackage'
+ *     
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           description: Previous status (null for the entry written on creation)
+ *           example: applied
+ *         to:
+ *           type: string
+ *           description: New status
+ *           example: interviewing
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the status changed
+ *           example: 2024-01-22T14:05:00.000Z
+ *         note:
+ *           type: string
+ *           description: Optional note supplied with the change
+ *           example: Recruiter scheduled a phone screen
+ *     
+ *     JobHistoryResponse:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         currentStatus:
+ *           type: string
+ *           example: interviewing
+ *         history:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
+ *     
+ *     TaskCascadeResult:
+ *       type: object
+ *       description: Effect of the job deletion on linked tasks
+ *       properties:
+ *         policy:
+ *           type: string
+ *           enum: [delete, detach, restrict]
+ *           example: detach
+ *         deleted:
+ *           type: number
+ *           example: 0
+ *         detached:
+ *           type: number
+ *           example: 3
+ *     
+ *     ImportRowResult:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: number
+ *           description: Row number in the file, counting the header as row 1
+ *           example: 2
+ *         status:
+ *           type: string
+ *           enum: [created, skipped, failed]
+ *           description: Outcome of the row (for a dry run, what would happen)
+ *           example: created
+ *         jobId:
+ *           type: string
+ *           description: ID of the created job (not set for dry runs)
+ *           example: 507f1f77bcf86cd799439011
+ *         job:
+ *           type: object
+ *           description: Parsed values of a created row
+ *         reason:
+ *           type: string
+ *           description: Why a row was skipped
+ *           example: A job with the same company and position already exists
+ *         duplicateOf:
+ *           type: string
+ *           description: Existing job the skipped row duplicates
+ *         duplicateOfRow:
+ *           type: number
+ *           description: Earlier row the skipped row duplicates
+ *         error:
+ *           type: string
+ *           description: Validation error of a failed row
+ *           example: Company is required
+ *     
+ *     ImportJobsResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Import completed
+ *         dryRun:
+ *           type: boolean
+ *           example: false
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: number
+ *               example: 3
+ *             created:
+ *               type: number
+ *               example: 1
+ *             skipped:
+ *               type: number
+ *               example: 1
+ *             failed:
+ *               type: number
+ *               example: 1
+ *         rows:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportRowResult'
  *     
  *     DeleteMultipleJobsRequest:
  *       type: object
@@ -130,10 +377,123 @@ const {
  * /api/jobs:
  *   get:
  *     summary: Get all jobs for authenticated user
- *     description: Retrieve all job applications for the authenticated user
+ *     description: Retrieve a page of the user's job applications, optionally filtered, searched and sorted. With q, jobs also have highlights, HTML-escaped snippets of their matching position, company and notes with matches in <mark> tags, and a relevance score when q has words or phrases, which then rank the results unless sortBy is given.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Matches every job of the company with this name or alias (see /api/companies)
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs (see /api/tags)
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether jobs need any or all of the tags
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Job source, or a comma-separated list of them
+ *       - in: query
+ *         name: workMode
+ *         schema:
+ *           type: string
+ *         description: Work mode, or a comma-separated list of them (remote, hybrid, onsite)
+ *       - in: query
+ *         name: employmentType
+ *         schema:
+ *           type: string
+ *         description: Employment type, or a comma-separated list of them (full-time, contract, internship)
+ *       - in: query
+ *         name: seniority
+ *         schema:
+ *           type: string
+ *         description: Seniority, or a comma-separated list of them (intern, junior, mid, senior, lead, principal, executive)
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City of the job location (case-insensitive)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Region of the job location (case-insensitive)
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country of the job location (case-insensitive)
+ *       - in: query
+ *         name: cf
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: |
+ *           Custom field filters by field key, e.g. cf[team]=Payments,Platform or cf[team-size][min]=5. Text matches
+ *           the whole value ignoring case, select takes one option or a comma-separated list, boolean takes true or
+ *           false, and number and date fields take a value or a min/max range.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on position, company and notes
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: >
+ *           Search query. Words and "quoted phrases" use the text index on position, company and notes (any word
+ *           matches, every phrase must); field:value narrows by company, position, notes, status, source, workmode,
+ *           employmenttype or seniority; applied, created and updated take a day, a comparison such as
+ *           applied:>2026-01-01 or a range such as applied:2026-01-01..2026-03-31; a leading - excludes a term
+ *         example: backend "payments team" company:stripe -status:rejected applied:>2026-01-01
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: One of dateApplied, createdAt, updatedAt, position, company, status, or cf.<key> for a custom field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Descending unless asc is given; task listings are the other way round, ascending unless desc is given
  *     responses:
  *       200:
  *         description: Jobs retrieved successfully
@@ -155,10 +515,16 @@ const {
  *               $ref: '#/components/schemas/Error'
  *   post:
  *     summary: Create a new job application
- *     description: Add a new job application for the authenticated user
+ *     description: Add a new job application for the authenticated user. Tasks created by automation rules for its status are returned as automatedTasks. A job that looks like one already tracked (same posting URL, same company and position, or, when DUPLICATE_WINDOW_DAYS is set, the same company applied to within that many days) is rejected unless allowDuplicate is true. A posting URL that is already tracked is rejected either way.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: allowDuplicate
+ *         schema:
+ *           type: boolean
+ *         description: Create the job even if it looks like a duplicate, unless its posting URL is already tracked
  *     requestBody:
  *       required: true
  *       content:
@@ -184,6 +550,12 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Possible duplicate. The matching jobs are listed in details.jobIds, and in details.duplicates with the reasons they match (posting_url, company_and_position, applied_within_window)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -192,8 +564,481 @@ const {
  *               $ref: '#/components/schemas/Error'
  */
 router.route('/')
-	.get(protect, getJobs)
-	.post(protect, jobValidation.create, createJob);
+	.get(protect, jobValidation.list, getJobs)
+	.post(protect, jobValidation.create, validateJobStatus, createJob);
+
+/**
+ * @swagger
+ * /api/jobs/import:
+ *   post:
+ *     summary: Import job applications from CSV
+ *     description: |
+ *       Accepts a CSV file with a header row (up to 1000 rows, 1MB). Each row is validated with the same rules
+ *       as creating a job; status may be a stage key or stage name. Rows matching an existing job or an earlier
+ *       row by company and position are skipped. Columns are matched to job fields by name unless mapped with
+ *       mapping[field]=Column Header.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without creating any jobs
+ *       - in: query
+ *         name: mapping
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: CSV column to read each field from (position, company, status, dateApplied, notes, statusNote)
+ *         example:
+ *           position: Job Title
+ *           company: Employer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               Job Title,Employer,status,dateApplied
+ *               Software Engineer,Google,applied,2024-01-15
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobsResponse'
+ *       201:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobsResponse'
+ *       400:
+ *         description: Missing or malformed CSV, unknown mapping or mapped column not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: CSV larger than 1MB
+ */
+router.post(
+	'/import',
+	protect,
+	express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+	xss(),
+	validateJobImport,
+	importJobs
+);
+
+/**
+ * @swagger
+ * /api/jobs/export:
+ *   get:
+ *     summary: Export job applications
+ *     description: Streams every job matching the same filters and sort as GET /api/jobs, without pagination. The user's custom fields follow the standard columns, headed cf.<key>.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, excel, ndjson]
+ *           default: csv
+ *         description: csv, excel (CSV with a byte order mark and formula-safe cells for spreadsheets) or ndjson (one JSON object per line)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Matches every job of the company with this name or alias (see /api/companies)
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs (see /api/tags)
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether jobs need any or all of the tags
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Job source, or a comma-separated list of them
+ *       - in: query
+ *         name: workMode
+ *         schema:
+ *           type: string
+ *         description: Work mode, or a comma-separated list of them (remote, hybrid, onsite)
+ *       - in: query
+ *         name: employmentType
+ *         schema:
+ *           type: string
+ *         description: Employment type, or a comma-separated list of them (full-time, contract, internship)
+ *       - in: query
+ *         name: seniority
+ *         schema:
+ *           type: string
+ *         description: Seniority, or a comma-separated list of them (intern, junior, mid, senior, lead, principal, executive)
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City of the job location (case-insensitive)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Region of the job location (case-insensitive)
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country of the job location (case-insensitive)
+ *       - in: query
+ *         name: cf
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: |
+ *           Custom field filters by field key, e.g. cf[team]=Payments,Platform or cf[team-size][min]=5. Text matches
+ *           the whole value ignoring case, select takes one option or a comma-separated list, boolean takes true or
+ *           false, and number and date fields take a value or a min/max range.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on position, company and notes
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: >
+ *           Search query. Words and "quoted phrases" use the text index on position, company and notes (any word
+ *           matches, every phrase must); field:value narrows by company, position, notes, status, source, workmode,
+ *           employmenttype or seniority; applied, created and updated take a day, a comparison such as
+ *           applied:>2026-01-01 or a range such as applied:2026-01-01..2026-03-31; a leading - excludes a term
+ *         example: backend "payments team" company:stripe -status:rejected applied:>2026-01-01
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: One of dateApplied, createdAt, updatedAt, position, company, status, or cf.<key> for a custom field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Descending unless asc is given; task listings are the other way round, ascending unless desc is given
+ *     responses:
+ *       200:
+ *         description: Export file, streamed as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', protect, validateExportFormat, jobValidation.list, exportJobs);
+
+/**
+ * @swagger
+ * /api/jobs/offers/compare:
+ *   get:
+ *     summary: Compare offers by total compensation
+ *     description: |
+ *       Ranks the jobs in the user's won stages (e.g. offer) by yearly base, bonus and equity,
+ *       converted to one currency with the configured rate table. The offered package is used
+ *       when a job has one, otherwise the posted one. The base is the middle of the range.
+ *       Jobs without compensation or in a currency missing from the table are listed as unranked.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency to compare in; must be in the rate table
+ *     responses:
+ *       200:
+ *         description: Offers ranked by total compensation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                   example: USD
+ *                 rates:
+ *                   type: object
+ *                   description: Value of one unit of each currency in USD
+ *                   additionalProperties:
+ *                     type: number
+ *                 offers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                         example: 1
+ *                       job:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           company:
+ *                             type: string
+ *                           position:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [offered, posted]
+ *                       compensation:
+ *                         type: object
+ *                         description: Yearly amounts in the package currency
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           base:
+ *                             type: number
+ *                           bonus:
+ *                             type: number
+ *                           equity:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                       converted:
+ *                         type: object
+ *                         description: Yearly amounts in the requested currency
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           base:
+ *                             type: number
+ *                           bonus:
+ *                             type: number
+ *                           equity:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                 unranked:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       job:
+ *                         type: object
+ *                       reason:
+ *                         type: string
+ *                         enum: [no_compensation, unknown_currency]
+ *       400:
+ *         description: Currency not in the rate table
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/offers/compare', protect, validateOfferComparison, compareOffers);
+
+/**
+ * @swagger
+ * /api/jobs/board:
+ *   get:
+ *     summary: Get jobs as a board
+ *     description: |
+ *       Jobs grouped into one column per pipeline stage, in stage order. Each column lists its jobs in board
+ *       order; jobs that were never placed, such as new jobs and jobs that just changed status, come first,
+ *       newest first. Takes the same filters as GET /api/jobs.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Filter by company, matching all of its names
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs (see /api/tags)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on position, company and notes
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: >
+ *           Search query. Words and "quoted phrases" use the text index on position, company and notes (any word
+ *           matches, every phrase must); field:value narrows by company, position, notes, status, source, workmode,
+ *           employmenttype or seniority; applied, created and updated take a day, a comparison such as
+ *           applied:>2026-01-01 or a range such as applied:2026-01-01..2026-03-31; a leading - excludes a term
+ *         example: backend "payments team" company:stripe -status:rejected applied:>2026-01-01
+ *     responses:
+ *       200:
+ *         description: Board retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 columns:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         example: applied
+ *                       name:
+ *                         type: string
+ *                         example: Applied
+ *                       category:
+ *                         type: string
+ *                         enum: [active, won, lost]
+ *                       total:
+ *                         type: integer
+ *                         example: 4
+ *                       jobs:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/board', protect, jobValidation.list, getJobBoard);
+
+/**
+ * @swagger
+ * /api/jobs/duplicates:
+ *   get:
+ *     summary: Find duplicate job applications
+ *     description: Groups of the user's jobs that look like the same application, by the rules new jobs are checked with. Jobs are grouped when they duplicate each other directly or through another job of the group.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Duplicate report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 windowDays:
+ *                   type: integer
+ *                   description: Days within which applications to the same company count as duplicates (DUPLICATE_WINDOW_DAYS, 0 when off)
+ *                   example: 30
+ *                 totalGroups:
+ *                   type: integer
+ *                   example: 1
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [posting_url, company_and_position, applied_within_window]
+ *                       jobs:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             company:
+ *                               type: string
+ *                               example: Google
+ *                             position:
+ *                               type: string
+ *                               example: Software Engineer
+ *                             status:
+ *                               type: string
+ *                               example: applied
+ *                             dateApplied:
+ *                               type: string
+ *                               format: date-time
+ *                             postingUrl:
+ *                               type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/duplicates', protect, getDuplicateJobs);
 
 /**
  * @swagger
@@ -245,7 +1090,7 @@ router.route('/')
  *               $ref: '#/components/schemas/Error'
  *   patch:
  *     summary: Update a job application
- *     description: Update an existing job application by ID
+ *     description: Update an existing job application by ID. Moving it to a new status runs the automation rules for that status; the tasks they create are returned as automatedTasks.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
@@ -288,6 +1133,12 @@ router.route('/')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another job has the same posting URL. The job is returned in details.job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -308,13 +1159,25 @@ router.route('/')
  *           type: string
  *         description: Job ID
  *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: string
+ *           enum: [delete, detach, restrict]
+ *         description: What to do with linked tasks. Defaults to the JOB_DELETE_TASK_POLICY setting (detach when unset)
  *     responses:
  *       200:
  *         description: Job deleted successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Success'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Job deleted successfully
+ *                 tasks:
+ *                   $ref: '#/components/schemas/TaskCascadeResult'
  *       400:
  *         description: Invalid job ID format
  *         content:
@@ -333,6 +1196,12 @@ router.route('/')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Job has linked tasks and the cascade policy is restrict. The linked tasks are listed in details.tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -343,8 +1212,131 @@ router.route('/')
 router
 	.route('/:id')
 	.get(protect, validateObjectId, getJob)
-	.patch(protect, validateObjectId, jobValidation.update, updateJob)
-	.delete(protect, validateObjectId, deleteJob);
+	.patch(protect, validateObjectId, jobValidation.update, validateJobStatus, updateJob)
+	.delete(protect, validateObjectId, validateCascadePolicy, deleteJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/history:
+ *   get:
+ *     summary: Get the status history of a job
+ *     description: Retrieve every recorded status transition for a job, oldest first
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Job history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobHistoryResponse'
+ *       400:
+ *         description: Invalid job ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', protect, validateObjectId, getJobHistory);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/move:
+ *   patch:
+ *     summary: Move a job on the board
+ *     description: |
+ *       Changes the job's status and its position in the status column in one atomic request. The column is
+ *       renumbered around the job, and a position past the end puts the job last. A status change is recorded
+ *       in the job's history and runs automation rules like any other.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - position
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Column to move the job to; defaults to its current status
+ *                 example: interviewing
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Position in the column, from 0 at the top
+ *                 example: 0
+ *               statusNote:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Job moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Job moved successfully
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *                 automatedTasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid position or status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/move', protect, validateObjectId, jobValidation.move, validateJobStatus, moveJob);
 
 /**
  * @swagger
@@ -355,6 +1347,13 @@ router
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: string
+ *           enum: [delete, detach, restrict]
+ *         description: What to do with linked tasks. Defaults to the JOB_DELETE_TASK_POLICY setting (detach when unset)
  *     requestBody:
  *       required: true
  *       content:
@@ -369,24 +1368,26 @@ router
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
  *                 message:
  *                   type: string
- *                   example: 2 jobs deleted successfully
- *                 data:
- *                   type: object
- *                   properties:
- *                     deletedCount:
- *                       type: number
- *                       example: 2
+ *                   example: Jobs deleted successfully
+ *                 deletedCount:
+ *                   type: number
+ *                   example: 2
+ *                 tasks:
+ *                   $ref: '#/components/schemas/TaskCascadeResult'
  *       400:
  *         description: Validation error or invalid job IDs
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Jobs have linked tasks and the cascade policy is restrict. The linked tasks are listed in details.tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -401,6 +1402,9 @@ router
  *               $ref: '#/components/schemas/Error'
  */
 router.route('/delete-multiple-jobs')
-	.post(protect, validateIdArray, deleteMultipleJobs);
+	.post(protect, validateIdArray, validateCascadePolicy, deleteMultipleJobs);
+
+// Interview rounds of a job (see routes/interviewRoutes.js)
+router.use('/:id/interviews', interviewRoutes);
 
 module.exports = router;
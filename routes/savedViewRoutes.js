@@ -0,0 +1,317 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	viewValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getViews,
+	getViewCounts,
+	getView,
+	getViewJobs,
+	createView,
+	updateView,
+	deleteView,
+} = require('../controllers/savedViewController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         name:
+ *           type: string
+ *           example: Remote offers
+ *         filters:
+ *           type: object
+ *           description: GET /api/jobs filters, as they would appear in its query string
+ *           example:
+ *             status: offer
+ *             workMode: remote,hybrid
+ *             cf:
+ *               team: Payments
+ *         sort:
+ *           type: object
+ *           properties:
+ *             sortBy:
+ *               type: string
+ *               description: One of dateApplied, createdAt, updatedAt, position, company, status, or cf.<key> for a custom field
+ *               example: dateApplied
+ *             sortOrder:
+ *               type: string
+ *               enum: [asc, desc]
+ *         columns:
+ *           type: array
+ *           description: Job fields to return, or cf.<key> for one custom field; every listed field when unset
+ *           items:
+ *             type: string
+ *           example: [position, company, status, cf.team]
+ *
+ *     SavedViewRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when creating a view; unique per user, ignoring case
+ *           example: Remote offers
+ *         filters:
+ *           type: object
+ *           description: Replaces the view's filters on update
+ *         sort:
+ *           type: object
+ *           nullable: true
+ *           description: null goes back to the default sort, newest applications first
+ *           properties:
+ *             sortBy:
+ *               type: string
+ *             sortOrder:
+ *               type: string
+ *               enum: [asc, desc]
+ *         columns:
+ *           type: array
+ *           nullable: true
+ *           description: null goes back to every listed field
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Get saved views for authenticated user
+ *     description: The user's saved job views in the order they were created
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Views retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedView'
+ *   post:
+ *     summary: Save a view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewRequest'
+ *     responses:
+ *       201:
+ *         description: View created successfully
+ *       400:
+ *         description: Validation error or unknown custom field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A view with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, getViews)
+	.post(protect, viewValidation.create, createView);
+
+/**
+ * @swagger
+ * /api/views/counts:
+ *   get:
+ *     summary: Get the number of jobs in each saved view
+ *     description: Live counts for a sidebar. A view whose custom field filters no longer fit the user's fields has a null count.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                     example: Remote offers
+ *                   count:
+ *                     type: integer
+ *                     nullable: true
+ *                     example: 3
+ */
+router.get('/counts', protect, getViewCounts);
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   get:
+ *     summary: Get a saved view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: View retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedView'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update a saved view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewRequest'
+ *     responses:
+ *       200:
+ *         description: View updated successfully
+ *       400:
+ *         description: Validation error or unknown custom field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A view with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a saved view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: View deleted successfully
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.get(protect, validateObjectId, getView)
+	.patch(protect, validateObjectId, viewValidation.update, updateView)
+	.delete(protect, validateObjectId, deleteView);
+
+/**
+ * @swagger
+ * /api/views/{id}/jobs:
+ *   get:
+ *     summary: Run a saved view
+ *     description: The jobs matching the view's filters in its sort order, with only its columns, paginated like GET /api/jobs. A view with q adds each job's score and highlights, as GET /api/jobs does for the same search.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: View jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 view:
+ *                   $ref: '#/components/schemas/SavedView'
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: The view's custom field filters no longer fit the user's fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/jobs', protect, validateObjectId, getViewJobs);
+
+module.exports = router;
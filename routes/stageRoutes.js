@@ -0,0 +1,253 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	stageValidation,
+	validateObjectId,
+	validateIdArray
+} = require('../middleware/validation');
+const {
+	getStages,
+	createStage,
+	updateStage,
+	reorderStages,
+	deleteStage,
+} = require('../controllers/stageController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Stage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         key:
+ *           type: string
+ *           description: Value stored in a job's status field
+ *           example: phone-screen
+ *         name:
+ *           type: string
+ *           description: Display name of the stage
+ *           example: Phone Screen
+ *         category:
+ *           type: string
+ *           enum: [active, won, lost]
+ *           description: Whether jobs in this stage are still in progress, successful or closed
+ *           example: active
+ *         order:
+ *           type: number
+ *           description: Zero-based position of the stage in the pipeline
+ *           example: 1
+ *
+ *     CreateStageRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Phone Screen
+ *         key:
+ *           type: string
+ *           description: Optional key, derived from the name when omitted
+ *           example: phone-screen
+ *         category:
+ *           type: string
+ *           enum: [active, won, lost]
+ *           example: active
+ *         order:
+ *           type: number
+ *           description: Position to insert the stage at, appended when omitted
+ *           example: 1
+ *
+ *     UpdateStageRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Recruiter Call
+ *         category:
+ *           type: string
+ *           enum: [active, won, lost]
+ *           example: active
+ */
+
+/**
+ * @swagger
+ * /api/stages:
+ *   get:
+ *     summary: Get the pipeline stages of the authenticated user
+ *     description: Returns the user's stages in pipeline order. The default stages (applied, interviewing, offer, rejected) are created on first use.
+ *     tags: [Stages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Stage'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a pipeline stage
+ *     tags: [Stages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateStageRequest'
+ *     responses:
+ *       201:
+ *         description: Stage created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A stage with this key already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, getStages)
+	.post(protect, stageValidation.create, createStage);
+
+/**
+ * @swagger
+ * /api/stages/reorder:
+ *   put:
+ *     summary: Reorder pipeline stages
+ *     description: Sets the pipeline order. The ids array must list every stage of the user exactly once.
+ *     tags: [Stages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *     responses:
+ *       200:
+ *         description: Stages reordered successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/reorder', protect, validateIdArray, reorderStages);
+
+/**
+ * @swagger
+ * /api/stages/{id}:
+ *   patch:
+ *     summary: Rename a stage or change its category
+ *     description: The stage key cannot be changed because jobs reference it.
+ *     tags: [Stages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stage ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateStageRequest'
+ *     responses:
+ *       200:
+ *         description: Stage updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Stage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a stage
+ *     description: Fails with 409 while jobs are in the stage unless reassignTo names another stage to move them to.
+ *     tags: [Stages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stage ID
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Key of the stage that jobs in the deleted stage are moved to
+ *         example: rejected
+ *     responses:
+ *       200:
+ *         description: Stage deleted successfully
+ *       400:
+ *         description: Invalid reassignTo stage or last remaining stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Stage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Stage is still used by jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.patch(protect, validateObjectId, stageValidation.update, updateStage)
+	.delete(protect, validateObjectId, deleteStage);
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const {
+	tagValidation,
+	validateObjectId
+} = require('../middleware/validation');
+const {
+	getTags,
+	createTag,
+	updateTag,
+	deleteTag,
+	assignTags,
+	unassignTags,
+} = require('../controllers/tagController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         name:
+ *           type: string
+ *           example: Dream job
+ *         color:
+ *           type: string
+ *           description: Hex color
+ *           example: '#22C55E'
+ *         jobCount:
+ *           type: integer
+ *           description: Jobs with the tag, when listing tags
+ *         taskCount:
+ *           type: integer
+ *           description: Tasks with the tag, when listing tags
+ *
+ *     TagRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when creating a tag; unique per user, ignoring case
+ *           example: Dream job
+ *         color:
+ *           type: string
+ *           example: '#22C55E'
+ *
+ *     BulkTagRequest:
+ *       type: object
+ *       required:
+ *         - tagIds
+ *       properties:
+ *         tagIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         jobIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         taskIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *
+ *     BulkTagResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         jobs:
+ *           type: object
+ *           properties:
+ *             matched:
+ *               type: integer
+ *             modified:
+ *               type: integer
+ *         tasks:
+ *           type: object
+ *           properties:
+ *             matched:
+ *               type: integer
+ *             modified:
+ *               type: integer
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get tags for authenticated user
+ *     description: All of the user's tags by name, with the number of jobs and tasks that have each
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Tag'
+ *   post:
+ *     summary: Create a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagRequest'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A tag with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, getTags)
+	.post(protect, tagValidation.create, createTag);
+
+/**
+ * @swagger
+ * /api/tags/assign:
+ *   post:
+ *     summary: Add tags to jobs and tasks
+ *     description: Adds every tag in tagIds to the listed jobs and tasks. Items that are not the user's are ignored.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkTagRequest'
+ *     responses:
+ *       200:
+ *         description: Tags added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkTagResponse'
+ *       400:
+ *         description: Validation error or tagIds not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/assign', protect, tagValidation.bulk, assignTags);
+
+/**
+ * @swagger
+ * /api/tags/unassign:
+ *   post:
+ *     summary: Remove tags from jobs and tasks
+ *     description: Removes every tag in tagIds from the listed jobs and tasks. Items that are not the user's are ignored.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkTagRequest'
+ *     responses:
+ *       200:
+ *         description: Tags removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkTagResponse'
+ *       400:
+ *         description: Validation error or tagIds not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/unassign', protect, tagValidation.bulk, unassignTags);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   patch:
+ *     summary: Update a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagRequest'
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tag not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A tag with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a tag
+ *     description: The tag is removed from all jobs and tasks, including those in the trash.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router
+	.route('/:id')
+	.patch(protect, validateObjectId, tagValidation.update, updateTag)
+	.delete(protect, validateObjectId, deleteTag);
+
+module.exports = router;
@@ -4,16 +4,21 @@ const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
 const { 
 	taskValidation, 
+	validateExportFormat,
 	validateObjectId, 
 	validateIdArray 
 } = require('../middleware/validation');
 const {
 	getTasks,
+	exportTasks,
 	getTask,
 	createTask,
 	updateTask,
 	deleteTask,
 	deleteMultipleTasks,
+	getCalendarFeed,
+	rotateCalendarToken,
+	disableCalendarFeed,
 } = require('../controllers/taskController');
 
 /**
@@ -39,11 +44,55 @@ const {
  *           type: string
  *           description: ID of the associated job
  *           example: 507f1f77bcf86cd799439011
+ *         contactId:
+ *           type: string
+ *           description: ID of a linked contact; completing the task updates their lastInteractionAt
+ *           example: 507f1f77bcf86cd799439012
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the user's tags; replaces the task's tags on update
  *         dueDate:
  *           type: string
  *           format: date
  *           description: Task due date
  *           example: 2024-01-20
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *     
+ *     Recurrence:
+ *       type: object
+ *       description: Makes the task repeat. Completing an occurrence creates the next one. Weekdays and times are in UTC.
+ *       required:
+ *         - frequency
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly]
+ *           example: weekly
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 1
+ *           description: Repeat every N days or weeks
+ *         byWeekday:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *           description: Weekly only; defaults to the weekday of the first due date
+ *           example: [MO, TH]
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: No occurrences after this date. Cannot be combined with count
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           description: Total number of occurrences. Cannot be combined with until
  *     
  *     UpdateTaskRequest:
  *       type: object
@@ -60,6 +109,15 @@ const {
  *           type: string
  *           description: ID of the associated job
  *           example: 507f1f77bcf86cd799439011
+ *         contactId:
+ *           type: string
+ *           description: ID of a linked contact; completing the task updates their lastInteractionAt
+ *           example: 507f1f77bcf86cd799439012
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the user's tags; replaces the task's tags on update
  *         dueDate:
  *           type: string
  *           format: date
@@ -69,6 +127,11 @@ const {
  *           type: boolean
  *           description: Whether the task is completed
  *           example: false
+ *         recurrence:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Recurrence'
+ *           nullable: true
+ *           description: New recurrence rule (requires scope=future on recurring tasks), or null to stop repeating
  *     
  *     DeleteMultipleTasksRequest:
  *       type: object
@@ -97,37 +160,86 @@ const {
  *     TasksResponse:
  *       type: object
  *       properties:
- *         success:
- *           type: boolean
- *           example: true
- *         message:
- *           type: string
- *           example: Tasks retrieved successfully
- *         data:
+ *         tasks:
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Task'
- *           example:
- *             - _id: "507f1f77bcf86cd799439011"
- *               title: "Prepare for technical interview"
- *               description: "Review data structures and algorithms"
- *               jobId: "507f1f77bcf86cd799439010"
- *               dueDate: "2024-01-20"
- *               completed: false
- *               userId: "507f1f77bcf86cd799439009"
- *               createdAt: "2024-01-15T10:30:00.000Z"
- *               updatedAt: "2024-01-15T10:30:00.000Z"
+ *         pagination:
+ *           $ref: '#/components/schemas/Pagination'
  */
 
 /**
  * @swagger
  * /api/tasks:
  *   get:
- *     summary: Get all tasks for authenticated user
- *     description: Retrieve all tasks for the authenticated user
+ *     summary: Get tasks for authenticated user
+ *     description: Retrieve a page of the user's tasks, optionally filtered, searched and sorted
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: taskType
+ *         schema:
+ *           type: string
+ *           enum: [follow-up, interview, networking, research, other]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: due
+ *         schema:
+ *           type: string
+ *           enum: [overdue, today, week]
+ *         description: Due date range in UTC. overdue only matches incomplete tasks unless completed is given; week runs Monday to Sunday
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs (see /api/tags)
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether tasks need any or all of the tags
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search on title and notes; results are ordered by relevance unless sortBy is given
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [dueDateTime, createdAt, updatedAt, title, taskType]
+ *           default: dueDateTime
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Ascending unless desc is given, so tasks come earliest first; job listings are the other way round, descending unless asc is given
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
@@ -186,9 +298,175 @@ const {
  *               $ref: '#/components/schemas/Error'
  */
 router.route('/')
-	.get(protect, getTasks)
+	.get(protect, taskValidation.list, getTasks)
 	.post(protect, taskValidation.create, createTask);
 
+/**
+ * @swagger
+ * /api/tasks/export:
+ *   get:
+ *     summary: Export tasks
+ *     description: Streams the user's tasks with the company and position of their linked job. Accepts the same filters and sort as GET /api/tasks, without pagination.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, excel, ndjson]
+ *           default: csv
+ *         description: csv, excel (CSV with a byte order mark and formula-safe cells for spreadsheets) or ndjson (one JSON object per line)
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: taskType
+ *         schema:
+ *           type: string
+ *           enum: [follow-up, interview, networking, research, other]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: due
+ *         schema:
+ *           type: string
+ *           enum: [overdue, today, week]
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs (see /api/tags)
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether tasks need any or all of the tags
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [dueDateTime, createdAt, updatedAt, title, taskType]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Ascending unless desc is given, as for GET /api/tasks
+ *     responses:
+ *       200:
+ *         description: Export file, streamed as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid export format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', protect, taskValidation.list, validateExportFormat, exportTasks);
+
+/**
+ * @swagger
+ * /api/tasks/calendar/token:
+ *   post:
+ *     summary: Create or rotate the task calendar feed URL
+ *     description: Returns a new secret iCalendar feed URL. Any previous URL stops working. The URL is only shown once.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Calendar feed URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Calendar feed URL created. Any previous URL no longer works
+ *                 url:
+ *                   type: string
+ *                   example: https://api.example.com/api/tasks/calendar/3f2a...9c.ics
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Disable the task calendar feed
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed disabled
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/calendar/token')
+	.post(protect, rotateCalendarToken)
+	.delete(protect, disableCalendarFeed);
+
+/**
+ * @swagger
+ * /api/tasks/calendar/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of incomplete tasks
+ *     description: Public feed for calendar apps. Each incomplete task is an event at its due time with the linked job's position and company in the description.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret token from POST /api/tasks/calendar/token
+ *     responses:
+ *       200:
+ *         description: Calendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/calendar/:token.ics', getCalendarFeed);
+
 /**
  * @swagger
  * /api/tasks/{id}:
@@ -239,7 +517,7 @@ router.route('/')
  *               $ref: '#/components/schemas/Error'
  *   patch:
  *     summary: Update a task
- *     description: Update an existing task by ID
+ *     description: Update an existing task by ID. Completing an occurrence of a recurring task creates the next occurrence, returned as nextTask.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -251,6 +529,13 @@ router.route('/')
  *           type: string
  *         description: Task ID
  *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, future]
+ *           default: this
+ *         description: For recurring tasks, change only this occurrence or also all later occurrences
  *     requestBody:
  *       required: true
  *       content:
@@ -0,0 +1,315 @@
+const express = require('express');
+
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { trashValidation, validateObjectId } = require('../middleware/validation');
+const {
+	getTrash,
+	restoreItems,
+	purgeItems,
+	emptyTrash,
+	restoreJob,
+	purgeJob,
+	restoreTask,
+	purgeTask,
+} = require('../controllers/trashController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashItemsRequest:
+ *       type: object
+ *       description: At least one of jobs or tasks is required
+ *       properties:
+ *         jobs:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["507f1f77bcf86cd799439011"]
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["507f1f77bcf86cd799439012"]
+ *
+ *     TrashResponse:
+ *       type: object
+ *       properties:
+ *         retentionDays:
+ *           type: number
+ *           description: Days items stay in the trash before being purged automatically
+ *           example: 30
+ *         jobs:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *               position:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               deletedAt:
+ *                 type: string
+ *                 format: date-time
+ *               purgeAt:
+ *                 type: string
+ *                 format: date-time
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               jobId:
+ *                 type: string
+ *               deletedAt:
+ *                 type: string
+ *                 format: date-time
+ *               purgeAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List trashed jobs and tasks
+ *     description: Deleted jobs and tasks stay in the trash until restored, purged, or the retention period (TRASH_RETENTION_DAYS) ends
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [jobs, tasks]
+ *         description: Only list one kind of item
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrashResponse'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Empty the trash
+ *     description: Permanently delete every trashed job and task. Active tasks linked to purged jobs are detached.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trash emptied successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.route('/')
+	.get(protect, trashValidation.list, getTrash)
+	.delete(protect, emptyTrash);
+
+/**
+ * @swagger
+ * /api/trash/restore:
+ *   post:
+ *     summary: Restore several trashed jobs and tasks
+ *     description: Restored jobs bring back the tasks that were trashed with them
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrashItemsRequest'
+ *     responses:
+ *       200:
+ *         description: Items restored successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: None of the items are in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another job already has the posting URL of a job being restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/restore', protect, trashValidation.items, restoreItems);
+
+/**
+ * @swagger
+ * /api/trash/purge:
+ *   post:
+ *     summary: Permanently delete several trashed jobs and tasks
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrashItemsRequest'
+ *     responses:
+ *       200:
+ *         description: Items permanently deleted
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: None of the items are in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/purge', protect, trashValidation.items, purgeItems);
+
+/**
+ * @swagger
+ * /api/trash/jobs/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed job and the tasks trashed with it
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job restored successfully
+ *       404:
+ *         description: Job not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another job already has the posting URL of this job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/jobs/:id/restore', protect, validateObjectId, restoreJob);
+
+/**
+ * @swagger
+ * /api/trash/jobs/{id}:
+ *   delete:
+ *     summary: Permanently delete a trashed job
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job permanently deleted
+ *       404:
+ *         description: Job not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/jobs/:id', protect, validateObjectId, purgeJob);
+
+/**
+ * @swagger
+ * /api/trash/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed task
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task restored successfully
+ *       404:
+ *         description: Task not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/tasks/:id/restore', protect, validateObjectId, restoreTask);
+
+/**
+ * @swagger
+ * /api/trash/tasks/{id}:
+ *   delete:
+ *     summary: Permanently delete a trashed task
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task permanently deleted
+ *       404:
+ *         description: Task not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/tasks/:id', protect, validateObjectId, purgeTask);
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const AutomationRule = require('../models/AutomationRule');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+describe('Automation Rules', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const createRule = (body) => request(app)
+    .post('/api/automation-rules')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const followUpRule = ({
+    status = 'applied',
+    titleTemplate = 'Follow up with {{company}} about {{position}}',
+    enabled
+  } = {}) => ({
+    status,
+    taskType: 'follow-up',
+    dueInDays: 7,
+    titleTemplate,
+    enabled
+  });
+
+  const createJob = (status) => request(app)
+    .post('/api/jobs')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ position: 'Software Engineer', company: 'Google', status });
+
+  describe('managing rules', () => {
+    it('should create and list rules', async () => {
+      const created = await createRule(followUpRule());
+
+      expect(created.status).toBe(201);
+      expect(created.body.rule).toMatchObject({
+        status: 'applied',
+        taskType: 'follow-up',
+        dueInDays: 7,
+        titleTemplate: 'Follow up with {{company}} about {{position}}',
+        enabled: true
+      });
+
+      const response = await request(app)
+        .get('/api/automation-rules')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+    });
+
+    it('should reject a status that is not one of the user\'s stages', async () => {
+      const response = await createRule(followUpRule({ status: 'ghosted' }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Status must be one of');
+    });
+
+    it('should reject unknown template placeholders', async () => {
+      const response = await createRule(followUpRule({ titleTemplate: 'Email {{recruiter}}' }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('placeholders');
+    });
+
+    it('should update and delete a rule', async () => {
+      const created = await createRule(followUpRule());
+      const id = created.body.rule._id;
+
+      const updated = await request(app)
+        .patch(`/api/automation-rules/${id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ dueInDays: 3, enabled: false });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.rule).toMatchObject({ dueInDays: 3, enabled: false });
+
+      const deleted = await request(app)
+        .delete(`/api/automation-rules/${id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(deleted.status).toBe(200);
+      expect(await AutomationRule.countDocuments()).toBe(0);
+    });
+
+    it('should not expose rules of other users', async () => {
+      const created = await createRule(followUpRule());
+      const otherToken = jwt.sign({ id: '507f1f77bcf86cd799439011' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      const response = await request(app)
+        .patch(`/api/automation-rules/${created.body.rule._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ enabled: false });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('running rules', () => {
+    it('should create tasks when a job is created in the rule\'s status', async () => {
+      const rule = await createRule(followUpRule());
+      const before = Date.now();
+
+      const response = await createJob('applied');
+
+      expect(response.status).toBe(201);
+      expect(response.body.automatedTasks).toHaveLength(1);
+
+      const task = await Task.findOne();
+      expect(task.title).toBe('Follow up with Google about Software Engineer');
+      expect(task.taskType).toBe('follow-up');
+      expect(task.automationRuleId.toString()).toBe(rule.body.rule._id);
+      expect(task.dueDateTime.getTime()).toBeGreaterThanOrEqual(before + 7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should create tasks when a job moves to the rule\'s status', async () => {
+      await createRule({
+        status: 'interviewing',
+        taskType: 'research',
+        dueInDays: 1,
+        titleTemplate: 'Research {{company}} ({{status}})'
+      });
+      const job = await createJob('applied');
+      expect(job.body.automatedTasks).toHaveLength(0);
+
+      const jobId = (await Job.findOne())._id;
+      const response = await request(app)
+        .patch(`/api/jobs/${jobId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'interviewing' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.automatedTasks).toHaveLength(1);
+      expect(response.body.automatedTasks[0].title).toBe('Research Google (Interviewing)');
+      expect(response.body.automatedTasks[0].jobId).toBe(jobId.toString());
+    });
+
+    it('should not run for updates that keep the status', async () => {
+      await createRule(followUpRule());
+      await createJob('applied');
+      const jobId = (await Job.findOne())._id;
+
+      const response = await request(app)
+        .patch(`/api/jobs/${jobId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'applied', notes: 'Referred by Sam' });
+
+      expect(response.body.automatedTasks).toHaveLength(0);
+      expect(await Task.countDocuments()).toBe(1);
+    });
+
+    it('should not duplicate a task that is still open when a job re-enters the status', async () => {
+      await createRule(followUpRule());
+      await createJob('applied');
+      const jobId = (await Job.findOne())._id;
+
+      const patch = (status) => request(app)
+        .patch(`/api/jobs/${jobId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status });
+
+      await patch('interviewing');
+      const response = await patch('applied');
+
+      expect(response.body.automatedTasks).toHaveLength(0);
+      expect(await Task.countDocuments()).toBe(1);
+    });
+
+    it('should skip disabled rules', async () => {
+      await createRule(followUpRule({ enabled: false }));
+
+      const response = await createJob('applied');
+
+      expect(response.body.automatedTasks).toHaveLength(0);
+      expect(await Task.countDocuments()).toBe(0);
+    });
+
+    it('should delete the rules of a deleted stage', async () => {
+      await createRule(followUpRule({ status: 'offer' }));
+      const stages = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`);
+      const offer = stages.body.find((stage) => stage.key === 'offer');
+
+      await request(app)
+        .delete(`/api/stages/${offer._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(await AutomationRule.countDocuments()).toBe(0);
+    });
+  });
+});
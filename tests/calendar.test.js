@@ -0,0 +1,115 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+describe('Task Calendar Feed', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    const job = await Job.create({
+      position: 'Software Engineer',
+      company: 'Google',
+      status: 'applied',
+      userId: testUser._id
+    });
+
+    await Task.create([
+      {
+        title: 'Prepare for interview',
+        dueDateTime: new Date('2030-01-20T10:00:00Z'),
+        taskType: 'interview',
+        jobId: job._id,
+        userId: testUser._id
+      },
+      {
+        title: 'Send thank you note',
+        dueDateTime: new Date('2030-01-21T10:00:00Z'),
+        taskType: 'follow-up',
+        completed: true,
+        userId: testUser._id
+      }
+    ]);
+  });
+
+  const createFeedPath = async () => {
+    const response = await request(app)
+      .post('/api/tasks/calendar/token')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(201);
+
+    return response.body.url.replace(/^https?:\/\/[^/]+/, '');
+  };
+
+  it('should render incomplete tasks as events', async () => {
+    const feedPath = await createFeedPath();
+
+    const response = await request(app)
+      .get(feedPath)
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/calendar');
+    expect(response.text).toContain('BEGIN:VCALENDAR');
+    expect(response.text).toContain('SUMMARY:Prepare for interview');
+    expect(response.text).toContain('DTSTART:20300120T100000Z');
+    expect(response.text).toContain('Job: Software Engineer at Google');
+    expect(response.text).not.toContain('Send thank you note');
+    expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+
+  it('should not store the token in plain text', async () => {
+    const feedPath = await createFeedPath();
+    const token = feedPath.split('/').pop().replace('.ics', '');
+
+    const user = await User.findById(testUser._id);
+    expect(user.calendarToken).toBeDefined();
+    expect(user.calendarToken).not.toBe(token);
+  });
+
+  it('should invalidate the old URL when the token is rotated', async () => {
+    const oldPath = await createFeedPath();
+    const newPath = await createFeedPath();
+
+    await request(app).get(oldPath).expect(404);
+    await request(app).get(newPath).expect(200);
+  });
+
+  it('should disable the feed', async () => {
+    const feedPath = await createFeedPath();
+
+    await request(app)
+      .delete('/api/tasks/calendar/token')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    await request(app).get(feedPath).expect(404);
+  });
+
+  it('should return 404 for an unknown token', async () => {
+    await request(app)
+      .get('/api/tasks/calendar/unknown.ics')
+      .expect(404);
+  });
+});
@@ -0,0 +1,240 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { normalizeCompanyName } = require('../utils/companyNames');
+const { linkAllUnlinkedJobs } = require('../utils/companies');
+
+describe('normalizeCompanyName', () => {
+  it('should ignore case, punctuation, whitespace and legal forms', () => {
+    expect(normalizeCompanyName('Google')).toBe('google');
+    expect(normalizeCompanyName('  google ')).toBe('google');
+    expect(normalizeCompanyName('Google, LLC.')).toBe('google');
+    expect(normalizeCompanyName('Coca-Cola Co')).toBe('coca cola');
+    expect(normalizeCompanyName('AT&T Inc.')).toBe('at&t');
+  });
+
+  it('should keep a name that is only a legal form word', () => {
+    expect(normalizeCompanyName('Company')).toBe('company');
+  });
+});
+
+describe('Companies', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  // Jobs at the same company would otherwise be rejected as duplicates
+  const createJob = (company, status = 'applied') => request(app)
+    .post('/api/jobs?allowDuplicate=true')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ position: 'Software Engineer', company, status });
+
+  const getCompanies = () => request(app)
+    .get('/api/companies')
+    .set('Authorization', `Bearer ${authToken}`);
+
+  describe('linking jobs', () => {
+    it('should link jobs with variations of a name to one company', async () => {
+      await createJob('Google');
+      await createJob('google');
+      await createJob('Google LLC', 'rejected');
+
+      const response = await getCompanies();
+
+      expect(response.status).toBe(200);
+      expect(response.body.companies).toHaveLength(1);
+      expect(response.body.companies[0]).toMatchObject({
+        name: 'Google',
+        jobCount: 3,
+        outcomes: { active: 2, won: 0, lost: 1 },
+        byStatus: { applied: 2, rejected: 1 }
+      });
+    });
+
+    it('should backfill jobs created before companies existed', async () => {
+      await Job.create([
+        { position: 'Engineer', company: 'Stripe', status: 'applied', userId: testUser._id },
+        { position: 'Designer', company: 'stripe inc', status: 'offer', userId: testUser._id }
+      ]);
+
+      // Reads do not link jobs
+      expect((await getCompanies()).body.companies).toHaveLength(0);
+      expect(await Job.countDocuments({ companyId: null })).toBe(2);
+
+      expect(await linkAllUnlinkedJobs()).toBe(1);
+
+      const response = await getCompanies();
+
+      expect(response.body.companies).toHaveLength(1);
+      expect(response.body.companies[0]).toMatchObject({ name: 'Stripe', jobCount: 2 });
+      expect(await Job.countDocuments({ companyId: null })).toBe(0);
+    });
+
+    it('should relink a job when its company changes', async () => {
+      await createJob('Google');
+      const job = await Job.findOne();
+
+      await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ company: 'Stripe' });
+
+      const updated = await Job.findById(job._id);
+      const stripe = await Company.findOne({ name: 'Stripe' });
+      expect(updated.companyId.toString()).toBe(stripe._id.toString());
+    });
+
+    it('should not create a company for a job change that is refused', async () => {
+      await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ position: 'Software Engineer', company: 'Google', status: 'applied', postingUrl: 'https://example.com/jobs/1' });
+      await createJob('Netflix');
+      const job = await Job.findOne({ company: 'Netflix' });
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ company: 'Stripe', postingUrl: 'https://example.com/jobs/1' });
+
+      expect(response.status).toBe(409);
+      expect(await Company.findOne({ name: 'Stripe' })).toBeNull();
+    });
+
+    it('should filter jobs by any name of a company', async () => {
+      await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Google', aliases: ['Alphabet'] });
+      await createJob('Google LLC');
+      await createJob('Alphabet');
+      await createJob('Stripe');
+
+      const response = await request(app)
+        .get('/api/jobs?company=google')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobs).toHaveLength(2);
+    });
+  });
+
+  describe('managing companies', () => {
+    it('should create a company with details', async () => {
+      const response = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Google',
+          aliases: ['Alphabet'],
+          website: 'https://about.google',
+          industry: 'Technology',
+          size: '5001+'
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.company).toMatchObject({ name: 'Google', aliases: ['Alphabet'], size: '5001+' });
+    });
+
+    it('should reject a name or alias another company has', async () => {
+      await createJob('Alphabet');
+      const existing = await Company.findOne();
+
+      const response = await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Google', aliases: ['Alphabet Inc.'] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.company._id).toBe(existing._id.toString());
+    });
+
+    it('should not delete a company that has jobs', async () => {
+      await createJob('Google');
+      const company = await Company.findOne();
+
+      const response = await request(app)
+        .delete(`/api/companies/${company._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return a company with its jobs', async () => {
+      await createJob('Google');
+      const company = await Company.findOne();
+
+      const response = await request(app)
+        .get(`/api/companies/${company._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobCount).toBe(1);
+      expect(response.body.jobs).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/companies/:id/merge', () => {
+    it('should move jobs and names into the target company', async () => {
+      await createJob('Google');
+      await createJob('Alphabet');
+      await request(app)
+        .post('/api/companies')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'YouTube', website: 'https://youtube.com' });
+      const google = await Company.findOne({ name: 'Google' });
+      const others = await Company.find({ name: { $ne: 'Google' } });
+
+      const response = await request(app)
+        .post(`/api/companies/${google._id}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: others.map((company) => company._id.toString()) });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ mergedCompanies: 2, movedJobs: 1 });
+      expect(response.body.company.aliases.sort()).toEqual(['Alphabet', 'YouTube']);
+      expect(response.body.company.website).toBe('https://youtube.com');
+      expect(await Company.countDocuments()).toBe(1);
+      expect(await Job.countDocuments({ companyId: google._id })).toBe(2);
+
+      // Later jobs with a merged name join the target company
+      await createJob('alphabet');
+      expect(await Company.countDocuments()).toBe(1);
+    });
+
+    it('should not merge a company into itself', async () => {
+      await createJob('Google');
+      const google = await Company.findOne();
+
+      const response = await request(app)
+        .post(`/api/companies/${google._id}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [google._id.toString()] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
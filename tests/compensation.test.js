@@ -0,0 +1,89 @@
+const { summarizeCompensation, convertAmount, rankOffers } = require('../utils/compensation');
+const { parseRates } = require('../config/currencyRates');
+
+const rates = { USD: 1, EUR: 1.1, GBP: 1.25 };
+
+const job = (company, compensation) => ({
+  _id: company,
+  company,
+  position: 'Software Engineer',
+  status: 'offer',
+  compensation
+});
+
+describe('summarizeCompensation', () => {
+  it('should use the middle of the base range', () => {
+    expect(summarizeCompensation({ currency: 'USD', baseMin: 100000, baseMax: 120000, bonus: 10000, equity: 5000 }))
+      .toEqual({ currency: 'USD', base: 110000, bonus: 10000, equity: 5000, total: 125000 });
+  });
+
+  it('should use the known end of an open range', () => {
+    expect(summarizeCompensation({ currency: 'USD', baseMin: 90000 }).total).toBe(90000);
+    expect(summarizeCompensation({ currency: 'USD', baseMax: 95000 }).total).toBe(95000);
+  });
+
+  it('should turn monthly and hourly pay into yearly amounts', () => {
+    expect(summarizeCompensation({ currency: 'EUR', baseMin: 5000, period: 'month' }).base).toBe(60000);
+    expect(summarizeCompensation({ currency: 'USD', baseMin: 50, period: 'hour', bonus: 1000 }).total).toBe(105000);
+  });
+
+  it('should return null without amounts', () => {
+    expect(summarizeCompensation(undefined)).toBeNull();
+    expect(summarizeCompensation({ currency: 'USD', benefits: 'Health insurance' })).toBeNull();
+  });
+});
+
+describe('convertAmount', () => {
+  it('should convert through the rate table', () => {
+    expect(convertAmount(100, 'EUR', 'USD', rates)).toBe(110);
+    expect(convertAmount(110, 'USD', 'EUR', rates)).toBe(100);
+    expect(convertAmount(100, 'GBP', 'EUR', rates)).toBe(113.64);
+  });
+
+  it('should return null for unknown currencies', () => {
+    expect(convertAmount(100, 'XYZ', 'USD', rates)).toBeNull();
+  });
+});
+
+describe('rankOffers', () => {
+  it('should rank offers by total compensation in one currency', () => {
+    const { ranked, unranked } = rankOffers([
+      job('Acme', { offered: { currency: 'USD', baseMin: 120000 } }),
+      job('Globex', { offered: { currency: 'EUR', baseMin: 100000, bonus: 20000 } }),
+      job('Initech', { posted: { currency: 'GBP', baseMin: 80000, baseMax: 100000 } })
+    ], { currency: 'USD', rates });
+
+    expect(unranked).toEqual([]);
+    expect(ranked.map((offer) => [offer.rank, offer.job.company, offer.converted.total])).toEqual([
+      [1, 'Globex', 132000],
+      [2, 'Acme', 120000],
+      [3, 'Initech', 112500]
+    ]);
+    expect(ranked[2].source).toBe('posted');
+  });
+
+  it('should prefer the offered package to the posted one', () => {
+    const { ranked } = rankOffers([
+      job('Acme', { posted: { currency: 'USD', baseMin: 100000 }, offered: { currency: 'USD', baseMin: 130000 } })
+    ], { currency: 'USD', rates });
+
+    expect(ranked[0]).toMatchObject({ source: 'offered', converted: { total: 130000 } });
+  });
+
+  it('should leave out offers that cannot be compared', () => {
+    const { ranked, unranked } = rankOffers([
+      job('Acme', undefined),
+      job('Globex', { offered: { currency: 'XYZ', baseMin: 100000 } })
+    ], { currency: 'USD', rates });
+
+    expect(ranked).toEqual([]);
+    expect(unranked.map((offer) => offer.reason)).toEqual(['no_compensation', 'unknown_currency']);
+  });
+});
+
+describe('parseRates', () => {
+  it('should read CODE=rate pairs and skip invalid ones', () => {
+    expect(parseRates('eur=1.1, GBP=1.3,XX=2,JPY=abc')).toEqual({ EUR: 1.1, GBP: 1.3 });
+    expect(parseRates(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Contact = require('../models/Contact');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { purgeJobs } = require('../utils/jobDeletion');
+
+describe('Contacts', () => {
+  let testUser;
+  let authToken;
+  let job;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    job = await Job.create({
+      position: 'Software Engineer',
+      company: 'Google',
+      status: 'applied',
+      userId: testUser._id
+    });
+  });
+
+  const createContact = (body) => request(app)
+    .post('/api/contacts')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  describe('POST /api/contacts', () => {
+    it('should create a contact linked to jobs', async () => {
+      const response = await createContact({
+        name: 'Jane Smith',
+        email: 'jane.smith@example.com',
+        phone: '+1 555 0100',
+        linkedinUrl: 'https://www.linkedin.com/in/janesmith',
+        company: 'Google',
+        role: 'Technical Recruiter',
+        jobIds: [job._id.toString()]
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.contact).toMatchObject({
+        name: 'Jane Smith',
+        role: 'Technical Recruiter',
+        jobIds: [job._id.toString()],
+        lastInteractionAt: null
+      });
+    });
+
+    it('should require a name', async () => {
+      const response = await createContact({ email: 'jane.smith@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Name is required');
+    });
+
+    it('should reject links to jobs of other users', async () => {
+      const otherJob = await Job.create({
+        position: 'Designer',
+        company: 'Apple',
+        status: 'applied',
+        userId: '507f1f77bcf86cd799439011'
+      });
+
+      const response = await createContact({ name: 'Jane Smith', jobIds: [otherJob._id.toString()] });
+
+      expect(response.status).toBe(400);
+      expect(await Contact.countDocuments()).toBe(0);
+    });
+
+    it('should reject LinkedIn URLs that are not http(s)', async () => {
+      const response = await createContact({ name: 'Jane Smith', linkedinUrl: 'ftp://linkedin.com/in/janesmith' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/contacts', () => {
+    beforeEach(async () => {
+      await Contact.create([
+        { name: 'Sam Lee', company: 'Google', role: 'Hiring Manager', jobIds: [job._id], userId: testUser._id },
+        { name: 'Alex Kim', company: 'Stripe', role: 'Referrer', userId: testUser._id },
+        { name: 'Other User Contact', userId: '507f1f77bcf86cd799439011' }
+      ]);
+    });
+
+    it('should list the user\'s contacts by name', async () => {
+      const response = await request(app)
+        .get('/api/contacts')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.contacts.map((contact) => contact.name)).toEqual(['Alex Kim', 'Sam Lee']);
+      expect(response.body.pagination.totalItems).toBe(2);
+    });
+
+    it('should filter by job and search by partial name', async () => {
+      const byJob = await request(app)
+        .get(`/api/contacts?jobId=${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      const bySearch = await request(app)
+        .get('/api/contacts?search=ale')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(byJob.body.contacts.map((contact) => contact.name)).toEqual(['Sam Lee']);
+      expect(bySearch.body.contacts.map((contact) => contact.name)).toEqual(['Alex Kim']);
+    });
+
+    it('should treat search text literally', async () => {
+      const response = await request(app)
+        .get('/api/contacts?search=.*')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.contacts).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/contacts/:id', () => {
+    it('should return the contact with its jobs and tasks', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', jobIds: [job._id], userId: testUser._id });
+      await Task.create({
+        title: 'Coffee chat with Sam',
+        dueDateTime: new Date('2030-01-20T10:00:00Z'),
+        taskType: 'networking',
+        contactId: contact._id,
+        userId: testUser._id
+      });
+
+      const response = await request(app)
+        .get(`/api/contacts/${contact._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobIds[0]).toMatchObject({ company: 'Google', position: 'Software Engineer' });
+      expect(response.body.tasks).toHaveLength(1);
+    });
+
+    it('should return 404 for contacts of other users', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', userId: '507f1f77bcf86cd799439011' });
+
+      const response = await request(app)
+        .get(`/api/contacts/${contact._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH and DELETE /api/contacts/:id', () => {
+    it('should update fields and replace linked jobs', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', jobIds: [job._id], userId: testUser._id });
+
+      const response = await request(app)
+        .patch(`/api/contacts/${contact._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'Referrer', jobIds: [] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.contact.role).toBe('Referrer');
+      expect(response.body.contact.jobIds).toEqual([]);
+    });
+
+    it('should unlink tasks when a contact is deleted', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', userId: testUser._id });
+      const task = await Task.create({
+        title: 'Coffee chat with Sam',
+        dueDateTime: new Date('2030-01-20T10:00:00Z'),
+        taskType: 'networking',
+        contactId: contact._id,
+        userId: testUser._id
+      });
+
+      const response = await request(app)
+        .delete(`/api/contacts/${contact._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect((await Task.findById(task._id)).contactId).toBeUndefined();
+    });
+  });
+
+  describe('task links', () => {
+    it('should update lastInteractionAt when a linked task is completed', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', userId: testUser._id });
+      const created = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Coffee chat with Sam',
+          dueDateTime: '2030-01-20T10:00:00.000Z',
+          taskType: 'networking',
+          contactId: contact._id.toString()
+        });
+      expect(created.status).toBe(201);
+      expect((await Contact.findById(contact._id)).lastInteractionAt).toBeNull();
+
+      const before = Date.now();
+      await request(app)
+        .patch(`/api/tasks/${created.body.task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ completed: true });
+
+      const updated = await Contact.findById(contact._id);
+      expect(updated.lastInteractionAt.getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    it('should reject contacts of other users', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', userId: '507f1f77bcf86cd799439011' });
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Coffee chat with Sam',
+          dueDateTime: '2030-01-20T10:00:00.000Z',
+          taskType: 'networking',
+          contactId: contact._id.toString()
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should unlink purged jobs from contacts', async () => {
+      const contact = await Contact.create({ name: 'Sam Lee', jobIds: [job._id], userId: testUser._id });
+      await Job.updateOne({ _id: job._id }, { $set: { deletedAt: new Date() } });
+
+      await purgeJobs({ userId: testUser._id });
+
+      expect((await Contact.findById(contact._id)).jobIds).toHaveLength(0);
+    });
+  });
+});
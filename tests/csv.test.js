@@ -0,0 +1,35 @@
+const { parseCsv } = require('../utils/csv');
+
+describe('parseCsv', () => {
+  it('should split records and fields', () => {
+    expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2', '3']
+    ]);
+  });
+
+  it('should handle quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('name,notes\n"Acme, Inc","Said ""hi""\nthen left"')).toEqual([
+      ['name', 'notes'],
+      ['Acme, Inc', 'Said "hi"\nthen left']
+    ]);
+  });
+
+  it('should handle CRLF line endings, a byte order mark and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2']
+    ]);
+  });
+
+  it('should keep empty fields', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([
+      ['a', '', 'c'],
+      ['', '', '']
+    ]);
+  });
+
+  it('should throw on an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\n1,2')).toThrow('Unterminated quoted field');
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const CustomField = require('../models/CustomField');
+
+describe('Custom fields', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const postField = (body) => request(app)
+    .post('/api/custom-fields')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const createFields = () => CustomField.create([
+    { userId: testUser._id, name: 'Visa sponsorship', key: 'visa-sponsorship', type: 'boolean' },
+    { userId: testUser._id, name: 'Team', key: 'team', type: 'select', options: ['Payments', 'Platform', 'Growth'] },
+    { userId: testUser._id, name: 'Team size', key: 'team-size', type: 'number' },
+    { userId: testUser._id, name: 'Tech stack', key: 'tech-stack', type: 'text' },
+    { userId: testUser._id, name: 'Deadline', key: 'deadline', type: 'date' }
+  ]);
+
+  const createJob = (company, customFields) => Job.create({
+    userId: testUser._id,
+    position: 'Software Engineer',
+    company,
+    status: 'applied',
+    customFields
+  });
+
+  const getJobs = (query) => request(app)
+    .get('/api/jobs')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  describe('/api/custom-fields', () => {
+    it('should create fields with a key from the name', async () => {
+      const response = await postField({ name: 'Visa Sponsorship?', type: 'boolean' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.customField).toMatchObject({ name: 'Visa Sponsorship?', key: 'visa-sponsorship', type: 'boolean' });
+
+      const list = await request(app)
+        .get('/api/custom-fields')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(list.body.map(field => field.key)).toEqual(['visa-sponsorship']);
+    });
+
+    it('should validate definitions', async () => {
+      const noOptions = await postField({ name: 'Team', type: 'select' });
+      const extraOptions = await postField({ name: 'Remote', type: 'boolean', options: ['yes'] });
+      const repeatedOptions = await postField({ name: 'Team', type: 'select', options: ['Payments', 'payments'] });
+      const badType = await postField({ name: 'Team', type: 'list' });
+      const badName = await postField({ name: '???', type: 'text' });
+
+      expect(noOptions.status).toBe(400);
+      expect(extraOptions.status).toBe(400);
+      expect(repeatedOptions.status).toBe(400);
+      expect(badType.status).toBe(400);
+      expect(badName.status).toBe(400);
+    });
+
+    it('should reject a field with the name of another one', async () => {
+      await postField({ name: 'Team', type: 'text' });
+
+      const response = await postField({ name: 'team', type: 'select', options: ['Payments'] });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should keep the key on rename and refuse a type change', async () => {
+      const created = await postField({ name: 'Team', type: 'text' });
+      const { _id: id } = created.body.customField;
+
+      const renamed = await request(app)
+        .patch(`/api/custom-fields/${id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Squad' });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.customField).toMatchObject({ name: 'Squad', key: 'team' });
+
+      const retyped = await request(app)
+        .patch(`/api/custom-fields/${id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ type: 'number' });
+      expect(retyped.status).toBe(400);
+    });
+
+    it('should clear values of removed options', async () => {
+      const [, team] = await createFields();
+      const job = await createJob('Google', { team: 'Growth' });
+      await createJob('Stripe', { team: 'Payments' });
+
+      const response = await request(app)
+        .patch(`/api/custom-fields/${team._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ options: ['Payments', 'Platform'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.clearedJobs).toBe(1);
+      const updated = await Job.findById(job._id);
+      expect(updated.customFields.get('team')).toBeUndefined();
+    });
+
+    it('should remove a deleted field from jobs', async () => {
+      const [visa] = await createFields();
+      const job = await createJob('Google', { 'visa-sponsorship': true, team: 'Payments' });
+
+      const response = await request(app)
+        .delete(`/api/custom-fields/${visa._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const updated = await Job.findById(job._id);
+      expect(updated.customFields.has('visa-sponsorship')).toBe(false);
+      expect(updated.customFields.get('team')).toBe('Payments');
+    });
+  });
+
+  describe('job values', () => {
+    beforeEach(async () => {
+      await createFields();
+    });
+
+    it('should store values cast to their field types', async () => {
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          position: 'Software Engineer',
+          company: 'Google',
+          status: 'applied',
+          customFields: { 'visa-sponsorship': true, team: 'payments', 'team-size': 8, deadline: '2026-03-01' }
+        });
+
+      expect(response.status).toBe(201);
+      const job = await Job.findOne({ userId: testUser._id });
+      expect(job.customFields.get('team')).toBe('Payments');
+      expect(job.customFields.get('team-size')).toBe(8);
+      expect(job.customFields.get('deadline')).toEqual(new Date('2026-03-01'));
+    });
+
+    it('should change only the values given on update', async () => {
+      const job = await createJob('Google', { 'visa-sponsorship': true, team: 'Payments' });
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ customFields: { team: null, 'tech-stack': 'Go, Postgres' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.customFields).toEqual({ 'visa-sponsorship': true, 'tech-stack': 'Go, Postgres' });
+    });
+
+    it('should reject unknown fields and values of the wrong type', async () => {
+      const job = await createJob('Google');
+      const patch = (customFields) => request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ customFields });
+
+      const unknown = await patch({ salary: 100 });
+      const wrongType = await patch({ 'team-size': 'eight' });
+      const notAnOption = await patch({ team: 'Sales' });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toContain('salary');
+      expect(wrongType.status).toBe(400);
+      expect(notAnOption.status).toBe(400);
+      expect(notAnOption.body.message).toContain('Payments, Platform, Growth');
+    });
+
+    it('should filter jobs by custom fields', async () => {
+      await createJob('Google', { 'visa-sponsorship': true, team: 'Payments', 'team-size': 4, 'tech-stack': 'Go' });
+      await createJob('Stripe', { 'visa-sponsorship': false, team: 'Platform', 'team-size': 12 });
+      await createJob('Netflix', { team: 'Growth', 'team-size': 8, deadline: new Date('2026-03-01T12:00:00Z') });
+
+      const companies = async (query) => (await getJobs(query)).body.jobs.map(job => job.company).sort();
+
+      expect(await companies({ 'cf[visa-sponsorship]': 'true' })).toEqual(['Google']);
+      expect(await companies({ 'cf[team]': 'payments,growth' })).toEqual(['Google', 'Netflix']);
+      expect(await companies({ 'cf[team-size][min]': '5' })).toEqual(['Netflix', 'Stripe']);
+      expect(await companies({ 'cf[team-size][min]': '5', 'cf[team-size][max]': '10' })).toEqual(['Netflix']);
+      expect(await companies({ 'cf[tech-stack]': 'go' })).toEqual(['Google']);
+      expect(await companies({ 'cf[deadline]': '2026-03-01' })).toEqual(['Netflix']);
+    });
+
+    it('should reject filters on unknown fields or with invalid values', async () => {
+      const unknown = await getJobs({ 'cf[salary]': '100' });
+      const invalid = await getJobs({ 'cf[team-size][min]': 'many' });
+      const range = await getJobs({ 'cf[team][min]': 'a' });
+
+      expect(unknown.status).toBe(400);
+      expect(invalid.status).toBe(400);
+      expect(range.status).toBe(400);
+    });
+
+    it('should sort jobs by a custom field', async () => {
+      await createJob('Google', { 'team-size': 4 });
+      await createJob('Stripe', { 'team-size': 12 });
+      await createJob('Netflix', { 'team-size': 8 });
+
+      const response = await getJobs({ sortBy: 'cf.team-size', sortOrder: 'desc' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobs.map(job => job.company)).toEqual(['Stripe', 'Netflix', 'Google']);
+    });
+
+    it('should export custom fields as columns', async () => {
+      await createJob('Google', { 'visa-sponsorship': true, team: 'Payments', 'team-size': 4 });
+
+      const response = await request(app)
+        .get('/api/jobs/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,position,company,status,dateApplied,notes,createdAt,updatedAt,'
+        + 'cf.visa-sponsorship,cf.team,cf.team-size,cf.tech-stack,cf.deadline');
+      expect(lines[1]).toMatch(/,true,Payments,4,,$/);
+    });
+  });
+});
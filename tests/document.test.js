@@ -0,0 +1,238 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Document = require('../models/Document');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { createLocalStorage, setDocumentStorage } = require('../utils/documentStorage');
+
+describe('Documents', () => {
+  let testUser;
+  let authToken;
+  let storageDir;
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+    setDocumentStorage(createLocalStorage(storageDir));
+  });
+
+  afterAll(() => {
+    setDocumentStorage(null);
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const upload = (fields, contents = 'My resume', fileName = 'resume.pdf') => {
+    const req = request(app)
+      .post('/api/documents')
+      .set('Authorization', `Bearer ${authToken}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from(contents), fileName);
+  };
+
+  const createJob = (status = 'applied') => Job.create({
+    position: 'Software Engineer',
+    company: 'Google',
+    status,
+    userId: testUser._id
+  });
+
+  describe('POST /api/documents', () => {
+    it('should store an upload with its metadata and checksum', async () => {
+      const job = await createJob();
+
+      const response = await upload({ type: 'resume', name: 'Backend resume', jobIds: job._id.toString() });
+
+      expect(response.status).toBe(201);
+      expect(response.body.document).toMatchObject({
+        type: 'resume',
+        name: 'Backend resume',
+        version: 1,
+        jobIds: [job._id.toString()],
+        file: {
+          originalName: 'resume.pdf',
+          mimeType: 'application/pdf',
+          size: 9,
+          // SHA-256 of "My resume"
+          checksum: expect.stringMatching(/^[0-9a-f]{64}$/)
+        }
+      });
+      expect(response.body.document.file.storageKey).toBeUndefined();
+    });
+
+    it('should number new versions of a document', async () => {
+      await upload({ type: 'resume', name: 'Backend resume' }, 'first');
+      const second = await upload({ type: 'resume', name: 'Backend resume' }, 'second');
+      const other = await upload({ type: 'cover_letter', name: 'Backend resume' }, 'letter');
+
+      expect(second.body.document.version).toBe(2);
+      expect(other.body.document.version).toBe(1);
+    });
+
+    it('should refuse the same file as the latest version', async () => {
+      const first = await upload({ type: 'resume', name: 'Backend resume' });
+
+      const response = await upload({ type: 'resume', name: 'Backend resume' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.document._id).toBe(first.body.document._id);
+    });
+
+    it('should reject uploads that are not documents', async () => {
+      const responses = [
+        await upload({ type: 'resume', name: 'Resume' }, 'MZ', 'resume.exe'),
+        await upload({ type: 'portfolio', name: 'Resume' }),
+        await upload({ type: 'resume' }),
+        await request(app)
+          .post('/api/documents')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ type: 'resume', name: 'Resume' })
+      ];
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+      expect(await Document.countDocuments()).toBe(0);
+    });
+
+    it('should reject files over the size limit', async () => {
+      const response = await upload({ type: 'resume', name: 'Resume' }, 'a'.repeat(6 * 1024 * 1024));
+
+      expect(response.status).toBe(413);
+    });
+
+    it('should only link the user\'s own jobs', async () => {
+      const response = await upload({ type: 'resume', name: 'Resume', jobIds: '507f1f77bcf86cd799439011' });
+
+      expect(response.status).toBe(400);
+      expect(await Document.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('using documents', () => {
+    it('should download the stored file', async () => {
+      const uploaded = await upload({ type: 'resume', name: 'Backend resume' }, 'My resume', 'résumé.pdf');
+
+      const response = await request(app)
+        .get(`/api/documents/${uploaded.body.document._id}/file`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain("filename*=UTF-8''r%C3%A9sum%C3%A9.pdf");
+      expect(response.body.toString()).toBe('My resume');
+    });
+
+    it('should list the latest version of each document', async () => {
+      await upload({ type: 'resume', name: 'Backend resume' }, 'first');
+      await upload({ type: 'resume', name: 'Backend resume' }, 'second');
+      await upload({ type: 'resume', name: 'Frontend resume' }, 'third');
+
+      const all = await request(app)
+        .get('/api/documents')
+        .set('Authorization', `Bearer ${authToken}`);
+      const latest = await request(app)
+        .get('/api/documents?latest=true')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(all.body.pagination.totalItems).toBe(3);
+      expect(latest.body.pagination.totalItems).toBe(2);
+      expect(latest.body.documents.map((document) => [document.name, document.version])).toEqual([
+        ['Backend resume', 2],
+        ['Frontend resume', 1]
+      ]);
+    });
+
+    it('should link a version to jobs', async () => {
+      const job = await createJob();
+      const uploaded = await upload({ type: 'resume', name: 'Backend resume' });
+
+      const update = await request(app)
+        .patch(`/api/documents/${uploaded.body.document._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ jobIds: [job._id.toString()] });
+      expect(update.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/documents?jobId=${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(response.body.documents).toHaveLength(1);
+    });
+
+    it('should delete a version and its file', async () => {
+      const uploaded = await upload({ type: 'resume', name: 'Backend resume' });
+      const stored = await Document.findById(uploaded.body.document._id).select('+file.storageKey');
+
+      const response = await request(app)
+        .delete(`/api/documents/${uploaded.body.document._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(fs.existsSync(path.join(storageDir, stored.file.storageKey))).toBe(false);
+    });
+  });
+
+  describe('GET /api/analytics/documents', () => {
+    it('should break down outcomes by resume version', async () => {
+      const [applied, interviewing, offer, rejected] = await Promise.all(
+        ['applied', 'interviewing', 'offer', 'rejected'].map((status) => createJob(status))
+      );
+      await upload({ type: 'resume', name: 'Backend resume', jobIds: `${applied._id},${rejected._id}` }, 'first');
+      await upload({ type: 'resume', name: 'Backend resume', jobIds: `${interviewing._id},${offer._id}` }, 'second');
+
+      const response = await request(app)
+        .get('/api/analytics/documents?type=resume')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.versions).toMatchObject([
+        { version: 1, applications: 2, interviews: 0, offers: 0, rejections: 1, interviewRate: 0, offerRate: 0 },
+        { version: 2, applications: 2, interviews: 1, offers: 1, rejections: 0, interviewRate: 100, offerRate: 50 }
+      ]);
+    });
+
+    it('should count jobs rejected after interviewing in the interview rate', async () => {
+      const [interviewed, screened] = await Promise.all([createJob(), createJob()]);
+      interviewed.changeStatus('interviewing');
+      interviewed.changeStatus('rejected');
+      screened.changeStatus('rejected');
+      await Promise.all([interviewed.save(), screened.save()]);
+      await upload({ type: 'resume', name: 'Backend resume', jobIds: `${interviewed._id},${screened._id}` });
+
+      const response = await request(app)
+        .get('/api/analytics/documents?type=resume')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.data.versions).toMatchObject([
+        { applications: 2, interviews: 0, rejections: 2, interviewRate: 50 }
+      ]);
+    });
+  });
+});
@@ -411,16 +411,17 @@ describe('Edge Cases and Boundary Conditions', () => {
 
       // Get all tasks should still work efficiently and be sorted
       const response = await request(app)
-        .get('/api/tasks')
+        .get('/api/tasks?limit=100')
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(response.body.length).toBe(100);
+      expect(response.body.tasks.length).toBe(100);
+      expect(response.body.pagination.totalItems).toBe(100);
       
       // Verify sorting by dueDateTime
-      for (let i = 1; i < response.body.length; i+=1) {
-        const prevDate = new Date(response.body[i - 1].dueDateTime);
-        const currDate = new Date(response.body[i].dueDateTime);
+      for (let i = 1; i < response.body.tasks.length; i+=1) {
+        const prevDate = new Date(response.body.tasks[i - 1].dueDateTime);
+        const currDate = new Date(response.body.tasks[i].dueDateTime);
         expect(prevDate.getTime()).toBeLessThanOrEqual(currDate.getTime());
       }
     });
@@ -111,6 +111,14 @@ describe('Error Handler Tests', () => {
       expect(error.message).toBe('Test error');
     });
 
+    it('should only set details on AppError when provided', () => {
+      expect(new AppError('Test error', 400).details).toBeUndefined();
+
+      const error = new ConflictError('Conflict', { ids: ['507f1f77bcf86cd799439011'] });
+      expect(error.statusCode).toBe(409);
+      expect(error.details).toEqual({ ids: ['507f1f77bcf86cd799439011'] });
+    });
+
     it('should create ValidationError', () => {
       const error = new ValidationError('Validation failed');
       expect(error.statusCode).toBe(400);
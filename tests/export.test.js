@@ -0,0 +1,154 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+describe('Export Endpoints', () => {
+  let testUser;
+  let authToken;
+  let googleJob;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    googleJob = await Job.create({
+      position: 'Software Engineer',
+      company: 'Google',
+      status: 'applied',
+      notes: '=HYPERLINK("http://example.com")',
+      dateApplied: new Date('2024-01-15'),
+      userId: testUser._id
+    });
+    await Job.create({
+      position: 'Data Engineer',
+      company: 'Stripe, Inc',
+      status: 'interviewing',
+      dateApplied: new Date('2024-02-01'),
+      userId: testUser._id
+    });
+
+    await Task.create({
+      title: 'Follow up with recruiter',
+      dueDateTime: new Date('2024-01-20T10:00:00Z'),
+      taskType: 'follow-up',
+      jobId: googleJob._id,
+      userId: testUser._id
+    });
+  });
+
+  describe('GET /api/jobs/export', () => {
+    it('should export jobs as CSV', async () => {
+      const response = await request(app)
+        .get('/api/jobs/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="jobs-.*\.csv"/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,position,company,status,dateApplied,notes,createdAt,updatedAt');
+      expect(lines).toHaveLength(3);
+      // Newest application first, quoted where needed
+      expect(lines[1]).toContain('"Stripe, Inc"');
+    });
+
+    it('should honour the job list filters and sort', async () => {
+      const response = await request(app)
+        .get('/api/jobs/export?status=applied&sortBy=company&sortOrder=asc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('Google');
+    });
+
+    it('should export jobs as NDJSON', async () => {
+      const response = await request(app)
+        .get('/api/jobs/export?format=ndjson&search=google')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let data = '';
+          res.on('data', (chunk) => { data += chunk; });
+          res.on('end', () => callback(null, data));
+        })
+        .expect(200);
+
+      const records = response.body.trim().split('\n').map((line) => JSON.parse(line));
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({ id: googleJob._id.toString(), company: 'Google', status: 'applied' });
+    });
+
+    it('should guard spreadsheet formulas in the excel format', async () => {
+      const response = await request(app)
+        .get('/api/jobs/export?format=excel&company=Google')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.text.charCodeAt(0)).toBe(0xfeff);
+      expect(response.text).toContain('"\'=HYPERLINK(""http://example.com"")"');
+    });
+
+    it('should send a JSON error when the export fails before any data', async () => {
+      const cursor = jest.spyOn(mongoose.Query.prototype, 'cursor').mockImplementationOnce(() => new Readable({
+        objectMode: true,
+        read() {
+          this.destroy(new Error('Cursor failed'));
+        }
+      }));
+
+      const response = await request(app)
+        .get('/api/jobs/export')
+        .set('Authorization', `Bearer ${authToken}`);
+      cursor.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(response.headers['content-disposition']).toBeUndefined();
+    });
+
+    it('should reject an unknown format', async () => {
+      await request(app)
+        .get('/api/jobs/export?format=pdf')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/tasks/export', () => {
+    it('should export tasks with their linked job', async () => {
+      const response = await request(app)
+        .get('/api/tasks/export?completed=false')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,title,taskType,dueDateTime,completed,notes,jobId,company,position,createdAt');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain(`${googleJob._id},Google,Software Engineer`);
+    });
+  });
+});
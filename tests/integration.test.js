@@ -269,9 +269,9 @@ describe('Integration Tests - Complete Workflows', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(Array.isArray(getTasksResponse.body)).toBe(true);
-      expect(getTasksResponse.body.length).toBe(1);
-      expect(getTasksResponse.body[0].title).toBe(taskData.title);
+      expect(Array.isArray(getTasksResponse.body.tasks)).toBe(true);
+      expect(getTasksResponse.body.tasks.length).toBe(1);
+      expect(getTasksResponse.body.tasks[0].title).toBe(taskData.title);
 
       // Step 4: Get specific task
       const getTaskResponse = await request(app)
@@ -353,11 +353,11 @@ describe('Integration Tests - Complete Workflows', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(getTasksResponse.body.length).toBe(3);
+      expect(getTasksResponse.body.tasks.length).toBe(3);
       // Should be sorted by dueDateTime (earliest first)
-      expect(getTasksResponse.body[0].title).toBe('Research company');
-      expect(getTasksResponse.body[1].title).toBe('Prepare for interview');
-      expect(getTasksResponse.body[2].title).toBe('Network with employees');
+      expect(getTasksResponse.body.tasks[0].title).toBe('Research company');
+      expect(getTasksResponse.body.tasks[1].title).toBe('Prepare for interview');
+      expect(getTasksResponse.body.tasks[2].title).toBe('Network with employees');
 
       // Step 3: Get tasks from database to get IDs
       const tasks = await Task.find({ userId: testUser._id });
@@ -0,0 +1,321 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const Interview = require('../models/Interview');
+
+describe('Interview rounds', () => {
+  let testUser;
+  let authToken;
+  let job;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    job = await Job.create({
+      userId: testUser._id,
+      position: 'Software Engineer',
+      company: 'Google',
+      status: 'interview'
+    });
+  });
+
+  const postInterview = (body, jobId = job._id) => request(app)
+    .post(`/api/jobs/${jobId}/interviews`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const patchInterview = (id, body) => request(app)
+    .patch(`/api/jobs/${job._id}/interviews/${id}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const scheduledAt = '2026-11-02T15:00:00.000Z';
+
+  describe('POST /api/jobs/:id/interviews', () => {
+    it('should number rounds in the order they are added', async () => {
+      const first = await postInterview({ type: 'phone-screen' });
+      const second = await postInterview({ type: 'technical', format: 'video' });
+
+      expect(first.status).toBe(201);
+      expect(first.body.interview.round).toBe(1);
+      expect(first.body.interview.outcome).toBe('pending');
+      expect(second.body.interview.round).toBe(2);
+
+      const list = await request(app)
+        .get(`/api/jobs/${job._id}/interviews`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.map(interview => interview.type)).toEqual(['phone-screen', 'technical']);
+    });
+
+    it('should create an interview task for a scheduled round', async () => {
+      const response = await postInterview({
+        type: 'system-design',
+        scheduledAt,
+        format: 'video',
+        interviewers: [{ name: 'Jane Smith', role: 'Staff Engineer' }]
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.task).toMatchObject({
+        title: 'Round 1 system design interview at Google',
+        taskType: 'interview',
+        jobId: job._id.toString(),
+        dueDateTime: scheduledAt
+      });
+      expect(response.body.task.notes).toContain('Jane Smith (Staff Engineer)');
+      expect(response.body.interview.taskId).toBe(response.body.task._id);
+    });
+
+    it('should not create a task for an unscheduled round', async () => {
+      const response = await postInterview({ type: 'take-home' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.task).toBeNull();
+      expect(await Task.countDocuments({ userId: testUser._id })).toBe(0);
+    });
+
+    it('should not keep the round when its task fails to save', async () => {
+      const save = jest.spyOn(Task.prototype, 'save').mockRejectedValueOnce(new Error('Save failed'));
+
+      const response = await postInterview({ type: 'technical', scheduledAt });
+      save.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(await Interview.countDocuments({ jobId: job._id })).toBe(0);
+    });
+
+    it('should not allow two rounds with the same number', async () => {
+      await Interview.init();
+      await Interview.create({ userId: testUser._id, jobId: job._id, round: 1, type: 'technical' });
+
+      await expect(Interview.create({ userId: testUser._id, jobId: job._id, round: 1, type: 'final' }))
+        .rejects.toThrow(/duplicate key/);
+    });
+
+    it('should require a valid type', async () => {
+      const missing = await postInterview({ scheduledAt });
+      const invalid = await postInterview({ type: 'karaoke' });
+
+      expect(missing.status).toBe(400);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should only link interviewers to the user\'s own contacts', async () => {
+      const otherUser = await User.create({
+        firstName: 'Other',
+        lastName: 'User',
+        email: 'other@example.com',
+        password: 'hashed',
+        isVerified: true
+      });
+      const theirs = await Contact.create({ userId: otherUser._id, name: 'Someone Else' });
+      const mine = await Contact.create({ userId: testUser._id, name: 'Jane Smith' });
+
+      const rejected = await postInterview({
+        type: 'behavioral',
+        interviewers: [{ name: 'Someone Else', contactId: theirs._id }]
+      });
+      expect(rejected.status).toBe(400);
+
+      const accepted = await postInterview({
+        type: 'behavioral',
+        interviewers: [{ name: 'Jane Smith', contactId: mine._id }]
+      });
+      expect(accepted.status).toBe(201);
+      expect(accepted.body.interview.interviewers[0].contactId).toBe(mine._id.toString());
+    });
+
+    it('should return 404 for another user\'s job', async () => {
+      const otherUser = await User.create({
+        firstName: 'Other',
+        lastName: 'User',
+        email: 'other@example.com',
+        password: 'hashed',
+        isVerified: true
+      });
+      const otherJob = await Job.create({
+        userId: otherUser._id,
+        position: 'Designer',
+        company: 'Acme',
+        status: 'applied'
+      });
+
+      const response = await postInterview({ type: 'technical' }, otherJob._id);
+
+      expect(response.status).toBe(404);
+      expect(await Interview.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('PATCH /api/jobs/:id/interviews/:interviewId', () => {
+    it('should create the task once a round is scheduled and move it with the round', async () => {
+      const created = await postInterview({ type: 'technical' });
+      const id = created.body.interview._id;
+
+      const scheduled = await patchInterview(id, { scheduledAt });
+      expect(scheduled.status).toBe(200);
+      expect(scheduled.body.task.dueDateTime).toBe(scheduledAt);
+
+      const moved = await patchInterview(id, { scheduledAt: '2026-11-05T10:00:00.000Z' });
+      expect(moved.body.task._id).toBe(scheduled.body.task._id);
+      expect(moved.body.task.dueDateTime).toBe('2026-11-05T10:00:00.000Z');
+      expect(await Task.countDocuments({ userId: testUser._id })).toBe(1);
+    });
+
+    it('should complete the task when the round is decided', async () => {
+      const created = await postInterview({ type: 'technical', scheduledAt });
+
+      const response = await patchInterview(created.body.interview._id, {
+        outcome: 'passed',
+        feedback: 'Strong on algorithms'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interview.outcome).toBe('passed');
+      expect(response.body.interview.feedback).toBe('Strong on algorithms');
+      expect(response.body.task.completed).toBe(true);
+    });
+
+    it('should trash the task when the round is cancelled', async () => {
+      const created = await postInterview({ type: 'technical', scheduledAt });
+
+      const response = await patchInterview(created.body.interview._id, { outcome: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.task).toBeNull();
+      const task = await Task.findById(created.body.task._id).setOptions({ withDeleted: true });
+      expect(task.deletedAt).toBeTruthy();
+    });
+
+    it('should reject an invalid outcome', async () => {
+      const created = await postInterview({ type: 'technical' });
+
+      const response = await patchInterview(created.body.interview._id, { outcome: 'maybe' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/jobs/:id/interviews/:interviewId', () => {
+    it('should renumber later rounds and retitle their tasks', async () => {
+      const first = await postInterview({ type: 'phone-screen', scheduledAt });
+      await postInterview({ type: 'technical', scheduledAt });
+      const third = await postInterview({ type: 'final', scheduledAt });
+
+      const response = await request(app)
+        .delete(`/api/jobs/${job._id}/interviews/${first.body.interview._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const rounds = await Interview.find({ jobId: job._id }).sort({ round: 1 });
+      expect(rounds.map(round => [round.round, round.type])).toEqual([[1, 'technical'], [2, 'final']]);
+
+      const finalTask = await Task.findById(third.body.task._id);
+      expect(finalTask.title).toBe('Round 2 final interview at Google');
+      expect(await Task.findById(first.body.task._id)).toBeNull();
+    });
+
+    it('should leave the rounds as they were when renumbering fails', async () => {
+      const first = await postInterview({ type: 'phone-screen', scheduledAt });
+      const second = await postInterview({ type: 'technical', scheduledAt });
+      const save = jest.spyOn(Task.prototype, 'save').mockRejectedValueOnce(new Error('Save failed'));
+
+      const response = await request(app)
+        .delete(`/api/jobs/${job._id}/interviews/${first.body.interview._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      save.mockRestore();
+
+      expect(response.status).toBe(500);
+      const rounds = await Interview.find({ jobId: job._id }).sort({ round: 1 });
+      expect(rounds.map(round => [round.round, round.type])).toEqual([[1, 'phone-screen'], [2, 'technical']]);
+      expect(await Task.findById(first.body.task._id)).not.toBeNull();
+      expect((await Task.findById(second.body.task._id)).title).toBe('Round 2 technical interview at Google');
+    });
+
+    it('should delete the rounds of a purged job', async () => {
+      await postInterview({ type: 'technical' });
+
+      await request(app)
+        .delete(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      await request(app)
+        .delete(`/api/trash/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(await Interview.countDocuments({ jobId: job._id })).toBe(0);
+    });
+  });
+
+  describe('GET /api/analytics/interviews', () => {
+    it('should report rounds per job and the pass-through rate of each round', async () => {
+      const secondJob = await Job.create({
+        userId: testUser._id,
+        position: 'Backend Engineer',
+        company: 'Stripe',
+        status: 'interview'
+      });
+
+      // Google: passed round 1, failed round 2; Stripe: passed round 1, cancelled round 2
+      await Interview.create([
+        { userId: testUser._id, jobId: job._id, round: 1, type: 'phone-screen', outcome: 'passed' },
+        { userId: testUser._id, jobId: job._id, round: 2, type: 'technical', outcome: 'failed' },
+        { userId: testUser._id, jobId: secondJob._id, round: 1, type: 'phone-screen', outcome: 'passed' },
+        { userId: testUser._id, jobId: secondJob._id, round: 2, type: 'technical', outcome: 'cancelled' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/analytics/interviews')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        jobsWithInterviews: 2,
+        totalRounds: 3,
+        avgRoundsPerJob: 1.5,
+        roundsPerJob: [{ rounds: 1, jobs: 1 }, { rounds: 2, jobs: 1 }]
+      });
+      expect(response.body.data.byRound).toEqual([
+        { round: 1, total: 2, passed: 2, failed: 0, pending: 0, cancelled: 0, passThroughRate: 100 },
+        { round: 2, total: 2, passed: 0, failed: 1, pending: 0, cancelled: 1, passThroughRate: 0 }
+      ]);
+    });
+
+    it('should leave out rounds of trashed jobs', async () => {
+      await postInterview({ type: 'technical' });
+      await request(app)
+        .delete(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .get('/api/analytics/interviews')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.data.totalRounds).toBe(0);
+      expect(response.body.data.byRound).toEqual([]);
+    });
+  });
+});
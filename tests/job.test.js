@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const app = require('../index');
 const Job = require('../models/Job');
+const Task = require('../models/Task');
 const User = require('../models/User');
 
 describe('Job Endpoints', () => {
@@ -353,6 +354,93 @@ describe('Job Endpoints', () => {
     });
   });
 
+  describe('GET /api/jobs/:id/history', () => {
+    it('should record the initial status when a job is created', async () => {
+      const response = await request(app)
+        .get(`/api/jobs/${testJob._id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.currentStatus).toBe('applied');
+      expect(response.body.history.length).toBe(1);
+      expect(response.body.history[0].from).toBeNull();
+      expect(response.body.history[0].to).toBe('applied');
+    });
+
+    it('should append an entry for every status change with its note', async () => {
+      await request(app)
+        .patch(`/api/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'interviewing', statusNote: 'Phone screen booked' })
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'offer' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/jobs/${testJob._id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.currentStatus).toBe('offer');
+      expect(response.body.history.map((entry) => entry.to)).toEqual(['applied', 'interviewing', 'offer']);
+      expect(response.body.history[1].from).toBe('applied');
+      expect(response.body.history[1].note).toBe('Phone screen booked');
+    });
+
+    it('should not record an entry when only other fields change', async () => {
+      await request(app)
+        .patch(`/api/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'applied', notes: 'Edited notes' })
+        .expect(200);
+
+      const job = await Job.findById(testJob._id);
+      expect(job.statusHistory.length).toBe(1);
+    });
+
+    it('should store the statusNote given on creation', async () => {
+      await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ position: 'QA Engineer', status: 'applied', company: 'Test Co', statusNote: 'Via referral' })
+        .expect(201);
+
+      const job = await Job.findOne({ position: 'QA Engineer' });
+      expect(job.statusHistory.length).toBe(1);
+      expect(job.statusHistory[0].note).toBe('Via referral');
+    });
+
+    it('should return 404 for job belonging to another user', async () => {
+      const anotherUser = new User({
+        firstName: 'Another',
+        lastName: 'User',
+        email: 'another@example.com',
+        password: await bcrypt.hash('password123', 10),
+        isVerified: true
+      });
+      await anotherUser.save();
+
+      const anotherJob = new Job({
+        position: 'Another Position',
+        status: 'applied',
+        company: 'Another Corp',
+        userId: anotherUser._id
+      });
+      await anotherJob.save();
+
+      const response = await request(app)
+        .get(`/api/jobs/${anotherJob._id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Job not found');
+    });
+  });
+
   describe('DELETE /api/jobs/:id', () => {
     it('should delete job for authenticated user', async () => {
       const response = await request(app)
@@ -417,6 +505,84 @@ describe('Job Endpoints', () => {
     });
   });
 
+  describe('Task cascade on job deletion', () => {
+    let linkedTask;
+
+    beforeEach(async () => {
+      linkedTask = new Task({
+        title: 'Follow up with recruiter',
+        dueDateTime: new Date('2024-01-20T10:00:00Z'),
+        taskType: 'follow-up',
+        userId: testUser._id,
+        jobId: testJob._id
+      });
+      await linkedTask.save();
+    });
+
+    it('should keep linked tasks active by default and detach them on purge', async () => {
+      const response = await request(app)
+        .delete(`/api/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tasks).toEqual({ policy: 'detach', deleted: 0, detached: 1 });
+      expect(await Task.findById(linkedTask._id)).toBeTruthy();
+
+      await request(app)
+        .delete(`/api/trash/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const task = await Task.findById(linkedTask._id);
+      expect(task).toBeTruthy();
+      expect(task.jobId).toBeUndefined();
+    });
+
+    it('should trash linked tasks with cascade=delete', async () => {
+      const response = await request(app)
+        .delete(`/api/jobs/${testJob._id}?cascade=delete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tasks).toEqual({ policy: 'delete', deleted: 1, detached: 0 });
+      expect(await Task.findById(linkedTask._id)).toBeNull();
+    });
+
+    it('should refuse with 409 and list the tasks with cascade=restrict', async () => {
+      const response = await request(app)
+        .delete(`/api/jobs/${testJob._id}?cascade=restrict`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.details.tasks.length).toBe(1);
+      expect(response.body.details.tasks[0].title).toBe('Follow up with recruiter');
+
+      // Nothing should have been deleted
+      expect(await Job.findById(testJob._id)).toBeTruthy();
+      expect(await Task.findById(linkedTask._id)).toBeTruthy();
+    });
+
+    it('should apply the policy to bulk deletes', async () => {
+      const response = await request(app)
+        .post('/api/jobs/delete-multiple-jobs?cascade=delete')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [testJob._id.toString()] })
+        .expect(200);
+
+      expect(response.body.deletedCount).toBe(1);
+      expect(response.body.tasks.deleted).toBe(1);
+    });
+
+    it('should return 400 for an unknown policy', async () => {
+      const response = await request(app)
+        .delete(`/api/jobs/${testJob._id}?cascade=orphan`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('cascade must be one of: delete, detach, restrict');
+    });
+  });
+
   describe('POST /api/jobs/delete-multiple-jobs', () => {
     let secondJob;
 
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('Job board', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  // Jobs applied to a day apart, the first one oldest
+  const createJobs = (status, companies) => Job.create(companies.map((company, i) => ({
+    userId: testUser._id,
+    position: 'Software Engineer',
+    company,
+    status,
+    dateApplied: new Date(Date.UTC(2026, 0, i + 1))
+  })));
+
+  const getBoard = (query = {}) => request(app)
+    .get('/api/jobs/board')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  const moveJob = (id, body) => request(app)
+    .patch(`/api/jobs/${id}/move`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const columnCompanies = (board, status) => board.body.columns
+    .find(column => column.status === status)
+    .jobs.map(job => job.company);
+
+  describe('GET /api/jobs/board', () => {
+    it('should return a column per stage with unplaced jobs newest first', async () => {
+      await createJobs('applied', ['Google', 'Stripe', 'Netflix']);
+      await createJobs('offer', ['Acme']);
+
+      const response = await getBoard();
+
+      expect(response.status).toBe(200);
+      expect(response.body.columns.map(column => column.status))
+        .toEqual(['applied', 'interviewing', 'offer', 'rejected']);
+      expect(response.body.columns[0]).toMatchObject({ name: 'Applied', category: 'active', total: 3 });
+      expect(columnCompanies(response, 'applied')).toEqual(['Netflix', 'Stripe', 'Google']);
+      expect(columnCompanies(response, 'offer')).toEqual(['Acme']);
+      expect(response.body.columns[1].jobs).toEqual([]);
+    });
+
+    it('should apply the job list filters', async () => {
+      await createJobs('applied', ['Google', 'Stripe']);
+
+      const response = await getBoard({ search: 'stripe' });
+
+      expect(columnCompanies(response, 'applied')).toEqual(['Stripe']);
+    });
+
+    it('should leave out trashed jobs', async () => {
+      const [google] = await createJobs('applied', ['Google', 'Stripe']);
+      await request(app)
+        .delete(`/api/jobs/${google._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await getBoard();
+
+      expect(columnCompanies(response, 'applied')).toEqual(['Stripe']);
+    });
+  });
+
+  describe('PATCH /api/jobs/:id/move', () => {
+    it('should reorder a job within its column and keep the order', async () => {
+      const [google] = await createJobs('applied', ['Google', 'Stripe', 'Netflix']);
+
+      const response = await moveJob(google._id, { position: 0 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.boardPosition).toBe(0);
+      expect(response.body.job.statusHistory).toHaveLength(1);
+
+      const board = await getBoard();
+      expect(columnCompanies(board, 'applied')).toEqual(['Google', 'Netflix', 'Stripe']);
+      const positions = await Job.find({ userId: testUser._id }).sort({ boardPosition: 1 });
+      expect(positions.map(job => job.boardPosition)).toEqual([0, 1, 2]);
+    });
+
+    it('should change status and position together', async () => {
+      const [google] = await createJobs('applied', ['Google']);
+      const [stripe, netflix] = await createJobs('interviewing', ['Stripe', 'Netflix']);
+      await moveJob(stripe._id, { position: 0 });
+
+      const response = await moveJob(google._id, {
+        status: 'interviewing',
+        position: 1,
+        statusNote: 'Recruiter call booked'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.status).toBe('interviewing');
+      expect(response.body.job.statusHistory[1]).toMatchObject({
+        from: 'applied',
+        to: 'interviewing',
+        note: 'Recruiter call booked'
+      });
+
+      const board = await getBoard();
+      expect(columnCompanies(board, 'applied')).toEqual([]);
+      expect(columnCompanies(board, 'interviewing')).toEqual(['Stripe', 'Google', 'Netflix']);
+      expect((await Job.findById(netflix._id)).boardPosition).toBe(2);
+    });
+
+    it('should put the job last for a position past the end', async () => {
+      const [google] = await createJobs('applied', ['Google', 'Stripe']);
+
+      const response = await moveJob(google._id, { status: 'interviewing', position: 10 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.boardPosition).toBe(0);
+    });
+
+    it('should send a job that changes status through an update to the top of its column', async () => {
+      const [google, stripe] = await createJobs('applied', ['Google', 'Stripe']);
+      await moveJob(google._id, { status: 'interviewing', position: 0 });
+
+      await request(app)
+        .patch(`/api/jobs/${stripe._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'interviewing' });
+
+      const board = await getBoard();
+      expect(columnCompanies(board, 'interviewing')).toEqual(['Stripe', 'Google']);
+    });
+
+    it('should validate the position and status', async () => {
+      const [google] = await createJobs('applied', ['Google']);
+
+      const missing = await moveJob(google._id, { status: 'offer' });
+      const negative = await moveJob(google._id, { position: -1 });
+      const unknownStatus = await moveJob(google._id, { status: 'ghosted', position: 0 });
+
+      expect(missing.status).toBe(400);
+      expect(negative.status).toBe(400);
+      expect(unknownStatus.status).toBe(400);
+      expect((await Job.findById(google._id)).status).toBe('applied');
+    });
+
+    it('should return 404 for another user\'s job', async () => {
+      const otherUser = await User.create({
+        firstName: 'Other',
+        lastName: 'User',
+        email: 'other@example.com',
+        password: 'hashed',
+        isVerified: true
+      });
+      const theirs = await Job.create({
+        userId: otherUser._id,
+        position: 'Designer',
+        company: 'Acme',
+        status: 'applied'
+      });
+
+      const response = await moveJob(theirs._id, { position: 0 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('Job details', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const createJob = (company, status, details = {}) => {
+    const job = new Job({ position: 'Software Engineer', company, status, userId: testUser._id });
+    job.set(details);
+    return job.save();
+  };
+
+  const getJobs = (query) => request(app)
+    .get(`/api/jobs?${query}`)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  describe('POST /api/jobs and PATCH /api/jobs/:id', () => {
+    it('should store location, work mode, employment type and seniority', async () => {
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          position: 'Software Engineer',
+          company: 'Acme',
+          status: 'applied',
+          location: { city: 'Berlin', country: 'Germany' },
+          workMode: 'hybrid',
+          employmentType: 'full-time',
+          seniority: 'senior'
+        });
+      expect(response.status).toBe(201);
+
+      const job = await Job.findOne({ company: 'Acme' }).lean();
+      expect(job).toMatchObject({
+        location: { city: 'Berlin', country: 'Germany' },
+        workMode: 'hybrid',
+        employmentType: 'full-time',
+        seniority: 'senior'
+      });
+    });
+
+    it('should reject unknown work modes, employment types and seniorities', async () => {
+      const job = { position: 'Engineer', company: 'Acme', status: 'applied' };
+      const invalid = [
+        { workMode: 'office' },
+        { employmentType: 'gig' },
+        { seniority: 'guru' },
+        { location: 'Berlin' }
+      ];
+
+      const responses = await Promise.all(invalid.map((details) => request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(Object.assign(details, job))));
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+    });
+
+    it('should replace or clear details on update', async () => {
+      const job = await createJob('Acme', 'applied', {
+        location: { city: 'Berlin', country: 'Germany' },
+        workMode: 'onsite',
+        seniority: 'mid'
+      });
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ location: { country: 'Canada' }, workMode: 'remote', seniority: null });
+
+      expect(response.status).toBe(200);
+      const updated = await Job.findById(job._id).lean();
+      expect(updated.location).toEqual({ country: 'Canada' });
+      expect(updated.workMode).toBe('remote');
+      expect(updated.seniority).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/jobs', () => {
+    beforeEach(async () => {
+      await createJob('Acme', 'applied', { workMode: 'remote', employmentType: 'contract', location: { country: 'Germany' } });
+      await createJob('Globex', 'applied', { workMode: 'hybrid', employmentType: 'full-time', location: { city: 'New York', country: 'United States' } });
+      await createJob('Initech', 'applied', { workMode: 'onsite', seniority: 'junior' });
+    });
+
+    it('should filter by one or several work modes', async () => {
+      const one = await getJobs('workMode=remote');
+      const several = await getJobs('workMode=remote,hybrid&sortBy=company&sortOrder=asc');
+
+      expect(one.body.jobs.map((job) => job.company)).toEqual(['Acme']);
+      expect(several.body.jobs.map((job) => job.company)).toEqual(['Acme', 'Globex']);
+    });
+
+    it('should filter by employment type and seniority', async () => {
+      const byType = await getJobs('employmentType=full-time');
+      const bySeniority = await getJobs('seniority=junior');
+
+      expect(byType.body.jobs.map((job) => job.company)).toEqual(['Globex']);
+      expect(bySeniority.body.jobs.map((job) => job.company)).toEqual(['Initech']);
+    });
+
+    it('should match location names ignoring case', async () => {
+      const response = await getJobs('city=new%20york');
+
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.jobs[0].location).toEqual({ city: 'New York', country: 'United States' });
+    });
+
+    it('should reject unknown filter values', async () => {
+      const response = await getJobs('workMode=remote,office');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics/job-details', () => {
+    it('should break down response and offer rates by work mode and employment type', async () => {
+      await createJob('Acme', 'applied', { workMode: 'remote', employmentType: 'full-time' });
+      await createJob('Globex', 'interviewing', { workMode: 'remote', employmentType: 'full-time' });
+      await createJob('Initech', 'offer', { workMode: 'remote', employmentType: 'contract' });
+      await createJob('Umbrella', 'rejected', { workMode: 'onsite' });
+
+      const response = await request(app)
+        .get('/api/analytics/job-details')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { byWorkMode, byEmploymentType } = response.body.data;
+      expect(byWorkMode.map((item) => item.value)).toEqual(['remote', 'hybrid', 'onsite']);
+      expect(byWorkMode[0]).toEqual({
+        value: 'remote',
+        applications: 3,
+        responses: 2,
+        offers: 1,
+        rejections: 0,
+        responseRate: 66.7,
+        offerRate: 33.3
+      });
+      expect(byWorkMode[1]).toMatchObject({ applications: 0, responseRate: 0 });
+      expect(byWorkMode[2]).toMatchObject({ applications: 1, responses: 1, rejections: 1 });
+      expect(byEmploymentType).toEqual([
+        expect.objectContaining({ value: 'full-time', applications: 2, responseRate: 50 }),
+        expect.objectContaining({ value: 'contract', applications: 1, offerRate: 100 }),
+        expect.objectContaining({ value: 'internship', applications: 0 }),
+        expect.objectContaining({ value: null, applications: 1, rejections: 1 })
+      ]);
+    });
+  });
+});
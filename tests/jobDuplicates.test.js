@@ -0,0 +1,196 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { groupDuplicateJobs, normalizePosition } = require('../utils/jobDuplicates');
+const { linkAllUnlinkedJobs } = require('../utils/companies');
+
+describe('normalizePosition', () => {
+  it('should ignore case, punctuation and whitespace', () => {
+    expect(normalizePosition(' Sr.  Software-Engineer ')).toBe('sr software engineer');
+    expect(normalizePosition('C++ Developer')).toBe('c++ developer');
+  });
+});
+
+describe('groupDuplicateJobs', () => {
+  const job = (_id, companyId, position, dateApplied, postingUrlKey) => ({
+    _id, companyId, position, dateApplied: new Date(dateApplied), postingUrlKey
+  });
+
+  it('should group jobs with the same company and position', () => {
+    const groups = groupDuplicateJobs([
+      job('a', 'google', 'Software Engineer', '2024-01-01'),
+      job('b', 'google', 'software engineer', '2024-06-01'),
+      job('c', 'stripe', 'Software Engineer', '2024-01-01')
+    ], 30);
+
+    expect(groups).toEqual([
+      { reasons: ['company_and_position'], jobs: [expect.objectContaining({ _id: 'a' }), expect.objectContaining({ _id: 'b' })] }
+    ]);
+  });
+
+  it('should group applications to a company within the window', () => {
+    const jobs = [
+      job('a', 'google', 'Backend Engineer', '2024-01-01'),
+      job('b', 'google', 'Frontend Engineer', '2024-01-20'),
+      job('c', 'google', 'Data Engineer', '2024-06-01')
+    ];
+
+    expect(groupDuplicateJobs(jobs, 30)).toEqual([
+      { reasons: ['applied_within_window'], jobs: [jobs[0], jobs[1]] }
+    ]);
+    expect(groupDuplicateJobs(jobs, 0)).toEqual([]);
+  });
+
+  it('should group jobs with the same posting across companies and chain groups', () => {
+    const groups = groupDuplicateJobs([
+      job('a', 'google', 'Engineer', '2024-01-01', 'example.com/jobs/1'),
+      job('b', 'alphabet', 'Engineer II', '2024-03-01', 'example.com/jobs/1'),
+      job('c', 'alphabet', 'Engineer II', '2024-09-01')
+    ], 30);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].jobs.map((item) => item._id)).toEqual(['a', 'b', 'c']);
+    expect(groups[0].reasons.sort()).toEqual(['company_and_position', 'posting_url']);
+  });
+});
+
+describe('Duplicate job detection', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.DUPLICATE_WINDOW_DAYS;
+  });
+
+  const postJob = (job, query = '') => request(app)
+    .post(`/api/jobs${query}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(job);
+
+  describe('POST /api/jobs', () => {
+    it('should reject the same company and position with the matching job IDs', async () => {
+      await postJob({ position: 'Software Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-01' });
+      const existing = await Job.findOne();
+
+      const response = await postJob({ position: 'software engineer', company: 'Google LLC', status: 'applied' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.jobIds).toEqual([existing._id.toString()]);
+      expect(response.body.details.duplicates[0].reasons).toEqual(['company_and_position']);
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    it('should accept another position at the same company by default', async () => {
+      await postJob({ position: 'Backend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-01' });
+
+      const response = await postJob({
+        position: 'Frontend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-15'
+      });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should reject another application to the company within a configured window', async () => {
+      process.env.DUPLICATE_WINDOW_DAYS = '30';
+      await postJob({ position: 'Backend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-01' });
+
+      const response = await postJob({
+        position: 'Frontend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-15'
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.duplicates[0].reasons).toEqual(['applied_within_window']);
+    });
+
+    it('should use the configured window', async () => {
+      process.env.DUPLICATE_WINDOW_DAYS = '7';
+      await postJob({ position: 'Backend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-01' });
+
+      const response = await postJob({
+        position: 'Frontend Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-15'
+      });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should create the job anyway with allowDuplicate=true', async () => {
+      const job = { position: 'Software Engineer', company: 'Google', status: 'applied' };
+      await postJob(job);
+
+      const response = await postJob(job, '?allowDuplicate=true');
+
+      expect(response.status).toBe(201);
+      expect(await Job.countDocuments()).toBe(2);
+    });
+
+    it('should still reject a tracked posting URL with allowDuplicate=true', async () => {
+      await postJob({ position: 'Software Engineer', company: 'Google', status: 'applied', postingUrl: 'https://example.com/jobs/1' });
+
+      const response = await postJob(
+        { position: 'Backend Engineer', company: 'Stripe', status: 'applied', postingUrl: 'https://www.example.com/jobs/1/' },
+        '?allowDuplicate=true'
+      );
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('A job with this posting URL already exists');
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    it('should not match trashed jobs', async () => {
+      const job = { position: 'Software Engineer', company: 'Google', status: 'applied' };
+      await postJob(job);
+      const existing = await Job.findOne();
+      await request(app)
+        .delete(`/api/jobs/${existing._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await postJob(job);
+
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe('GET /api/jobs/duplicates', () => {
+    it('should report groups of existing duplicates', async () => {
+      await Job.create([
+        { position: 'Software Engineer', company: 'Google', status: 'applied', dateApplied: '2024-01-01', userId: testUser._id },
+        { position: 'Software Engineer', company: 'google', status: 'rejected', dateApplied: '2024-05-01', userId: testUser._id },
+        { position: 'Software Engineer', company: 'Stripe', status: 'applied', dateApplied: '2024-01-01', userId: testUser._id }
+      ]);
+      await linkAllUnlinkedJobs();
+
+      const response = await request(app)
+        .get('/api/jobs/duplicates')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.windowDays).toBe(0);
+      expect(response.body.totalGroups).toBe(1);
+      expect(response.body.groups[0].reasons).toEqual(['company_and_position']);
+      expect(response.body.groups[0].jobs.map((job) => job.status)).toEqual(['applied', 'rejected']);
+    });
+  });
+});
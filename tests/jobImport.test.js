@@ -0,0 +1,122 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('POST /api/jobs/import', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const importCsv = (csv, query = '') => request(app)
+    .post(`/api/jobs/import${query}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  it('should create jobs and report each row', async () => {
+    const csv = [
+      'position,company,status,dateApplied,notes',
+      'Software Engineer,Google,applied,2024-01-15,"Referral, via Jane"',
+      'Backend Developer,,applied,,',
+      'Data Engineer,Stripe,Interviewing,,'
+    ].join('\n');
+
+    const response = await importCsv(csv).expect(201);
+
+    expect(response.body.dryRun).toBe(false);
+    expect(response.body.summary).toEqual({ total: 3, created: 2, skipped: 0, failed: 1 });
+    expect(response.body.rows[0]).toMatchObject({ row: 2, status: 'created' });
+    expect(response.body.rows[0].jobId).toBeDefined();
+    expect(response.body.rows[1]).toMatchObject({ row: 3, status: 'failed', error: 'Company is required' });
+
+    const jobs = await Job.find({ userId: testUser._id }).sort({ company: 1 });
+    expect(jobs).toHaveLength(2);
+    expect(jobs[0].notes).toBe('Referral, via Jane');
+    expect(jobs[1].status).toBe('interviewing');
+    expect(jobs[1].statusHistory).toHaveLength(1);
+  });
+
+  it('should read columns through the mapping', async () => {
+    const csv = 'Job Title,Employer,Stage\nSoftware Engineer,Google,applied';
+
+    const response = await importCsv(csv, '?mapping[position]=Job%20Title&mapping[company]=Employer&mapping[status]=Stage')
+      .expect(201);
+
+    expect(response.body.summary.created).toBe(1);
+  });
+
+  it('should not create jobs on a dry run', async () => {
+    const csv = 'position,company,status\nSoftware Engineer,Google,applied';
+
+    const response = await importCsv(csv, '?dryRun=true').expect(200);
+
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.rows[0]).toMatchObject({ status: 'created', job: { company: 'Google' } });
+    expect(response.body.rows[0].jobId).toBeUndefined();
+    expect(await Job.countDocuments({ userId: testUser._id })).toBe(0);
+  });
+
+  it('should skip duplicates of existing jobs and earlier rows', async () => {
+    const existing = await Job.create({
+      position: 'Software Engineer',
+      company: 'Google',
+      status: 'applied',
+      userId: testUser._id
+    });
+
+    const csv = [
+      'position,company,status',
+      'software engineer , GOOGLE,applied',
+      'Data Engineer,Stripe,applied',
+      'Data  Engineer,stripe,applied'
+    ].join('\n');
+
+    const response = await importCsv(csv).expect(201);
+
+    expect(response.body.summary).toEqual({ total: 3, created: 1, skipped: 2, failed: 0 });
+    expect(response.body.rows[0]).toMatchObject({ status: 'skipped', duplicateOf: existing._id.toString() });
+    expect(response.body.rows[2]).toMatchObject({ status: 'skipped', duplicateOfRow: 3 });
+  });
+
+  it('should reject a mapping to a missing column', async () => {
+    const response = await importCsv('position,company,status\nA,B,applied', '?mapping[company]=Employer')
+      .expect(400);
+
+    expect(response.body.message).toContain('Employer');
+  });
+
+  it('should reject an unknown mapping field', async () => {
+    await importCsv('position,company,status\nA,B,applied', '?mapping[salary]=Pay')
+      .expect(400);
+  });
+
+  it('should require a CSV body', async () => {
+    await request(app)
+      .post('/api/jobs/import')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ position: 'Software Engineer' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('Job search queries', () => {
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    // The text index must be built before searching
+    await Job.init();
+  });
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    await Job.create([
+      {
+        userId: testUser._id,
+        position: 'Backend Engineer',
+        company: 'Stripe',
+        status: 'applied',
+        source: 'LinkedIn',
+        dateApplied: new Date('2026-01-15T10:00:00Z'),
+        notes: 'Works on the payments team, backend heavy with some on-call'
+      },
+      {
+        userId: testUser._id,
+        position: 'Backend Developer',
+        company: 'Goldman Sachs',
+        status: 'rejected',
+        source: 'Company website',
+        dateApplied: new Date('2025-12-20T10:00:00Z'),
+        notes: 'Trading platform team'
+      },
+      {
+        userId: testUser._id,
+        position: 'Frontend Engineer',
+        company: 'Netflix',
+        status: 'offer',
+        dateApplied: new Date('2026-02-01T10:00:00Z'),
+        notes: 'Team of five, <b>remote</b> friendly'
+      }
+    ]);
+  });
+
+  const search = (q, query = {}) => request(app)
+    .get('/api/jobs')
+    .query({ q })
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  const companies = async (q) => {
+    const response = await search(q);
+    expect(response.status).toBe(200);
+    return response.body.jobs.map(job => job.company);
+  };
+
+  it('should rank jobs matching any word by relevance', async () => {
+    const response = await search('backend payments');
+
+    expect(response.status).toBe(200);
+    expect(response.body.jobs.map(job => job.company)).toEqual(['Stripe', 'Goldman Sachs']);
+    expect(response.body.jobs[0].score).toBeGreaterThan(response.body.jobs[1].score);
+  });
+
+  it('should require every quoted phrase', async () => {
+    expect(await companies('backend "payments team"')).toEqual(['Stripe']);
+  });
+
+  it('should narrow by field prefixes', async () => {
+    expect(await companies('company:goldman')).toEqual(['Goldman Sachs']);
+    expect(await companies('company:"goldman sachs" status:rejected')).toEqual(['Goldman Sachs']);
+    expect(await companies('engineer status:offer')).toEqual(['Netflix']);
+  });
+
+  it('should match sources as the user spells them, ignoring case', async () => {
+    expect(await companies('source:LinkedIn')).toEqual(['Stripe']);
+    expect(await companies('source:linkedin')).toEqual(['Stripe']);
+    expect(await companies('source:"company website"')).toEqual(['Goldman Sachs']);
+    expect(await companies('source:linked')).toEqual([]);
+    expect((await companies('-source:linkedin')).sort()).toEqual(['Goldman Sachs', 'Netflix']);
+  });
+
+  it('should exclude negated words, phrases and fields', async () => {
+    expect(await companies('backend -status:rejected')).toEqual(['Stripe']);
+    expect(await companies('engineer -"payments team"')).toEqual(['Netflix']);
+    expect(await companies('-backend')).toEqual(['Netflix']);
+  });
+
+  it('should filter by applied date comparisons and ranges', async () => {
+    expect((await companies('applied:>2026-01-15')).sort()).toEqual(['Netflix']);
+    expect((await companies('applied:>=2026-01-15')).sort()).toEqual(['Netflix', 'Stripe']);
+    expect(await companies('applied:2026-01-01..2026-01-31')).toEqual(['Stripe']);
+    expect(await companies('applied:2025-12-20')).toEqual(['Goldman Sachs']);
+  });
+
+  it('should take < and <= comparisons, which the xss middleware escapes', async () => {
+    expect(await companies('applied:<2026-01-15')).toEqual(['Goldman Sachs']);
+    expect((await companies('applied:<=2026-01-15')).sort()).toEqual(['Goldman Sachs', 'Stripe']);
+  });
+
+  it('should take < and <= comparisons in a saved view', async () => {
+    const created = await request(app)
+      .post('/api/views')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Early applications', filters: { q: 'applied:<=2026-01-15' } });
+    expect(created.status).toBe(201);
+
+    const response = await request(app)
+      .get(`/api/views/${created.body.view._id}/jobs`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.jobs.map(job => job.company).sort()).toEqual(['Goldman Sachs', 'Stripe']);
+  });
+
+  it('should combine with the other filters and sortBy', async () => {
+    const response = await search('engineer', { status: 'applied' });
+    expect(response.body.jobs.map(job => job.company)).toEqual(['Stripe']);
+
+    const sorted = await search('engineer', { sortBy: 'company', sortOrder: 'asc' });
+    expect(sorted.body.jobs.map(job => job.company)).toEqual(['Netflix', 'Stripe']);
+  });
+
+  it('should return escaped snippets with highlighted matches', async () => {
+    const stripe = (await search('backend "payments team"')).body.jobs[0];
+    expect(stripe.highlights).toEqual({
+      position: '<mark>Backend</mark> Engineer',
+      notes: 'Works on the <mark>payments team</mark>, <mark>backend</mark> heavy with some on-call'
+    });
+
+    const netflix = (await search('remote')).body.jobs[0];
+    expect(netflix.highlights.notes).toBe('Team of five, &lt;b&gt;<mark>remote</mark>&lt;/b&gt; friendly');
+  });
+
+  it('should treat regular expression characters literally', async () => {
+    expect(await companies('company:s.*')).toEqual([]);
+
+    const response = await request(app)
+      .get('/api/jobs')
+      .query({ search: '(' })
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(response.status).toBe(200);
+    expect(response.body.jobs).toEqual([]);
+  });
+
+  it('should reject unknown fields and invalid dates', async () => {
+    const unknown = await search('salary:100');
+    const badDate = await search('applied:>2026-02-30');
+    const tooLong = await search('a'.repeat(501));
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toContain('salary');
+    expect(badDate.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+  });
+});
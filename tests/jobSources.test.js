@@ -0,0 +1,202 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('Job sources and posting URLs', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const postJob = (company, details) => {
+    const job = { position: 'Software Engineer', company, status: 'applied' };
+    return request(app)
+      .post('/api/jobs')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(Object.assign(details, job));
+  };
+
+  const putSources = (sources) => request(app)
+    .put('/api/auth/job-sources')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ sources });
+
+  describe('/api/auth/job-sources', () => {
+    it('should start with the default sources', async () => {
+      const response = await request(app)
+        .get('/api/auth/job-sources')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.sources).toEqual(['LinkedIn', 'Referral', 'Company website', 'Recruiter', 'Job board', 'Other']);
+    });
+
+    it('should replace the sources and go back to the defaults with null', async () => {
+      const replaced = await putSources(['Hacker News', ' Meetup ']);
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.sources).toEqual(['Hacker News', 'Meetup']);
+
+      const reset = await putSources(null);
+      expect(reset.body.sources).toContain('LinkedIn');
+    });
+
+    it('should reject empty lists, repeated sources and names with commas', async () => {
+      const responses = await Promise.all([
+        putSources([]),
+        putSources(['Referral', 'referral']),
+        putSources(['Friends, family'])
+      ]);
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+    });
+  });
+
+  describe('job source', () => {
+    it('should store the source as spelled in the user\'s list', async () => {
+      const response = await postJob('Acme', { source: 'linkedin' });
+
+      expect(response.status).toBe(201);
+      expect((await Job.findOne()).source).toBe('LinkedIn');
+    });
+
+    it('should reject sources the user does not have', async () => {
+      await putSources(['Hacker News']);
+
+      const response = await postJob('Acme', { source: 'LinkedIn' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Hacker News');
+    });
+
+    it('should filter jobs by source', async () => {
+      await postJob('Acme', { source: 'Referral' });
+      await postJob('Globex', { source: 'Recruiter', postingUrl: 'https://example.com/jobs/2' });
+      await postJob('Initech', {});
+
+      const response = await request(app)
+        .get('/api/jobs?source=Referral,Recruiter')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.jobs).toHaveLength(2);
+    });
+  });
+
+  describe('posting URL', () => {
+    it('should reject a posting that is already tracked', async () => {
+      const first = await postJob('Acme', { postingUrl: 'https://www.example.com/jobs/1?utm_source=linkedin' });
+      expect(first.status).toBe(201);
+
+      const response = await postJob('Globex', { postingUrl: 'http://example.com/jobs/1/' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.duplicates).toEqual([
+        expect.objectContaining({ reasons: ['posting_url'] })
+      ]);
+      expect(response.body.details.duplicates[0].job.postingUrl).toBe('https://www.example.com/jobs/1?utm_source=linkedin');
+    });
+
+    it('should reject another job\'s posting URL on update', async () => {
+      await postJob('Acme', { postingUrl: 'https://example.com/jobs/1' });
+      await postJob('Globex', {});
+      const job = await Job.findOne({ company: 'Globex' });
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ postingUrl: 'https://www.example.com/jobs/1/' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.job.company).toBe('Acme');
+    });
+
+    it('should allow a job to keep its own posting URL on update', async () => {
+      await postJob('Acme', { postingUrl: 'https://example.com/jobs/1' });
+      const job = await Job.findOne();
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ postingUrl: 'https://example.com/jobs/1?utm_medium=email' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject URLs that are not http(s)', async () => {
+      const response = await postJob('Acme', { postingUrl: 'careers page' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics/sources', () => {
+    it('should show applications, interview rate and offer rate per source', async () => {
+      const createJob = (status, source) => Job.create({
+        position: 'Software Engineer', company: 'Acme', status, source, userId: testUser._id
+      });
+      await createJob('applied', 'Referral');
+      await createJob('interviewing', 'Referral');
+      await createJob('offer', 'Referral');
+      await createJob('rejected', 'LinkedIn');
+      await createJob('applied');
+
+      const response = await request(app)
+        .get('/api/analytics/sources')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const { bySource } = response.body.data;
+      expect(bySource.map((item) => item.source))
+        .toEqual(['LinkedIn', 'Referral', 'Company website', 'Recruiter', 'Job board', 'Other', null]);
+      expect(bySource[1]).toEqual({
+        source: 'Referral',
+        applications: 3,
+        interviews: 1,
+        offers: 1,
+        rejections: 0,
+        interviewRate: 66.7,
+        offerRate: 33.3
+      });
+      expect(bySource[0]).toMatchObject({ applications: 1, rejections: 1, interviewRate: 0 });
+    });
+
+    it('should count jobs rejected after interviewing in the interview rate', async () => {
+      const job = await Job.create({
+        position: 'Software Engineer', company: 'Acme', status: 'applied', source: 'Referral', userId: testUser._id
+      });
+      job.changeStatus('interviewing');
+      job.changeStatus('rejected');
+      await job.save();
+      await Job.create({
+        position: 'Software Engineer', company: 'Acme', status: 'rejected', source: 'Referral', userId: testUser._id
+      });
+
+      const response = await request(app)
+        .get('/api/analytics/sources')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const referral = response.body.data.bySource.find((item) => item.source === 'Referral');
+      expect(referral).toMatchObject({ applications: 2, interviews: 0, rejections: 2, interviewRate: 50 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+describe('Compensation', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const createJob = (company, status, compensation) => request(app)
+    .post('/api/jobs')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ position: 'Software Engineer', company, status, compensation });
+
+  describe('job compensation', () => {
+    it('should store posted and offered compensation', async () => {
+      const response = await createJob('Acme', 'offer', {
+        posted: { currency: 'usd', baseMin: 140000, baseMax: 170000 },
+        offered: { currency: 'USD', baseMin: 165000, bonus: 15000, equity: 30000, benefits: 'Health, 401k match' }
+      });
+      expect(response.status).toBe(201);
+
+      const job = await Job.findOne({ company: 'Acme' }).lean();
+      expect(job.compensation.posted).toMatchObject({ currency: 'USD', baseMin: 140000, baseMax: 170000, period: 'year' });
+      expect(job.compensation.offered).toMatchObject({ bonus: 15000, equity: 30000, benefits: 'Health, 401k match' });
+    });
+
+    it('should replace or remove one package on update', async () => {
+      await createJob('Acme', 'offer', {
+        posted: { currency: 'USD', baseMin: 140000 },
+        offered: { currency: 'USD', baseMin: 150000 }
+      });
+      const job = await Job.findOne({ company: 'Acme' });
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ compensation: { offered: { currency: 'EUR', baseMin: 120000 }, posted: null } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.job.compensation.posted).toBeUndefined();
+      expect(response.body.job.compensation.offered).toMatchObject({ currency: 'EUR', baseMin: 120000 });
+    });
+
+    it('should reject invalid compensation', async () => {
+      const responses = await Promise.all([
+        createJob('Acme', 'offer', { offered: { baseMin: 100000 } }),
+        createJob('Acme', 'offer', { offered: { currency: 'dollars', baseMin: 100000 } }),
+        createJob('Acme', 'offer', { offered: { currency: 'USD', baseMin: 100000, baseMax: 90000 } }),
+        createJob('Acme', 'offer', { offered: { currency: 'USD', bonus: -5 } })
+      ]);
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+    });
+  });
+
+  describe('GET /api/jobs/offers/compare', () => {
+    it('should rank offers by total compensation', async () => {
+      await createJob('Acme', 'offer', { offered: { currency: 'USD', baseMin: 150000, bonus: 10000 } });
+      await createJob('Globex', 'offer', { offered: { currency: 'USD', baseMin: 140000, equity: 40000 } });
+      await createJob('Initech', 'offer', { posted: { currency: 'USD', baseMin: 100000 } });
+      await createJob('Hooli', 'offer');
+      await createJob('Umbrella', 'applied', { offered: { currency: 'USD', baseMin: 500000 } });
+
+      const response = await request(app)
+        .get('/api/jobs/offers/compare')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.currency).toBe('USD');
+      expect(response.body.offers.map((offer) => [offer.rank, offer.job.company, offer.converted.total])).toEqual([
+        [1, 'Globex', 180000],
+        [2, 'Acme', 160000],
+        [3, 'Initech', 100000]
+      ]);
+      expect(response.body.unranked).toHaveLength(1);
+      expect(response.body.unranked[0]).toMatchObject({ job: { company: 'Hooli' }, reason: 'no_compensation' });
+    });
+
+    it('should convert offers to the requested currency', async () => {
+      await createJob('Acme', 'offer', { offered: { currency: 'USD', baseMin: 108000 } });
+
+      const response = await request(app)
+        .get('/api/jobs/offers/compare?currency=eur')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.offers[0].converted).toMatchObject({ currency: 'EUR', total: 100000 });
+    });
+
+    it('should ignore whitespace around the currency', async () => {
+      await createJob('Acme', 'offer', { offered: { currency: 'USD', baseMin: 108000 } });
+
+      const response = await request(app)
+        .get('/api/jobs/offers/compare?currency=%20eur%20')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.offers[0].converted).toMatchObject({ currency: 'EUR', total: 100000 });
+    });
+
+    it('should reject a currency missing from the rate table', async () => {
+      const response = await request(app)
+        .get('/api/jobs/offers/compare?currency=XYZ')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { normalizePostingUrl } = require('../utils/postingUrl');
+
+describe('normalizePostingUrl', () => {
+  it('should ignore the scheme, www, case of the host and a trailing slash', () => {
+    expect(normalizePostingUrl('https://www.Example.com/jobs/123/')).toBe('example.com/jobs/123');
+    expect(normalizePostingUrl('http://example.com/jobs/123')).toBe('example.com/jobs/123');
+  });
+
+  it('should drop tracking parameters and the fragment', () => {
+    expect(normalizePostingUrl('https://www.linkedin.com/jobs/view/3912/?refId=abc&trackingId=xyz&trk=feed'))
+      .toBe('linkedin.com/jobs/view/3912');
+    expect(normalizePostingUrl('https://example.com/jobs/1?utm_source=x&utm_campaign=y#apply'))
+      .toBe('example.com/jobs/1');
+  });
+
+  it('should keep other parameters in a fixed order', () => {
+    expect(normalizePostingUrl('https://example.com/apply?job=2&board=acme'))
+      .toBe(normalizePostingUrl('https://example.com/apply?board=acme&job=2&utm_medium=email'));
+    expect(normalizePostingUrl('https://example.com/apply?job=2'))
+      .not.toBe(normalizePostingUrl('https://example.com/apply?job=3'));
+  });
+
+  it('should keep the case of the path', () => {
+    expect(normalizePostingUrl('https://jobs.lever.co/Acme/AbC')).toBe('jobs.lever.co/Acme/AbC');
+  });
+
+  it('should return null for anything but http(s) URLs', () => {
+    expect(normalizePostingUrl('ftp://example.com/jobs/1')).toBeNull();
+    expect(normalizePostingUrl('not a url')).toBeNull();
+    expect(normalizePostingUrl('')).toBeNull();
+    expect(normalizePostingUrl(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+const { nextOccurrence } = require('../utils/recurrence');
+
+// 2030-01-07 is a Monday
+const startsAt = new Date('2030-01-07T09:00:00Z');
+
+const next = (rule, after, occurrence = 2) =>
+  nextOccurrence(rule, { startsAt, after: new Date(after), occurrence });
+
+describe('nextOccurrence', () => {
+  it('should repeat daily at the same time', () => {
+    expect(next({ frequency: 'daily' }, startsAt)).toEqual(new Date('2030-01-08T09:00:00Z'));
+  });
+
+  it('should repeat every N days', () => {
+    expect(next({ frequency: 'daily', interval: 3 }, startsAt)).toEqual(new Date('2030-01-10T09:00:00Z'));
+    expect(next({ frequency: 'daily', interval: 3 }, '2030-01-10T10:00:00Z')).toEqual(new Date('2030-01-13T09:00:00Z'));
+  });
+
+  it('should stay on the schedule when asked after a later time', () => {
+    expect(next({ frequency: 'daily' }, '2030-01-20T08:00:00Z')).toEqual(new Date('2030-01-20T09:00:00Z'));
+  });
+
+  it('should repeat weekly on the start weekday by default', () => {
+    expect(next({ frequency: 'weekly' }, startsAt)).toEqual(new Date('2030-01-14T09:00:00Z'));
+  });
+
+  it('should repeat weekly on the given weekdays', () => {
+    const rule = { frequency: 'weekly', byWeekday: ['FR', 'WE'] };
+    expect(next(rule, startsAt)).toEqual(new Date('2030-01-09T09:00:00Z'));
+    expect(next(rule, '2030-01-09T09:00:00Z')).toEqual(new Date('2030-01-11T09:00:00Z'));
+    expect(next(rule, '2030-01-11T09:00:00Z')).toEqual(new Date('2030-01-16T09:00:00Z'));
+  });
+
+  it('should skip weeks with a weekly interval', () => {
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] };
+    expect(next(rule, startsAt)).toEqual(new Date('2030-01-10T09:00:00Z'));
+    expect(next(rule, '2030-01-10T09:00:00Z')).toEqual(new Date('2030-01-21T09:00:00Z'));
+    expect(next(rule, '2030-01-15T09:00:00Z')).toEqual(new Date('2030-01-21T09:00:00Z'));
+  });
+
+  it('should use Sunday as the last day of the week', () => {
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: ['SU'] };
+    expect(next(rule, startsAt)).toEqual(new Date('2030-01-13T09:00:00Z'));
+    expect(next(rule, '2030-01-13T09:00:00Z')).toEqual(new Date('2030-01-27T09:00:00Z'));
+  });
+
+  it('should stop after the until date', () => {
+    const rule = { frequency: 'daily', until: new Date('2030-01-08T23:59:59Z') };
+    expect(next(rule, startsAt)).toEqual(new Date('2030-01-08T09:00:00Z'));
+    expect(next(rule, '2030-01-08T09:00:00Z', 3)).toBeNull();
+  });
+
+  it('should stop after count occurrences', () => {
+    const rule = { frequency: 'daily', count: 2 };
+    expect(next(rule, startsAt, 2)).toEqual(new Date('2030-01-08T09:00:00Z'));
+    expect(next(rule, '2030-01-08T09:00:00Z', 3)).toBeNull();
+  });
+});
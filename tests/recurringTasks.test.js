@@ -0,0 +1,267 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const User = require('../models/User');
+
+describe('Recurring Tasks', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  // 2030-01-07 is a Monday
+  const createRecurringTask = async (recurrence) => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        title: 'Reach out to two contacts',
+        dueDateTime: '2030-01-07T09:00:00.000Z',
+        taskType: 'networking',
+        recurrence
+      });
+
+    expect(response.status).toBe(201);
+    return response.body.task;
+  };
+
+  const updateTask = (id, body, scope) => request(app)
+    .patch(`/api/tasks/${id}${scope ? `?scope=${scope}` : ''}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  describe('POST /api/tasks', () => {
+    it('should create the first occurrence of a series', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly', byWeekday: ['MO', 'TH'] });
+
+      expect(task.seriesId).toBeDefined();
+      expect(task.occurrence).toBe(1);
+      expect(task.scheduledFor).toBe('2030-01-07T09:00:00.000Z');
+
+      const series = await TaskSeries.findById(task.seriesId);
+      expect(series.title).toBe('Reach out to two contacts');
+      expect(series.recurrence.frequency).toBe('weekly');
+      expect(series.recurrence.byWeekday).toEqual(['MO', 'TH']);
+    });
+
+    it('should return the recurrence rule with a single task', async () => {
+      const task = await createRecurringTask({ frequency: 'daily', interval: 2 });
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.seriesId.recurrence).toMatchObject({ frequency: 'daily', interval: 2 });
+    });
+
+    it('should reject invalid recurrence rules', async () => {
+      const rules = [
+        {},
+        { frequency: 'monthly' },
+        { frequency: 'daily', interval: 0 },
+        { frequency: 'daily', byWeekday: ['MO'] },
+        { frequency: 'weekly', byWeekday: ['MON'] },
+        { frequency: 'weekly', byWeekday: ['MO', 'MO'] },
+        { frequency: 'daily', count: 3, until: '2030-02-01T00:00:00.000Z' }
+      ];
+
+      const responses = await Promise.all(rules.map((recurrence) => request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Apply to jobs',
+          dueDateTime: '2030-01-07T09:00:00.000Z',
+          taskType: 'research',
+          recurrence
+        })));
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+      expect(await Task.countDocuments()).toBe(0);
+    });
+
+    it('should not leave a series behind when the task fails to save', async () => {
+      const save = jest.spyOn(Task.prototype, 'save').mockRejectedValueOnce(new Error('Save failed'));
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Apply to jobs',
+          dueDateTime: '2030-01-07T09:00:00.000Z',
+          taskType: 'research',
+          recurrence: { frequency: 'daily' }
+        });
+      save.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(await TaskSeries.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('completing an occurrence', () => {
+    it('should create the next occurrence', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly', byWeekday: ['MO', 'TH'] });
+
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.task.completed).toBe(true);
+      expect(response.body.nextTask).toMatchObject({
+        title: 'Reach out to two contacts',
+        taskType: 'networking',
+        dueDateTime: '2030-01-10T09:00:00.000Z',
+        completed: false,
+        seriesId: task.seriesId,
+        occurrence: 2
+      });
+    });
+
+    it('should create the next occurrence only once', async () => {
+      const task = await createRecurringTask({ frequency: 'daily' });
+
+      await updateTask(task._id, { completed: true });
+      await updateTask(task._id, { completed: false });
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.body.nextTask).toBeNull();
+      expect(await Task.countDocuments({ seriesId: task.seriesId })).toBe(2);
+    });
+
+    it('should leave the occurrence open when the next one fails to save', async () => {
+      const task = await createRecurringTask({ frequency: 'daily' });
+      const { save } = Task.prototype;
+      const spy = jest.spyOn(Task.prototype, 'save')
+        .mockImplementationOnce(function saveCompleted(...args) { return save.apply(this, args); })
+        .mockRejectedValueOnce(new Error('Save failed'));
+
+      const response = await updateTask(task._id, { completed: true });
+      spy.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect((await Task.findById(task._id)).completed).toBe(false);
+      expect(await Task.countDocuments({ seriesId: task.seriesId })).toBe(1);
+
+      const retry = await updateTask(task._id, { completed: true });
+      expect(retry.body.nextTask.occurrence).toBe(2);
+    });
+
+    it('should stop after count occurrences', async () => {
+      const task = await createRecurringTask({ frequency: 'daily', count: 2 });
+
+      const first = await updateTask(task._id, { completed: true });
+      const second = await updateTask(first.body.nextTask._id, { completed: true });
+
+      expect(second.body.nextTask).toBeNull();
+    });
+
+    it('should stop after the until date', async () => {
+      const task = await createRecurringTask({ frequency: 'daily', interval: 7, until: '2030-01-10T00:00:00.000Z' });
+
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.body.nextTask).toBeNull();
+    });
+
+    it('should not create occurrences for one-off tasks', async () => {
+      const task = await createRecurringTask(undefined);
+
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.body.nextTask).toBeNull();
+      expect(await Task.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('editing occurrences', () => {
+    it('should change only this occurrence by default', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly' });
+
+      // Moved to Tuesday this week only
+      await updateTask(task._id, { title: 'Coffee chat', dueDateTime: '2030-01-08T15:00:00.000Z' });
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.body.task.title).toBe('Coffee chat');
+      expect(response.body.nextTask.title).toBe('Reach out to two contacts');
+      expect(response.body.nextTask.dueDateTime).toBe('2030-01-14T09:00:00.000Z');
+    });
+
+    it('should change this and later occurrences with scope=future', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly' });
+
+      await updateTask(task._id, { title: 'Coffee chat', dueDateTime: '2030-01-08T15:00:00.000Z' }, 'future');
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.body.nextTask.title).toBe('Coffee chat');
+      expect(response.body.nextTask.dueDateTime).toBe('2030-01-15T15:00:00.000Z');
+    });
+
+    it('should change the recurrence rule with scope=future', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly' });
+
+      const update = await updateTask(task._id, { recurrence: { frequency: 'daily' } }, 'future');
+      expect(update.status).toBe(200);
+
+      const response = await updateTask(task._id, { completed: true });
+      expect(response.body.nextTask.dueDateTime).toBe('2030-01-08T09:00:00.000Z');
+    });
+
+    it('should require scope=future to change the recurrence rule', async () => {
+      const task = await createRecurringTask({ frequency: 'weekly' });
+
+      const response = await updateTask(task._id, { recurrence: { frequency: 'daily' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('scope=future');
+    });
+
+    it('should stop repeating when the recurrence is removed', async () => {
+      const task = await createRecurringTask({ frequency: 'daily' });
+
+      const update = await updateTask(task._id, { recurrence: null }, 'future');
+      expect(update.body.task.seriesId).toBeUndefined();
+
+      const response = await updateTask(task._id, { completed: true });
+      expect(response.body.nextTask).toBeNull();
+    });
+
+    it('should make a one-off task recurring', async () => {
+      const task = await createRecurringTask(undefined);
+
+      const update = await updateTask(task._id, { recurrence: { frequency: 'daily', interval: 2 } });
+      expect(update.body.task.occurrence).toBe(1);
+
+      const response = await updateTask(task._id, { completed: true });
+      expect(response.body.nextTask.dueDateTime).toBe('2030-01-09T09:00:00.000Z');
+    });
+
+    it('should reject an invalid scope', async () => {
+      const task = await createRecurringTask({ frequency: 'daily' });
+
+      const response = await updateTask(task._id, { title: 'Apply' }, 'all');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const sendEmail = require('../utils/sendEmail');
+const {
+  getLeadTimeMinutes,
+  sendUpcomingReminders,
+  sendOverdueSummaries
+} = require('../utils/reminders');
+
+jest.mock('../utils/sendEmail');
+
+describe('Task Reminders', () => {
+  let testUser;
+  let authToken;
+  const now = new Date('2030-01-20T09:00:00Z');
+
+  beforeEach(async () => {
+    sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    await Task.create([
+      {
+        title: 'Prepare for interview',
+        dueDateTime: new Date('2030-01-20T09:30:00Z'),
+        taskType: 'interview',
+        userId: testUser._id
+      },
+      {
+        title: 'Send portfolio',
+        dueDateTime: new Date('2030-01-22T09:00:00Z'),
+        taskType: 'follow-up',
+        userId: testUser._id
+      },
+      {
+        title: 'Follow up with recruiter',
+        dueDateTime: new Date('2030-01-18T09:00:00Z'),
+        taskType: 'follow-up',
+        userId: testUser._id
+      }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getLeadTimeMinutes', () => {
+    const originalLeadTime = process.env.TASK_REMINDER_LEAD_MINUTES;
+
+    afterEach(() => {
+      process.env.TASK_REMINDER_LEAD_MINUTES = originalLeadTime;
+    });
+
+    it('should prefer the user setting, then the environment, then 60 minutes', () => {
+      delete process.env.TASK_REMINDER_LEAD_MINUTES;
+      expect(getLeadTimeMinutes({ reminders: {} })).toBe(60);
+
+      process.env.TASK_REMINDER_LEAD_MINUTES = '30';
+      expect(getLeadTimeMinutes({ reminders: {} })).toBe(30);
+      expect(getLeadTimeMinutes({ reminders: { leadTimeMinutes: 120 } })).toBe(120);
+    });
+  });
+
+  describe('Upcoming task reminders', () => {
+    it('should email tasks due within the lead time only once', async () => {
+      expect(await sendUpcomingReminders(now)).toBe(1);
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      expect(sendEmail.mock.calls[0][0].subject).toBe('Reminder: Prepare for interview');
+
+      // A later run, e.g. after a restart, does not send it again
+      expect(await sendUpcomingReminders(now)).toBe(0);
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the user lead time', async () => {
+      await User.updateOne({ _id: testUser._id }, { $set: { 'reminders.leadTimeMinutes': 3 * 24 * 60 } });
+
+      await sendUpcomingReminders(now);
+
+      expect(sendEmail.mock.calls[0][0].subject).toBe('Reminder: 2 upcoming tasks');
+    });
+
+    it('should remind again when the due date changes', async () => {
+      await sendUpcomingReminders(now);
+      await Task.updateOne({ title: 'Prepare for interview' }, { $set: { dueDateTime: new Date('2030-01-20T09:45:00Z') } });
+
+      expect(await sendUpcomingReminders(now)).toBe(1);
+    });
+
+    it('should retry when the email fails', async () => {
+      sendEmail.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+
+      expect(await sendUpcomingReminders(now)).toBe(0);
+      expect(await Reminder.countDocuments()).toBe(0);
+      expect(await sendUpcomingReminders(now)).toBe(1);
+    });
+
+    it('should respect the opt-out', async () => {
+      await User.updateOne({ _id: testUser._id }, { $set: { 'reminders.upcoming': false } });
+
+      expect(await sendUpcomingReminders(now)).toBe(0);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Overdue summary', () => {
+    it('should send one summary per day', async () => {
+      expect(await sendOverdueSummaries(now)).toBe(1);
+      expect(sendEmail.mock.calls[0][0].subject).toBe('You have 1 overdue task');
+
+      expect(await sendOverdueSummaries(new Date('2030-01-20T15:00:00Z'))).toBe(0);
+      expect(await sendOverdueSummaries(new Date('2030-01-21T09:00:00Z'))).toBe(1);
+    });
+
+    it('should not load the tasks of users who already have today\'s summary', async () => {
+      await sendOverdueSummaries(now);
+      const find = jest.spyOn(Task, 'find');
+
+      await sendOverdueSummaries(new Date('2030-01-20T15:00:00Z'));
+
+      expect(find.mock.calls[0][0].userId.$nin.map(String)).toEqual([testUser._id.toString()]);
+      find.mockRestore();
+    });
+
+    it('should escape task, job and user text in the email', async () => {
+      await User.updateOne({ _id: testUser._id }, { $set: { firstName: '<b>Test</b>' } });
+      await Task.updateOne({ title: 'Follow up with recruiter' }, { $set: { title: '<img src=x onerror=alert(1)>' } });
+
+      await sendOverdueSummaries(now);
+
+      const { message } = sendEmail.mock.calls[0][0];
+      expect(message).toContain('Hi &lt;b&gt;Test&lt;/b&gt;');
+      expect(message).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(message).not.toContain('<img');
+    });
+
+    it('should wait for the summary hour', async () => {
+      expect(await sendOverdueSummaries(new Date('2030-01-20T06:00:00Z'))).toBe(0);
+    });
+
+    it('should respect the opt-out', async () => {
+      await User.updateOne({ _id: testUser._id }, { $set: { 'reminders.overdueSummary': false } });
+
+      expect(await sendOverdueSummaries(now)).toBe(0);
+    });
+  });
+
+  describe('Reminder settings', () => {
+    it('should return the default settings', async () => {
+      const response = await request(app)
+        .get('/api/auth/reminders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.reminders).toEqual({ upcoming: true, overdueSummary: true, leadTimeMinutes: null });
+    });
+
+    it('should update the settings', async () => {
+      const response = await request(app)
+        .put('/api/auth/reminders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ overdueSummary: false, leadTimeMinutes: 120 })
+        .expect(200);
+
+      expect(response.body.reminders).toMatchObject({ upcoming: true, overdueSummary: false, leadTimeMinutes: 120 });
+      expect(response.body.effectiveLeadTimeMinutes).toBe(120);
+    });
+
+    it('should reject an invalid lead time', async () => {
+      await request(app)
+        .put('/api/auth/reminders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ leadTimeMinutes: 0 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const CustomField = require('../models/CustomField');
+const SavedView = require('../models/SavedView');
+
+describe('Saved views', () => {
+  let testUser;
+  let authToken;
+  let teamField;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    teamField = await CustomField.create({
+      userId: testUser._id,
+      name: 'Team',
+      key: 'team',
+      type: 'select',
+      options: ['Payments', 'Platform']
+    });
+
+    await Job.create([
+      { userId: testUser._id, position: 'Backend Engineer', company: 'Google', status: 'applied', workMode: 'remote', customFields: { team: 'Payments' } },
+      { userId: testUser._id, position: 'Frontend Engineer', company: 'Stripe', status: 'applied', workMode: 'remote', customFields: { team: 'Platform' } },
+      { userId: testUser._id, position: 'Data Engineer', company: 'Netflix', status: 'applied', workMode: 'onsite' },
+      { userId: testUser._id, position: 'Engineering Manager', company: 'Apple', status: 'offer', workMode: 'remote' }
+    ]);
+  });
+
+  const postView = (body) => request(app)
+    .post('/api/views')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  const runView = (id, query) => request(app)
+    .get(`/api/views/${id}/jobs`)
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  describe('POST /api/views', () => {
+    it('should save a view with filters, sort and columns', async () => {
+      const response = await postView({
+        name: 'Remote applications',
+        filters: { status: 'applied', workMode: 'remote' },
+        sort: { sortBy: 'company', sortOrder: 'asc' },
+        columns: ['position', 'company', 'cf.team']
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.view).toMatchObject({
+        name: 'Remote applications',
+        filters: { status: 'applied', workMode: 'remote' },
+        sort: { sortBy: 'company', sortOrder: 'asc' },
+        columns: ['position', 'company', 'cf.team']
+      });
+    });
+
+    it('should reject a view with the name of another one', async () => {
+      await postView({ name: 'Remote' });
+
+      const response = await postView({ name: 'remote' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should validate filters, sort and columns', async () => {
+      const unknownFilter = await postView({ name: 'A', filters: { salary: '100' } });
+      const badSort = await postView({ name: 'B', sort: { sortBy: 'salary' } });
+      const badColumn = await postView({ name: 'C', columns: ['password'] });
+      const unknownField = await postView({ name: 'D', filters: { cf: { level: 'Senior' } } });
+      const unknownColumn = await postView({ name: 'E', columns: ['cf.level'] });
+
+      expect(unknownFilter.status).toBe(400);
+      expect(badSort.status).toBe(400);
+      expect(badColumn.status).toBe(400);
+      expect(unknownField.status).toBe(400);
+      expect(unknownColumn.status).toBe(400);
+      expect(unknownColumn.body.message).toContain('level');
+    });
+
+    it('should reject a search query that cannot be run', async () => {
+      const unknownField = await postView({ name: 'A', filters: { q: 'salary:100' } });
+      const badDate = await postView({ name: 'B', filters: { q: 'applied:>2026-02-30' } });
+
+      expect(unknownField.status).toBe(400);
+      expect(unknownField.body.message).toContain('salary');
+      expect(badDate.status).toBe(400);
+      expect(await SavedView.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/views/:id/jobs', () => {
+    it('should return the matching jobs in the view order with its columns', async () => {
+      const created = await postView({
+        name: 'Remote applications',
+        filters: { status: 'applied', workMode: 'remote' },
+        sort: { sortBy: 'company', sortOrder: 'desc' },
+        columns: ['company', 'cf.team']
+      });
+
+      const response = await runView(created.body.view._id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.view.name).toBe('Remote applications');
+      expect(response.body.jobs.map(job => job.company)).toEqual(['Stripe', 'Google']);
+      expect(response.body.jobs[0].customFields).toEqual({ team: 'Platform' });
+      expect(response.body.jobs[0].position).toBeUndefined();
+      expect(response.body.pagination.totalItems).toBe(2);
+    });
+
+    it('should return search results like GET /api/jobs', async () => {
+      await Job.init();
+      const created = await postView({ name: 'Backend', filters: { q: 'backend' } });
+
+      const [response, direct] = await Promise.all([
+        runView(created.body.view._id),
+        request(app).get('/api/jobs').query({ q: 'backend' }).set('Authorization', `Bearer ${authToken}`)
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.jobs[0].score).toBe(direct.body.jobs[0].score);
+      expect(response.body.jobs[0].highlights).toEqual({ position: '<mark>Backend</mark> Engineer' });
+    });
+
+    it('should paginate the jobs', async () => {
+      const created = await postView({ name: 'Everything', sort: { sortBy: 'company', sortOrder: 'asc' } });
+
+      const response = await runView(created.body.view._id, { page: 2, limit: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobs.map(job => job.company)).toEqual(['Stripe']);
+      expect(response.body.pagination).toMatchObject({ totalItems: 4, currentPage: 2, totalPages: 2, hasNextPage: false });
+    });
+
+    it('should not run views of other users', async () => {
+      const view = await SavedView.create({ userId: new User()._id, name: 'Theirs' });
+
+      const response = await runView(view._id);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/views/counts', () => {
+    it('should count the jobs in each view', async () => {
+      await postView({ name: 'Remote', filters: { workMode: 'remote' } });
+      await postView({ name: 'Payments', filters: { cf: { team: 'Payments' } } });
+      await postView({ name: 'Offers', filters: { status: 'offer' } });
+
+      const response = await request(app)
+        .get('/api/views/counts')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(({ name, count }) => ({ name, count }))).toEqual([
+        { name: 'Remote', count: 3 },
+        { name: 'Payments', count: 1 },
+        { name: 'Offers', count: 1 }
+      ]);
+    });
+
+    it('should give a null count for a view that no longer fits the custom fields', async () => {
+      await postView({ name: 'Payments', filters: { cf: { team: 'Payments' } } });
+      await CustomField.updateOne({ _id: teamField._id }, { options: ['Platform'] });
+
+      const response = await request(app)
+        .get('/api/views/counts')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body[0].count).toBeNull();
+    });
+  });
+
+  describe('PATCH /api/views/:id', () => {
+    it('should replace filters and reset the sort', async () => {
+      const created = await postView({
+        name: 'Remote',
+        filters: { workMode: 'remote' },
+        sort: { sortBy: 'company', sortOrder: 'asc' }
+      });
+
+      const response = await request(app)
+        .patch(`/api/views/${created.body.view._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ filters: { status: 'offer' }, sort: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.view.filters).toEqual({ status: 'offer' });
+      expect(response.body.view.sort && response.body.view.sort.sortBy).toBeUndefined();
+    });
+
+    it('should reject a search query that cannot be run', async () => {
+      const created = await postView({ name: 'Remote', filters: { workMode: 'remote' } });
+
+      const response = await request(app)
+        .patch(`/api/views/${created.body.view._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ filters: { q: 'salary:100' } });
+
+      expect(response.status).toBe(400);
+      expect((await SavedView.findById(created.body.view._id)).filters.q).toBeUndefined();
+    });
+  });
+
+  describe('custom field deletion', () => {
+    it('should take the field out of saved views', async () => {
+      const created = await postView({
+        name: 'Payments',
+        filters: { workMode: 'remote', cf: { team: 'Payments' } },
+        sort: { sortBy: 'cf.team' },
+        columns: ['company', 'cf.team']
+      });
+
+      await request(app)
+        .delete(`/api/custom-fields/${teamField._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const view = await SavedView.findById(created.body.view._id).lean();
+      expect(view.filters).toEqual({ workMode: 'remote', cf: {} });
+      expect(view.columns).toEqual(['company']);
+      expect(view.sort).toBeUndefined();
+
+      const response = await runView(view._id);
+      expect(response.status).toBe(200);
+      expect(response.body.jobs).toHaveLength(3);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 
 // Set NODE_ENV to test for proper error handling
@@ -13,7 +13,8 @@ beforeAll(async () => {
     await mongoose.connection.close();
   }
   
-  mongoServer = await MongoMemoryServer.create();
+  // A single-node replica set so multi-document transactions are available
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
   
   await mongoose.connect(mongoUri);
@@ -0,0 +1,241 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Stage = require('../models/Stage');
+const Job = require('../models/Job');
+const AutomationRule = require('../models/AutomationRule');
+const User = require('../models/User');
+
+describe('Stage Endpoints', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  describe('GET /api/stages', () => {
+    it('should seed the default stages on first use', async () => {
+      const response = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.map(stage => stage.key)).toEqual(['applied', 'interviewing', 'offer', 'rejected']);
+      expect(response.body.map(stage => stage.category)).toEqual(['active', 'active', 'won', 'lost']);
+
+      // A second call should not seed again
+      await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const count = await Stage.countDocuments({ userId: testUser._id });
+      expect(count).toBe(4);
+    });
+  });
+
+  describe('POST /api/stages', () => {
+    it('should create a stage at the requested position with a derived key', async () => {
+      const response = await request(app)
+        .post('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Phone Screen', category: 'active', order: 1 })
+        .expect(201);
+
+      expect(response.body.message).toBe('Stage created successfully');
+      expect(response.body.stage.key).toBe('phone-screen');
+
+      const stages = await Stage.find({ userId: testUser._id }).sort({ order: 1 });
+      expect(stages.map(stage => stage.key)).toEqual(['applied', 'phone-screen', 'interviewing', 'offer', 'rejected']);
+    });
+
+    it('should return 409 for a duplicate key', async () => {
+      const response = await request(app)
+        .post('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Offer', category: 'won' })
+        .expect(409);
+
+      expect(response.body.message).toBe('A stage with this key already exists');
+    });
+
+    it('should return 400 for an invalid category', async () => {
+      const response = await request(app)
+        .post('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Ghosted', category: 'maybe' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Category must be one of: active, won, lost');
+    });
+
+    it('should allow jobs to use the new stage', async () => {
+      await request(app)
+        .post('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Ghosted', category: 'lost' })
+        .expect(201);
+
+      await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ position: 'Developer', company: 'Quiet Corp', status: 'ghosted' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ position: 'Developer', company: 'Quiet Corp', status: 'withdrawn' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Status must be one of: applied, interviewing, offer, rejected, ghosted');
+    });
+  });
+
+  describe('PUT /api/stages/reorder', () => {
+    it('should reorder all stages', async () => {
+      const stages = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const ids = stages.body.map(stage => stage._id).reverse();
+
+      const response = await request(app)
+        .put('/api/stages/reorder')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids })
+        .expect(200);
+
+      expect(response.body.stages.map(stage => stage.key)).toEqual(['rejected', 'offer', 'interviewing', 'applied']);
+    });
+
+    it('should return 400 when a stage is missing', async () => {
+      const stages = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .put('/api/stages/reorder')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [stages.body[0]._id] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Reorder must list every stage exactly once');
+    });
+  });
+
+  describe('PATCH /api/stages/:id', () => {
+    it('should rename a stage without changing its key', async () => {
+      const stages = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .patch(`/api/stages/${stages.body[0]._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Submitted' })
+        .expect(200);
+
+      expect(response.body.stage.name).toBe('Submitted');
+      expect(response.body.stage.key).toBe('applied');
+    });
+  });
+
+  describe('DELETE /api/stages/:id', () => {
+    let interviewingStage;
+
+    beforeEach(async () => {
+      const stages = await request(app)
+        .get('/api/stages')
+        .set('Authorization', `Bearer ${authToken}`);
+      interviewingStage = stages.body.find(stage => stage.key === 'interviewing');
+    });
+
+    it('should delete an unused stage', async () => {
+      const response = await request(app)
+        .delete(`/api/stages/${interviewingStage._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.reassignedJobs).toBe(0);
+
+      const stages = await Stage.find({ userId: testUser._id }).sort({ order: 1 });
+      expect(stages.map(stage => stage.order)).toEqual([0, 1, 2]);
+    });
+
+    it('should refuse to delete a stage used by jobs', async () => {
+      await new Job({
+        position: 'Developer',
+        company: 'Tech Corp',
+        status: 'interviewing',
+        userId: testUser._id
+      }).save();
+
+      const response = await request(app)
+        .delete(`/api/stages/${interviewingStage._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.message).toContain('Stage is still used by jobs');
+    });
+
+    it('should move jobs to the reassignTo stage and record the change', async () => {
+      const job = await new Job({
+        position: 'Developer',
+        company: 'Tech Corp',
+        status: 'interviewing',
+        userId: testUser._id
+      }).save();
+
+      const response = await request(app)
+        .delete(`/api/stages/${interviewingStage._id}?reassignTo=applied`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.reassignedJobs).toBe(1);
+
+      const movedJob = await Job.findById(job._id);
+      expect(movedJob.status).toBe('applied');
+      expect(movedJob.statusHistory[movedJob.statusHistory.length - 1].from).toBe('interviewing');
+    });
+
+    it('should leave jobs and stages unchanged when the deletion fails', async () => {
+      const job = await new Job({
+        position: 'Developer',
+        company: 'Tech Corp',
+        status: 'interviewing',
+        userId: testUser._id
+      }).save();
+      const deleteRules = jest.spyOn(AutomationRule, 'deleteMany').mockRejectedValueOnce(new Error('Delete failed'));
+
+      const response = await request(app)
+        .delete(`/api/stages/${interviewingStage._id}?reassignTo=applied`)
+        .set('Authorization', `Bearer ${authToken}`);
+      deleteRules.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect((await Job.findById(job._id)).status).toBe('interviewing');
+      const orders = (await Stage.find({ userId: testUser._id }).sort({ order: 1 })).map((stage) => stage.order);
+      expect(orders).toEqual([...orders.keys()]);
+      expect(await Stage.exists({ _id: interviewingStage._id })).toBeTruthy();
+    });
+  });
+});
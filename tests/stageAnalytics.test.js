@@ -0,0 +1,112 @@
+const {
+  summarizeDurations,
+  stageDuration,
+  summarizeStageTransitions
+} = require('../utils/stageAnalytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Stage Analytics Utility Tests', () => {
+  describe('summarizeDurations', () => {
+    it('should return null statistics for an empty list', () => {
+      expect(summarizeDurations([])).toEqual({
+        count: 0,
+        meanDays: null,
+        medianDays: null,
+        p90Days: null
+      });
+    });
+
+    it('should compute mean, median and p90 in days', () => {
+      const durations = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(days => days * DAY);
+
+      expect(summarizeDurations(durations)).toEqual({
+        count: 10,
+        meanDays: 5.5,
+        medianDays: 5.5,
+        p90Days: 9
+      });
+    });
+
+    it('should use the middle value as median for odd counts', () => {
+      const result = summarizeDurations([3 * DAY, 1 * DAY, 20 * DAY]);
+
+      expect(result.medianDays).toBe(3);
+      expect(result.p90Days).toBe(20);
+    });
+  });
+
+  describe('stageDuration', () => {
+    const dateApplied = new Date('2024-01-01T00:00:00Z');
+
+    it('should measure from dateApplied when the job was created in the starting stage', () => {
+      const job = {
+        dateApplied,
+        statusHistory: [
+          { from: null, to: 'applied', changedAt: new Date('2024-01-03T00:00:00Z') },
+          { from: 'applied', to: 'interviewing', changedAt: new Date('2024-01-11T00:00:00Z') }
+        ]
+      };
+
+      expect(stageDuration(job, ['applied'], ['interviewing'])).toBe(10 * DAY);
+    });
+
+    it('should still count jobs that have since moved on', () => {
+      const job = {
+        dateApplied,
+        statusHistory: [
+          { from: null, to: 'applied', changedAt: dateApplied },
+          { from: 'applied', to: 'interviewing', changedAt: new Date('2024-01-05T00:00:00Z') },
+          { from: 'interviewing', to: 'offer', changedAt: new Date('2024-01-20T00:00:00Z') }
+        ]
+      };
+
+      expect(stageDuration(job, ['applied'], ['interviewing'])).toBe(4 * DAY);
+      expect(stageDuration(job, ['interviewing'], ['offer'])).toBe(15 * DAY);
+    });
+
+    it('should ignore jobs created directly in the target stage', () => {
+      const job = {
+        dateApplied,
+        statusHistory: [{ from: null, to: 'interviewing', changedAt: new Date('2024-01-05T00:00:00Z') }]
+      };
+
+      expect(stageDuration(job, ['applied'], ['interviewing'])).toBeNull();
+    });
+
+    it('should return null when the transition never happened', () => {
+      const job = {
+        dateApplied,
+        statusHistory: [{ from: null, to: 'applied', changedAt: dateApplied }]
+      };
+
+      expect(stageDuration(job, ['applied'], ['rejected'])).toBeNull();
+    });
+  });
+
+  describe('summarizeStageTransitions', () => {
+    it('should report every default transition', () => {
+      const jobs = [
+        {
+          dateApplied: new Date('2024-01-01T00:00:00Z'),
+          statusHistory: [
+            { from: null, to: 'applied', changedAt: new Date('2024-01-01T00:00:00Z') },
+            { from: 'applied', to: 'rejected', changedAt: new Date('2024-01-08T00:00:00Z') }
+          ]
+        }
+      ];
+
+      const summary = summarizeStageTransitions(jobs);
+
+      expect(Object.keys(summary)).toEqual([
+        'appliedToInterviewing',
+        'interviewingToOffer',
+        'appliedToOffer',
+        'appliedToRejected'
+      ]);
+      expect(summary.appliedToRejected.count).toBe(1);
+      expect(summary.appliedToRejected.medianDays).toBe(7);
+      expect(summary.appliedToInterviewing.count).toBe(0);
+    });
+  });
+});
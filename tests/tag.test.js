@@ -0,0 +1,246 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+describe('Tags', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  const createTag = async (name, color) => {
+    const response = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name, color });
+    return response.body.tag;
+  };
+
+  const createJob = (company, status, tags = []) => Job.create({
+    position: 'Software Engineer',
+    company,
+    status,
+    tags,
+    userId: testUser._id
+  });
+
+  const getJobs = (query) => request(app)
+    .get(`/api/jobs?${query}`)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  describe('managing tags', () => {
+    it('should create a tag with a color', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Dream job', color: '#22C55E' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.tag).toMatchObject({ name: 'Dream job', color: '#22C55E' });
+    });
+
+    it('should reject a name another tag has, ignoring case', async () => {
+      await createTag('Referral');
+
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'referral' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject invalid colors', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Referral', color: 'green' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should list tags with their job and task counts', async () => {
+      const tag = await createTag('Referral');
+      await createJob('Google', 'applied', [tag._id]);
+      await Task.create({
+        title: 'Thank the referrer',
+        dueDateTime: new Date(),
+        taskType: 'networking',
+        tags: [tag._id],
+        userId: testUser._id
+      });
+
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toMatchObject({ name: 'Referral', jobCount: 1, taskCount: 1 });
+    });
+
+    it('should remove a deleted tag from jobs and tasks', async () => {
+      const tag = await createTag('Referral');
+      const job = await createJob('Google', 'applied', [tag._id]);
+
+      const response = await request(app)
+        .delete(`/api/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect((await Job.findById(job._id)).tags).toHaveLength(0);
+    });
+  });
+
+  describe('tagging jobs and tasks', () => {
+    it('should set tags when creating and updating a job', async () => {
+      const referral = await createTag('Referral');
+      const remote = await createTag('Remote only');
+
+      await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ position: 'Engineer', company: 'Google', status: 'applied', tags: [referral._id] });
+      const job = await Job.findOne();
+      expect(job.tags.map(String)).toEqual([referral._id]);
+
+      const response = await request(app)
+        .patch(`/api/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tags: [remote._id] });
+      expect(response.body.job.tags).toEqual([remote._id]);
+    });
+
+    it('should only accept the user\'s own tags', async () => {
+      const otherTag = await Tag.create({ userId: '507f1f77bcf86cd799439011', name: 'Referral' });
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Follow up',
+          dueDateTime: '2030-01-07T09:00:00.000Z',
+          taskType: 'follow-up',
+          tags: [otherTag._id.toString()]
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should add and remove tags in bulk', async () => {
+      const tag = await createTag('Dream job');
+      const jobs = await Promise.all([createJob('Google', 'applied'), createJob('Stripe', 'applied')]);
+      const jobIds = jobs.map((job) => job._id.toString());
+
+      const assign = await request(app)
+        .post('/api/tags/assign')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tagIds: [tag._id], jobIds });
+
+      expect(assign.status).toBe(200);
+      expect(assign.body.jobs).toEqual({ matched: 2, modified: 2 });
+      expect(await Job.countDocuments({ tags: tag._id })).toBe(2);
+
+      const unassign = await request(app)
+        .post('/api/tags/unassign')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tagIds: [tag._id], jobIds: [jobIds[0]] });
+
+      expect(unassign.body.jobs).toEqual({ matched: 1, modified: 1 });
+      expect(await Job.countDocuments({ tags: tag._id })).toBe(1);
+    });
+
+    it('should require jobs or tasks to tag in bulk', async () => {
+      const tag = await createTag('Dream job');
+
+      const response = await request(app)
+        .post('/api/tags/assign')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tagIds: [tag._id] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('filtering by tags', () => {
+    it('should filter jobs with any or all of the tags', async () => {
+      const referral = await createTag('Referral');
+      const remote = await createTag('Remote only');
+      await createJob('Google', 'applied', [referral._id]);
+      await createJob('Stripe', 'applied', [referral._id, remote._id]);
+      await createJob('Acme', 'applied');
+
+      const any = await getJobs(`tags=${referral._id},${remote._id}`);
+      const all = await getJobs(`tags=${referral._id},${remote._id}&tagMatch=all`);
+
+      expect(any.body.jobs).toHaveLength(2);
+      expect(all.body.jobs.map((job) => job.company)).toEqual(['Stripe']);
+    });
+
+    it('should filter tasks by tag', async () => {
+      const tag = await createTag('Urgent');
+      await Task.create([
+        { title: 'Send portfolio', dueDateTime: new Date(), taskType: 'other', tags: [tag._id], userId: testUser._id },
+        { title: 'Research team', dueDateTime: new Date(), taskType: 'research', userId: testUser._id }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/tasks?tags=${tag._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks.map((task) => task.title)).toEqual(['Send portfolio']);
+    });
+
+    it('should reject malformed tag filters', async () => {
+      const responses = await Promise.all([
+        getJobs('tags=dream'),
+        getJobs('tags=507f1f77bcf86cd799439011&tagMatch=some')
+      ]);
+
+      responses.forEach((response) => expect(response.status).toBe(400));
+    });
+  });
+
+  describe('GET /api/analytics/dashboard', () => {
+    it('should break down jobs by tag and outcome', async () => {
+      const referral = await createTag('Referral');
+      await createTag('Unused');
+      await createJob('Google', 'offer', [referral._id]);
+      await createJob('Stripe', 'rejected', [referral._id]);
+      await createJob('Acme', 'applied', [referral._id]);
+
+      const response = await request(app)
+        .get('/api/analytics/dashboard')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.byTag).toEqual([
+        expect.objectContaining({ name: 'Referral', count: 3, byCategory: { active: 1, won: 1, lost: 1 } }),
+        expect.objectContaining({ name: 'Unused', count: 0 })
+      ]);
+    });
+  });
+});
@@ -69,11 +69,19 @@ describe('Task Endpoints', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(2);
+      expect(Array.isArray(response.body.tasks)).toBe(true);
+      expect(response.body.tasks.length).toBe(2);
       // Should be sorted by dueDateTime (earliest first)
-      expect(response.body[0].title).toBe('Another task');
-      expect(response.body[1].title).toBe('Follow up on application');
+      expect(response.body.tasks[0].title).toBe('Another task');
+      expect(response.body.tasks[1].title).toBe('Follow up on application');
+      expect(response.body.pagination).toEqual({
+        totalItems: 2,
+        itemsPerPage: 20,
+        currentPage: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPreviousPage: false
+      });
     });
 
     it('should return empty array for user with no tasks', async () => {
@@ -98,8 +106,8 @@ describe('Task Endpoints', () => {
         .set('Authorization', `Bearer ${anotherToken}`)
         .expect(200);
 
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(0);
+      expect(Array.isArray(response.body.tasks)).toBe(true);
+      expect(response.body.tasks.length).toBe(0);
     });
 
     it('should return 401 without token', async () => {
@@ -118,6 +126,113 @@ describe('Task Endpoints', () => {
 
       expect(response.body.message).toBe('Not authorized, token failed');
     });
+
+    it('should paginate tasks', async () => {
+      await Task.create(Array.from({ length: 4 }, (_, i) => ({
+        title: `Task ${i}`,
+        dueDateTime: new Date(Date.UTC(2024, 1, i + 1)),
+        taskType: 'other',
+        userId: testUser._id
+      })));
+
+      const response = await request(app)
+        .get('/api/tasks?page=2&limit=2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Task 1', 'Task 2']);
+      expect(response.body.pagination).toMatchObject({
+        totalItems: 5,
+        currentPage: 2,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPreviousPage: true
+      });
+    });
+
+    it('should filter by completed, taskType and jobId', async () => {
+      await Task.create([
+        { title: 'Done', dueDateTime: new Date(), taskType: 'follow-up', completed: true, userId: testUser._id },
+        { title: 'Research', dueDateTime: new Date(), taskType: 'research', userId: testUser._id }
+      ]);
+
+      const completed = await request(app)
+        .get('/api/tasks?completed=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(completed.body.tasks.map(task => task.title)).toEqual(['Done']);
+
+      const byType = await request(app)
+        .get('/api/tasks?taskType=follow-up&completed=false')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(byType.body.tasks.map(task => task.title)).toEqual(['Follow up on application']);
+
+      const byJob = await request(app)
+        .get(`/api/tasks?jobId=${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(byJob.body.tasks).toHaveLength(1);
+    });
+
+    it('should filter by due date range', async () => {
+      const now = Date.now();
+      await Task.create([
+        { title: 'Due today', dueDateTime: new Date(now + 60 * 1000), taskType: 'other', userId: testUser._id },
+        { title: 'Done late', dueDateTime: new Date(now - 60 * 1000), taskType: 'other', completed: true, userId: testUser._id },
+        { title: 'Next month', dueDateTime: new Date(now + 30 * 24 * 60 * 60 * 1000), taskType: 'other', userId: testUser._id }
+      ]);
+
+      const overdue = await request(app)
+        .get('/api/tasks?due=overdue')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      // Completed tasks are not overdue
+      expect(overdue.body.tasks.map(task => task.title)).toEqual(['Follow up on application']);
+
+      const week = await request(app)
+        .get('/api/tasks?due=week')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(week.body.tasks.map(task => task.title)).toContain('Due today');
+      expect(week.body.tasks.map(task => task.title)).not.toContain('Next month');
+    });
+
+    it('should search titles and notes with the text index', async () => {
+      await Task.create({
+        title: 'Prepare system design questions',
+        dueDateTime: new Date(),
+        taskType: 'interview',
+        userId: testUser._id
+      });
+
+      const response = await request(app)
+        .get('/api/tasks?search=HR')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Follow up on application']);
+    });
+
+    it('should sort by the requested field', async () => {
+      await Task.create({ title: 'Apply to Stripe', dueDateTime: new Date('2024-03-01'), taskType: 'other', userId: testUser._id });
+
+      const response = await request(app)
+        .get('/api/tasks?sortBy=title&sortOrder=desc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Follow up on application', 'Apply to Stripe']);
+    });
+
+    it('should reject an invalid due range', async () => {
+      const response = await request(app)
+        .get('/api/tasks?due=tomorrow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('due must be one of: overdue, today, week');
+    });
   });
 
   describe('GET /api/tasks/:id', () => {
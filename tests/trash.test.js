@@ -0,0 +1,226 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const app = require('../index');
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { purgeExpiredTrash } = require('../utils/trash');
+
+describe('Trash Endpoints', () => {
+  let testUser;
+  let authToken;
+  let testJob;
+  let linkedTask;
+
+  beforeEach(async () => {
+    // Create a test user
+    const hashedPassword = await bcrypt.hash('testpassword123', 10);
+    testUser = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      password: hashedPassword,
+      isVerified: true
+    });
+    await testUser.save();
+
+    // Generate auth token
+    authToken = jwt.sign(
+      { id: testUser._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    testJob = await Job.create({
+      position: 'Software Engineer',
+      company: 'Tech Corp',
+      status: 'applied',
+      userId: testUser._id
+    });
+
+    linkedTask = await Task.create({
+      title: 'Follow up',
+      dueDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      taskType: 'follow-up',
+      jobId: testJob._id,
+      userId: testUser._id
+    });
+  });
+
+  const trashJob = (cascade = 'delete') => request(app)
+    .delete(`/api/jobs/${testJob._id}?cascade=${cascade}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  describe('Soft delete', () => {
+    it('should hide trashed jobs from the job list', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.jobs).toHaveLength(0);
+      expect(await Job.countDocuments({ _id: testJob._id }).setOptions({ withDeleted: true })).toBe(1);
+    });
+
+    it('should return 404 for a trashed job', async () => {
+      await trashJob();
+
+      await request(app)
+        .get(`/api/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/trash', () => {
+    it('should list trashed jobs and tasks with their purge date', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .get('/api/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.retentionDays).toBe(30);
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.tasks).toHaveLength(1);
+      expect(response.body.jobs[0]).toHaveProperty('purgeAt');
+    });
+
+    it('should filter by type', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .get('/api/trash?type=jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.tasks).toHaveLength(0);
+    });
+
+    it('should reject an invalid type', async () => {
+      await request(app)
+        .get('/api/trash?type=contacts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Restore', () => {
+    it('should restore a job together with the tasks trashed with it', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .post(`/api/trash/jobs/${testJob._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.restoredTasks).toBe(1);
+      expect(await Job.findById(testJob._id)).toBeTruthy();
+      expect(await Task.findById(linkedTask._id)).toBeTruthy();
+    });
+
+    it('should not restore tasks that were deleted separately', async () => {
+      await request(app)
+        .delete(`/api/tasks/${linkedTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      await trashJob();
+
+      await request(app)
+        .post(`/api/trash/jobs/${testJob._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await Task.findById(linkedTask._id)).toBeNull();
+    });
+
+    it('should restore several items at once', async () => {
+      await trashJob('detach');
+      await request(app)
+        .delete(`/api/tasks/${linkedTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/trash/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ jobs: [testJob._id.toString()], tasks: [linkedTask._id.toString()] })
+        .expect(200);
+
+      expect(response.body.restoredJobs).toBe(1);
+      expect(response.body.restoredTasks).toBe(1);
+    });
+
+    it('should not restore a job over an active job with its posting URL', async () => {
+      await Job.updateOne({ _id: testJob._id }, { $set: { postingUrl: 'https://example.com/jobs/1', postingUrlKey: 'example.com/jobs/1' } });
+      await trashJob();
+      await Job.create({
+        position: 'Software Engineer',
+        company: 'Tech Corp',
+        status: 'applied',
+        postingUrl: 'https://www.example.com/jobs/1',
+        userId: testUser._id
+      });
+
+      const response = await request(app)
+        .post(`/api/trash/jobs/${testJob._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.message).toBe('A job with this posting URL already exists');
+      expect(await Job.findById(testJob._id)).toBeNull();
+      expect(await Task.findById(linkedTask._id)).toBeNull();
+    });
+
+    it('should return 404 for a job that is not in the trash', async () => {
+      await request(app)
+        .post(`/api/trash/jobs/${testJob._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Purge', () => {
+    it('should permanently delete a job and the tasks trashed with it', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .delete(`/api/trash/jobs/${testJob._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.purgedTasks).toBe(1);
+      expect(await Job.countDocuments({ _id: testJob._id }).setOptions({ withDeleted: true })).toBe(0);
+      expect(await Task.countDocuments({ _id: linkedTask._id }).setOptions({ withDeleted: true })).toBe(0);
+    });
+
+    it('should empty the trash', async () => {
+      await trashJob();
+
+      const response = await request(app)
+        .delete('/api/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.purgedJobs).toBe(1);
+      expect(response.body.purgedTasks).toBe(1);
+    });
+
+    it('should purge items past the retention period', async () => {
+      await trashJob();
+
+      const inRetention = await purgeExpiredTrash(new Date());
+      expect(inRetention).toEqual({ purgedJobs: 0, purgedTasks: 0 });
+
+      const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      const expired = await purgeExpiredTrash(later);
+      expect(expired).toEqual({ purgedJobs: 1, purgedTasks: 1 });
+    });
+  });
+});
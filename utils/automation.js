@@ -0,0 +1,80 @@
+const AutomationRule = require('../models/AutomationRule');
+const Task = require('../models/Task');
+const { getUserStages } = require('./pipelineStages');
+
+// Placeholders a rule's title template can use
+const TEMPLATE_PLACEHOLDERS = ['company', 'position', 'status'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Names of placeholders in a template that cannot be filled in
+ */
+const findUnknownPlaceholders = (template) => {
+	const unknown = [];
+	template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+		if (!TEMPLATE_PLACEHOLDERS.includes(name)) {
+			unknown.push(name);
+		}
+		return match;
+	});
+	return unknown;
+};
+
+/**
+ * Fill in a title template, e.g. "Follow up with {{company}}"
+ */
+const renderTemplate = (template, values) =>
+	template.replace(PLACEHOLDER_PATTERN, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+/**
+ * Create the tasks of the user's enabled rules for the status a job has just
+ * entered, due counting from enteredAt. A rule whose task for this job is
+ * still open is skipped, so moving a job back and forth does not pile up
+ * copies. Returns the created tasks.
+ */
+const runAutomationRules = async (job, enteredAt = new Date()) => {
+	const rules = await AutomationRule.find({ userId: job.userId, status: job.status, enabled: true }).sort({
+		createdAt: 1,
+	});
+	if (rules.length === 0) {
+		return [];
+	}
+
+	const openTasks = await Task.find({
+		jobId: job._id,
+		automationRuleId: { $in: rules.map((rule) => rule._id) },
+		completed: false,
+	}).select('automationRuleId');
+	const openRuleIds = openTasks.map((task) => task.automationRuleId.toString());
+
+	const pending = rules.filter((rule) => !openRuleIds.includes(rule._id.toString()));
+	if (pending.length === 0) {
+		return [];
+	}
+
+	// Titles show the stage's display name rather than its key
+	const stages = await getUserStages(job.userId);
+	const stage = stages.find((item) => item.key === job.status);
+	const values = { company: job.company, position: job.position, status: stage ? stage.name : job.status };
+
+	return Task.insertMany(
+		pending.map((rule) => ({
+			userId: job.userId,
+			jobId: job._id,
+			title: renderTemplate(rule.titleTemplate, values),
+			taskType: rule.taskType,
+			notes: rule.notes,
+			dueDateTime: new Date(enteredAt.getTime() + rule.dueInDays * MS_PER_DAY),
+			automationRuleId: rule._id,
+		}))
+	);
+};
+
+module.exports = {
+	TEMPLATE_PLACEHOLDERS,
+	findUnknownPlaceholders,
+	renderTemplate,
+	runAutomationRules,
+};
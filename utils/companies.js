@@ -0,0 +1,213 @@
+const { mongoose } = require('mongoose');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { NotFoundError, ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+const { inTransaction } = require('./transaction');
+const { normalizeCompanyName } = require('./companyNames');
+const { getUserStages } = require('./pipelineStages');
+
+// Company fields a merge copies from the merged companies when the target has none
+const COMPANY_DETAIL_FIELDS = ['website', 'industry', 'size', 'notes'];
+
+/**
+ * The user's company with this name or alias, if any
+ */
+const findCompanyByName = (userId, name) => Company.findOne({ userId, matchKeys: normalizeCompanyName(name) });
+
+/**
+ * Find the user's companies for a list of company names, creating one for each
+ * name that matches none. Returns a Map from normalized name to company.
+ */
+const resolveCompanies = async (userId, names) => {
+	const firstNames = new Map();
+	names.forEach((name) => {
+		const key = normalizeCompanyName(name);
+		if (key && !firstNames.has(key)) {
+			firstNames.set(key, String(name).trim().replace(/\s+/g, ' '));
+		}
+	});
+
+	const companies = new Map();
+	if (firstNames.size === 0) {
+		return companies;
+	}
+
+	const existing = await Company.find({ userId, matchKeys: { $in: [...firstNames.keys()] } });
+	existing.forEach((company) => {
+		company.matchKeys.forEach((key) => companies.set(key, company));
+	});
+
+	const missing = [...firstNames].filter(([key]) => !companies.has(key));
+	await Promise.all(
+		missing.map(async ([key, name]) => {
+			try {
+				companies.set(key, await Company.create({ userId, name }));
+			} catch (err) {
+				// Created by a concurrent request in the meantime
+				if (err.code !== 11000) {
+					throw err;
+				}
+				companies.set(key, await Company.findOne({ userId, matchKeys: key }));
+			}
+		})
+	);
+
+	return companies;
+};
+
+/**
+ * Set a job's companyId from its company text, creating the company if needed.
+ * Call it once the job has passed every other check; the job is validated
+ * first, so a job that cannot be saved creates no company.
+ */
+const linkJobCompany = async (job) => {
+	await job.validate();
+	const companies = await resolveCompanies(job.userId, [job.company]);
+	const company = companies.get(normalizeCompanyName(job.company));
+	job.set({ companyId: company ? company._id : undefined });
+};
+
+/**
+ * Link the user's jobs that have no company yet, such as jobs created before
+ * companies existed. Trashed jobs are included so they come back linked.
+ */
+const linkUnlinkedJobs = async (userId) => {
+	const jobs = await Job.find({ userId, companyId: null }).setOptions({ withDeleted: true }).select('company').lean();
+	if (jobs.length === 0) {
+		return;
+	}
+
+	const companies = await resolveCompanies(
+		userId,
+		jobs.map((job) => job.company)
+	);
+
+	const jobIdsByCompany = new Map();
+	jobs.forEach((job) => {
+		const company = companies.get(normalizeCompanyName(job.company));
+		if (!company) {
+			return;
+		}
+		const companyId = company._id.toString();
+		if (!jobIdsByCompany.has(companyId)) {
+			jobIdsByCompany.set(companyId, []);
+		}
+		jobIdsByCompany.get(companyId).push(job._id);
+	});
+
+	if (jobIdsByCompany.size > 0) {
+		await Job.bulkWrite(
+			[...jobIdsByCompany].map(([companyId, jobIds]) => ({
+				updateMany: {
+					filter: { _id: { $in: jobIds } },
+					update: { $set: { companyId } },
+				},
+			}))
+		);
+	}
+};
+
+/**
+ * Link the unlinked jobs of every user, one user at a time. Jobs are linked
+ * when they are written, so this only backfills jobs from before companies
+ * existed; it runs once at startup. Returns the number of users with jobs linked.
+ */
+const linkAllUnlinkedJobs = async () => {
+	const userIds = await Job.distinct('userId', { companyId: null });
+	await userIds.reduce((previous, userId) => previous.then(() => linkUnlinkedJobs(userId)), Promise.resolve());
+	return userIds.length;
+};
+
+/**
+ * Job counts for some of the user's companies: the total, per status and per
+ * outcome (stage category). Returns a Map from company id to counts.
+ */
+const getCompanyStats = async (userId, companyIds) => {
+	const [counts, stages] = await Promise.all([
+		Job.aggregate([
+			{ $match: { userId: mongoose.Types.ObjectId.createFromHexString(String(userId)), companyId: { $in: companyIds } } },
+			{ $group: { _id: { companyId: '$companyId', status: '$status' }, count: { $sum: 1 } } },
+		]),
+		getUserStages(userId),
+	]);
+
+	const categories = new Map(stages.map((stage) => [stage.key, stage.category]));
+	const stats = new Map(
+		companyIds.map((id) => [id.toString(), { jobCount: 0, outcomes: { active: 0, won: 0, lost: 0 }, byStatus: {} }])
+	);
+
+	counts.forEach(({ _id, count }) => {
+		const entry = stats.get(_id.companyId.toString());
+		const category = categories.get(_id.status);
+		entry.jobCount += count;
+		entry.byStatus[_id.status] = count;
+		if (category) {
+			entry.outcomes[category] += count;
+		}
+	});
+
+	return stats;
+};
+
+/**
+ * Merge companies into a target company: their jobs, including trashed ones,
+ * move to the target, their names become aliases of the target, details the
+ * target lacks are copied over, and the merged companies are deleted.
+ */
+const mergeCompanies = ({ userId, targetId, sourceIds }) =>
+	inTransaction(async (session) => {
+		const target = await Company.findOne({ _id: targetId, userId }).session(session);
+		if (!target) {
+			throw new NotFoundError(MESSAGES.ERROR.COMPANY_NOT_FOUND);
+		}
+
+		const uniqueIds = [...new Set(sourceIds.map(String))];
+		if (uniqueIds.includes(target._id.toString())) {
+			throw new ValidationError(MESSAGES.VALIDATION.MERGE_INTO_ITSELF);
+		}
+
+		const sources = await Company.find({ _id: { $in: uniqueIds }, userId }).session(session);
+		if (sources.length !== uniqueIds.length) {
+			throw new NotFoundError(MESSAGES.ERROR.COMPANY_NOT_FOUND);
+		}
+
+		const targetKey = normalizeCompanyName(target.name);
+		const aliases = [...target.aliases];
+		sources.forEach((source) => {
+			[source.name, ...source.aliases].forEach((name) => {
+				const key = normalizeCompanyName(name);
+				if (key !== targetKey && !aliases.some((alias) => normalizeCompanyName(alias) === key)) {
+					aliases.push(name);
+				}
+			});
+			COMPANY_DETAIL_FIELDS.forEach((field) => {
+				if (!target[field] && source[field]) {
+					target[field] = source[field];
+				}
+			});
+		});
+		target.aliases = aliases;
+
+		const { modifiedCount: movedJobs } = await Job.updateMany(
+			{ userId, companyId: { $in: uniqueIds } },
+			{ $set: { companyId: target._id } },
+			{ session, withDeleted: true }
+		);
+
+		// The merged companies' names must be free before the target takes them as aliases
+		await Company.deleteMany({ _id: { $in: uniqueIds } }, { session });
+		await target.save({ session });
+
+		return { company: target, mergedCompanies: sources.length, movedJobs };
+	});
+
+module.exports = {
+	findCompanyByName,
+	resolveCompanies,
+	linkJobCompany,
+	linkUnlinkedJobs,
+	linkAllUnlinkedJobs,
+	getCompanyStats,
+	mergeCompanies,
+};
@@ -0,0 +1,44 @@
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5001+'];
+
+// Legal form words that don't tell companies apart, e.g. "Google LLC"
+const LEGAL_SUFFIXES = [
+	'inc',
+	'incorporated',
+	'llc',
+	'ltd',
+	'limited',
+	'corp',
+	'corporation',
+	'co',
+	'company',
+	'gmbh',
+	'plc',
+	'ag',
+	'sa',
+	'bv',
+];
+
+/**
+ * Key used to match company names: case, punctuation, whitespace and a
+ * trailing legal form are ignored, so "Google", " google " and "Google, LLC."
+ * all become "google"
+ */
+const normalizeCompanyName = (name) => {
+	const words = String(name || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9&+\u00C0-\uFFFF]+/g, ' ')
+		.trim()
+		.split(' ')
+		.filter(Boolean);
+
+	while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+		words.pop();
+	}
+
+	return words.join(' ');
+};
+
+module.exports = {
+	COMPANY_SIZES,
+	normalizeCompanyName,
+};
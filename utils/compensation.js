@@ -0,0 +1,100 @@
+const PAY_PERIODS = ['year', 'month', 'hour'];
+
+// Multipliers that turn a base salary for a pay period into a yearly amount
+const PERIODS_PER_YEAR = { year: 1, month: 12, hour: 2080 };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Yearly amounts of a compensation package in its own currency. The base is
+ * the middle of the range, or whichever end is known; bonus and equity are
+ * yearly values. Returns null when no amount is known.
+ */
+const summarizeCompensation = (compensation) => {
+	if (!compensation) {
+		return null;
+	}
+
+	const { baseMin, baseMax, bonus, equity, period = 'year' } = compensation;
+	const bounds = [baseMin, baseMax].filter((amount) => amount !== undefined && amount !== null);
+	if (bounds.length === 0 && !bonus && !equity) {
+		return null;
+	}
+
+	const perYear = PERIODS_PER_YEAR[period] || 1;
+	const base = bounds.length > 0 ? (bounds.reduce((sum, amount) => sum + amount, 0) / bounds.length) * perYear : 0;
+	const amounts = { base, bonus: bonus || 0, equity: equity || 0 };
+
+	return {
+		currency: compensation.currency,
+		base: round(amounts.base),
+		bonus: round(amounts.bonus),
+		equity: round(amounts.equity),
+		total: round(amounts.base + amounts.bonus + amounts.equity),
+	};
+};
+
+/**
+ * Convert an amount between currencies with a table of the value of one unit
+ * of each currency in a common base. Returns null for unknown currencies.
+ */
+const convertAmount = (amount, from, to, rates) => {
+	if (!rates[from] || !rates[to]) {
+		return null;
+	}
+	return round((amount * rates[from]) / rates[to]);
+};
+
+/**
+ * Rank jobs by total yearly compensation in one currency. The offered package
+ * is used when there is one, otherwise the posted one. Jobs without amounts or
+ * in a currency missing from the rate table are returned as unranked.
+ */
+const rankOffers = (jobs, { currency, rates }) => {
+	const ranked = [];
+	const unranked = [];
+
+	jobs.forEach((job) => {
+		const compensation = job.compensation || {};
+		const source = compensation.offered ? 'offered' : 'posted';
+		const summary = summarizeCompensation(compensation[source]);
+		const entry = { job: { _id: job._id, company: job.company, position: job.position, status: job.status } };
+
+		if (!summary) {
+			unranked.push(Object.assign(entry, { reason: 'no_compensation' }));
+			return;
+		}
+
+		const total = convertAmount(summary.total, summary.currency, currency, rates);
+		if (total === null) {
+			unranked.push(Object.assign(entry, { source, compensation: summary, reason: 'unknown_currency' }));
+			return;
+		}
+
+		ranked.push(
+			Object.assign(entry, {
+				source,
+				compensation: summary,
+				converted: {
+					currency,
+					base: convertAmount(summary.base, summary.currency, currency, rates),
+					bonus: convertAmount(summary.bonus, summary.currency, currency, rates),
+					equity: convertAmount(summary.equity, summary.currency, currency, rates),
+					total,
+				},
+			})
+		);
+	});
+
+	ranked.sort((a, b) => b.converted.total - a.converted.total);
+	ranked.forEach((entry, i) => Object.assign(entry, { rank: i + 1 }));
+
+	return { ranked, unranked };
+};
+
+module.exports = {
+	PAY_PERIODS,
+	summarizeCompensation,
+	convertAmount,
+	rankOffers,
+};
@@ -0,0 +1,43 @@
+const escapeRegex = require('./escapeRegex');
+
+const CONTACT_SORT_FIELDS = ['name', 'company', 'lastInteractionAt', 'createdAt', 'updatedAt'];
+
+/**
+ * Build the Mongo filter for a user's contacts from list query parameters
+ * (jobId, company, search)
+ */
+const buildContactFilter = (userId, { jobId, company, search } = {}) => {
+	const query = { userId };
+
+	if (jobId) {
+		query.jobIds = jobId;
+	}
+
+	if (company) {
+		query.company = { $regex: `^${escapeRegex(company)}$`, $options: 'i' };
+	}
+
+	// Partial matches, so "sam" finds "Samantha"
+	if (search) {
+		const pattern = { $regex: escapeRegex(search), $options: 'i' };
+		query.$or = [{ name: pattern }, { email: pattern }, { company: pattern }, { role: pattern }];
+	}
+
+	return query;
+};
+
+/**
+ * Build the sort for a contact listing; alphabetical by name by default
+ */
+const buildContactSort = ({ sortBy, sortOrder } = {}) => {
+	if (!sortBy) {
+		return { name: 1 };
+	}
+	return { [sortBy]: sortOrder === 'desc' ? -1 : 1, name: 1 };
+};
+
+module.exports = {
+	CONTACT_SORT_FIELDS,
+	buildContactFilter,
+	buildContactSort,
+};
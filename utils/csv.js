@@ -0,0 +1,65 @@
+/**
+ * Parse CSV text (RFC 4180) into an array of records, each an array of strings.
+ * Handles quoted fields with embedded commas, quotes and line breaks, CRLF line
+ * endings and a leading byte order mark. Blank lines are dropped.
+ * Throws an Error when a quoted field is never closed.
+ */
+const parseCsv = (text) => {
+	const records = [];
+	let record = [];
+	let field = '';
+	let inQuotes = false;
+	let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+	const endRecord = () => {
+		record.push(field);
+		if (record.length > 1 || record[0] !== '') {
+			records.push(record);
+		}
+		record = [];
+		field = '';
+	};
+
+	while (i < text.length) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i += 1;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === '') {
+			inQuotes = true;
+		} else if (char === ',') {
+			record.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i += 1;
+			}
+			endRecord();
+		} else {
+			field += char;
+		}
+
+		i += 1;
+	}
+
+	if (inQuotes) {
+		throw new Error('Unterminated quoted field');
+	}
+
+	if (field !== '' || record.length > 0) {
+		endRecord();
+	}
+
+	return records;
+};
+
+module.exports = {
+	parseCsv,
+};
@@ -0,0 +1,211 @@
+const CustomField = require('../models/CustomField');
+const { ValidationError } = require('./errors');
+const escapeRegex = require('./escapeRegex');
+const { MESSAGES } = require('../constants/messages');
+const { MAX_CUSTOM_FIELD_TEXT_LENGTH } = require('../constants/customFields');
+
+// sortBy=cf.<key> sorts jobs by a custom field
+const CUSTOM_FIELD_SORT_PREFIX = 'cf.';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Key a field's values are stored under, from its name, e.g. "Visa sponsorship"
+ * becomes "visa-sponsorship"
+ */
+const toCustomFieldKey = (name) =>
+	String(name)
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+
+// Path of a custom field's value on a job
+const customFieldPath = (key) => `customFields.${key}`;
+
+/**
+ * Get a user's custom fields in the order they were created
+ */
+const getUserCustomFields = (userId) => CustomField.find({ userId }).sort({ createdAt: 1, _id: 1 }).lean();
+
+// Whether list parameters filter or sort on custom fields
+const usesCustomFields = (params = {}) =>
+	Boolean(params.cf) || String(params.sortBy || '').startsWith(CUSTOM_FIELD_SORT_PREFIX);
+
+const parseDate = (value) => {
+	const date = typeof value === 'string' ? new Date(value) : null;
+	return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+const parseNumber = (value) => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined);
+
+// Cast a value sent for a field of each type; undefined when it is not valid for the field
+const CASTS = {
+	text: (value) => (typeof value === 'string' && value.trim().length <= MAX_CUSTOM_FIELD_TEXT_LENGTH ? value.trim() : undefined),
+	number: (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+	date: (value) => parseDate(value),
+	boolean: (value) => (typeof value === 'boolean' ? value : undefined),
+	// Options are matched ignoring case and stored as spelled in the field
+	select: (value, field) =>
+		typeof value === 'string'
+			? field.options.find((option) => option.toLowerCase() === value.trim().toLowerCase())
+			: undefined,
+};
+
+const describeExpected = (field) => {
+	const expected = {
+		text: `text of at most ${MAX_CUSTOM_FIELD_TEXT_LENGTH} characters`,
+		number: 'a number',
+		date: 'an ISO date',
+		boolean: 'true or false',
+		select: `one of: ${(field.options || []).join(', ')}`,
+	};
+	return expected[field.type];
+};
+
+const invalidValue = (field) =>
+	new ValidationError(`${MESSAGES.VALIDATION.INVALID_CUSTOM_FIELD_VALUE} ${field.key}: expected ${describeExpected(field)}`);
+
+const findField = (byKey, key) => {
+	const field = byKey.get(key);
+	if (!field) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.UNKNOWN_CUSTOM_FIELD} ${key}`);
+	}
+	return field;
+};
+
+/**
+ * Check custom field values sent for a job against the user's fields, keyed by
+ * field key. Returns the values cast to their field's type; null or an empty
+ * string clears a value and comes back as null.
+ */
+const checkCustomFieldValues = async (userId, values) => {
+	const fields = await getUserCustomFields(userId);
+	const byKey = new Map(fields.map((field) => [field.key, field]));
+	const checked = {};
+
+	Object.entries(values).forEach(([key, value]) => {
+		const field = findField(byKey, key);
+		if (value === null || (typeof value === 'string' && !value.trim())) {
+			checked[key] = null;
+			return;
+		}
+
+		const cast = CASTS[field.type](value, field);
+		if (cast === undefined) {
+			throw invalidValue(field);
+		}
+		checked[key] = cast;
+	});
+
+	return checked;
+};
+
+/**
+ * Apply checked custom field values to a job; other values of the job are kept
+ */
+const setCustomFieldValues = (job, values) => {
+	if (!job.customFields) {
+		job.set('customFields', {});
+	}
+	Object.entries(values).forEach(([key, value]) => {
+		if (value === null) {
+			job.customFields.delete(key);
+		} else {
+			job.customFields.set(key, value);
+		}
+	});
+};
+
+// Condition for a number or date filter: a value, or a range with min and/or max (both inclusive)
+const rangeCondition = (field, filter) => {
+	const parse = field.type === 'number' ? parseNumber : parseDate;
+
+	if (typeof filter === 'string') {
+		const value = parse(filter);
+		if (value === undefined) {
+			throw invalidValue(field);
+		}
+		return field.type === 'date' ? { $gte: value, $lt: new Date(value.getTime() + MS_PER_DAY) } : value;
+	}
+
+	const condition = {};
+	[
+		['min', '$gte'],
+		['max', '$lte'],
+	].forEach(([bound, operator]) => {
+		if (filter[bound] !== undefined) {
+			const value = parse(filter[bound]);
+			if (value === undefined) {
+				throw invalidValue(field);
+			}
+			condition[operator] = value;
+		}
+	});
+	return condition;
+};
+
+// Condition for a filter on a field of each type
+const FILTERS = {
+	text: (field, filter) => ({ $regex: `^${escapeRegex(filter.trim())}$`, $options: 'i' }),
+	number: rangeCondition,
+	date: rangeCondition,
+	boolean: (field, filter) => {
+		if (!['true', 'false'].includes(filter)) {
+			throw invalidValue(field);
+		}
+		return filter === 'true';
+	},
+	select: (field, filter) => ({
+		$in: filter.split(',').map((value) => {
+			const option = CASTS.select(value, field);
+			if (option === undefined) {
+				throw invalidValue(field);
+			}
+			return option;
+		}),
+	}),
+};
+
+/**
+ * Mongo conditions for custom field filters, e.g. ?cf[team]=Payments or
+ * ?cf[team-size][min]=5. Text matches the whole value ignoring case, select
+ * takes one option or a comma-separated list, boolean takes true or false, and
+ * number and date fields take a value or a min/max range; a date value such
+ * as 2026-03-01 matches that whole (UTC) day.
+ */
+const buildCustomFieldFilter = (fields, filters) => {
+	const byKey = new Map(fields.map((field) => [field.key, field]));
+	const query = {};
+
+	Object.entries(filters).forEach(([key, filter]) => {
+		const field = findField(byKey, key);
+		if (typeof filter !== 'string' && !['number', 'date'].includes(field.type)) {
+			throw invalidValue(field);
+		}
+		query[customFieldPath(key)] = FILTERS[field.type](field, filter);
+	});
+
+	return query;
+};
+
+/**
+ * Export columns for a user's custom fields, headed cf.<key>
+ */
+const customFieldExportColumns = (fields) =>
+	fields.map((field) => ({
+		header: `${CUSTOM_FIELD_SORT_PREFIX}${field.key}`,
+		value: (job) => (job.customFields ? job.customFields[field.key] : undefined),
+	}));
+
+module.exports = {
+	CUSTOM_FIELD_SORT_PREFIX,
+	toCustomFieldKey,
+	customFieldPath,
+	getUserCustomFields,
+	usesCustomFields,
+	checkCustomFieldValues,
+	setCustomFieldValues,
+	buildCustomFieldFilter,
+	customFieldExportColumns,
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const mkdir = promisify(fs.mkdir);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+const copyFile = (sourcePath, filePath) =>
+	new Promise((resolve, reject) => {
+		const source = fs.createReadStream(sourcePath);
+		const target = fs.createWriteStream(filePath);
+		source.on('error', reject);
+		target.on('error', reject);
+		target.on('finish', resolve);
+		source.pipe(target);
+	});
+
+// Remove a file, ignoring one that is already gone
+const removeFile = async (filePath) => {
+	try {
+		await unlink(filePath);
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			throw err;
+		}
+	}
+};
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'uploads', 'documents');
+
+/**
+ * Storage adapter that keeps documents on the local disk under rootDir.
+ *
+ * Adapters store files by key and expose:
+ * - save(key, sourcePath): store the file at sourcePath, which may be removed afterwards
+ * - createReadStream(key): a readable stream of the stored file
+ * - remove(key): delete the stored file; missing files are ignored
+ */
+const createLocalStorage = (rootDir) => {
+	const resolve = (key) => {
+		const filePath = path.resolve(rootDir, key);
+		if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+			throw new Error(`Invalid storage key: ${key}`);
+		}
+		return filePath;
+	};
+
+	return {
+		async save(key, sourcePath) {
+			const filePath = resolve(key);
+			await mkdir(path.dirname(filePath), { recursive: true });
+			try {
+				await rename(sourcePath, filePath);
+			} catch (err) {
+				// Uploads land in the OS temp directory, which may be another device
+				if (err.code !== 'EXDEV') {
+					throw err;
+				}
+				await copyFile(sourcePath, filePath);
+			}
+		},
+
+		createReadStream(key) {
+			return fs.createReadStream(resolve(key));
+		},
+
+		async remove(key) {
+			await removeFile(resolve(key));
+		},
+	};
+};
+
+let storage = null;
+
+/**
+ * The adapter documents are stored with: local disk under
+ * DOCUMENT_STORAGE_DIR unless another adapter has been set
+ */
+const getDocumentStorage = () => {
+	if (!storage) {
+		storage = createLocalStorage(process.env.DOCUMENT_STORAGE_DIR || DEFAULT_STORAGE_DIR);
+	}
+	return storage;
+};
+
+// Plug in another adapter, e.g. for object storage
+const setDocumentStorage = (adapter) => {
+	storage = adapter;
+};
+
+module.exports = {
+	removeFile,
+	createLocalStorage,
+	getDocumentStorage,
+	setDocumentStorage,
+};
@@ -42,14 +42,23 @@ const sendErrorDev = (err, res) => {
   });
 };
 
+// Operational errors may carry structured details (e.g. conflicting records)
+const operationalErrorBody = (err) => {
+  const body = {
+    status: err.status,
+    message: err.message
+  };
+  if (err.details !== undefined) {
+    body.details = err.details;
+  }
+  return body;
+};
+
 const sendErrorProd = (err, res) => {
   // Does not expose stack traces or internal error details when in production
   // Only send safe, user-friendly messages
   if (err.isOperational) {
-    res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message
-    });
+    res.status(err.statusCode).json(operationalErrorBody(err));
   } else {
     // Does not leak error details when in production
     console.error('ERROR ->', err);
@@ -71,6 +80,7 @@ const globalErrorHandler = (err, _req, res, _next) => {
     path: err.path,
     value: err.value,
     errors: err.errors,
+    details: err.details,
     errmsg: err.errmsg,
     stack: err.stack
   };
@@ -85,10 +95,7 @@ const globalErrorHandler = (err, _req, res, _next) => {
     if (error.name === 'TokenExpiredError') processedError = handleJWTExpiredError();
     
     if (processedError.isOperational) {
-      res.status(processedError.statusCode).json({
-        status: processedError.status,
-        message: processedError.message
-      });
+      res.status(processedError.statusCode).json(operationalErrorBody(processedError));
     } else {
       console.error('ERROR ->', error);
       res.status(500).json({
@@ -1,10 +1,14 @@
 // Base Error Class
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+    // Optional structured data sent to the client alongside the message
+    if (details !== undefined) {
+      this.details = details;
+    }
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -1,8 +1,8 @@
 const AppError = require('./AppError');
 
 class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, 409);
+  constructor(message = 'Resource already exists', details = undefined) {
+    super(message, 409, details);
     this.name = 'ConflictError';
   }
 }
@@ -0,0 +1,10 @@
+const AppError = require('./AppError');
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request is too large') {
+    super(message, 413);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+module.exports = PayloadTooLargeError;
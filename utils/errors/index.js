@@ -5,6 +5,7 @@ const UnauthorizedError = require('./UnauthorizedError');
 const ForbiddenError = require('./ForbiddenError');
 const ConflictError = require('./ConflictError');
 const UnprocessableEntityError = require('./UnprocessableEntityError');
+const PayloadTooLargeError = require('./PayloadTooLargeError');
 
 module.exports = {
   AppError,
@@ -13,6 +14,7 @@ module.exports = {
   UnauthorizedError,
   ForbiddenError,
   ConflictError,
-  UnprocessableEntityError
+  UnprocessableEntityError,
+  PayloadTooLargeError
 };
 
@@ -0,0 +1,7 @@
+/**
+ * Escape text so it shows literally inside HTML
+ */
+const escapeHtml = (text) =>
+	String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+module.exports = escapeHtml;
@@ -0,0 +1,6 @@
+/**
+ * Escape text so it matches literally inside a regular expression
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,123 @@
+const { Transform } = require('stream');
+
+/**
+ * Supported export formats. "excel" is CSV with a byte order mark and
+ * formula-safe cells, so it opens correctly in Excel and other spreadsheets.
+ */
+const EXPORT_FORMATS = {
+	csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+	excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv', bom: true, guardFormulas: true },
+	ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Spreadsheets evaluate cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value, guardFormulas) => {
+	if (value === undefined || value === null) {
+		return '';
+	}
+
+	let text = value instanceof Date ? value.toISOString() : String(value);
+	if (guardFormulas && FORMULA_PREFIX.test(text)) {
+		text = `'${text}`;
+	}
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV record, terminated with CRLF
+ */
+const toCsvRow = (values, guardFormulas = false) =>
+	`${values.map((value) => toCsvValue(value, guardFormulas)).join(',')}\r\n`;
+
+/**
+ * Transform a stream of documents into export lines. columns is a list of
+ * { header, value(doc) } used for both CSV columns and NDJSON keys.
+ */
+const createExportTransform = (format, columns) => {
+	const { bom, guardFormulas } = EXPORT_FORMATS[format];
+	const isCsv = format !== 'ndjson';
+	let started = false;
+
+	const start = () => {
+		started = true;
+		return isCsv ? `${bom ? '\uFEFF' : ''}${toCsvRow(columns.map((column) => column.header))}` : '';
+	};
+
+	return new Transform({
+		writableObjectMode: true,
+		transform(doc, encoding, callback) {
+			const prefix = started ? '' : start();
+
+			if (isCsv) {
+				callback(null, prefix + toCsvRow(columns.map((column) => column.value(doc)), guardFormulas));
+				return;
+			}
+
+			const record = {};
+			columns.forEach((column) => {
+				record[column.header] = column.value(doc);
+			});
+			callback(null, `${prefix}${JSON.stringify(record)}\n`);
+		},
+		flush(callback) {
+			// An empty CSV export still gets its header row
+			callback(null, started ? '' : start());
+		},
+	});
+};
+
+/**
+ * Stream a query cursor to the response as an attachment without buffering it.
+ * Errors reject while nothing has been sent yet so the usual error response
+ * goes out; after that the connection is cut off.
+ */
+const streamExport = (res, { cursor, format = 'csv', columns, filename }) =>
+	new Promise((resolve, reject) => {
+		const { contentType, extension } = EXPORT_FORMATS[format];
+		const date = new Date().toISOString().slice(0, 10);
+		const transform = createExportTransform(format, columns);
+
+		res.set({
+			'Content-Type': contentType,
+			'Content-Disposition': `attachment; filename="${filename}-${date}.${extension}"`,
+		});
+
+		const fail = (err) => {
+			cursor.unpipe(transform);
+			transform.unpipe(res);
+			cursor.destroy();
+
+			if (res.headersSent) {
+				res.destroy(err);
+				resolve();
+			} else {
+				// The error handler's JSON response must not go out as an attachment or as CSV
+				res.removeHeader('Content-Disposition');
+				res.removeHeader('Content-Type');
+				reject(err);
+			}
+		};
+
+		cursor.on('error', fail);
+		transform.on('error', fail);
+		res.on('finish', resolve);
+		// Stop reading from the database when the client goes away
+		res.on('close', () => {
+			if (!res.writableFinished) {
+				cursor.destroy();
+				resolve();
+			}
+		});
+
+		cursor.pipe(transform).pipe(res);
+	});
+
+module.exports = {
+	EXPORT_FORMATS,
+	toCsvRow,
+	createExportTransform,
+	streamExport,
+};
@@ -0,0 +1,97 @@
+// Length assumed for a task's event, which only has a due time
+const EVENT_DURATION = 'PT30M';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) =>
+	String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no line is longer than 75 octets; continuation
+ * lines start with a space
+ */
+const foldLine = (line) => {
+	const parts = [];
+	let current = '';
+	let currentBytes = 0;
+
+	Array.from(line).forEach((char) => {
+		const bytes = Buffer.byteLength(char);
+		const limit = parts.length === 0 ? 75 : 74;
+		if (currentBytes + bytes > limit) {
+			parts.push(current);
+			current = '';
+			currentBytes = 0;
+		}
+		current += char;
+		currentBytes += bytes;
+	});
+	parts.push(current);
+
+	return parts.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20240115T100000Z
+ */
+const formatDateTime = (date) =>
+	new Date(date)
+		.toISOString()
+		.replace(/[-:]/g, '')
+		.replace(/\.\d{3}/, '');
+
+const taskDescription = (task) => {
+	const lines = [`Type: ${task.taskType}`];
+	if (task.jobId) {
+		lines.push(`Job: ${task.jobId.position} at ${task.jobId.company}`);
+	}
+	if (task.notes) {
+		lines.push('', task.notes);
+	}
+	return lines.join('\n');
+};
+
+/**
+ * Render tasks as an iCalendar feed with one VEVENT per task.
+ * Tasks are expected to have jobId populated with company and position.
+ */
+const buildTaskCalendar = (tasks, { name = 'JobTrackr Tasks', now = new Date() } = {}) => {
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//JobTrackr//Tasks//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		`X-WR-CALNAME:${escapeText(name)}`,
+	];
+
+	tasks.forEach((task) => {
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:task-${task._id}@jobtrackr`,
+			`DTSTAMP:${formatDateTime(task.updatedAt || now)}`,
+			`DTSTART:${formatDateTime(task.dueDateTime)}`,
+			`DURATION:${EVENT_DURATION}`,
+			`SUMMARY:${escapeText(task.title)}`,
+			`DESCRIPTION:${escapeText(taskDescription(task))}`,
+			`CATEGORIES:${escapeText(task.taskType.toUpperCase())}`,
+			'END:VEVENT'
+		);
+	});
+
+	lines.push('END:VCALENDAR');
+
+	return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+	escapeText,
+	foldLine,
+	formatDateTime,
+	buildTaskCalendar,
+};
@@ -0,0 +1,115 @@
+const Task = require('../models/Task');
+const Contact = require('../models/Contact');
+const { ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+
+// Outcomes after which the round's task is done
+const DECIDED_OUTCOMES = ['passed', 'failed'];
+
+/**
+ * Title of a round's interview task, e.g. "Round 2 technical interview at Google"
+ */
+const interviewTaskTitle = (interview, job) =>
+	`Round ${interview.round} ${interview.type.replace(/-/g, ' ')} interview at ${job.company}`;
+
+const interviewTaskNotes = (interview) => {
+	const lines = [];
+	if (interview.format) {
+		lines.push(`Format: ${interview.format}`);
+	}
+	if (interview.interviewers.length > 0) {
+		const names = interview.interviewers.map((person) => (person.role ? `${person.name} (${person.role})` : person.name));
+		lines.push(`Interviewers: ${names.join(', ')}`);
+	}
+	return lines.join('\n') || undefined;
+};
+
+// Interviewers may only be linked to the user's own contacts
+const checkInterviewerContacts = async (userId, interviewers) => {
+	const contactIds = [...new Set(interviewers.map((person) => person.contactId).filter(Boolean))];
+	if (contactIds.length === 0) {
+		return;
+	}
+
+	const found = await Contact.countDocuments({ _id: { $in: contactIds }, userId });
+	if (found !== contactIds.length) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_INTERVIEWERS);
+	}
+};
+
+/**
+ * Keep a round's interview task in step with the round. A scheduled round
+ * gets a task due at its time; the task follows later changes to the round,
+ * is completed once the round is passed or failed, and goes to the trash when
+ * the round is cancelled. Returns the round's active task, if any. Writes go
+ * through session when one is given.
+ */
+const syncInterviewTask = async (interview, job, session) => {
+	const task = interview.taskId
+		? await Task.findOne({ _id: interview.taskId, userId: interview.userId })
+			.setOptions({ withDeleted: true })
+			.session(session)
+		: null;
+
+	// A task the user trashed, or that was trashed with a cancelled round, is left there
+	if (task && task.deletedAt) {
+		return null;
+	}
+
+	if (interview.outcome === 'cancelled') {
+		if (task && !task.completed) {
+			await Task.updateOne({ _id: task._id }, { $set: { deletedAt: new Date() } }, { session });
+		}
+		return null;
+	}
+
+	if (!task) {
+		if (!interview.scheduledAt || interview.outcome !== 'pending') {
+			return null;
+		}
+
+		const created = await new Task({
+			userId: interview.userId,
+			jobId: interview.jobId,
+			title: interviewTaskTitle(interview, job),
+			dueDateTime: interview.scheduledAt,
+			taskType: 'interview',
+			notes: interviewTaskNotes(interview),
+		}).save({ session });
+		interview.set('taskId', created._id);
+		await interview.save({ session });
+		return created;
+	}
+
+	task.title = interviewTaskTitle(interview, job);
+	task.notes = interviewTaskNotes(interview);
+	if (interview.scheduledAt) {
+		task.dueDateTime = interview.scheduledAt;
+	}
+	if (DECIDED_OUTCOMES.includes(interview.outcome)) {
+		task.completed = true;
+	}
+	await task.save({ session });
+	return task;
+};
+
+/**
+ * Trash the open task of a deleted round; completed tasks are kept as a record
+ */
+const trashInterviewTask = async (interview, session) => {
+	if (interview.taskId) {
+		await Task.updateOne(
+			{ _id: interview.taskId, userId: interview.userId, completed: false },
+			{ $set: { deletedAt: new Date() } },
+			{ session }
+		);
+	}
+};
+
+module.exports = {
+	DECIDED_OUTCOMES,
+	interviewTaskTitle,
+	checkInterviewerContacts,
+	syncInterviewTask,
+	trashInterviewTask,
+};
@@ -0,0 +1,81 @@
+const Job = require('../models/Job');
+const { NotFoundError } = require('./errors');
+const { inTransaction } = require('./transaction');
+const { MESSAGES } = require('../constants/messages');
+
+/**
+ * Order of the jobs in a board column. Jobs that were never placed, such as
+ * new jobs and jobs that just changed status, come first, newest first.
+ */
+const BOARD_SORT = { boardPosition: 1, dateApplied: -1, _id: -1 };
+
+// Fields of the jobs shown on the board
+const BOARD_JOB_FIELDS = 'position company companyId status dateApplied boardPosition source workMode tags';
+
+/**
+ * Group jobs that are already in board order into one column per stage, in
+ * the order of the user's pipeline
+ */
+const buildBoardColumns = (stages, jobs) => {
+	const byStatus = new Map(stages.map((stage) => [stage.key, []]));
+	jobs.forEach((job) => {
+		if (byStatus.has(job.status)) {
+			byStatus.get(job.status).push(job);
+		}
+	});
+
+	return stages.map((stage) => ({
+		status: stage.key,
+		name: stage.name,
+		category: stage.category,
+		total: byStatus.get(stage.key).length,
+		jobs: byStatus.get(stage.key),
+	}));
+};
+
+/**
+ * Move a job to a status column and put it at a position in that column, in a
+ * single transaction. The column is renumbered 0..n-1 around the job, so a
+ * position past the end puts the job last; the column it left keeps its order.
+ * Returns the job and whether its status changed.
+ */
+const moveJobOnBoard = ({ userId, jobId, status, position, note }) =>
+	inTransaction(async (session) => {
+		const job = await Job.findOne({ _id: jobId, userId }).session(session);
+		if (!job) {
+			throw new NotFoundError(MESSAGES.ERROR.JOB_NOT_FOUND);
+		}
+
+		const statusChanged = status !== undefined && job.changeStatus(status, note);
+
+		const column = await Job.find({ userId, status: job.status, _id: { $ne: job._id } })
+			.sort(BOARD_SORT)
+			.select('boardPosition')
+			.session(session);
+
+		const index = Math.min(position, column.length);
+		const ordered = [...column];
+		ordered.splice(index, 0, job);
+
+		const updates = ordered
+			.map((item, i) => ({ item, i }))
+			.filter(({ item, i }) => item !== job && item.boardPosition !== i)
+			.map(({ item, i }) => ({
+				updateOne: { filter: { _id: item._id }, update: { $set: { boardPosition: i } } },
+			}));
+		if (updates.length > 0) {
+			await Job.bulkWrite(updates, { session });
+		}
+
+		job.boardPosition = index;
+		await job.save({ session });
+
+		return { job, statusChanged };
+	});
+
+module.exports = {
+	BOARD_SORT,
+	BOARD_JOB_FIELDS,
+	buildBoardColumns,
+	moveJobOnBoard,
+};
@@ -0,0 +1,167 @@
+const Job = require('../models/Job');
+const Task = require('../models/Task');
+const Contact = require('../models/Contact');
+const Document = require('../models/Document');
+const Interview = require('../models/Interview');
+const { ConflictError } = require('./errors');
+const { inTransaction } = require('./transaction');
+const { MESSAGES } = require('../constants/messages');
+
+// What happens to tasks linked to a job that is being deleted
+const TASK_CASCADE_POLICIES = ['delete', 'detach', 'restrict'];
+const DEFAULT_TASK_CASCADE_POLICY = 'detach';
+
+// Matches documents that are in the trash
+const IN_TRASH = { $ne: null };
+
+/**
+ * Resolve the cascade policy for a request, falling back to the
+ * JOB_DELETE_TASK_POLICY environment variable and then to "detach"
+ */
+const resolveTaskCascadePolicy = (requested) => {
+	if (requested) {
+		return requested;
+	}
+	const configured = process.env.JOB_DELETE_TASK_POLICY;
+	return TASK_CASCADE_POLICIES.includes(configured) ? configured : DEFAULT_TASK_CASCADE_POLICY;
+};
+
+/**
+ * Move a user's jobs to the trash and apply the task cascade policy in a single
+ * transaction, so jobs are never trashed while their tasks are left half-updated.
+ *
+ * - delete: linked tasks are trashed with the job and restored with it
+ * - detach: linked tasks stay active; they are unlinked when the job is purged
+ * - restrict: a ConflictError listing the linked tasks is thrown
+ */
+const trashJobs = ({ userId, jobIds, policy }) =>
+	inTransaction(async (session) => {
+		const jobs = await Job.find({ _id: { $in: jobIds }, userId }).select('_id').session(session);
+		const ids = jobs.map((job) => job._id);
+
+		const linkedTasks = await Task.find({ userId, jobId: { $in: ids } })
+			.select('title jobId')
+			.session(session);
+		const taskIds = linkedTasks.map((task) => task._id);
+
+		if (policy === 'restrict' && linkedTasks.length > 0) {
+			throw new ConflictError(`${MESSAGES.ERROR.JOB_HAS_LINKED_TASKS} (${linkedTasks.length} task(s))`, {
+				tasks: linkedTasks.map((task) => ({ _id: task._id, title: task.title, jobId: task.jobId })),
+			});
+		}
+
+		// Jobs and the tasks trashed with them share a deletedAt so they can be restored together
+		const deletedAt = new Date();
+		let deletedTasks = 0;
+
+		if (policy === 'delete' && taskIds.length > 0) {
+			({ modifiedCount: deletedTasks } = await Task.updateMany(
+				{ _id: { $in: taskIds } },
+				{ $set: { deletedAt } },
+				{ session }
+			));
+		}
+
+		const { modifiedCount } = await Job.updateMany({ _id: { $in: ids } }, { $set: { deletedAt } }, { session });
+
+		return {
+			deletedJobs: modifiedCount,
+			tasks: {
+				policy,
+				deleted: deletedTasks,
+				detached: policy === 'detach' ? taskIds.length : 0,
+			},
+		};
+	});
+
+/**
+ * Restore trashed jobs together with the tasks that were trashed with them.
+ * A posting is tracked once, so a ConflictError is thrown when an active job,
+ * or another job being restored, has the posting URL of one of the jobs.
+ */
+const restoreJobs = ({ userId, jobIds }) =>
+	inTransaction(async (session) => {
+		const jobs = await Job.find({ _id: { $in: jobIds }, userId, deletedAt: IN_TRASH })
+			.select('deletedAt postingUrlKey')
+			.session(session);
+
+		if (jobs.length === 0) {
+			return { restoredJobs: 0, restoredTasks: 0 };
+		}
+
+		const postingUrlKeys = jobs.map((job) => job.postingUrlKey).filter(Boolean);
+		if (new Set(postingUrlKeys).size !== postingUrlKeys.length) {
+			throw new ConflictError(MESSAGES.ERROR.JOB_POSTING_EXISTS);
+		}
+		const existing = postingUrlKeys.length > 0
+			? await Job.findOne({ userId, postingUrlKey: { $in: postingUrlKeys } })
+				.select('company position status postingUrl')
+				.session(session)
+			: null;
+		if (existing) {
+			throw new ConflictError(MESSAGES.ERROR.JOB_POSTING_EXISTS, { job: existing });
+		}
+
+		const { modifiedCount: restoredTasks } = await Task.updateMany(
+			{
+				userId,
+				deletedAt: IN_TRASH,
+				$or: jobs.map((job) => ({ jobId: job._id, deletedAt: job.deletedAt })),
+			},
+			{ $set: { deletedAt: null } },
+			{ session }
+		);
+
+		const { modifiedCount: restoredJobs } = await Job.updateMany(
+			{ _id: { $in: jobs.map((job) => job._id) }, deletedAt: IN_TRASH },
+			{ $set: { deletedAt: null } },
+			{ session }
+		);
+
+		return { restoredJobs, restoredTasks };
+	});
+
+/**
+ * Permanently delete trashed jobs, optionally limited to a user, a set of ids or
+ * jobs trashed before a date. Tasks in the trash that belong to them are deleted
+ * too; active tasks are detached, contacts and documents are unlinked, and
+ * interview rounds are deleted.
+ */
+const purgeJobs = ({ userId, jobIds, deletedBefore } = {}) =>
+	inTransaction(async (session) => {
+		const filter = { deletedAt: deletedBefore ? { $ne: null, $lte: deletedBefore } : IN_TRASH };
+		if (userId) filter.userId = userId;
+		if (jobIds) filter._id = { $in: jobIds };
+
+		const jobs = await Job.find(filter).select('_id').session(session);
+		const ids = jobs.map((job) => job._id);
+
+		if (ids.length === 0) {
+			return { purgedJobs: 0, purgedTasks: 0, detachedTasks: 0 };
+		}
+
+		const { deletedCount: purgedTasks } = await Task.deleteMany(
+			{ jobId: { $in: ids }, deletedAt: IN_TRASH },
+			{ session }
+		);
+		const { modifiedCount: detachedTasks } = await Task.updateMany(
+			{ jobId: { $in: ids } },
+			{ $unset: { jobId: '' } },
+			{ session }
+		);
+		const { deletedCount: purgedJobs } = await Job.deleteMany({ _id: { $in: ids }, deletedAt: IN_TRASH }, { session });
+		await Contact.updateMany({ jobIds: { $in: ids } }, { $pull: { jobIds: { $in: ids } } }, { session });
+		await Document.updateMany({ jobIds: { $in: ids } }, { $pull: { jobIds: { $in: ids } } }, { session });
+		await Interview.deleteMany({ jobId: { $in: ids } }, { session });
+
+		return { purgedJobs, purgedTasks, detachedTasks };
+	});
+
+module.exports = {
+	TASK_CASCADE_POLICIES,
+	IN_TRASH,
+	resolveTaskCascadePolicy,
+	trashJobs,
+	restoreJobs,
+	purgeJobs,
+};
@@ -0,0 +1,190 @@
+const Job = require('../models/Job');
+const { normalizePostingUrl } = require('./postingUrl');
+const { findCompanyByName } = require('./companies');
+
+const DEFAULT_DUPLICATE_WINDOW_DAYS = 0;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Why two jobs look like the same application
+const DUPLICATE_REASONS = {
+	POSTING_URL: 'posting_url',
+	COMPANY_AND_POSITION: 'company_and_position',
+	APPLIED_WITHIN_WINDOW: 'applied_within_window',
+};
+
+// Fields duplicates are reported with
+const DUPLICATE_JOB_FIELDS = 'company companyId position status dateApplied postingUrl postingUrlKey';
+
+/**
+ * Days within which two applications to the same company count as
+ * duplicates, whatever their positions (DUPLICATE_WINDOW_DAYS). Off (0) by
+ * default, as applying to several roles at one company is common.
+ */
+const getDuplicateWindowDays = () => {
+	const configured = parseInt(process.env.DUPLICATE_WINDOW_DAYS, 10);
+	return configured >= 0 ? configured : DEFAULT_DUPLICATE_WINDOW_DAYS;
+};
+
+/**
+ * Key used to match positions: case, punctuation and whitespace are ignored,
+ * so "Sr. Engineer" and "sr engineer" both become "sr engineer"
+ */
+const normalizePosition = (position) =>
+	String(position || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9+#\u00C0-\uFFFF]+/g, ' ')
+		.trim();
+
+/**
+ * A job as shown in duplicate reports and conflicts
+ */
+const summarizeDuplicateJob = (job) => ({
+	_id: job._id,
+	company: job.company,
+	position: job.position,
+	status: job.status,
+	dateApplied: job.dateApplied,
+	postingUrl: job.postingUrl,
+});
+
+/**
+ * Reasons job b duplicates job a; empty when it doesn't. Jobs are compared on
+ * companyId, so aliases of a company match, and on their normalized posting URL.
+ */
+const duplicateReasons = (a, b, windowDays) => {
+	const reasons = [];
+	const urlKey = a.postingUrlKey || normalizePostingUrl(a.postingUrl);
+
+	if (urlKey && urlKey === b.postingUrlKey) {
+		reasons.push(DUPLICATE_REASONS.POSTING_URL);
+	}
+
+	if (a.companyId && b.companyId && a.companyId.toString() === b.companyId.toString()) {
+		if (normalizePosition(a.position) === normalizePosition(b.position)) {
+			reasons.push(DUPLICATE_REASONS.COMPANY_AND_POSITION);
+		}
+		const daysApart = Math.abs(new Date(a.dateApplied) - new Date(b.dateApplied)) / MS_PER_DAY;
+		if (windowDays > 0 && daysApart <= windowDays) {
+			reasons.push(DUPLICATE_REASONS.APPLIED_WITHIN_WINDOW);
+		}
+	}
+
+	return reasons;
+};
+
+/**
+ * Existing jobs of the user that a new job duplicates, each with its reasons.
+ * The job's companyId is looked up without creating a company, so checking a
+ * job that is then rejected leaves nothing behind.
+ */
+const findDuplicateJobs = async (job, windowDays = getDuplicateWindowDays()) => {
+	const company = await findCompanyByName(job.userId, job.company);
+	const postingUrlKey = normalizePostingUrl(job.postingUrl);
+
+	const conditions = [];
+	if (company) {
+		conditions.push({ companyId: company._id });
+	}
+	if (postingUrlKey) {
+		conditions.push({ postingUrlKey });
+	}
+	if (conditions.length === 0) {
+		return [];
+	}
+
+	const candidates = await Job.find({ userId: job.userId, _id: { $ne: job._id }, $or: conditions })
+		.select(DUPLICATE_JOB_FIELDS)
+		.sort({ dateApplied: -1 })
+		.lean();
+
+	const target = {
+		companyId: company && company._id,
+		position: job.position,
+		dateApplied: job.dateApplied,
+		postingUrlKey,
+	};
+
+	return candidates
+		.map((candidate) => ({ job: candidate, reasons: duplicateReasons(target, candidate, windowDays) }))
+		.filter((match) => match.reasons.length > 0);
+};
+
+/**
+ * Group jobs that duplicate each other, directly or through another job in the
+ * group. Returns groups of two or more jobs with every reason found, largest
+ * groups first.
+ */
+const groupDuplicateJobs = (jobs, windowDays) => {
+	// Union-find over job indexes
+	const parents = jobs.map((job, i) => i);
+	const find = (i) => {
+		let root = i;
+		while (parents[root] !== root) {
+			root = parents[root];
+		}
+		return root;
+	};
+
+	const pairs = [];
+	const byCompany = new Map();
+	const byPostingUrl = new Map();
+	jobs.forEach((job, i) => {
+		[
+			[byCompany, job.companyId && job.companyId.toString()],
+			[byPostingUrl, job.postingUrlKey],
+		].forEach(([index, key]) => {
+			if (key) {
+				if (!index.has(key)) {
+					index.set(key, []);
+				}
+				index.get(key).push(i);
+			}
+		});
+	});
+
+	const compared = new Set();
+	[...byCompany.values(), ...byPostingUrl.values()].forEach((indexes) => {
+		indexes.forEach((i, n) => {
+			indexes.slice(n + 1).forEach((j) => {
+				const pair = `${i}:${j}`;
+				if (compared.has(pair)) {
+					return;
+				}
+				compared.add(pair);
+
+				const reasons = duplicateReasons(jobs[i], jobs[j], windowDays);
+				if (reasons.length > 0) {
+					pairs.push({ i, reasons });
+					parents[find(j)] = find(i);
+				}
+			});
+		});
+	});
+
+	const groups = new Map();
+	jobs.forEach((job, i) => {
+		const root = find(i);
+		if (!groups.has(root)) {
+			groups.set(root, { reasons: new Set(), jobs: [] });
+		}
+		groups.get(root).jobs.push(job);
+	});
+	pairs.forEach(({ i, reasons }) => {
+		reasons.forEach((reason) => groups.get(find(i)).reasons.add(reason));
+	});
+
+	return [...groups.values()]
+		.filter((group) => group.jobs.length > 1)
+		.map((group) => ({ reasons: [...group.reasons], jobs: group.jobs }))
+		.sort((a, b) => b.jobs.length - a.jobs.length);
+};
+
+module.exports = {
+	DUPLICATE_REASONS,
+	DUPLICATE_JOB_FIELDS,
+	getDuplicateWindowDays,
+	normalizePosition,
+	summarizeDuplicateJob,
+	findDuplicateJobs,
+	groupDuplicateJobs,
+};
@@ -0,0 +1,172 @@
+const { ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+const { parseCsv } = require('./csv');
+const { jobCreateSchema } = require('../middleware/validation');
+
+// Data rows accepted in a single import
+const MAX_IMPORT_ROWS = 1000;
+
+// Job fields a CSV column can be mapped to
+const IMPORT_FIELDS = Object.keys(jobCreateSchema.describe().keys);
+
+/**
+ * Key used to detect duplicates: company and position, case and whitespace insensitive
+ */
+const jobDuplicateKey = (company, position) =>
+	[company, position].map((value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase()).join('|');
+
+/**
+ * Parse the CSV body and map its columns onto job fields.
+ * mapping is { field: 'CSV header' }; unmapped fields fall back to a column
+ * named after the field (case insensitive). Empty cells are left out so the
+ * create rules treat them as missing. Rows are numbered as in the file, with
+ * the header as row 1.
+ */
+const readImportRows = (csv, mapping = {}) => {
+	let records;
+	try {
+		records = parseCsv(csv);
+	} catch (err) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.CSV_MALFORMED} ${err.message}`);
+	}
+
+	if (records.length < 2) {
+		throw new ValidationError(MESSAGES.VALIDATION.CSV_REQUIRED);
+	}
+	if (records.length - 1 > MAX_IMPORT_ROWS) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.CSV_TOO_MANY_ROWS} ${MAX_IMPORT_ROWS} rows`);
+	}
+
+	const headers = records[0].map((header) => header.trim().toLowerCase());
+	const columns = [];
+
+	IMPORT_FIELDS.forEach((field) => {
+		const column = mapping[field] || field;
+		const index = headers.indexOf(column.trim().toLowerCase());
+
+		if (index === -1 && mapping[field]) {
+			throw new ValidationError(`${MESSAGES.VALIDATION.CSV_COLUMN_NOT_FOUND} ${mapping[field]}`);
+		}
+		if (index !== -1) {
+			columns.push({ field, index });
+		}
+	});
+
+	const rows = records.slice(1).map((record, i) => {
+		const data = {};
+		columns.forEach(({ field, index }) => {
+			const cell = (record[index] || '').trim();
+			if (cell !== '') {
+				data[field] = cell;
+			}
+		});
+		return { row: i + 2, data, blank: record.every((cell) => cell.trim() === '') };
+	});
+
+	// Spreadsheets often export trailing rows of empty cells
+	return rows.filter((row) => !row.blank).map(({ row, data }) => ({ row, data }));
+};
+
+/**
+ * Match a status cell against the user's stages by key or display name
+ */
+const resolveStatus = (value, stages) => {
+	const normalized = value.trim().toLowerCase();
+	const stage = stages.find((item) => item.key === normalized || item.name.toLowerCase() === normalized);
+	return stage ? stage.key : value;
+};
+
+/**
+ * Validate each row with the job create rules and check it against existing
+ * jobs and earlier rows. Returns the per-row report and the job documents to
+ * insert; jobs[i] belongs to the report entry at reportIndexes[i].
+ */
+const planImport = ({ rows, stages, existingJobs, userId }) => {
+	const stageKeys = stages.map((stage) => stage.key);
+	const seen = new Map();
+	existingJobs.forEach((job) => {
+		seen.set(jobDuplicateKey(job.company, job.position), { duplicateOf: job._id });
+	});
+
+	const report = [];
+	const jobs = [];
+	const reportIndexes = [];
+
+	rows.forEach(({ row, data }) => {
+		const { error, value } = jobCreateSchema.validate(data);
+		if (error) {
+			report.push({ row, status: 'failed', error: error.details[0].message });
+			return;
+		}
+
+		const status = resolveStatus(value.status, stages);
+		if (!stageKeys.includes(status)) {
+			report.push({
+				row,
+				status: 'failed',
+				error: `${MESSAGES.VALIDATION.INVALID_STATUS} ${stageKeys.join(', ')}`,
+			});
+			return;
+		}
+
+		const key = jobDuplicateKey(value.company, value.position);
+		const duplicate = seen.get(key);
+		if (duplicate) {
+			report.push(
+				duplicate.duplicateOf
+					? { row, status: 'skipped', reason: MESSAGES.ERROR.DUPLICATE_JOB, duplicateOf: duplicate.duplicateOf }
+					: { row, status: 'skipped', reason: MESSAGES.ERROR.DUPLICATE_IMPORT_ROW, duplicateOfRow: duplicate.row }
+			);
+			return;
+		}
+		seen.set(key, { row });
+
+		// Posting URLs are not imported, so rows need no check against tracked postings
+		const job = {
+			position: value.position,
+			company: value.company,
+			status,
+			notes: value.notes,
+			dateApplied: value.dateApplied || new Date(),
+			userId,
+			statusHistory: [{ from: null, to: status, changedAt: new Date(), note: value.statusNote }],
+		};
+
+		reportIndexes.push(report.length);
+		jobs.push(job);
+		report.push({
+			row,
+			status: 'created',
+			job: {
+				position: job.position,
+				company: job.company,
+				status: job.status,
+				dateApplied: job.dateApplied,
+				notes: job.notes,
+			},
+		});
+	});
+
+	return { report, jobs, reportIndexes };
+};
+
+/**
+ * Count report entries by outcome
+ */
+const summarizeImport = (report) => {
+	const summary = { total: report.length, created: 0, skipped: 0, failed: 0 };
+	report.forEach((entry) => {
+		summary[entry.status] += 1;
+	});
+	return summary;
+};
+
+module.exports = {
+	MAX_IMPORT_ROWS,
+	IMPORT_FIELDS,
+	jobDuplicateKey,
+	readImportRows,
+	resolveStatus,
+	planImport,
+	summarizeImport,
+};
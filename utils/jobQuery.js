@@ -0,0 +1,167 @@
+const { buildTagCondition } = require('./tagQuery');
+const escapeRegex = require('./escapeRegex');
+const { CUSTOM_FIELD_SORT_PREFIX, customFieldPath, buildCustomFieldFilter } = require('./customFields');
+const { findCompanyByName } = require('./companies');
+const { hasTextSearch, buildSearchFilter, buildHighlights } = require('./jobSearch');
+
+const JOB_SORT_FIELDS = ['dateApplied', 'createdAt', 'updatedAt', 'position', 'company', 'status'];
+
+// Fields of the jobs in a listing
+const JOB_LIST_FIELDS = [
+	'position',
+	'company',
+	'companyId',
+	'status',
+	'notes',
+	'dateApplied',
+	'boardPosition',
+	'postingUrl',
+	'source',
+	'location',
+	'workMode',
+	'employmentType',
+	'seniority',
+	'compensation',
+	'tags',
+	'customFields',
+	'createdAt',
+	'updatedAt',
+];
+
+// Filters taking one value or a comma-separated list, e.g. ?workMode=remote,hybrid
+const JOB_LIST_FILTERS = ['source', 'workMode', 'employmentType', 'seniority'];
+
+// Location filters, matched case-insensitively against the whole name
+const JOB_LOCATION_FILTERS = ['city', 'region', 'country'];
+
+/**
+ * Build the Mongo filter for a user's jobs from getJobs-style query parameters
+ * (status, company, companyId, position, tags, tagMatch, source, workMode,
+ * employmentType, seniority, city, region, country, search, q). search
+ * matches text literally; q is a search query (see utils/jobSearch.js).
+ */
+const buildJobFilter = (userId, params = {}) => {
+	const { search, q, status, company, companyId, position, tags, tagMatch } = params;
+	const query = { userId };
+
+	if (status) {
+		query.status = status;
+	}
+
+	if (company) {
+		query.company = company;
+	}
+
+	if (companyId) {
+		query.companyId = companyId;
+	}
+
+	if (position) {
+		query.position = position;
+	}
+
+	JOB_LIST_FILTERS.forEach((field) => {
+		if (params[field]) {
+			query[field] = { $in: String(params[field]).split(',') };
+		}
+	});
+
+	JOB_LOCATION_FILTERS.forEach((field) => {
+		if (params[field]) {
+			query[`location.${field}`] = { $regex: `^${escapeRegex(params[field])}$`, $options: 'i' };
+		}
+	});
+
+	const tagCondition = buildTagCondition(tags, tagMatch);
+	if (tagCondition) {
+		query.tags = tagCondition;
+	}
+
+	if (search) {
+		query.$or = [
+			{ position: { $regex: escapeRegex(search), $options: 'i' } },
+			{ company: { $regex: escapeRegex(search), $options: 'i' } },
+			{ notes: { $regex: escapeRegex(search), $options: 'i' } },
+		];
+	}
+
+	if (q) {
+		Object.assign(query, buildSearchFilter(q));
+	}
+
+	return query;
+};
+
+/**
+ * Job filter for list and export requests. A company filter matches every job
+ * of the company with that name or alias, whatever company text the job has.
+ * Custom field filters are checked against the user's customFields.
+ */
+const resolveJobFilter = async (userId, params, customFields = []) => {
+	const query = buildJobFilter(userId, params);
+
+	if (params.cf) {
+		Object.assign(query, buildCustomFieldFilter(customFields, params.cf));
+	}
+
+	if (params.company) {
+		const company = await findCompanyByName(userId, params.company);
+		if (company) {
+			delete query.company;
+			query.companyId = company._id;
+		}
+	}
+
+	return query;
+};
+
+/**
+ * Build the sort for a job listing; best text match first for a q search with
+ * words or phrases, otherwise newest applications first. sortBy=cf.<key> sorts
+ * on one of customFieldKeys, newest first within a value.
+ */
+const buildJobSort = ({ sortBy, sortOrder, q } = {}, customFieldKeys = []) => {
+	const sortOptions = {};
+	const direction = sortOrder === 'asc' ? 1 : -1;
+	if (sortBy) {
+		const customFieldKey = sortBy.startsWith(CUSTOM_FIELD_SORT_PREFIX)
+			? sortBy.slice(CUSTOM_FIELD_SORT_PREFIX.length)
+			: null;
+		if (JOB_SORT_FIELDS.includes(sortBy)) {
+			sortOptions[sortBy] = direction;
+		} else if (customFieldKeys.includes(customFieldKey)) {
+			sortOptions[customFieldPath(customFieldKey)] = direction;
+			sortOptions.dateApplied = -1;
+		}
+	} else if (hasTextSearch(q)) {
+		sortOptions.score = { $meta: 'textScore' };
+		sortOptions.dateApplied = -1;
+	} else {
+		sortOptions.dateApplied = -1;
+	}
+	return sortOptions;
+};
+
+/**
+ * Add each job's relevance score to a listing query whose filter has a text
+ * search, i.e. a q search with words or phrases
+ */
+const selectSearchScore = (jobsQuery, filter) =>
+	filter.$text ? jobsQuery.select({ score: { $meta: 'textScore' } }) : jobsQuery;
+
+/**
+ * Jobs of a q search with their highlighted snippets (see buildHighlights);
+ * without q the jobs are returned as they are
+ */
+const withSearchHighlights = (jobs, q) =>
+	q ? jobs.map((job) => Object.assign(job.toJSON(), { highlights: buildHighlights(job, q) })) : jobs;
+
+module.exports = {
+	JOB_SORT_FIELDS,
+	JOB_LIST_FIELDS,
+	buildJobFilter,
+	resolveJobFilter,
+	buildJobSort,
+	selectSearchScore,
+	withSearchHighlights,
+};
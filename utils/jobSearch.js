@@ -0,0 +1,245 @@
+const { ValidationError } = require('./errors');
+const escapeRegex = require('./escapeRegex');
+const escapeHtml = require('./escapeHtml');
+const { MESSAGES } = require('../constants/messages');
+
+/**
+ * Query language for ?q= job searches, e.g.
+ *
+ *   backend "payments team" company:stripe -status:rejected applied:>2026-01-01
+ *
+ * Plain words and "quoted phrases" go through the text index on company,
+ * position and notes: any word matches, every phrase must, and results are
+ * ranked by relevance. field:value narrows the search, field:"two words" takes
+ * a value with spaces, and a leading - excludes a word, phrase or field match.
+ */
+
+// Matched as text anywhere in the field, ignoring case
+const SEARCH_TEXT_FIELDS = {
+	company: 'company',
+	position: 'position',
+	notes: 'notes',
+};
+
+// Matched exactly, ignoring case
+const SEARCH_KEYWORD_FIELDS = {
+	status: 'status',
+	source: 'source',
+	workmode: 'workMode',
+	employmenttype: 'employmentType',
+	seniority: 'seniority',
+};
+
+// Take a day (applied:2026-01-01), a comparison (applied:>=2026-01-01) or a range (applied:2026-01-01..2026-03-31)
+const SEARCH_DATE_FIELDS = {
+	applied: 'dateApplied',
+	created: 'createdAt',
+	updated: 'updatedAt',
+};
+
+const SEARCH_FIELD_NAMES = [
+	...Object.keys(SEARCH_TEXT_FIELDS),
+	...Object.keys(SEARCH_KEYWORD_FIELDS),
+	...Object.keys(SEARCH_DATE_FIELDS),
+];
+
+// Characters of a highlighted snippet on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// [-][field:]("phrase" | word); an unclosed quote runs to the end of the query
+const TOKEN_PATTERN = /(-)?(?:([A-Za-z]+):)?(?:"([^"]*)"?|([^\s"]+))/g;
+
+/**
+ * Split a query into tokens of { negated, field, value, phrase }. field is
+ * undefined for plain words and phrases.
+ */
+const tokenize = (q) =>
+	Array.from(String(q || '').matchAll(TOKEN_PATTERN))
+		.map(([, minus, field, phrase, word]) => ({
+			negated: Boolean(minus),
+			field: field && field.toLowerCase(),
+			value: (phrase !== undefined ? phrase : word).trim().replace(/\s+/g, ' '),
+			phrase: phrase !== undefined,
+		}))
+		.filter((token) => /\w/.test(token.value));
+
+// Start of a YYYY-MM-DD day in UTC
+const parseDay = (field, text) => {
+	const day = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : null;
+	// Rules out days past the end of the month, which Date would roll over
+	if (!day || Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== text) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.INVALID_SEARCH_DATE} ${field}:${text}`);
+	}
+	return day;
+};
+
+const nextDay = (day) => new Date(day.getTime() + MS_PER_DAY);
+
+// Mongo condition for a date field value; days are whole UTC days
+const buildDateCondition = (field, rawValue) => {
+	// The xss middleware escapes < in queries and bodies, so applied:<2026-01-01 arrives as applied:&lt;2026-01-01
+	const value = rawValue.replace(/^&lt;/, '<').replace(/^&gt;/, '>');
+	const comparison = value.match(/^(>=|<=|>|<)(.*)$/);
+	if (comparison) {
+		const [, operator, text] = comparison;
+		const day = parseDay(field, text);
+		return {
+			'>': { $gte: nextDay(day) },
+			'>=': { $gte: day },
+			'<': { $lt: day },
+			'<=': { $lt: nextDay(day) },
+		}[operator];
+	}
+
+	const [from, to] = value.split('..');
+	if (to !== undefined) {
+		const condition = {};
+		if (from) condition.$gte = parseDay(field, from);
+		if (to) condition.$lt = nextDay(parseDay(field, to));
+		return condition;
+	}
+
+	const day = parseDay(field, value);
+	return { $gte: day, $lt: nextDay(day) };
+};
+
+// Mongo condition for one field:value token
+const buildFieldCondition = ({ field, value }) => {
+	if (SEARCH_TEXT_FIELDS[field]) {
+		return { [SEARCH_TEXT_FIELDS[field]]: { $regex: escapeRegex(value), $options: 'i' } };
+	}
+	if (SEARCH_KEYWORD_FIELDS[field]) {
+		return { [SEARCH_KEYWORD_FIELDS[field]]: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } };
+	}
+	if (SEARCH_DATE_FIELDS[field]) {
+		return { [SEARCH_DATE_FIELDS[field]]: buildDateCondition(field, value) };
+	}
+	throw new ValidationError(`${MESSAGES.VALIDATION.UNKNOWN_SEARCH_FIELD} ${field}. Use one of: ${SEARCH_FIELD_NAMES.join(', ')}`);
+};
+
+// Excluded words and phrases are matched literally, as the text index cannot exclude on its own
+const buildExcludedTextCondition = ({ value }) => ({
+	$or: Object.values(SEARCH_TEXT_FIELDS).map((path) => ({
+		[path]: { $regex: escapeRegex(value), $options: 'i' },
+	})),
+});
+
+/**
+ * $search string for the text index: the plain words, then each phrase quoted.
+ * Backslashes are dropped so none can escape a closing quote.
+ */
+const buildTextSearch = (tokens) => {
+	const included = tokens
+		.filter((token) => !token.field && !token.negated)
+		.map((token) => ({ phrase: token.phrase, value: token.value.replace(/\\/g, ' ').trim() }))
+		.filter((token) => token.value);
+	return [
+		...included.filter((token) => !token.phrase).map((token) => token.value),
+		...included.filter((token) => token.phrase).map((token) => `"${token.value}"`),
+	].join(' ');
+};
+
+/**
+ * Whether a query has plain words or phrases, i.e. is ranked by relevance
+ */
+const hasTextSearch = (q) => buildTextSearch(tokenize(q)) !== '';
+
+/**
+ * Mongo conditions for a query, to merge into a job filter. Throws a
+ * ValidationError for an unknown field or an invalid date.
+ */
+const buildSearchFilter = (q) => {
+	const tokens = tokenize(q);
+	const query = {};
+
+	const text = buildTextSearch(tokens);
+	if (text) {
+		query.$text = { $search: text };
+	}
+
+	const included = tokens.filter((token) => token.field && !token.negated).map(buildFieldCondition);
+	if (included.length > 0) {
+		query.$and = included;
+	}
+
+	const excluded = tokens
+		.filter((token) => token.negated)
+		.map((token) => (token.field ? buildFieldCondition(token) : buildExcludedTextCondition(token)));
+	if (excluded.length > 0) {
+		query.$nor = excluded;
+	}
+
+	return query;
+};
+
+// Pattern for a word (and what follows it up to the end of the word, as the text index stems), or a phrase
+const highlightPattern = (token) => {
+	if (token.field) {
+		return escapeRegex(token.value);
+	}
+	const pattern = token.value.split(' ').map(escapeRegex).join('\\s+');
+	const boundary = /^\w/.test(token.value) ? '\\b' : '';
+	return token.phrase ? `${boundary}${pattern}` : `${boundary}${pattern}\\w*`;
+};
+
+/**
+ * Text around the first match of pattern, HTML-escaped with every match in
+ * <mark> tags, or null when nothing matches
+ */
+const buildSnippet = (text, pattern) => {
+	const first = pattern.exec(text);
+	if (!first) {
+		return null;
+	}
+
+	const start = Math.max(0, first.index - SNIPPET_RADIUS);
+	const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+	const excerpt = text.slice(start, end);
+
+	let snippet = '';
+	let last = 0;
+	Array.from(excerpt.matchAll(new RegExp(pattern.source, 'gi'))).forEach((match) => {
+		snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+		last = match.index + match[0].length;
+	});
+	snippet += escapeHtml(excerpt.slice(last));
+
+	return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Snippets of a job's company, position and notes with the words, phrases and
+ * field values of a query highlighted, keyed by field. Fields without a match
+ * are left out.
+ */
+const buildHighlights = (job, q) => {
+	const tokens = tokenize(q).filter((token) => !token.negated);
+	const highlights = {};
+
+	Object.entries(SEARCH_TEXT_FIELDS).forEach(([name, path]) => {
+		const patterns = tokens
+			.filter((token) => !token.field || token.field === name)
+			.sort((a, b) => b.value.length - a.value.length)
+			.map(highlightPattern);
+		if (patterns.length === 0 || !job[path]) {
+			return;
+		}
+
+		const snippet = buildSnippet(String(job[path]), new RegExp(patterns.join('|'), 'i'));
+		if (snippet) {
+			highlights[path] = snippet;
+		}
+	});
+
+	return highlights;
+};
+
+module.exports = {
+	SEARCH_FIELD_NAMES,
+	tokenize,
+	hasTextSearch,
+	buildSearchFilter,
+	buildHighlights,
+};
@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const { ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+const { DEFAULT_JOB_SOURCES } = require('../constants/jobs');
+
+/**
+ * Get the sources a user's jobs can come from, in the user's order,
+ * falling back to the defaults when the user has not configured any
+ */
+const getUserSources = async (userId) => {
+	const user = await User.findById(userId).select('jobSources').lean();
+	return user && user.jobSources && user.jobSources.length > 0 ? user.jobSources : DEFAULT_JOB_SOURCES;
+};
+
+/**
+ * Match a source against the user's list, ignoring case, and return it as
+ * spelled in the list. Throws when the user has no such source.
+ */
+const checkSource = async (userId, source) => {
+	const sources = await getUserSources(userId);
+	const key = source.trim().toLowerCase();
+	const match = sources.find((name) => name.toLowerCase() === key);
+
+	if (!match) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.INVALID_SOURCE} ${sources.join(', ')}`);
+	}
+	return match;
+};
+
+module.exports = {
+	getUserSources,
+	checkSource,
+};
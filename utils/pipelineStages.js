@@ -0,0 +1,57 @@
+const Stage = require('../models/Stage');
+const { DEFAULT_STAGES } = require('../constants/stages');
+
+/**
+ * Turn a stage name into the key stored on jobs, e.g. "Phone Screen" -> "phone-screen"
+ */
+const toStageKey = (name) =>
+	String(name)
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+
+/**
+ * Get a user's pipeline stages in board order, seeding the defaults on first use.
+ * Seeding uses upserts so concurrent first requests cannot create duplicates.
+ */
+const getUserStages = async (userId) => {
+	const stages = await Stage.find({ userId }).sort({ order: 1 });
+	if (stages.length > 0) {
+		return stages;
+	}
+
+	await Stage.bulkWrite(
+		DEFAULT_STAGES.map((stage, order) => ({
+			updateOne: {
+				filter: { userId, key: stage.key },
+				update: {
+					$setOnInsert: { userId, key: stage.key, name: stage.name, category: stage.category, order },
+				},
+				upsert: true,
+			},
+		}))
+	);
+
+	return Stage.find({ userId }).sort({ order: 1 });
+};
+
+/**
+ * Group stage keys the way analytics reads them: the entry stage, active stages
+ * after it (progressed), and the won and lost outcomes.
+ */
+const groupStages = (stages) => {
+	const [entry] = stages;
+	return {
+		entry: entry ? [entry.key] : [],
+		progressed: stages.filter((stage) => stage !== entry && stage.category === 'active').map((stage) => stage.key),
+		won: stages.filter((stage) => stage.category === 'won').map((stage) => stage.key),
+		lost: stages.filter((stage) => stage.category === 'lost').map((stage) => stage.key),
+	};
+};
+
+module.exports = {
+	toStageKey,
+	getUserStages,
+	groupStages,
+};
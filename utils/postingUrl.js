@@ -0,0 +1,60 @@
+const { URL } = require('url');
+
+// Query parameters added by job boards and campaigns that don't change the posting
+const TRACKING_PARAMS = [
+	'fbclid',
+	'gclid',
+	'msclkid',
+	'mc_cid',
+	'mc_eid',
+	'ref',
+	'refid',
+	'referrer',
+	'src',
+	'source',
+	'trk',
+	'trkinfo',
+	'trackingid',
+	'lipi',
+	'ebp',
+	'gh_src',
+];
+
+const isTrackingParam = (name) => {
+	const key = name.toLowerCase();
+	return key.startsWith('utm_') || TRACKING_PARAMS.includes(key);
+};
+
+/**
+ * Key used to match posting URLs: the scheme, a leading "www.", default
+ * ports, the fragment, tracking parameters, parameter order and a trailing
+ * slash are ignored, so "https://www.example.com/jobs/1/?utm_source=x" and
+ * "http://example.com/jobs/1" both become "example.com/jobs/1".
+ * Returns null for text that is not an http(s) URL.
+ */
+const normalizePostingUrl = (postingUrl) => {
+	let url;
+	try {
+		url = new URL(String(postingUrl || '').trim());
+	} catch (error) {
+		return null;
+	}
+
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+		return null;
+	}
+
+	const host = url.host.toLowerCase().replace(/^www\./, '');
+	const path = url.pathname.replace(/\/+$/, '');
+	const params = [];
+	url.searchParams.forEach((value, name) => {
+		if (!isTrackingParam(name)) {
+			params.push(`${name}=${value}`);
+		}
+	});
+	const query = params.length > 0 ? `?${params.sort().join('&')}` : '';
+
+	return `${host}${path}${query}`;
+};
+
+module.exports = { normalizePostingUrl };
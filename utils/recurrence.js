@@ -0,0 +1,71 @@
+// Weekday codes as in RRULE BYDAY, indexed like Date#getUTCDay
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekly'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+
+// Days since Monday, so weeks start on Monday as with the RRULE default WKST=MO
+const daysSinceMonday = (date) => (date.getUTCDay() + 6) % 7;
+
+const nextDaily = ({ interval = 1 }, startsAt, after) => {
+	const step = interval * MS_PER_DAY;
+	if (after < startsAt) {
+		return new Date(startsAt);
+	}
+	const steps = Math.floor((after - startsAt) / step) + 1;
+	return new Date(startsAt.getTime() + steps * step);
+};
+
+const nextWeekly = ({ interval = 1, byWeekday = [] }, startsAt, after) => {
+	const days = byWeekday.length > 0 ? byWeekday.map((code) => WEEKDAYS.indexOf(code)) : [startsAt.getUTCDay()];
+	const offsets = [...new Set(days.map((day) => (day + 6) % 7))].sort((a, b) => a - b);
+
+	// Monday of the first week, at the series' time of day
+	const firstWeek = startsAt.getTime() - daysSinceMonday(startsAt) * MS_PER_DAY;
+	let week = after < startsAt ? 0 : Math.floor((after - firstWeek) / MS_PER_WEEK);
+	week -= week % interval;
+
+	// The answer is always in the current active week or the next one
+	for (let i = 0; i < 2; i += 1) {
+		const weekStart = firstWeek + (week + i * interval) * MS_PER_WEEK;
+		const match = offsets
+			.map((offset) => weekStart + offset * MS_PER_DAY)
+			.find((time) => time >= startsAt.getTime() && time > after.getTime());
+		if (match !== undefined) {
+			return new Date(match);
+		}
+	}
+	return null;
+};
+
+/**
+ * Due date of the occurrence that follows `after` in a series starting at
+ * startsAt, or null when the rule's until date or count has been reached.
+ * occurrence is the 1-based number the new occurrence would have.
+ *
+ * rule: { frequency: 'daily' | 'weekly', interval, byWeekday, until, count }
+ * - daily with interval N repeats every N days
+ * - weekly repeats on byWeekday (default: the start's weekday) every interval weeks
+ * Weekdays and times of day are in UTC.
+ */
+const nextOccurrence = (rule, { startsAt, after, occurrence }) => {
+	if (rule.count && occurrence > rule.count) {
+		return null;
+	}
+
+	const start = new Date(startsAt);
+	const from = new Date(after);
+	const next = rule.frequency === 'daily' ? nextDaily(rule, start, from) : nextWeekly(rule, start, from);
+
+	if (!next || (rule.until && next > new Date(rule.until))) {
+		return null;
+	}
+	return next;
+};
+
+module.exports = {
+	WEEKDAYS,
+	FREQUENCIES,
+	nextOccurrence,
+};
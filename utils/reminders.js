@@ -0,0 +1,227 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const sendEmail = require('./sendEmail');
+const escapeHtml = require('./escapeHtml');
+
+const DEFAULT_LEAD_TIME_MINUTES = 60;
+const MAX_LEAD_TIME_MINUTES = 7 * 24 * 60;
+const DEFAULT_OVERDUE_SUMMARY_HOUR = 8;
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Minutes before a task is due that its reminder goes out: the user's own
+ * setting, then TASK_REMINDER_LEAD_MINUTES, then 60
+ */
+const getLeadTimeMinutes = (user) => {
+	const own = user && user.reminders && user.reminders.leadTimeMinutes;
+	if (own > 0) {
+		return Math.min(own, MAX_LEAD_TIME_MINUTES);
+	}
+	const configured = parseInt(process.env.TASK_REMINDER_LEAD_MINUTES, 10);
+	return configured > 0 ? Math.min(configured, MAX_LEAD_TIME_MINUTES) : DEFAULT_LEAD_TIME_MINUTES;
+};
+
+/**
+ * UTC hour from which the daily overdue summary is sent (OVERDUE_SUMMARY_HOUR, default 8)
+ */
+const getOverdueSummaryHour = () => {
+	const hour = parseInt(process.env.OVERDUE_SUMMARY_HOUR, 10);
+	return hour >= 0 && hour <= 23 ? hour : DEFAULT_OVERDUE_SUMMARY_HOUR;
+};
+
+/**
+ * Record a reminder before sending it. Returns false when it was already
+ * recorded, by this process or an earlier one.
+ */
+const claimReminder = async (reminder) => {
+	try {
+		await Reminder.create(reminder);
+		return true;
+	} catch (err) {
+		if (err.code === 11000) {
+			return false;
+		}
+		throw err;
+	}
+};
+
+const groupByUser = (tasks) => {
+	const groups = new Map();
+	tasks.forEach((task) => {
+		const userId = task.userId.toString();
+		if (!groups.has(userId)) {
+			groups.set(userId, []);
+		}
+		groups.get(userId).push(task);
+	});
+	return groups;
+};
+
+// Users who can receive reminders, keyed by id
+const findRecipients = async (userIds, setting) => {
+	const users = await User.find({
+		_id: { $in: userIds },
+		isVerified: true,
+		[`reminders.${setting}`]: { $ne: false },
+	})
+		.select('email firstName reminders')
+		.lean();
+	return new Map(users.map((user) => [user._id.toString(), user]));
+};
+
+// Text the user entered is escaped, so a task title cannot add markup to the email
+const describeTask = (task) => {
+	const job = task.jobId ? ` (${escapeHtml(task.jobId.position)} at ${escapeHtml(task.jobId.company)})` : '';
+	return `<li><strong>${escapeHtml(task.title)}</strong>${job} - ${task.taskType}, due ${task.dueDateTime.toUTCString()}</li>`;
+};
+
+const settingsFooter = '<p>You can turn these emails off in your reminder settings.</p>';
+
+/**
+ * Email each user about incomplete tasks due within their lead time.
+ * Returns the number of emails sent.
+ */
+const sendUpcomingReminders = async (now = new Date()) => {
+	const tasks = await Task.find({
+		completed: false,
+		dueDateTime: { $gt: now, $lte: new Date(now.getTime() + MAX_LEAD_TIME_MINUTES * MS_PER_MINUTE) },
+	})
+		.sort({ dueDateTime: 1 })
+		.populate('jobId', 'company position')
+		.lean();
+
+	const groups = groupByUser(tasks);
+	const recipients = await findRecipients([...groups.keys()], 'upcoming');
+	let sent = 0;
+
+	await Promise.all(
+		[...groups].map(async ([userId, userTasks]) => {
+			const user = recipients.get(userId);
+			if (!user) {
+				return;
+			}
+
+			const deadline = now.getTime() + getLeadTimeMinutes(user) * MS_PER_MINUTE;
+			const claimed = [];
+
+			// One record per task and due time, so moving the due date brings a new reminder
+			await Promise.all(
+				userTasks
+					.filter((task) => task.dueDateTime.getTime() <= deadline)
+					.map(async (task) => {
+						const key = `upcoming:${task._id}:${task.dueDateTime.toISOString()}`;
+						if (await claimReminder({ userId, type: 'upcoming', key, taskIds: [task._id] })) {
+							claimed.push({ task, key });
+						}
+					})
+			);
+
+			if (claimed.length === 0) {
+				return;
+			}
+
+			claimed.sort((a, b) => a.task.dueDateTime - b.task.dueDateTime);
+			const result = await sendEmail({
+				email: user.email,
+				subject: claimed.length === 1 ? `Reminder: ${claimed[0].task.title}` : `Reminder: ${claimed.length} upcoming tasks`,
+				message: `<p>Hi ${escapeHtml(user.firstName)}, these tasks are due soon:</p><ul>${claimed
+					.map(({ task }) => describeTask(task))
+					.join('')}</ul>${settingsFooter}`,
+			});
+
+			// Release the records so the next run tries again
+			if (!result.success) {
+				await Reminder.deleteMany({ key: { $in: claimed.map(({ key }) => key) } });
+				return;
+			}
+			sent += 1;
+		})
+	);
+
+	return sent;
+};
+
+/**
+ * Once a day, after the summary hour, email each user a list of their overdue tasks.
+ * Returns the number of emails sent.
+ */
+const sendOverdueSummaries = async (now = new Date()) => {
+	if (now.getUTCHours() < getOverdueSummaryHour()) {
+		return 0;
+	}
+
+	// Users who already have today's summary are left out of the task scan
+	const day = now.toISOString().slice(0, 10);
+	const summarized = await Reminder.distinct('userId', { type: 'overdue-summary', key: { $regex: `:${day}$` } });
+	const tasks = await Task.find({ userId: { $nin: summarized }, completed: false, dueDateTime: { $lte: now } })
+		.sort({ dueDateTime: 1 })
+		.populate('jobId', 'company position')
+		.lean();
+
+	const groups = groupByUser(tasks);
+	const recipients = await findRecipients([...groups.keys()], 'overdueSummary');
+	let sent = 0;
+
+	await Promise.all(
+		[...groups].map(async ([userId, userTasks]) => {
+			const user = recipients.get(userId);
+			if (!user) {
+				return;
+			}
+
+			const key = `overdue-summary:${userId}:${day}`;
+			const taskIds = userTasks.map((task) => task._id);
+			if (!(await claimReminder({ userId, type: 'overdue-summary', key, taskIds }))) {
+				return;
+			}
+
+			const result = await sendEmail({
+				email: user.email,
+				subject: `You have ${userTasks.length} overdue task${userTasks.length === 1 ? '' : 's'}`,
+				message: `<p>Hi ${escapeHtml(user.firstName)}, these tasks are past their due date:</p><ul>${userTasks
+					.map(describeTask)
+					.join('')}</ul>${settingsFooter}`,
+			});
+
+			if (!result.success) {
+				await Reminder.deleteOne({ key });
+				return;
+			}
+			sent += 1;
+		})
+	);
+
+	return sent;
+};
+
+/**
+ * Check for reminders now and then every 5 minutes
+ */
+const startReminderSchedule = () => {
+	const run = async () => {
+		try {
+			const now = new Date();
+			const upcoming = await sendUpcomingReminders(now);
+			const overdue = await sendOverdueSummaries(now);
+			if (upcoming > 0 || overdue > 0) {
+				console.log(`Sent ${upcoming} task reminder(s) and ${overdue} overdue summary email(s)`);
+			}
+		} catch (err) {
+			console.error('Error sending task reminders:', err);
+		}
+	};
+
+	run();
+	return setInterval(run, REMINDER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+	MAX_LEAD_TIME_MINUTES,
+	getLeadTimeMinutes,
+	getOverdueSummaryHour,
+	sendUpcomingReminders,
+	sendOverdueSummaries,
+	startReminderSchedule,
+};
@@ -0,0 +1,82 @@
+const SavedView = require('../models/SavedView');
+const { ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+const { JOB_LIST_FIELDS, resolveJobFilter, buildJobSort } = require('./jobQuery');
+const { buildSearchFilter } = require('./jobSearch');
+const { CUSTOM_FIELD_SORT_PREFIX, customFieldPath, buildCustomFieldFilter } = require('./customFields');
+
+// Key of a cf.<key> sort or column, or null for a standard one
+const customFieldKeyOf = (name) =>
+	name && name.startsWith(CUSTOM_FIELD_SORT_PREFIX) ? name.slice(CUSTOM_FIELD_SORT_PREFIX.length) : null;
+
+/**
+ * Projection for a view's columns; cf.<key> columns select one custom field
+ */
+const viewProjection = (columns) =>
+	(columns && columns.length > 0 ? columns : JOB_LIST_FIELDS)
+		.map((column) => (customFieldKeyOf(column) ? customFieldPath(customFieldKeyOf(column)) : column))
+		.join(' ');
+
+/**
+ * Throw a ValidationError for a view whose q search has an unknown field or
+ * an invalid date, so it is refused when saved rather than when run
+ */
+const checkViewSearch = (view) => {
+	if (view.filters && view.filters.q) {
+		buildSearchFilter(view.filters.q);
+	}
+};
+
+/**
+ * Throw unless the custom fields a view filters, sorts or shows are among the
+ * user's customFields
+ */
+const checkViewCustomFields = (view, customFields) => {
+	if (view.filters && view.filters.cf) {
+		buildCustomFieldFilter(customFields, view.filters.cf);
+	}
+
+	const keys = customFields.map((field) => field.key);
+	const unknown = [view.sort && view.sort.sortBy, ...(view.columns || [])]
+		.map(customFieldKeyOf)
+		.find((key) => key && !keys.includes(key));
+	if (unknown) {
+		throw new ValidationError(`${MESSAGES.VALIDATION.UNKNOWN_CUSTOM_FIELD} ${unknown}`);
+	}
+};
+
+/**
+ * Mongo filter and sort of a view, the same as GET /api/jobs with the view's
+ * filters and sort
+ */
+const resolveViewQuery = async (userId, view, customFields) => {
+	const filters = view.filters || {};
+	const { sortBy, sortOrder } = view.sort || {};
+	return {
+		filter: await resolveJobFilter(userId, filters, customFields),
+		sort: buildJobSort({ sortBy, sortOrder, q: filters.q }, customFields.map((field) => field.key)),
+	};
+};
+
+/**
+ * Take a deleted custom field out of the user's views: its filter and column
+ * are dropped, and views sorted by it go back to the default sort
+ */
+const removeCustomFieldFromViews = (userId, key) => {
+	const filterPath = `filters.cf.${key}`;
+	const column = `${CUSTOM_FIELD_SORT_PREFIX}${key}`;
+
+	return Promise.all([
+		SavedView.updateMany({ userId, [filterPath]: { $exists: true } }, { $unset: { [filterPath]: '' } }),
+		SavedView.updateMany({ userId, columns: column }, { $pull: { columns: column } }),
+		SavedView.updateMany({ userId, 'sort.sortBy': column }, { $unset: { sort: '' } }),
+	]);
+};
+
+module.exports = {
+	viewProjection,
+	checkViewSearch,
+	checkViewCustomFields,
+	resolveViewQuery,
+	removeCustomFieldFromViews,
+};
@@ -0,0 +1,104 @@
+const { DEFAULT_STAGES } = require('../constants/stages');
+const { groupStages } = require('./pipelineStages');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Stage pairs reported by the insights endpoint, resolved against a user's
+ * pipeline (see groupStages). With the default stages these are exactly
+ * applied -> interviewing, interviewing -> offer, applied -> offer and
+ * applied -> rejected.
+ */
+const buildStageTransitions = ({ entry, progressed, won, lost }) => [
+	{ key: 'appliedToInterviewing', from: entry, to: progressed },
+	{ key: 'interviewingToOffer', from: progressed, to: won },
+	{ key: 'appliedToOffer', from: entry, to: won },
+	{ key: 'appliedToRejected', from: entry, to: lost },
+];
+
+const DEFAULT_STAGE_TRANSITIONS = buildStageTransitions(groupStages(DEFAULT_STAGES));
+
+const toDays = (ms) => Math.round((ms / MS_PER_DAY) * 10) / 10;
+
+/**
+ * Summarise durations (in milliseconds) as count, mean, median and p90 in days
+ */
+const summarizeDurations = (durations) => {
+	if (durations.length === 0) {
+		return { count: 0, meanDays: null, medianDays: null, p90Days: null };
+	}
+
+	const sorted = [...durations].sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	const median = sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+	// Nearest-rank percentile
+	const p90 = sorted[Math.ceil(sorted.length * 0.9) - 1];
+	const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+	return {
+		count: sorted.length,
+		meanDays: toDays(mean),
+		medianDays: toDays(median),
+		p90Days: toDays(p90),
+	};
+};
+
+/**
+ * Time taken by a single job to get from one set of statuses to another.
+ * The stage a job was created in is considered entered on its dateApplied;
+ * the target stage only counts when reached through a recorded change, so
+ * jobs created directly in a later status are left out. Returns null when
+ * the job never made the move.
+ */
+const stageDuration = (job, from, to) => {
+	const history = job.statusHistory || [];
+	const fromIndex = history.findIndex((entry) => from.includes(entry.to));
+	if (fromIndex === -1) {
+		return null;
+	}
+
+	const start = fromIndex === 0 ? job.dateApplied : history[fromIndex].changedAt;
+	const target = history.slice(fromIndex + 1).find((entry) => entry.from && to.includes(entry.to));
+	if (!target || !start) {
+		return null;
+	}
+
+	const duration = new Date(target.changedAt) - new Date(start);
+	return duration >= 0 ? duration : null;
+};
+
+/**
+ * Collect the durations for each transition across all jobs and summarise them
+ */
+const summarizeStageTransitions = (jobs, transitions = DEFAULT_STAGE_TRANSITIONS) => {
+	const summary = {};
+	transitions.forEach(({ key, from, to }) => {
+		const durations = jobs.map((job) => stageDuration(job, from, to)).filter((duration) => duration !== null);
+		summary[key] = summarizeDurations(durations);
+	});
+	return summary;
+};
+
+/**
+ * Whether a job has been in one of statuses, now or at any point of its
+ * status history, so jobs that have since moved on are still counted
+ */
+const hasReachedStage = (job, statuses) =>
+	statuses.includes(job.status) || (job.statusHistory || []).some((entry) => statuses.includes(entry.to));
+
+/**
+ * Mongo condition for jobs that have been in one of statuses, the query
+ * counterpart of hasReachedStage
+ */
+const reachedStageCondition = (statuses) => ({
+	$or: [{ status: { $in: statuses } }, { 'statusHistory.to': { $in: statuses } }],
+});
+
+module.exports = {
+	buildStageTransitions,
+	summarizeDurations,
+	stageDuration,
+	summarizeStageTransitions,
+	hasReachedStage,
+	reachedStageCondition,
+};
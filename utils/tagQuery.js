@@ -0,0 +1,23 @@
+const TAG_MATCH_MODES = ['any', 'all'];
+
+/**
+ * Condition on a tags array for a tags=id1,id2 filter: items with any of the
+ * tags, or with all of them when tagMatch is "all". Returns undefined when no
+ * tags are given.
+ */
+const buildTagCondition = (tags, tagMatch) => {
+	const tagIds = String(tags || '')
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+
+	if (tagIds.length === 0) {
+		return undefined;
+	}
+	return tagMatch === 'all' ? { $all: tagIds } : { $in: tagIds };
+};
+
+module.exports = {
+	TAG_MATCH_MODES,
+	buildTagCondition,
+};
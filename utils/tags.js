@@ -0,0 +1,34 @@
+const Tag = require('../models/Tag');
+const { ValidationError } = require('./errors');
+const { MESSAGES } = require('../constants/messages');
+
+/**
+ * Jobs and tasks may only carry the user's own tags. Returns the ids without
+ * duplicates.
+ */
+const checkTagIds = async (userId, tagIds) => {
+	const uniqueIds = [...new Set(tagIds)];
+	const found = await Tag.countDocuments({ _id: { $in: uniqueIds }, userId });
+	if (found !== uniqueIds.length) {
+		throw new ValidationError(MESSAGES.VALIDATION.INVALID_TAGS);
+	}
+	return uniqueIds;
+};
+
+/**
+ * Count the items of a model per tag; trashed items are left out.
+ * Returns a Map of tag id to count.
+ */
+const countByTag = async (Model, userId) => {
+	const counts = await Model.aggregate([
+		{ $match: { userId } },
+		{ $unwind: '$tags' },
+		{ $group: { _id: '$tags', count: { $sum: 1 } } },
+	]);
+	return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+module.exports = {
+	checkTagIds,
+	countByTag,
+};
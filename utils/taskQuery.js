@@ -0,0 +1,87 @@
+const { buildTagCondition } = require('./tagQuery');
+
+const TASK_SORT_FIELDS = ['dueDateTime', 'createdAt', 'updatedAt', 'title', 'taskType'];
+const TASK_DUE_RANGES = ['overdue', 'today', 'week'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date bounds for a named range, in UTC. Weeks start on Monday.
+ */
+const getDueRange = (range, now = new Date()) => {
+	const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+	if (range === 'overdue') {
+		return { $lt: now };
+	}
+
+	if (range === 'today') {
+		return { $gte: startOfDay, $lt: new Date(startOfDay.getTime() + MS_PER_DAY) };
+	}
+
+	const daysSinceMonday = (startOfDay.getUTCDay() + 6) % 7;
+	const startOfWeek = new Date(startOfDay.getTime() - daysSinceMonday * MS_PER_DAY);
+	return { $gte: startOfWeek, $lt: new Date(startOfWeek.getTime() + 7 * MS_PER_DAY) };
+};
+
+/**
+ * Build the Mongo filter for a user's tasks from query parameters
+ * (completed, taskType, jobId, due, tags, tagMatch, search)
+ */
+const buildTaskFilter = (userId, { completed, taskType, jobId, due, tags, tagMatch, search } = {}, now = new Date()) => {
+	const query = { userId };
+
+	if (completed === 'true' || completed === 'false') {
+		query.completed = completed === 'true';
+	}
+
+	if (taskType) {
+		query.taskType = taskType;
+	}
+
+	if (jobId) {
+		query.jobId = jobId;
+	}
+
+	const tagCondition = buildTagCondition(tags, tagMatch);
+	if (tagCondition) {
+		query.tags = tagCondition;
+	}
+
+	if (TASK_DUE_RANGES.includes(due)) {
+		query.dueDateTime = getDueRange(due, now);
+		// Completed tasks are never overdue
+		if (due === 'overdue' && query.completed === undefined) {
+			query.completed = false;
+		}
+	}
+
+	if (search) {
+		query.$text = { $search: search };
+	}
+
+	return query;
+};
+
+/**
+ * Build the sort for a task listing: best text match first when searching,
+ * otherwise earliest due first. sortOrder is ascending unless it is desc, the
+ * opposite of buildJobSort, so a sortBy alone keeps the earliest-first order.
+ */
+const buildTaskSort = ({ sortBy, sortOrder, search } = {}) => {
+	if (TASK_SORT_FIELDS.includes(sortBy)) {
+		return { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+	}
+	if (search) {
+		return { score: { $meta: 'textScore' }, dueDateTime: 1 };
+	}
+	return { dueDateTime: 1 };
+};
+
+module.exports = {
+	TASK_SORT_FIELDS,
+	TASK_DUE_RANGES,
+	getDueRange,
+	buildTaskFilter,
+	buildTaskSort,
+};
@@ -0,0 +1,134 @@
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { nextOccurrence } = require('./recurrence');
+
+// Task fields shared by every occurrence of a series
+const SERIES_FIELDS = ['title', 'taskType', 'notes'];
+
+const pickSeriesFields = (changes) => {
+	const fields = {};
+	SERIES_FIELDS.forEach((field) => {
+		if (changes[field] !== undefined) {
+			fields[field] = changes[field];
+		}
+	});
+	return fields;
+};
+
+/**
+ * Make an unsaved task the first occurrence of a new series. Pass the session
+ * the task is saved in, so a task that fails to save leaves no series behind.
+ */
+const startSeries = async (task, recurrence, session) => {
+	const series = new TaskSeries({
+		userId: task.userId,
+		jobId: task.jobId,
+		title: task.title,
+		taskType: task.taskType,
+		notes: task.notes,
+		recurrence,
+		startsAt: task.dueDateTime,
+	});
+	await series.save({ session });
+
+	task.set({ seriesId: series._id, occurrence: 1, scheduledFor: task.dueDateTime });
+	return series;
+};
+
+/**
+ * Create the occurrence after a completed one, in the session the completion
+ * is saved in. Returns null when the series has ended or the next occurrence
+ * already exists, e.g. because the task was completed, reopened and completed
+ * again.
+ */
+const createNextOccurrence = async (task, session) => {
+	const series = await TaskSeries.findOne({ _id: task.seriesId, userId: task.userId }).session(session);
+	if (!series) {
+		return null;
+	}
+
+	const occurrence = task.occurrence + 1;
+	const dueDateTime = nextOccurrence(series.recurrence, {
+		startsAt: series.startsAt,
+		after: task.scheduledFor || task.dueDateTime,
+		occurrence,
+	});
+	if (!dueDateTime) {
+		return null;
+	}
+
+	// Checked first, as a duplicate key error would abort the transaction
+	const existing = await Task.exists({ seriesId: series._id, occurrence })
+		.setOptions({ withDeleted: true })
+		.session(session);
+	if (existing) {
+		return null;
+	}
+
+	return new Task({
+		userId: task.userId,
+		jobId: series.jobId,
+		title: series.title,
+		taskType: series.taskType,
+		notes: series.notes,
+		dueDateTime,
+		scheduledFor: dueDateTime,
+		seriesId: series._id,
+		occurrence,
+	}).save({ session });
+};
+
+/**
+ * Apply an update of an occurrence to the rest of its series: the series
+ * itself, so occurrences created later pick it up, and any later occurrences
+ * that are still open. A new rule or due date restarts the schedule from this
+ * occurrence; a null recurrence turns this and later open occurrences into
+ * one-off tasks. The task itself is changed but not saved; pass the session it
+ * is saved in.
+ */
+const updateFutureOccurrences = async (task, changes, session) => {
+	const fields = pickSeriesFields(changes);
+	const later = {
+		seriesId: task.seriesId,
+		occurrence: { $gt: task.occurrence },
+		completed: false,
+	};
+
+	if (changes.recurrence === null) {
+		await Task.updateMany(
+			later,
+			{
+				$set: fields,
+				$unset: { seriesId: '', occurrence: '', scheduledFor: '' },
+			},
+			{ session }
+		);
+		task.set({ seriesId: undefined, occurrence: undefined, scheduledFor: undefined });
+		return;
+	}
+
+	const series = await TaskSeries.findOne({ _id: task.seriesId, userId: task.userId }).session(session);
+	if (!series) {
+		return;
+	}
+
+	series.set(fields);
+	if (changes.recurrence || changes.dueDateTime !== undefined) {
+		if (changes.recurrence) {
+			series.recurrence = changes.recurrence;
+		}
+		series.startsAt = task.dueDateTime;
+		task.set({ scheduledFor: task.dueDateTime });
+	}
+	await series.save({ session });
+
+	if (Object.keys(fields).length > 0) {
+		await Task.updateMany(later, { $set: fields }, { session });
+	}
+};
+
+module.exports = {
+	startSeries,
+	createNextOccurrence,
+	updateFutureOccurrences,
+};
@@ -0,0 +1,59 @@
+const Task = require('../models/Task');
+const { purgeJobs } = require('./jobDeletion');
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Number of days trashed items are kept, from TRASH_RETENTION_DAYS (default 30)
+ */
+const getTrashRetentionDays = () => {
+	const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+	return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Date after which an item trashed at deletedAt is purged automatically
+ */
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Permanently delete every job and task that has been in the trash longer than the retention period
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+	const deletedBefore = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+	const jobs = await purgeJobs({ deletedBefore });
+	const { deletedCount: purgedTasks } = await Task.deleteMany({ deletedAt: { $ne: null, $lte: deletedBefore } });
+
+	return {
+		purgedJobs: jobs.purgedJobs,
+		purgedTasks: jobs.purgedTasks + purgedTasks,
+	};
+};
+
+/**
+ * Run purgeExpiredTrash now and then every hour
+ */
+const startTrashPurgeSchedule = () => {
+	const run = async () => {
+		try {
+			const { purgedJobs, purgedTasks } = await purgeExpiredTrash();
+			if (purgedJobs > 0 || purgedTasks > 0) {
+				console.log(`Purged ${purgedJobs} job(s) and ${purgedTasks} task(s) from the trash`);
+			}
+		} catch (err) {
+			console.error('Error purging trash:', err);
+		}
+	};
+
+	run();
+	return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+	getTrashRetentionDays,
+	getPurgeDate,
+	purgeExpiredTrash,
+	startTrashPurgeSchedule,
+};